@@ -1,18 +1,117 @@
-import { useState, useRef, useEffect } from 'react'
+import { useState, useRef, useEffect, useMemo } from 'react'
 import Webcam from 'react-webcam'
-import * as poseDetection from '@tensorflow-models/pose-detection'
-import * as tf from '@tensorflow/tfjs-core'
-import '@tensorflow/tfjs-backend-webgl'
+import BatchQueue from './components/BatchQueue'
+import BiomechanicsHud from './components/BiomechanicsHud'
+import CalibrationPanel from './components/CalibrationPanel'
+import CameraSettings from './components/CameraSettings'
+import CoachingSettings from './components/CoachingSettings'
+import CompareView from './components/CompareView'
+import DataExportPanel from './components/DataExportPanel'
+import ExportPanel from './components/ExportPanel'
+import FilterSettings from './components/FilterSettings'
+import FormReport from './components/FormReport'
+import KeypointEditor from './components/KeypointEditor'
+import ModelSettings from './components/ModelSettings'
+import PerfReadout from './components/PerfReadout'
+import ProfileSettings from './components/ProfileSettings'
+import ReferenceSettings from './components/ReferenceSettings'
+import RoiSettings from './components/RoiSettings'
+import SessionHistory from './components/SessionHistory'
+import Timeline from './components/Timeline'
+import ViewSettings from './components/ViewSettings'
+import { createMetronome, playCueTone, speakCue } from './lib/audio'
+import { analyzeClip, collectDroppedFiles, isVideoFile, summarizeClip } from './lib/batchQueue'
+import { analyzeTimeline } from './lib/biomechanics'
+import { loadViewSetting, saveViewSetting } from './lib/cameraView'
+import {
+  buildVideoConstraints,
+  createSessionRecorder,
+  DEFAULT_CAMERA_SETTINGS,
+  getCameraCalibrationKey,
+  isRecordingSupported,
+  listCameras,
+} from './lib/camera'
+import { createCoach, DEFAULT_COACHING_CONFIG } from './lib/coaching'
+import { buildFormReport, buildReportHtml } from './lib/formReport'
+import { loadActiveProfileId, loadProfiles, saveActiveProfileId, saveProfiles } from './lib/profiles'
+import {
+  buildReferenceFromClip,
+  loadReferences,
+  loadReferenceSettings,
+  matchReference,
+  saveReferences,
+  saveReferenceSettings,
+} from './lib/referenceForms'
+import {
+  batchSummaryToCsv,
+  buildSessionJson,
+  contactsToCsv,
+  downloadFile,
+  framesToCsv,
+  parseSessionJson,
+  readSessionJson,
+  stridesToCsv,
+  summarizeRun,
+} from './lib/sessionData'
+import {
+  createSessionId,
+  deleteSession,
+  isHistorySupported,
+  listSessions,
+  loadHistorySettings,
+  loadSession,
+  saveHistorySettings,
+  saveSession,
+  updateSession,
+} from './lib/sessionStore'
+import { buildTimelineSeries, pickTimelineRunner } from './lib/timelineSeries'
+import { captureStills, exportAnnotatedVideo } from './lib/videoExport'
+import {
+  clearFrameCorrections,
+  EMPTY_CORRECTIONS,
+  findKeypointAt,
+  hasCorrections,
+  moveKeypoint,
+  setExcluded,
+  toggleSwap,
+} from './lib/keypointCorrections'
+import { DEFAULT_FILTER_OPTIONS } from './lib/keypointFilter'
+import { nameOf } from './lib/keypoints'
+import { selectAnalysedIds } from './lib/framePipeline'
+import { createPerfMeter, createThrottle, SNAPSHOT_INTERVAL_MS } from './lib/liveStats'
+import { createPoseEngine } from './lib/poseEngine'
+import { cropAroundBox, fromUprightBox, loadRoiSettings, saveRoiSettings, toUprightPoint } from './lib/roi'
+import { BACKENDS, DEFAULT_MODEL_ID, POSE_MODELS } from './lib/poseModels'
+import { DEFAULT_ASYMMETRY_THRESHOLD } from './lib/asymmetry'
+import {
+  calibrateFromHeight,
+  calibrateFromReference,
+  getCalibrationKey,
+  loadCalibration,
+  saveCalibration,
+} from './lib/calibration'
+import { findPoseAt, getTrackColor, trackFrames } from './lib/tracker'
+import { analyzeVideoFrames, findFrameIndex, resolveDuration, seekTo } from './lib/offlineAnalysis'
+import { drawEditHandles, drawJointAngles, drawLiveFrame, drawMetricPanel, drawRunner } from './lib/overlay'
+
+const DEFAULT_STEP_FRAME_RATE = 30 // Frame stepping before a full analysis
+const EDIT_HIT_RADIUS = 12 // CSS px around a keypoint that grabs it in edit mode
+const EMPTY_SNAPSHOT = { runnerMetrics: {}, deviation: null, perf: null }
 
 function App() {
   // Mode state
-  const [mode, setMode] = useState('upload') // 'camera' or 'upload'
+  const [mode, setMode] = useState('upload') // 'camera', 'upload' or 'compare'
 
   // Model state
   const [modelLoading, setModelLoading] = useState(true)
+  const [modelId, setModelId] = useState(DEFAULT_MODEL_ID)
+  const [preferredBackend, setPreferredBackend] = useState(BACKENDS[0])
+  const [activeModel, setActiveModel] = useState(null) // { modelId, backend, inWorker } once loaded
+  const [modelError, setModelError] = useState(null)
 
   // Upload mode state
   const [uploadedFile, setUploadedFile] = useState(null)
+  const [uploadedFileName, setUploadedFileName] = useState(null)
   const [mediaType, setMediaType] = useState(null) // 'video' or 'image'
   const [mediaDimensions, setMediaDimensions] = useState({ width: 640, height: 480 })
   const [isDragging, setIsDragging] = useState(false)
@@ -20,377 +119,1369 @@ function App() {
   // Video control state
   const [isPlaying, setIsPlaying] = useState(false)
   const [playbackSpeed, setPlaybackSpeed] = useState(1.0)
-
-  // Biomechanics state
-  const [torsoLean, setTorsoLean] = useState(0)
-  const [leanFeedback, setLeanFeedback] = useState('upright')
-  const [kneeAngle, setKneeAngle] = useState(0)
-  const [hipAngle, setHipAngle] = useState(0)
-  const [verticalOscillation, setVerticalOscillation] = useState(0)
-  const [headAlignment, setHeadAlignment] = useState(0)
-  const [cadence, setCadence] = useState(0)
-
-  // Camera mode state (preserved from original)
+  const [currentTime, setCurrentTime] = useState(0)
+  const [videoDuration, setVideoDuration] = useState(0)
+  const [loop, setLoop] = useState({ a: null, b: null }) // A/B loop points (s)
+
+  // Offline analysis state
+  const [analysisProgress, setAnalysisProgress] = useState(null) // null when idle, else 0..1
+  const [analysisTimeline, setAnalysisTimeline] = useState(null) // { frameRate, modelId, frames }
+  const [analysisError, setAnalysisError] = useState(null)
+  const [reportExporting, setReportExporting] = useState(false)
+  const [reportError, setReportError] = useState(null)
+
+  // Live results, published by a throttle rather than once per frame:
+  // metrics per analysed runner ID, the main runner's reference deviation
+  // ({ phase, rows }) and the live loop's throughput
+  const [liveSnapshot, setLiveSnapshot] = useState(EMPTY_SNAPSHOT)
+  const [asymmetryThreshold, setAsymmetryThreshold] = useState(DEFAULT_ASYMMETRY_THRESHOLD)
+
+  // Runner profiles (target ranges per metric), persisted
+  const [profiles, setProfiles] = useState(loadProfiles)
+  const [activeProfileId, setActiveProfileId] = useState(() => loadActiveProfileId(loadProfiles()))
+
+  // Reference "ideal form" ghost, persisted
+  const [references, setReferences] = useState(loadReferences)
+  const [referenceSettings, setReferenceSettings] = useState(loadReferenceSettings)
+
+  // Calibration state (px -> cm), persisted per clip
+  const [calibration, setCalibration] = useState(null)
+  const [referenceDraft, setReferenceDraft] = useState(null) // { lengthCm, points }
+
+  // Keypoint filter settings
+  const [filterOptions, setFilterOptions] = useState(DEFAULT_FILTER_OPTIONS)
+  const [cameraView, setCameraView] = useState(loadViewSetting) // 'auto', 'side', 'front' or 'rear'
+  const [roiSettings, setRoiSettings] = useState(loadRoiSettings) // Crop / rotate / follow before detection
+
+  // Runner selection (empty = follow the largest runner)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [multiRunner, setMultiRunner] = useState(false)
+
+  // Keypoint edit mode (paused video or image)
+  const [editingKeypoints, setEditingKeypoints] = useState(false)
+  const [stillCorrections, setStillCorrections] = useState(null) // Corrections on an uploaded image
+
+  // Camera mode state
   const [webcamError, setWebcamError] = useState(null)
   const [webcamReady, setWebcamReady] = useState(false)
+  const [cameraSettings, setCameraSettings] = useState(DEFAULT_CAMERA_SETTINGS)
+  const [cameras, setCameras] = useState([])
+  const [cameraTrackSettings, setCameraTrackSettings] = useState(null) // What the camera actually delivers
+  const [recordingSeconds, setRecordingSeconds] = useState(null) // null when not recording
+
+  // Audio coaching state (per session)
+  const [coachingConfig, setCoachingConfig] = useState(DEFAULT_COACHING_CONFIG)
+  const [metronome, setMetronome] = useState({ enabled: false, spm: 180 })
+  const [lastCue, setLastCue] = useState(null)
+
+  // Session history (IndexedDB)
+  const [sessions, setSessions] = useState([])
+  const [historySettings, setHistorySettings] = useState(loadHistorySettings)
+  const [historyError, setHistoryError] = useState(null)
+  const [currentSessionId, setCurrentSessionId] = useState(null) // Saved session shown in upload mode
+  const [pendingSession, setPendingSession] = useState(null) // Record waiting for its video file
+
+  // Batch analysis queue:
+  // { id, file, fileName, athlete, status, progress, error, row, sessionId, session }
+  const [batchJobs, setBatchJobs] = useState([])
+  const [batchRunning, setBatchRunning] = useState(false)
 
   // Refs
   const webcamRef = useRef(null)
   const videoRef = useRef(null)
   const imageRef = useRef(null)
   const canvasRef = useRef(null)
-  const detectorRef = useRef(null)
+  const liveCanvasRef = useRef(null) // Camera overlay drawn by the pose worker
+  const engineRef = useRef(null) // Pose model and live pipeline (see createPoseEngine)
   const animationIdRef = useRef(null)
   const fileInputRef = useRef(null)
 
-  // Tracking refs for metrics
-  const footStrikesRef = useRef([])
-  const previousHipHeightRef = useRef(null)
+  // Tracking refs; per-runner analysis lives in the pose engine
+  const filterOptionsRef = useRef(DEFAULT_FILTER_OPTIONS)
+  const cameraViewRef = useRef(cameraView)
+  const roiSettingsRef = useRef(roiSettings)
+  const selectedIdsRef = useRef([])
+  const lastPosesRef = useRef([])
+  const shownRotationRef = useRef(0) // Upright-frame rotation of the poses on the canvas (see roi.js)
+
+  // Live snapshot refs: latest values and the throttle that publishes them
+  const snapshotRef = useRef(EMPTY_SNAPSHOT)
+  const snapshotThrottleRef = useRef(null)
+  const perfMeterRef = useRef(createPerfMeter())
+
+  // Offline analysis refs (read inside animation loops)
+  const timelineRef = useRef(null)
+  const analysisAbortRef = useRef(null)
+  const renderedFrameRef = useRef(-1)
+  const shownFrameRef = useRef(null) // { index, frame } of the analysed frame on the canvas
+  const loopRef = useRef({ a: null, b: null })
+  const referenceRef = useRef(null) // { reference, opacity } while the ghost is on
+
+  // Keypoint edit refs
+  const editingRef = useRef(false)
+  const dragRef = useRef(null) // { id, name, point, moved } while a keypoint is dragged
+  const stillRef = useRef(null) // { poses, rotation, corrections } of the uploaded image
+
+  // Chart series for the timeline, from the cached analysis
+  const timelineData = useMemo(() => {
+    if (!analysisTimeline) return null
+    const runnerId = pickTimelineRunner(analysisTimeline.frames, selectedIds)
+    return runnerId == null ? null : buildTimelineSeries(analysisTimeline.frames, runnerId)
+  }, [analysisTimeline, selectedIds])
+
+  // Whole-clip form report for the timeline runner, against the active profile
+  const formReport = useMemo(() => {
+    if (!analysisTimeline) return null
+    const runnerId = pickTimelineRunner(analysisTimeline.frames, selectedIds)
+    return runnerId == null ? null : buildFormReport(analysisTimeline, runnerId, {
+      profile: profiles[activeProfileId],
+      calibration,
+      asymmetryThreshold,
+    })
+  }, [analysisTimeline, selectedIds, profiles, activeProfileId, calibration, asymmetryThreshold])
+
+  // Calibration refs
+  const calibrationKeyRef = useRef(null)
+  const fileCalibrationKeyRef = useRef(null) // Restored when returning to upload mode
+  const lastKeypointsRef = useRef(null)
+
+  // Session recording refs
+  const recorderRef = useRef(null)
+  const recordingTimerRef = useRef(null)
+
+  // Coaching refs (read inside the camera loop)
+  const coachRef = useRef(createCoach())
+  const coachingConfigRef = useRef(DEFAULT_COACHING_CONFIG)
+  const profilesRef = useRef(profiles) // Cue thresholds come from the active profile
+  const activeProfileIdRef = useRef(activeProfileId)
+  const calibrationRef = useRef(null)
+  const metronomeRef = useRef(null)
+
+  // Session history refs
+  const uploadedFileRef = useRef(null) // File behind the current upload
+  const sourceKindRef = useRef('upload') // 'upload' or 'recording'
+  const currentSessionIdRef = useRef(null)
+  const pendingSessionRef = useRef(null) // { id, session } applied once its video loads
+
+  // Batch queue refs: clips waiting their turn and the running clip's abort
+  const batchPendingRef = useRef([])
+  const batchRunningRef = useRef(false)
+  const batchAbortRef = useRef(null)
+
+  // Pose engine and the live snapshot throttle, for the page's lifetime
+  useEffect(() => {
+    const throttle = createThrottle(SNAPSHOT_INTERVAL_MS, () => setLiveSnapshot(snapshotRef.current))
+    snapshotThrottleRef.current = throttle
+    engineRef.current = createPoseEngine()
+    engineRef.current.configure({ view: cameraViewRef.current, roi: roiSettingsRef.current })
+
+    return () => {
+      throttle.cancel()
+      engineRef.current.dispose()
+      engineRef.current = null
+    }
+  }, [])
 
-  // Load MoveNet Multipose model
+  // Load the selected pose model on the preferred backend
   useEffect(() => {
+    let cancelled = false
+
     const loadModel = async () => {
       try {
-        await tf.setBackend('webgl')
-        await tf.ready()
-        console.log('✅ TensorFlow.js backend initialized:', tf.getBackend())
-
-        const detectorConfig = {
-          modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+        let engine = engineRef.current
+        let loaded
+        try {
+          loaded = await engine.load(modelId, preferredBackend)
+        } catch (error) {
+          if (!engine.inWorker || cancelled) throw error
+
+          // No usable backend inside the worker: run everything on the page
+          console.warn('⚠️ Pose worker unavailable, running the model on the main thread:', error)
+          engine.dispose()
+          engine = createPoseEngine({ useWorker: false })
+          engine.configure({
+            filterOptions: filterOptionsRef.current,
+            view: cameraViewRef.current,
+            roi: roiSettingsRef.current,
+            selectedIds: selectedIdsRef.current,
+            reference: referenceRef.current,
+          })
+          engineRef.current = engine
+          loaded = await engine.load(modelId, preferredBackend)
         }
-        const detector = await poseDetection.createDetector(
-          poseDetection.SupportedModels.MoveNet,
-          detectorConfig
-        )
-        detectorRef.current = detector
+        if (cancelled) return
+        console.log('✅ TensorFlow.js backend initialized:', loaded.backend)
+
+        setActiveModel({ modelId, backend: loaded.backend, inWorker: engine.inWorker })
+        setModelError(null)
         setModelLoading(false)
-        console.log('✅ MoveNet Multipose model loaded successfully')
+        console.log(`✅ ${POSE_MODELS[modelId].label} model loaded successfully${engine.inWorker ? ' in a worker' : ''}`)
       } catch (error) {
+        if (cancelled) return
         console.error('❌ Error loading model:', error)
+        setModelError(error.message)
+        setModelLoading(false)
       }
     }
 
     loadModel()
 
     return () => {
+      cancelled = true
       if (animationIdRef.current) {
         cancelAnimationFrame(animationIdRef.current)
       }
     }
+  }, [modelId, preferredBackend])
+
+  // Load the saved session list
+  useEffect(() => {
+    if (!isHistorySupported()) return
+    listSessions()
+      .then(setSessions)
+      .catch(error => {
+        console.error('❌ Error loading session history:', error)
+        setHistoryError(`Session history unavailable: ${error.message}`)
+      })
   }, [])
 
-  // Calculate torso lean angle (FIXED)
-  const calculateTorsoLean = (leftShoulder, rightShoulder, leftHip, rightHip) => {
-    if (!leftShoulder || !rightShoulder || !leftHip || !rightHip) return 0
+  // Switch pose model / backend; tracks restart since keypoint sets differ
+  const changeModel = (nextModelId, nextBackend) => {
+    if (batchRunningRef.current) return // The batch is using the current model
+    if (videoRef.current && !videoRef.current.paused) {
+      videoRef.current.pause()
+      setIsPlaying(false)
+    }
+    resetTracking()
+    setModelLoading(true)
+    setModelId(nextModelId)
+    setPreferredBackend(nextBackend)
+  }
+
+  // Clear all per-clip tracking state
+  const resetTracking = () => {
+    engineRef.current?.reset()
+    coachRef.current.reset()
+    lastPosesRef.current = []
+    selectedIdsRef.current = []
+    setSelectedIds([])
+    clearSnapshot()
+  }
 
-    // Calculate midpoints
-    const shoulderMid = {
-      x: (leftShoulder.x + rightShoulder.x) / 2,
-      y: (leftShoulder.y + rightShoulder.y) / 2
+  // IDs to analyse in a frame of tracked poses
+  const getAnalysedIds = (poses) => selectAnalysedIds(poses, selectedIdsRef.current)
+
+  // Merge into the live snapshot; React sees it on the throttle's next publish
+  const updateSnapshot = (changes) => {
+    snapshotRef.current = { ...snapshotRef.current, ...changes }
+    snapshotThrottleRef.current?.schedule()
+  }
+
+  // Queue a frame's results for the next snapshot, keeping HUDs for the
+  // analysed runners and updating those seen this frame
+  const publishFrame = (ids, updates, deviation) => {
+    const previous = snapshotRef.current.runnerMetrics
+    const keep = selectedIdsRef.current.length > 0 ? selectedIdsRef.current : ids
+    const runnerMetrics = {}
+    keep.forEach(id => {
+      const metrics = updates[id] ?? previous[id]
+      if (metrics) runnerMetrics[id] = metrics
+    })
+    updateSnapshot({ runnerMetrics, deviation })
+  }
+
+  // Drop the shown metrics straight away (new clip, new filter settings)
+  const clearSnapshot = () => {
+    snapshotRef.current = { ...snapshotRef.current, runnerMetrics: {}, deviation: null }
+    snapshotThrottleRef.current?.flush()
+  }
+
+  // Apply a frame from the pose engine, drawing it on the page canvas unless
+  // the worker already drew it; returns the main runner's metrics
+  const applyLiveFrame = (frame) => {
+    lastPosesRef.current = frame.poses
+    shownRotationRef.current = frame.rotation ?? 0
+    if (frame.mainKeypoints) lastKeypointsRef.current = frame.mainKeypoints
+
+    const canvas = canvasRef.current
+    if (!frame.drawn && canvas) {
+      const ctx = canvas.getContext('2d')
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      drawLiveFrame(frame, ctx, { minScore: filterOptionsRef.current.minScore })
     }
-    const hipMid = {
-      x: (leftHip.x + rightHip.x) / 2,
-      y: (leftHip.y + rightHip.y) / 2
+
+    perfMeterRef.current.record(frame)
+    updateSnapshot({ perf: perfMeterRef.current.read() })
+    publishFrame(frame.ids, frame.metrics, frame.deviation)
+    return frame.metrics[frame.ids[0]] ?? null
+  }
+
+  // Draw the cached analysis for the frame shown at `time`
+  const renderCachedFrame = (time, force = false) => {
+    const timeline = timelineRef.current
+    if (!timeline || !canvasRef.current) return
+
+    const index = Math.max(0, findFrameIndex(timeline.frames, time))
+    if (index === renderedFrameRef.current && !force) return
+    renderedFrameRef.current = index
+
+    drawAnalysedFrame(timeline.frames[index], index)
+  }
+
+  // Draw an analysed frame ({ poses, runners }) and publish its metrics, with
+  // keypoint handles on top in edit mode
+  const drawAnalysedFrame = (frame, index) => {
+    const canvas = canvasRef.current
+    const ctx = canvas.getContext('2d')
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    const rotation = (timelineRef.current ?? stillRef.current)?.rotation ?? 0
+    lastPosesRef.current = frame.poses
+    shownRotationRef.current = rotation
+
+    const ids = getAnalysedIds(frame.poses)
+    const updates = {}
+    const ghost = referenceRef.current
+    let match = null
+    const runners = frame.poses.map(pose => {
+      const runner = frame.runners[pose.id]
+      const analysed = ids.includes(pose.id)
+      if (analysed && runner) {
+        updates[pose.id] = runner.metrics
+        if (pose.id === ids[0]) {
+          lastKeypointsRef.current = runner.keypoints
+          if (ghost?.reference) {
+            match = matchReference(ghost.reference, runner.keypoints, runner.metrics, filterOptionsRef.current.minScore)
+          }
+        }
+      }
+      return {
+        id: pose.id,
+        keypoints: runner?.keypoints ?? pose.keypoints,
+        analysed,
+        landings: analysed ? runner?.metrics.recentLandings : undefined,
+      }
+    })
+
+    drawLiveFrame({
+      runners,
+      ghost: match && { keypoints: match.keypoints, opacity: ghost.opacity },
+      rotation,
+    }, ctx, { minScore: filterOptionsRef.current.minScore })
+    publishFrame(ids, updates, match && { phase: match.phase, rows: match.rows })
+
+    shownFrameRef.current = { index, frame }
+    if (editingRef.current) drawEditOverlay(ctx)
+  }
+
+  // Playback loop over cached results (no model inference)
+  const replayVideoFrame = () => {
+    const video = videoRef.current
+    if (video && timelineRef.current && !video.paused && !video.ended) {
+      wrapLoop(video)
+      renderCachedFrame(video.currentTime)
+      animationIdRef.current = requestAnimationFrame(replayVideoFrame)
     }
+  }
 
-    // Calculate angle from vertical (CORRECTED)
-    // Positive = forward lean, Negative = backward lean
-    const dx = shoulderMid.x - hipMid.x
-    const dy = hipMid.y - shoulderMid.y // Inverted for correct direction
-    const angleRad = Math.atan2(dx, dy)
-    const angleDeg = (angleRad * 180) / Math.PI
+  // Step through every frame of the uploaded video and cache the results
+  const runFullAnalysis = async () => {
+    const video = videoRef.current
+    if (!video || !engineRef.current || analysisAbortRef.current || batchRunningRef.current) return
 
-    return Math.round(angleDeg)
+    if (animationIdRef.current) {
+      cancelAnimationFrame(animationIdRef.current)
+    }
+    setIsPlaying(false)
+    setAnalysisError(null)
+    setAnalysisProgress(0)
+    if (editingRef.current) setKeypointEditing(false) // Corrections belong to the previous detections
+
+    const controller = new AbortController()
+    analysisAbortRef.current = controller
+
+    try {
+      // A just-recorded WebM may not know its length yet
+      await resolveDuration(video, { signal: controller.signal })
+      // Drop the auto-follow box left by playback
+      await engineRef.current.reset()
+      const { frameRate, frames } = await analyzeVideoFrames(video, engineRef.current.detector, {
+        onProgress: setAnalysisProgress,
+        signal: controller.signal,
+      })
+
+      // Tracking and metrics are computed in sequential passes over the cache
+      const timeline = {
+        frameRate,
+        modelId: activeModel.modelId,
+        rotation: roiSettingsRef.current.rotation,
+        frames: analyzeTimeline(trackFrames(frames), filterOptionsRef.current, { view: cameraViewRef.current }),
+      }
+
+      timelineRef.current = timeline
+      setAnalysisTimeline(timeline)
+      video.currentTime = 0
+      renderCachedFrame(0, true)
+      storeSession(timeline)
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('❌ Error analyzing video:', error)
+        setAnalysisError(error.message)
+      }
+      video.currentTime = 0
+    } finally {
+      analysisAbortRef.current = null
+      setAnalysisProgress(null)
+    }
   }
 
-  // Calculate angle between three points
-  const calculateAngle = (point1, point2, point3) => {
-    if (!point1 || !point2 || !point3) return 0
+  // Recompute the cached timeline's metrics with the current filter and
+  // camera view settings, without re-running the model
+  const reanalyzeTimeline = () => {
+    const timeline = timelineRef.current
+    if (!timeline) return
+    const refiltered = {
+      ...timeline,
+      frames: analyzeTimeline(timeline.frames, filterOptionsRef.current, {
+        view: cameraViewRef.current,
+        corrections: timeline.corrections,
+      }),
+    }
+    timelineRef.current = refiltered
+    setAnalysisTimeline(refiltered)
+    renderCachedFrame(videoRef.current?.currentTime ?? 0, true)
+    if (currentSessionIdRef.current) storeSession(refiltered)
+  }
 
-    const v1 = { x: point1.x - point2.x, y: point1.y - point2.y }
-    const v2 = { x: point3.x - point2.x, y: point3.y - point2.y }
+  // Apply new filter settings; cached timelines are re-filtered
+  const updateFilterOptions = (next) => {
+    setFilterOptions(next)
+    filterOptionsRef.current = next
+    engineRef.current?.configure({ filterOptions: next })
+    clearSnapshot()
+    reanalyzeTimeline()
+  }
 
-    const angle = Math.abs(
-      Math.atan2(v2.y, v2.x) - Math.atan2(v1.y, v1.x)
-    )
+  // Switch between side and frontal-plane analysis (or auto detection)
+  const applyCameraView = (next) => {
+    setCameraView(next)
+    cameraViewRef.current = next
+    engineRef.current?.configure({ view: next })
+  }
 
-    let degrees = (angle * 180) / Math.PI
-    if (degrees > 180) degrees = 360 - degrees
+  const updateCameraView = (next) => {
+    applyCameraView(next)
+    saveViewSetting(next)
+    clearSnapshot()
+    reanalyzeTimeline()
+  }
 
-    return Math.round(degrees)
+  // Change what the model is given; a cached analysis keeps its detections
+  // until it is re-analysed
+  const updateRoiSettings = (next) => {
+    setRoiSettings(next)
+    roiSettingsRef.current = next
+    saveRoiSettings(next)
+    engineRef.current?.configure({ roi: next })
+    if (mode === 'upload' && mediaType === 'image') detectImage()
   }
 
-  // Calculate vertical oscillation
-  const calculateVerticalOscillation = (hipY) => {
-    if (!hipY) return 0
+  // Crop to the main runner's box, for clips where they stay in one place
+  const cropToRunner = () => {
+    const poses = lastPosesRef.current
+    const pose = poses.find(candidate => candidate.id === getAnalysedIds(poses)[0])
+    const source = mode === 'camera' ? webcamRef.current?.video : canvasRef.current
+    if (!pose?.box || !source) return
+    const size = { width: source.videoWidth || source.width, height: source.videoHeight || source.height }
+    const box = fromUprightBox(pose.box, size, shownRotationRef.current)
+    updateRoiSettings({ ...roiSettingsRef.current, crop: cropAroundBox(box, size, roiSettingsRef.current.padding) })
+  }
 
-    if (previousHipHeightRef.current === null) {
-      previousHipHeightRef.current = hipY
-      return 0
+  // Keypoint corrections of the shown clip or image
+  const getCorrections = () =>
+    (timelineRef.current ? timelineRef.current.corrections : stillRef.current?.corrections) ?? EMPTY_CORRECTIONS
+
+  // Store new corrections and recompute every metric and gait event from them
+  const applyCorrections = (next) => {
+    if (timelineRef.current) {
+      timelineRef.current = { ...timelineRef.current, corrections: next }
+      reanalyzeTimeline()
+    } else if (stillRef.current) {
+      stillRef.current = { ...stillRef.current, corrections: next }
+      setStillCorrections(next)
+      renderStill()
     }
+  }
 
-    const oscillation = Math.abs(hipY - previousHipHeightRef.current)
-    previousHipHeightRef.current = hipY
+  // Redraw the shown frame, e.g. with or without edit handles
+  const redrawShownFrame = () => {
+    if (timelineRef.current) {
+      renderCachedFrame(videoRef.current?.currentTime ?? 0, true)
+    } else if (stillRef.current) {
+      renderStill()
+    }
+  }
 
-    return Math.round(oscillation)
+  const setKeypointEditing = (next) => {
+    editingRef.current = next
+    dragRef.current = null
+    setEditingKeypoints(next)
+    redrawShownFrame()
   }
 
-  // Calculate head alignment
-  const calculateHeadAlignment = (nose, neck) => {
-    if (!nose || !neck) return 0
+  // Frame and range edits apply to the main analysed runner
+  const getEditedRunnerId = () => {
+    const shown = shownFrameRef.current
+    return shown ? getAnalysedIds(shown.frame.poses)[0] ?? null : null
+  }
 
-    const dx = nose.x - neck.x
-    const dy = neck.y - nose.y
-    const angleRad = Math.atan2(dx, dy)
-    const angleDeg = (angleRad * 180) / Math.PI
+  // Cached frame index at `time` (s); an image is frame 0
+  const toFrameIndex = (time) =>
+    (timelineRef.current ? Math.max(0, findFrameIndex(timelineRef.current.frames, time)) : 0)
 
-    return Math.round(angleDeg)
+  const swapKeypointSides = (from, to) => {
+    const id = getEditedRunnerId()
+    if (id == null) return
+    applyCorrections(toggleSwap(getCorrections(), id, toFrameIndex(from), toFrameIndex(to)))
   }
 
-  // Track cadence (steps per minute)
-  const trackCadence = (leftAnkle, rightAnkle) => {
-    if (!leftAnkle || !rightAnkle) return
+  const excludeFrames = (from, to, excluded) => {
+    const id = getEditedRunnerId()
+    if (id == null) return
+    applyCorrections(setExcluded(getCorrections(), id, toFrameIndex(from), toFrameIndex(to), excluded))
+  }
 
-    const currentTime = Date.now()
-    const leftY = leftAnkle.y
-    const rightY = rightAnkle.y
+  const resetFrameCorrections = () => {
+    const id = getEditedRunnerId()
+    if (id == null) return
+    applyCorrections(clearFrameCorrections(getCorrections(), shownFrameRef.current.index, id))
+  }
 
-    // Detect foot strike (when ankle is at lowest point)
-    const threshold = 5 // pixels
-    if (previousHipHeightRef.current &&
-      (Math.abs(leftY - previousHipHeightRef.current) < threshold ||
-        Math.abs(rightY - previousHipHeightRef.current) < threshold)) {
-      footStrikesRef.current.push(currentTime)
+  const resetAllCorrections = () => {
+    if (confirm('Discard every keypoint correction?')) applyCorrections(EMPTY_CORRECTIONS)
+  }
 
-      // Keep only last 10 seconds of data
-      footStrikesRef.current = footStrikesRef.current.filter(
-        time => currentTime - time < 10000
-      )
+  // Download the cached analysis as JSON or one of the CSV tables
+  const exportSessionData = (kind) => {
+    const timeline = timelineRef.current
+    if (!timeline) return
+    const baseName = (uploadedFileName ?? 'session').replace(/\.[^.]+$/, '')
+
+    if (kind === 'json') {
+      const session = buildSessionJson(timeline, {
+        fileName: uploadedFileName,
+        duration: videoRef.current?.duration ?? null,
+        calibration,
+        filterOptions: filterOptionsRef.current,
+        cameraView: cameraViewRef.current,
+      })
+      downloadFile(JSON.stringify(session), `${baseName}-runform.json`, 'application/json')
+      return
+    }
 
-      // Calculate cadence from recent strikes
-      if (footStrikesRef.current.length >= 4) {
-        const timeSpan = (currentTime - footStrikesRef.current[0]) / 1000 / 60 // minutes
-        const stepsPerMinute = Math.round(footStrikesRef.current.length / timeSpan)
-        setCadence(stepsPerMinute)
-      }
+    const toCsv = { frames: framesToCsv, contacts: contactsToCsv, strides: stridesToCsv }[kind]
+    downloadFile(toCsv(timeline), `${baseName}-${kind}.csv`, 'text/csv')
+  }
+
+  // Load a JSON export as the cached analysis; metrics are recomputed from
+  // its tracked detections, so the model isn't needed
+  const importSessionData = async (file) => {
+    const video = videoRef.current
+    if (!video) throw new Error('Load the matching video first')
+
+    const session = parseSessionJson(await file.text())
+    const duration = session.source?.duration
+    if (duration && Math.abs(duration - video.duration) > 0.5 &&
+      !confirm(`This export is from "${session.source.fileName}" (${duration.toFixed(1)}s). Load it onto this video anyway?`)) {
+      return
     }
+
+    await loadAnalysis(session)
   }
 
-  // Classify lean angle (RECALIBRATED for elite runners)
-  const classifyLean = (angle) => {
-    if (angle < -5) return 'backward'      // Leaning back
-    if (angle >= -5 && angle < 3) return 'upright'  // Too upright
-    if (angle >= 3 && angle <= 12) return 'good'    // Optimal (elite runners: 3-8°)
-    return 'excessive'                     // Too much forward lean
+  // Show a parsed session export as the cached analysis of the loaded video;
+  // `sessionId` links it to its saved history entry
+  const loadAnalysis = async (session, sessionId = null) => {
+    const video = videoRef.current
+    pauseVideo()
+    resetTracking()
+    selectCurrentSession(null)
+    if (session.filterOptions) {
+      filterOptionsRef.current = session.filterOptions
+      setFilterOptions(session.filterOptions)
+    }
+    if (session.cameraView) applyCameraView(session.cameraView)
+    if (session.calibration) updateCalibration(session.calibration)
+
+    const timeline = {
+      frameRate: session.frameRate,
+      modelId: session.modelId,
+      rotation: session.rotation,
+      frames: analyzeTimeline(session.frames, filterOptionsRef.current, {
+        view: cameraViewRef.current,
+        corrections: session.corrections,
+      }),
+      corrections: session.corrections,
+    }
+    timelineRef.current = timeline
+    setAnalysisTimeline(timeline)
+    setAnalysisError(null)
+    await seekTo(video, 0)
+    renderCachedFrame(0, true)
+    selectCurrentSession(sessionId)
   }
 
-  // Get feedback message and color
-  const getFeedbackInfo = (classification) => {
-    const feedbackMap = {
-      backward: { message: 'Leaning Backward', color: 'text-neon-red' },
-      upright: { message: 'Upright', color: 'text-neon-yellow' },
-      good: { message: 'Good Forward Lean', color: 'text-neon-green' },
-      excessive: { message: 'Excessive Lean', color: 'text-neon-orange' }
+  const selectCurrentSession = (id) => {
+    currentSessionIdRef.current = id
+    setCurrentSessionId(id)
+  }
+
+  // History record for an analysed timeline: its summary, plus the entry's
+  // metadata when it is new
+  const buildSessionRecord = (timeline, { id, isNew, file, source, duration, calibration: sessionCalibration, runnerId }) => {
+    const profile = profiles[activeProfileId]
+    const record = {
+      id,
+      duration,
+      profileId: activeProfileId,
+      profileName: profile.name,
+      calibrated: Boolean(sessionCalibration),
+      summary: runnerId == null ? null : summarizeRun(timeline, runnerId, sessionCalibration),
+    }
+    if (isNew) {
+      const recorded = source === 'recording'
+      Object.assign(record, {
+        createdAt: new Date().toISOString(),
+        title: recorded ? `Live session ${new Date().toLocaleDateString()}` : (file?.name ?? 'Session').replace(/\.[^.]+$/, ''),
+        athlete: historySettings.athlete.trim(),
+        notes: '',
+        tags: [],
+        source,
+        fileName: file?.name ?? null,
+      })
     }
-    return feedbackMap[classification] || feedbackMap.upright
+    return record
   }
 
-  // Draw keypoints on canvas
-  const drawKeypoints = (keypoints, ctx) => {
-    keypoints.forEach((keypoint) => {
-      if (keypoint.score > 0.3) {
-        const { x, y } = keypoint
-        ctx.beginPath()
-        ctx.arc(x, y, 4, 0, 2 * Math.PI)
-        ctx.fillStyle = '#00FFFF'  // Cyan for better video visibility
-        ctx.fill()
-      }
-    })
+  // Serialise an analysed timeline (`exportOptions` as for buildSessionJson)
+  // and write it to the history and the listed sessions; false on failure
+  const persistSession = async (record, timeline, exportOptions, video = null) => {
+    try {
+      const analysis = buildSessionJson(timeline, exportOptions)
+      const stored = await saveSession(record, analysis, video)
+      setSessions(previous => (previous.some(entry => entry.id === record.id)
+        ? previous.map(entry => (entry.id === record.id ? stored : entry))
+        : [stored, ...previous]))
+      setHistoryError(null)
+      return true
+    } catch (error) {
+      console.error('❌ Error saving session:', error)
+      setHistoryError(`Could not save session: ${error.message}`)
+      return false
+    }
   }
 
-  // Draw skeleton connections
-  const drawSkeleton = (keypoints, ctx) => {
-    const adjacentPairs = [
-      [5, 6], [5, 7], [7, 9], [6, 8], [8, 10], // Arms
-      [5, 11], [6, 12], [11, 12], // Torso
-      [11, 13], [13, 15], [12, 14], [14, 16], // Legs
-    ]
-
-    adjacentPairs.forEach(([i, j]) => {
-      const kp1 = keypoints[i]
-      const kp2 = keypoints[j]
-
-      if (kp1.score > 0.3 && kp2.score > 0.3) {
-        ctx.beginPath()
-        ctx.moveTo(kp1.x, kp1.y)
-        ctx.lineTo(kp2.x, kp2.y)
-        ctx.strokeStyle = '#00FFFF'  // Cyan for better video visibility
-        ctx.lineWidth = 2
-        ctx.stroke()
-      }
+  // Save the analysis to the history: a new entry after a fresh analysis,
+  // or an update of the current one (new summary, same metadata)
+  const storeSession = async (timeline, sessionCalibration = calibrationRef.current) => {
+    if (!isHistorySupported()) return
+
+    const isNew = !currentSessionIdRef.current
+    const id = currentSessionIdRef.current ?? createSessionId()
+    const file = uploadedFileRef.current
+    const duration = videoRef.current?.duration ?? null
+    const record = buildSessionRecord(timeline, {
+      id,
+      isNew,
+      file,
+      source: sourceKindRef.current,
+      duration,
+      calibration: sessionCalibration,
+      runnerId: pickTimelineRunner(timeline.frames, selectedIdsRef.current),
     })
+    selectCurrentSession(id)
+
+    await persistSession(
+      record,
+      timeline,
+      {
+        fileName: file?.name ?? null,
+        duration,
+        calibration: sessionCalibration,
+        filterOptions: filterOptionsRef.current,
+        cameraView: cameraViewRef.current,
+      },
+      isNew && historySettings.saveVideo ? file : null
+    )
+  }
+
+  const updateHistorySession = async (id, changes) => {
+    try {
+      const stored = await updateSession(id, changes)
+      setSessions(previous => previous.map(entry => (entry.id === id ? stored : entry)))
+    } catch (error) {
+      console.error('❌ Error updating session:', error)
+      setHistoryError(`Could not update session: ${error.message}`)
+    }
+  }
+
+  const deleteHistorySession = async (id) => {
+    try {
+      await deleteSession(id)
+      setSessions(previous => previous.filter(entry => entry.id !== id))
+      if (currentSessionIdRef.current === id) selectCurrentSession(null)
+      if (pendingSessionRef.current?.id === id) cancelPendingSession()
+    } catch (error) {
+      console.error('❌ Error deleting session:', error)
+      setHistoryError(`Could not delete session: ${error.message}`)
+    }
+  }
+
+  const updateHistorySettings = (next) => {
+    setHistorySettings(next)
+    saveHistorySettings(next)
+  }
+
+  // Reopen a saved session: load its kept video, or ask for the original
+  // file, then show the stored analysis once the video is ready
+  const openSession = async (id) => {
+    let saved
+    try {
+      saved = await loadSession(id)
+    } catch (error) {
+      console.error('❌ Error opening session:', error)
+      setHistoryError(`Could not open session: ${error.message}`)
+      return
+    }
+
+    const { record, analysis, video } = saved
+    switchMode('upload')
+    pendingSessionRef.current = { id, session: readSessionJson(analysis) }
+    if (video) {
+      setPendingSession(null)
+      handleFileUpload(new File([video], record.fileName ?? `${record.title}.webm`, { type: video.type }), record.source)
+    } else {
+      closeFile()
+      setPendingSession(record)
+    }
+  }
+
+  const cancelPendingSession = () => {
+    pendingSessionRef.current = null
+    setPendingSession(null)
   }
 
-  // Process poses and update biomechanics
-  const processPoses = (poses, ctx) => {
-    if (poses.length > 0) {
-      const keypoints = poses[0].keypoints
-
-      // Get all relevant keypoints
-      const nose = keypoints[0]
-      const leftShoulder = keypoints[5]
-      const rightShoulder = keypoints[6]
-      const leftHip = keypoints[11]
-      const rightHip = keypoints[12]
-      const leftKnee = keypoints[13]
-      const rightKnee = keypoints[14]
-      const leftAnkle = keypoints[15]
-      const rightAnkle = keypoints[16]
-
-      // Calculate torso lean
-      const lean = calculateTorsoLean(leftShoulder, rightShoulder, leftHip, rightHip)
-      setTorsoLean(lean)
-      setLeanFeedback(classifyLean(lean))
-
-      // Calculate knee angle (right leg)
-      if (rightHip && rightKnee && rightAnkle) {
-        const knee = calculateAngle(rightHip, rightKnee, rightAnkle)
-        setKneeAngle(knee)
+  // Called once an uploaded video's metadata is known: wait for its real
+  // duration, then show the session waiting for it. A failure drops the
+  // session and leaves the video without an analysis.
+  const applyPendingSession = async (video) => {
+    let pending = null
+    try {
+      await resolveDuration(video)
+      pending = pendingSessionRef.current
+      if (!pending) return
+      cancelPendingSession()
+      await loadAnalysis(pending.session, pending.id)
+    } catch (error) {
+      if (!pending && !pendingSessionRef.current) {
+        console.error('❌ Error reading video duration:', error)
+        return
       }
+      console.error('❌ Error opening session:', error)
+      cancelPendingSession()
+      clearAnalysis()
+      setHistoryError(`Could not open session: ${error.message}`)
+    }
+  }
 
-      // Calculate hip angle (right leg)
-      if (rightShoulder && rightHip && rightKnee) {
-        const hip = calculateAngle(rightShoulder, rightHip, rightKnee)
-        setHipAngle(hip)
+  const updateBatchJob = (id, changes) => {
+    setBatchJobs(previous => previous.map(job => (job.id === id ? { ...job, ...changes } : job)))
+  }
+
+  // Analyse one queued clip with the offline pass and save it to the history;
+  // the job ID doubles as its session ID
+  const runBatchJob = async (job) => {
+    const controller = new AbortController()
+    batchAbortRef.current = controller
+    updateBatchJob(job.id, { status: 'running' })
+
+    try {
+      // Drop the auto-follow box left by the previous clip or by playback
+      await engineRef.current.reset()
+      const jobCalibration = loadCalibration(getCalibrationKey(job.file))
+      const { timeline, duration } = await analyzeClip(job.file, engineRef.current.detector, {
+        modelId: activeModel.modelId,
+        rotation: roiSettingsRef.current.rotation,
+        filterOptions: filterOptionsRef.current,
+        view: cameraViewRef.current,
+        onProgress: (progress) => updateBatchJob(job.id, { progress }),
+        signal: controller.signal,
+      })
+      const exportOptions = {
+        fileName: job.fileName,
+        duration,
+        calibration: jobCalibration,
+        filterOptions: filterOptionsRef.current,
+        cameraView: cameraViewRef.current,
       }
+      const row = summarizeClip(timeline, {
+        profile: profiles[activeProfileId],
+        calibration: jobCalibration,
+        asymmetryThreshold,
+      })
+      const saved = isHistorySupported() && await persistSession(
+        buildSessionRecord(timeline, {
+          id: job.id,
+          isNew: true,
+          file: job.file,
+          source: 'upload',
+          duration,
+          calibration: jobCalibration,
+          runnerId: pickTimelineRunner(timeline.frames),
+        }),
+        timeline,
+        exportOptions,
+        historySettings.saveVideo ? job.file : null
+      )
+      // Unsaved results stay in memory so they can still be opened
+      updateBatchJob(job.id, {
+        status: 'done',
+        progress: 1,
+        row,
+        sessionId: saved ? job.id : null,
+        session: saved ? null : readSessionJson(buildSessionJson(timeline, exportOptions)),
+      })
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        updateBatchJob(job.id, { status: 'cancelled' })
+      } else {
+        console.error('❌ Error analyzing batch clip:', error)
+        updateBatchJob(job.id, { status: 'failed', error: error.message })
+      }
+    } finally {
+      batchAbortRef.current = null
+    }
+  }
 
-      // Calculate vertical oscillation
-      const hipMidY = (leftHip.y + rightHip.y) / 2
-      const oscillation = calculateVerticalOscillation(hipMidY)
-      setVerticalOscillation(oscillation)
+  // Work through the queue one clip at a time. The batch has the detector to
+  // itself: playback, full analysis, model changes and opening results wait.
+  const runBatch = async () => {
+    if (batchRunningRef.current) return
+    pauseVideo()
+    batchRunningRef.current = true
+    setBatchRunning(true)
+    while (batchPendingRef.current.length > 0) {
+      await runBatchJob(batchPendingRef.current.shift())
+    }
+    batchRunningRef.current = false
+    setBatchRunning(false)
+  }
 
-      // Calculate head alignment
-      const neckY = (leftShoulder.y + rightShoulder.y) / 2
-      const neck = { x: (leftShoulder.x + rightShoulder.x) / 2, y: neckY }
-      const headAlign = calculateHeadAlignment(nose, neck)
-      setHeadAlignment(headAlign)
+  // Queue clips for batch analysis (other files are skipped) and start it
+  const enqueueBatch = (files) => {
+    const videos = files.filter(isVideoFile)
+    if (videos.length === 0) {
+      alert('No video files found to analyze')
+      return
+    }
+    if (modelLoading || !activeModel) {
+      alert('Wait for the pose model to load, then add the clips again')
+      return
+    }
 
-      // Track cadence
-      trackCadence(leftAnkle, rightAnkle)
+    const athlete = historySettings.athlete.trim()
+    const jobs = videos.map(file => ({
+      id: createSessionId(),
+      file,
+      fileName: file.name,
+      athlete,
+      status: 'queued',
+      progress: 0,
+      error: null,
+      row: null,
+      sessionId: null,
+      session: null,
+    }))
+    batchPendingRef.current = [...batchPendingRef.current, ...jobs]
+    setBatchJobs(previous => [...previous, ...jobs])
+    runBatch()
+  }
+
+  // Stop the running clip and drop the rest of the queue
+  const cancelBatch = () => {
+    const dropped = batchPendingRef.current.map(job => job.id)
+    batchPendingRef.current = []
+    setBatchJobs(previous => previous.map(job => (dropped.includes(job.id) ? { ...job, status: 'cancelled' } : job)))
+    batchAbortRef.current?.abort()
+  }
 
-      // Draw pose
-      drawKeypoints(keypoints, ctx)
-      drawSkeleton(keypoints, ctx)
+  const exportBatchSummary = () => {
+    const processed = batchJobs.filter(job => job.status !== 'queued' && job.status !== 'running')
+    downloadFile(batchSummaryToCsv(processed), 'runform-batch.csv', 'text/csv')
+  }
+
+  // Show a finished clip as the upload, with its analysis loaded once the
+  // video is ready (as when reopening a saved session)
+  const openBatchResult = async (job) => {
+    if (batchRunningRef.current) return
+    let session = job.session
+    if (!session) {
+      try {
+        session = readSessionJson((await loadSession(job.sessionId)).analysis)
+      } catch (error) {
+        console.error('❌ Error opening session:', error)
+        setHistoryError(`Could not open session: ${error.message}`)
+        return
+      }
     }
+    switchMode('upload')
+    pendingSessionRef.current = { id: job.sessionId, session }
+    handleFileUpload(job.file)
   }
 
-  // Video frame detection loop
-  const detectVideoFrame = async () => {
-    if (
-      detectorRef.current &&
-      videoRef.current &&
-      !videoRef.current.paused &&
-      !videoRef.current.ended
-    ) {
-      const video = videoRef.current
-      const canvas = canvasRef.current
-      const ctx = canvas.getContext('2d')
+  const cancelFullAnalysis = () => {
+    analysisAbortRef.current?.abort()
+  }
 
-      // Detect poses
-      const poses = await detectorRef.current.estimatePoses(video)
+  // Drop cached analysis (new file, or leaving upload mode)
+  const clearAnalysis = () => {
+    analysisAbortRef.current?.abort()
+    timelineRef.current = null
+    renderedFrameRef.current = -1
+    setAnalysisTimeline(null)
+    setAnalysisError(null)
+    stillRef.current = null
+    setStillCorrections(null)
+    editingRef.current = false
+    dragRef.current = null
+    setEditingKeypoints(false)
+  }
 
-      // Clear canvas
-      ctx.clearRect(0, 0, canvas.width, canvas.height)
+  // Store calibration for the current clip
+  const updateCalibration = (next) => {
+    setCalibration(next)
+    if (calibrationKeyRef.current) {
+      saveCalibration(calibrationKeyRef.current, next)
+    }
+    if (currentSessionIdRef.current && timelineRef.current) storeSession(timelineRef.current, next)
+  }
 
-      // Process and draw
-      processPoses(poses, ctx)
+  // Calibrate from runner height using every analysed frame when available
+  const calibrateHeight = (heightCm) => {
+    const id = selectedIdsRef.current[0] ?? getAnalysedIds(lastPosesRef.current)[0]
+    const keypointFrames = timelineRef.current
+      ? timelineRef.current.frames.map(frame => frame.runners[id]?.keypoints).filter(Boolean)
+      : [lastKeypointsRef.current].filter(Boolean)
+
+    const next = calibrateFromHeight(keypointFrames, heightCm)
+    if (!next) {
+      alert('No full skeleton detected yet. Play or analyze the clip first, then calibrate.')
+      return
+    }
+    updateCalibration(next)
+  }
 
-      // Continue loop
-      animationIdRef.current = requestAnimationFrame(detectVideoFrame)
+  // Change which runners are analysed and refresh the overlay
+  const updateSelection = (ids) => {
+    selectedIdsRef.current = ids
+    setSelectedIds(ids)
+    engineRef.current?.configure({ selectedIds: ids })
+
+    if (timelineRef.current) {
+      renderCachedFrame(videoRef.current?.currentTime ?? 0, true)
+    } else if (mediaType === 'image') {
+      detectImage()
     }
   }
 
-  // Image detection
-  const detectImage = async () => {
-    if (detectorRef.current && imageRef.current) {
-      const image = imageRef.current
-      const canvas = canvasRef.current
-      const ctx = canvas.getContext('2d')
+  // Click a runner to analyse them (or add them, in multi-runner mode)
+  const selectRunnerAt = (point) => {
+    const hit = findPoseAt(lastPosesRef.current, point)
+    if (!hit) {
+      updateSelection([])
+    } else if (multiRunner) {
+      const current = selectedIdsRef.current
+      updateSelection(current.includes(hit.id)
+        ? current.filter(id => id !== hit.id)
+        : [...current, hit.id])
+    } else {
+      updateSelection([hit.id])
+    }
+  }
+
+  // Canvas coordinates of a pointer event
+  const toCanvasPoint = (e) => {
+    const canvas = canvasRef.current
+    const rect = canvas.getBoundingClientRect()
+    const x = ((e.clientX - rect.left) * canvas.width) / rect.width
+    return {
+      // The mirrored preview flips the canvas with CSS, not its coordinates
+      x: mode === 'camera' && cameraSettings.mirrored ? canvas.width - x : x,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+    }
+  }
 
-      // Detect poses
-      const poses = await detectorRef.current.estimatePoses(image)
+  // Upright-frame coordinates of a pointer event, where the shown poses are
+  const toAnalysisPoint = (e) => {
+    const canvas = canvasRef.current
+    return toUprightPoint(toCanvasPoint(e), canvas, shownRotationRef.current)
+  }
 
-      // Clear canvas
-      ctx.clearRect(0, 0, canvas.width, canvas.height)
+  // Canvas clicks select runners, or collect reference-line endpoints
+  const handleCanvasClick = (e) => {
+    if (editingRef.current) return
+    const canvas = canvasRef.current
+    const point = toCanvasPoint(e)
 
-      // Process and draw
-      processPoses(poses, ctx)
+    if (!referenceDraft) {
+      selectRunnerAt(toAnalysisPoint(e))
+      return
     }
+
+    const points = [...referenceDraft.points, point]
+
+    const ctx = canvas.getContext('2d')
+    ctx.beginPath()
+    ctx.arc(point.x, point.y, 5, 0, 2 * Math.PI)
+    ctx.fillStyle = '#FFFF00'
+    ctx.fill()
+
+    if (points.length < 2) {
+      setReferenceDraft({ ...referenceDraft, points })
+      return
+    }
+
+    ctx.beginPath()
+    ctx.moveTo(points[0].x, points[0].y)
+    ctx.lineTo(points[1].x, points[1].y)
+    ctx.strokeStyle = '#FFFF00'
+    ctx.lineWidth = 2
+    ctx.stroke()
+
+    updateCalibration(calibrateFromReference(points[0], points[1], referenceDraft.lengthCm))
+    setReferenceDraft(null)
   }
 
-  // Camera mode detection loop (preserved)
-  const runMovenet = async () => {
-    if (
-      detectorRef.current &&
-      webcamRef.current &&
-      webcamRef.current.video.readyState === 4
-    ) {
-      const video = webcamRef.current.video
-      const canvas = canvasRef.current
-      const ctx = canvas.getContext('2d')
+  // Edit handles for the analysed runners, with the dragged keypoint at the
+  // pointer
+  const drawEditOverlay = (ctx) => {
+    const { frame } = shownFrameRef.current
+    const drag = dragRef.current
+    getAnalysedIds(frame.poses).forEach(id => {
+      const keypoints = frame.runners[id]?.keypoints
+      if (!keypoints) return
+      const dragging = drag?.id === id
+      drawEditHandles(
+        dragging
+          ? keypoints.map((keypoint, index) => (nameOf(keypoint, index) === drag.name ? { ...keypoint, ...drag.point } : keypoint))
+          : keypoints,
+        ctx,
+        { minScore: filterOptionsRef.current.minScore, active: dragging ? drag.name : null, rotation: shownRotationRef.current }
+      )
+    })
+  }
 
-      const poses = await detectorRef.current.estimatePoses(video)
-      ctx.clearRect(0, 0, canvas.width, canvas.height)
+  // Edit mode: drag a keypoint of an analysed runner to where it belongs
+  const startKeypointDrag = (e) => {
+    const shown = shownFrameRef.current
+    if (!editingRef.current || !shown) return
+
+    const canvas = canvasRef.current
+    const point = toAnalysisPoint(e)
+    const radius = (EDIT_HIT_RADIUS * canvas.width) / canvas.getBoundingClientRect().width
+    const runners = getAnalysedIds(shown.frame.poses)
+      .filter(id => shown.frame.runners[id])
+      .map(id => ({ id, keypoints: shown.frame.runners[id].keypoints }))
+    const hit = findKeypointAt(runners, point, radius)
+    if (!hit) return
+
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragRef.current = { ...hit, point, moved: false }
+    drawAnalysedFrame(shown.frame, shown.index)
+  }
+
+  const moveKeypointDrag = (e) => {
+    const drag = dragRef.current
+    if (!drag) return
+    dragRef.current = { ...drag, point: toAnalysisPoint(e), moved: true }
+    const shown = shownFrameRef.current
+    drawAnalysedFrame(shown.frame, shown.index)
+  }
 
-      if (poses.length > 0) {
-        const keypoints = poses[0].keypoints
+  const endKeypointDrag = () => {
+    const drag = dragRef.current
+    if (!drag) return
+    dragRef.current = null
+    if (drag.moved) {
+      applyCorrections(moveKeypoint(getCorrections(), shownFrameRef.current.index, drag.id, drag.name, drag.point))
+    } else {
+      redrawShownFrame()
+    }
+  }
 
-        // Calculate torso lean for camera mode too
-        const leftShoulder = keypoints[5]
-        const rightShoulder = keypoints[6]
-        const leftHip = keypoints[11]
-        const rightHip = keypoints[12]
+  // Video frame detection loop
+  const detectVideoFrame = async () => {
+    const video = videoRef.current
+    if (engineRef.current && video && !video.paused && !video.ended) {
+      applyLiveFrame(await engineRef.current.processFrame(video, video.currentTime))
+      wrapLoop(video)
 
-        const lean = calculateTorsoLean(leftShoulder, rightShoulder, leftHip, rightHip)
-        setTorsoLean(lean)
-        setLeanFeedback(classifyLean(lean))
+      // Continue loop
+      animationIdRef.current = requestAnimationFrame(detectVideoFrame)
+    }
+  }
 
-        drawKeypoints(keypoints, ctx)
-        drawSkeleton(keypoints, ctx)
+  // Image detection; the poses are kept so edits can be analysed without
+  // running the model again
+  const detectImage = async () => {
+    if (engineRef.current && imageRef.current && !batchRunningRef.current) {
+      const frame = await engineRef.current.processFrame(imageRef.current)
+      stillRef.current = { poses: frame.poses, rotation: frame.rotation, corrections: stillRef.current?.corrections ?? null }
+      if (editingRef.current || hasCorrections(stillRef.current.corrections)) {
+        renderStill()
+      } else {
+        applyLiveFrame(frame)
       }
     }
+  }
+
+  // Analyse the image's poses with its keypoint corrections on the page
+  const renderStill = () => {
+    const still = stillRef.current
+    if (!still || !canvasRef.current) return
+    const [frame] = analyzeTimeline([{ poses: still.poses }], filterOptionsRef.current, {
+      view: cameraViewRef.current,
+      corrections: still.corrections,
+    })
+    drawAnalysedFrame(frame, 0)
+  }
+
+  // Camera detection loop: same pipeline as uploads, timed by the wall
+  // clock; the worker draws straight onto the live canvas where it can
+  const detectCameraFrame = async () => {
+    const video = webcamRef.current?.video
+    const engine = engineRef.current
+    if (engine && video && video.readyState === 4) {
+      const t = performance.now() / 1000
+      const draw = engine.attachCanvas(liveCanvasRef.current)
+      const frame = await engine.processFrame(video, t, { draw })
+
+      // The camera may have been switched off while the model ran
+      if (!webcamRef.current || !canvasRef.current) return
+      deliverCue(applyLiveFrame(frame), t)
+    }
 
-    animationIdRef.current = requestAnimationFrame(runMovenet)
+    animationIdRef.current = requestAnimationFrame(detectCameraFrame)
   }
 
-  // Start camera detection when model is loaded
+  // Start camera detection once the model and stream are ready
   useEffect(() => {
-    if (!modelLoading && mode === 'camera' && webcamRef.current) {
-      runMovenet()
+    if (!modelLoading && mode === 'camera' && webcamReady) {
+      detectCameraFrame()
     }
     return () => {
       if (animationIdRef.current) {
         cancelAnimationFrame(animationIdRef.current)
       }
     }
-  }, [modelLoading, mode])
+  }, [modelLoading, mode, webcamReady])
+
+  const updateProfiles = (next) => {
+    profilesRef.current = next
+    setProfiles(next)
+    saveProfiles(next)
+  }
+
+  const selectProfile = (id) => {
+    activeProfileIdRef.current = id
+    setActiveProfileId(id)
+    saveActiveProfileId(id)
+  }
+
+  // Keep the calibration readable from the camera loop
+  useEffect(() => {
+    calibrationRef.current = calibration
+  }, [calibration])
+
+  // Reference ghost read by the drawing loops and the pose engine
+  const syncReferenceRef = (nextReferences, nextSettings) => {
+    referenceRef.current = nextSettings.enabled
+      ? { reference: nextReferences[nextSettings.referenceId] ?? null, opacity: nextSettings.opacity }
+      : null
+    engineRef.current?.configure({ reference: referenceRef.current })
+  }
 
-  // Handle file upload
-  const handleFileUpload = (file) => {
+  useEffect(() => {
+    syncReferenceRef(references, referenceSettings)
+  }, [references, referenceSettings])
+
+  // Apply reference changes at once, redrawing a paused cached frame
+  const applyReferences = (nextReferences, nextSettings) => {
+    syncReferenceRef(nextReferences, nextSettings)
+    if (timelineRef.current) renderCachedFrame(videoRef.current?.currentTime ?? 0, true)
+    else if (!nextSettings.enabled) updateSnapshot({ deviation: null })
+  }
+
+  const updateReferenceSettings = (next) => {
+    setReferenceSettings(next)
+    saveReferenceSettings(next)
+    applyReferences(references, next)
+  }
+
+  const updateReferences = (next) => {
+    setReferences(next)
+    saveReferences(next)
+    applyReferences(next, referenceSettings)
+  }
+
+  // Keep one gait cycle of the analysed runner as a custom reference;
+  // throws when the clip has no usable cycle
+  const saveReferenceFromClip = (name) => {
+    const timeline = timelineRef.current
+    const runnerId = pickTimelineRunner(timeline.frames, selectedIdsRef.current)
+    const reference = buildReferenceFromClip(timeline.frames, runnerId, name, filterOptionsRef.current.minScore)
+    const id = `custom-${Date.now()}`
+    const nextReferences = { ...references, [id]: reference }
+    const nextSettings = { ...referenceSettings, enabled: true, referenceId: id }
+    setReferences(nextReferences)
+    saveReferences(nextReferences)
+    setReferenceSettings(nextSettings)
+    saveReferenceSettings(nextSettings)
+    applyReferences(nextReferences, nextSettings)
+  }
+
+  // Speak or sound a coaching cue for the main runner when one is due
+  const deliverCue = (metrics, t) => {
+    const config = coachingConfigRef.current
+    const ranges = profilesRef.current[activeProfileIdRef.current]?.ranges
+    const cue = coachRef.current.update(metrics, calibrationRef.current, config, t, ranges)
+    if (!cue) return
+
+    if (config.output === 'voice') speakCue(cue.message)
+    else playCueTone(cue.direction)
+    setLastCue(cue)
+  }
+
+  const updateCoachingConfig = (next) => {
+    coachingConfigRef.current = next
+    setCoachingConfig(next)
+  }
+
+  // Start/stop the metronome from the click (audio needs a user gesture)
+  const updateMetronome = (next) => {
+    if (!metronomeRef.current) metronomeRef.current = createMetronome()
+    if (next.enabled) {
+      metronomeRef.current.start(next.spm)
+      metronomeRef.current.setRate(next.spm)
+    } else {
+      metronomeRef.current.stop()
+    }
+    setMetronome(next)
+  }
+
+  // Switch between live camera and uploads; each keeps its own calibration
+  const switchMode = (next) => {
+    if (next === mode) return
+    if (videoRef.current && !videoRef.current.paused) videoRef.current.pause()
+    if (next !== 'camera' && metronome.enabled) updateMetronome({ ...metronome, enabled: false })
+    setIsPlaying(false)
+    resetTracking()
+    setReferenceDraft(null)
+
+    calibrationKeyRef.current = next === 'camera'
+      ? getCameraCalibrationKey(cameraSettings)
+      : fileCalibrationKeyRef.current
+    setCalibration(calibrationKeyRef.current ? loadCalibration(calibrationKeyRef.current) : null)
+    setMode(next)
+  }
+
+  // Apply new camera settings; a new device or format restarts the stream
+  const changeCameraSettings = (next) => {
+    const constraintsChanged = JSON.stringify(buildVideoConstraints(next)) !==
+      JSON.stringify(buildVideoConstraints(cameraSettings))
+    setCameraSettings(next)
+    if (!constraintsChanged) return
+
+    setWebcamReady(false)
+    setWebcamError(null)
+    resetTracking()
+    calibrationKeyRef.current = getCameraCalibrationKey(next)
+    setCalibration(loadCalibration(calibrationKeyRef.current))
+  }
+
+  const handleUserMedia = (stream) => {
+    setWebcamReady(true)
+    setWebcamError(null)
+    setCameraTrackSettings(stream.getVideoTracks()[0]?.getSettings() ?? null)
+    // Device labels are only available after permission is granted
+    listCameras().then(setCameras)
+  }
+
+  // Record the raw camera stream; stopping loads it for review like an upload
+  const startRecording = () => {
+    const stream = webcamRef.current?.stream
+    if (!stream) return
+
+    const recorder = createSessionRecorder(stream)
+    recorderRef.current = recorder
+    setRecordingSeconds(0)
+    recordingTimerRef.current = setInterval(() => {
+      setRecordingSeconds(Math.round((Date.now() - recorder.startedAt) / 1000))
+    }, 1000)
+  }
+
+  const stopRecording = async () => {
+    clearInterval(recordingTimerRef.current)
+    const file = await recorderRef.current.stop()
+    recorderRef.current = null
+    setRecordingSeconds(null)
+
+    switchMode('upload')
+    handleFileUpload(file, 'recording')
+  }
+
+  // Handle file upload; `source` is 'recording' for stopped camera sessions
+  const handleFileUpload = (file, source = 'upload') => {
     if (!file) return
 
+    resetTracking()
+    clearAnalysis()
+    selectCurrentSession(null)
+    uploadedFileRef.current = file
+    sourceKindRef.current = source
+    setPendingSession(null)
+    calibrationKeyRef.current = getCalibrationKey(file)
+    fileCalibrationKeyRef.current = calibrationKeyRef.current
+    updateLoop({ a: null, b: null })
+    setCurrentTime(0)
+    setVideoDuration(0)
+    setUploadedFileName(file.name)
+    setCalibration(loadCalibration(calibrationKeyRef.current))
+    setReferenceDraft(null)
+
     const fileType = file.type
     if (fileType.startsWith('video/')) {
       setMediaType('video')
       setUploadedFile(URL.createObjectURL(file))
     } else if (fileType.startsWith('image/')) {
+      cancelPendingSession()
       setMediaType('image')
       setUploadedFile(URL.createObjectURL(file))
     } else {
-      alert('Please upload a video (.mp4) or image (.jpg, .png) file')
+      alert('Please upload a video (.mp4, .webm) or image (.jpg, .png) file')
     }
   }
 
+  // Back to the drop zone; the analysis stays in the session history
+  const closeFile = () => {
+    setUploadedFile(null)
+    setMediaType(null)
+    setIsPlaying(false)
+    resetTracking()
+    clearAnalysis()
+    selectCurrentSession(null)
+    uploadedFileRef.current = null
+  }
+
   // Drag and drop handlers
   const handleDragOver = (e) => {
     e.preventDefault()
@@ -401,11 +1492,23 @@ function App() {
     setIsDragging(false)
   }
 
-  const handleDrop = (e) => {
+  // One file opens as usual; several files or a folder go to the batch queue
+  const handleDrop = async (e) => {
     e.preventDefault()
     setIsDragging(false)
-    const file = e.dataTransfer.files[0]
-    handleFileUpload(file)
+    let files
+    try {
+      files = await collectDroppedFiles(e.dataTransfer)
+    } catch (error) {
+      console.error('❌ Error reading dropped files:', error)
+      alert(`Could not read the dropped files: ${error.message}`)
+      return
+    }
+    if (files.length === 1) {
+      handleFileUpload(files[0])
+    } else {
+      enqueueBatch(files)
+    }
   }
 
   // Video event handlers
@@ -437,6 +1540,7 @@ function App() {
   }
 
   const togglePlayPause = () => {
+    if (!isPlaying && batchRunningRef.current) return
     if (videoRef.current) {
       if (isPlaying) {
         videoRef.current.pause()
@@ -444,35 +1548,193 @@ function App() {
           cancelAnimationFrame(animationIdRef.current)
         }
       } else {
+        if (editingRef.current) setKeypointEditing(false)
         videoRef.current.play()
-        detectVideoFrame()
+        if (timelineRef.current) {
+          replayVideoFrame()
+        } else {
+          detectVideoFrame()
+        }
       }
       setIsPlaying(!isPlaying)
     }
   }
 
-  const toggleSpeed = () => {
-    const newSpeed = playbackSpeed === 1.0 ? 0.5 : 1.0
-    setPlaybackSpeed(newSpeed)
+  const changeSpeed = (speed) => {
+    setPlaybackSpeed(speed)
     if (videoRef.current) {
-      videoRef.current.playbackRate = newSpeed
+      videoRef.current.playbackRate = speed
+    }
+  }
+
+  const pauseVideo = () => {
+    const video = videoRef.current
+    if (!video || video.paused) return
+    video.pause()
+    if (animationIdRef.current) {
+      cancelAnimationFrame(animationIdRef.current)
     }
+    setIsPlaying(false)
   }
 
-  if (modelLoading) {
+  // Jump back to A once playback passes B
+  const wrapLoop = (video) => {
+    const { a, b } = loopRef.current
+    if (a != null && b != null && video.currentTime >= b) {
+      video.currentTime = a
+    }
+  }
+
+  const updateLoop = (next) => {
+    loopRef.current = next
+    setLoop(next)
+  }
+
+  // Detect on the paused frame when there's no cached analysis to show
+  const detectPausedFrame = async () => {
+    const video = videoRef.current
+    if (!engineRef.current || !video || !video.paused || batchRunningRef.current) return
+
+    applyLiveFrame(await engineRef.current.processFrame(video, video.currentTime))
+  }
+
+  // Seek the uploaded video; with a cached analysis, snap to the middle of
+  // an analysed frame so the overlay and the picture match
+  const seekVideo = async (time) => {
+    const video = videoRef.current
+    if (!video || analysisAbortRef.current) return
+
+    const timeline = timelineRef.current
+    const target = timeline
+      ? (Math.floor(time * timeline.frameRate + 1e-6) + 0.5) / timeline.frameRate
+      : time
+    try {
+      await seekTo(video, Math.min(video.duration, Math.max(0, target)))
+    } catch (error) {
+      // Keep showing the current frame
+      console.error('❌ Error seeking video:', error)
+      return
+    }
+    setCurrentTime(video.currentTime)
+    if (!timeline) detectPausedFrame()
+  }
+
+  // Draw the cached analysis at media time `time` with the chosen overlays
+  const drawCachedOverlay = (ctx, time, overlays) => {
+    const timeline = timelineRef.current
+    const { minScore } = filterOptionsRef.current
+    const frame = timeline.frames[Math.max(0, findFrameIndex(timeline.frames, time))]
+    const ids = getAnalysedIds(frame.poses)
+    const video = videoRef.current
+    const upright = { rotation: timeline.rotation, frameSize: { width: video.videoWidth, height: video.videoHeight } }
+    frame.poses.forEach(pose => {
+      const runner = frame.runners[pose.id]
+      const analysed = ids.includes(pose.id) && Boolean(runner)
+      const keypoints = runner?.keypoints ?? pose.keypoints
+      drawRunner(keypoints, ctx, {
+        id: pose.id,
+        analysed,
+        landings: overlays.landings && analysed ? runner.metrics.recentLandings : [],
+        minScore,
+        skeleton: overlays.skeleton,
+        ...upright,
+      })
+      if (overlays.angles && analysed) drawJointAngles(keypoints, runner.metrics, ctx, { minScore, ...upright })
+    })
+
+    const main = frame.runners[ids[0]]
+    if (overlays.panel && main) {
+      drawMetricPanel(main.metrics, ctx, { calibration, title: `RunForm · Runner #${ids[0]}` })
+    }
+  }
+
+  // Record the clip with the cached analysis burned in
+  const exportVideo = ({ overlays, ...options }) => {
+    pauseVideo()
+    const drawOverlay = (ctx, time) => drawCachedOverlay(ctx, time, overlays)
+    return exportAnnotatedVideo(videoRef.current, { ...options, drawOverlay })
+  }
+
+  // Download the form report as a standalone page, or open it for printing
+  // (the browser's print dialog can save it as PDF). Stills of each issue's
+  // moments are captured from the video with the skeleton drawn on.
+  const exportFormReport = async (kind) => {
+    const video = videoRef.current
+    const timeline = timelineRef.current
+    if (!formReport || !timeline || !video) return
+
+    // Open the window while the click still counts as a user action
+    const printWindow = kind === 'print' ? window.open('', '_blank') : null
+    setReportExporting(true)
+    setReportError(null)
+    try {
+      pauseVideo()
+      const times = [...new Set(formReport.issues.flatMap(issue => issue.moments))]
+      const images = await captureStills(video, times.map(t => t + 0.5 / timeline.frameRate), {
+        drawOverlay: (ctx, time) => drawCachedOverlay(ctx, time, { skeleton: true, angles: true, landings: true }),
+      })
+
+      const baseName = (uploadedFileName ?? 'session').replace(/\.[^.]+$/, '')
+      const athlete = sessions.find(record => record.id === currentSessionId)?.athlete
+      const html = buildReportHtml(formReport, {
+        title: `Running form report · ${baseName}`,
+        subtitle: [
+          new Date().toLocaleDateString(),
+          athlete,
+          `Runner #${formReport.runnerId}`,
+          `${formReport.profileName} profile`,
+        ].filter(Boolean).join(' · '),
+        stills: Object.fromEntries(times.map((t, i) => [t, images[i]])),
+        autoPrint: kind === 'print',
+      })
+
+      if (printWindow) {
+        printWindow.document.write(html)
+        printWindow.document.close()
+      } else {
+        downloadFile(html, `${baseName}-report.html`, 'text/html')
+      }
+    } catch (error) {
+      printWindow?.close()
+      console.error('❌ Error exporting form report:', error)
+      setReportError(error.message)
+    } finally {
+      setReportExporting(false)
+    }
+  }
+
+  // Step one frame forward / back (pauses playback)
+  const stepFrame = (direction) => {
+    const video = videoRef.current
+    if (!video) return
+    pauseVideo()
+
+    const frameRate = timelineRef.current?.frameRate ?? DEFAULT_STEP_FRAME_RATE
+    const lastFrame = Math.max(0, Math.ceil(video.duration * frameRate) - 1)
+    const frame = Math.min(lastFrame, Math.max(0, Math.floor(video.currentTime * frameRate) + direction))
+    seekVideo((frame + 0.5) / frameRate)
+  }
+
+  if (!activeModel) {
     return (
       <div className="min-h-screen bg-gray-900 flex items-center justify-center">
         <div className="text-center">
           <img src="logo.png" alt="RunForm AI" className="h-16 mb-4 mx-auto" />
-          <p className="text-2xl text-neon-green animate-pulse">
-            Loading AI Model...
-          </p>
+          {modelError ? (
+            <p className="text-xl text-neon-red">
+              Could not load the AI model: {modelError}
+            </p>
+          ) : (
+            <p className="text-2xl text-neon-green animate-pulse">
+              Loading AI Model...
+            </p>
+          )}
         </div>
       </div>
     )
   }
 
-  const feedbackInfo = getFeedbackInfo(leanFeedback)
+  const hudRunners = Object.entries(liveSnapshot.runnerMetrics).map(([id, metrics]) => ({ id: Number(id), metrics }))
 
   return (
     <div className="min-h-screen bg-gray-900 flex flex-col items-center justify-center p-6">
@@ -481,10 +1743,54 @@ function App() {
         <img src="logo.png" alt="RunForm AI" className="h-12" />
       </div>
 
+      {/* Model Selection */}
+      <div className="mb-4 w-full flex justify-center">
+        <ModelSettings
+          modelId={modelId}
+          backend={preferredBackend}
+          activeBackend={activeModel.backend}
+          loading={modelLoading}
+          locked={batchRunning}
+          analyzing={analysisProgress !== null}
+          onModelChange={(id) => changeModel(id, preferredBackend)}
+          onBackendChange={(name) => changeModel(modelId, name)}
+          getBenchmarkSource={() => (mode === 'upload' ? videoRef.current || imageRef.current : null)}
+        />
+      </div>
+      {modelError && (
+        <p className="mb-4 text-xs text-neon-red">Model error: {modelError}</p>
+      )}
+
+      {/* Runner Profile */}
+      <div className="mb-4 w-full flex justify-center">
+        <ProfileSettings
+          profiles={profiles}
+          activeId={activeProfileId}
+          onSelect={selectProfile}
+          onChange={updateProfiles}
+        />
+      </div>
+
+      {/* Session History */}
+      <div className="mb-4 w-full flex justify-center">
+        <SessionHistory
+          sessions={sessions}
+          currentId={currentSessionId}
+          settings={historySettings}
+          error={historyError}
+          canOpen={recordingSeconds === null && analysisProgress === null}
+          onSettingsChange={updateHistorySettings}
+          onOpen={openSession}
+          onUpdate={updateHistorySession}
+          onDelete={deleteHistorySession}
+        />
+      </div>
+
       {/* Mode Toggle */}
       <div className="flex gap-3 mb-6">
         <button
-          onClick={() => setMode('camera')}
+          onClick={() => switchMode('camera')}
+          disabled={batchRunning}
           className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${mode === 'camera'
             ? 'bg-purple-600 text-white'
             : 'bg-slate-800 text-gray-400 hover:bg-slate-700'
@@ -492,43 +1798,76 @@ function App() {
           📹 Live Camera
         </button>
         <button
-          onClick={() => setMode('upload')}
+          onClick={() => switchMode('upload')}
+          disabled={recordingSeconds !== null}
           className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${mode === 'upload'
             ? 'bg-purple-600 text-white'
             : 'bg-slate-800 text-gray-400 hover:bg-slate-700'
             }`}>
           📁 Upload File
         </button>
+        <button
+          onClick={() => switchMode('compare')}
+          disabled={recordingSeconds !== null || batchRunning}
+          className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${mode === 'compare'
+            ? 'bg-purple-600 text-white'
+            : 'bg-slate-800 text-gray-400 hover:bg-slate-700'
+            }`}>
+          ⚖️ Compare Runs
+        </button>
       </div>
 
       {/* Upload Mode */}
       {mode === 'upload' && (
         <div className="w-full max-w-4xl">
           {!uploadedFile ? (
-            <div
-              onDragOver={handleDragOver}
-              onDragLeave={handleDragLeave}
-              onDrop={handleDrop}
-              onClick={() => fileInputRef.current?.click()}
-              className={`border-4 border-dashed rounded-lg p-16 text-center cursor-pointer transition-all ${isDragging
-                ? 'border-purple-400 bg-purple-900/20'
-                : 'border-purple-700 hover:border-purple-500'
-                }`}>
-              <p className="text-3xl text-purple-400 mb-4">📤</p>
-              <p className="text-xl text-purple-400 mb-2">
-                Drag & Drop Your Running Video or Image
-              </p>
-              <p className="text-sm text-gray-500">
-                Supports .mp4, .jpg, .png
-              </p>
-              <input
-                ref={fileInputRef}
-                type="file"
-                accept="video/mp4,image/jpeg,image/png"
-                onChange={(e) => handleFileUpload(e.target.files[0])}
-                className="hidden"
-              />
-            </div>
+            <>
+              {pendingSession && (
+                <div className="mb-3 flex items-center justify-center gap-3 text-sm text-purple-300">
+                  <span>
+                    Choose the original video for “{pendingSession.title}”
+                    {pendingSession.fileName ? ` (${pendingSession.fileName})` : ''} to reopen it
+                  </span>
+                  <button
+                    onClick={cancelPendingSession}
+                    className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg text-xs transition-colors">
+                    Cancel
+                  </button>
+                </div>
+              )}
+              <div
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onDrop={handleDrop}
+                onClick={() => fileInputRef.current?.click()}
+                className={`border-4 border-dashed rounded-lg p-16 text-center cursor-pointer transition-all ${isDragging
+                  ? 'border-purple-400 bg-purple-900/20'
+                  : 'border-purple-700 hover:border-purple-500'
+                  }`}>
+                <p className="text-3xl text-purple-400 mb-4">📤</p>
+                <p className="text-xl text-purple-400 mb-2">
+                  Drag & Drop Your Running Video or Image
+                </p>
+                <p className="text-sm text-gray-500">
+                  Supports .mp4, .webm, .jpg, .png
+                </p>
+                <p className="text-sm text-gray-500">
+                  Drop several clips or a folder to analyze them as a batch
+                </p>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept="video/mp4,video/webm,image/jpeg,image/png"
+                  multiple
+                  onChange={(e) => {
+                    const files = [...e.target.files]
+                    if (files.length > 1) enqueueBatch(files)
+                    else handleFileUpload(files[0])
+                  }}
+                  className="hidden"
+                />
+              </div>
+            </>
           ) : (
             <div className="space-y-4 flex flex-col items-center">
               {/* Media Container */}
@@ -537,7 +1876,18 @@ function App() {
                   <video
                     ref={videoRef}
                     src={uploadedFile}
-                    onLoadedMetadata={handleVideoLoaded}
+                    onLoadedMetadata={(e) => {
+                      const video = e.target
+                      handleVideoLoaded(e)
+                      video.playbackRate = playbackSpeed
+                      applyPendingSession(video)
+                    }}
+                    onSeeked={(e) => {
+                      if (!analysisAbortRef.current) renderCachedFrame(e.target.currentTime)
+                    }}
+                    onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+                    onDurationChange={(e) => setVideoDuration(Number.isFinite(e.target.duration) ? e.target.duration : 0)}
+                    onEnded={() => setIsPlaying(false)}
                     className="rounded-lg max-w-full"
                     style={{ maxHeight: '60vh' }}
                   />
@@ -553,170 +1903,387 @@ function App() {
                 )}
                 <canvas
                   ref={canvasRef}
-                  className="absolute top-0 left-0 rounded-lg pointer-events-none"
+                  onClick={handleCanvasClick}
+                  onPointerDown={startKeypointDrag}
+                  onPointerMove={moveKeypointDrag}
+                  onPointerUp={endKeypointDrag}
+                  onPointerCancel={endKeypointDrag}
+                  className={`absolute top-0 left-0 w-full h-full rounded-lg ${referenceDraft
+                    ? 'cursor-crosshair'
+                    : editingKeypoints ? 'cursor-move touch-none' : 'cursor-pointer'
+                    }`}
                 />
+                {isPlaying && !analysisTimeline && (
+                  <PerfReadout perf={liveSnapshot.perf} inWorker={activeModel.inWorker} backend={activeModel.backend} />
+                )}
               </div>
 
               {/* Video Controls */}
-              {mediaType === 'video' && (
+              {mediaType === 'video' && analysisProgress === null && (
                 <div className="flex gap-4 justify-center">
                   <button
                     onClick={togglePlayPause}
-                    className="px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-bold transition-colors">
+                    disabled={batchRunning && !isPlaying}
+                    className="px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg font-bold transition-colors">
                     {isPlaying ? '⏸ Pause' : '▶ Play'}
                   </button>
                   <button
-                    onClick={toggleSpeed}
-                    className="px-6 py-3 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-bold transition-colors">
-                    🐌 {playbackSpeed}x Speed
+                    onClick={runFullAnalysis}
+                    disabled={batchRunning}
+                    className="px-6 py-3 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded-lg font-bold transition-colors">
+                    🔬 {analysisTimeline ? 'Re-analyze' : 'Analyze Full Video'}
+                  </button>
+                </div>
+              )}
+
+              {/* Timeline */}
+              {mediaType === 'video' && analysisProgress === null && (
+                <Timeline
+                  duration={videoDuration}
+                  currentTime={currentTime}
+                  frameRate={analysisTimeline?.frameRate ?? DEFAULT_STEP_FRAME_RATE}
+                  data={timelineData}
+                  loop={loop}
+                  playbackSpeed={playbackSpeed}
+                  onSeek={seekVideo}
+                  onStep={stepFrame}
+                  onSpeedChange={changeSpeed}
+                  onLoopChange={updateLoop}
+                />
+              )}
+
+              {/* Keypoint Corrections */}
+              {analysisProgress === null && (
+                <KeypointEditor
+                  editing={editingKeypoints}
+                  canEdit={mediaType === 'image' ? hudRunners.length > 0 : Boolean(analysisTimeline) && !isPlaying}
+                  isStill={mediaType === 'image'}
+                  frameIndex={analysisTimeline ? Math.max(0, findFrameIndex(analysisTimeline.frames, currentTime)) : 0}
+                  time={currentTime}
+                  runnerId={hudRunners[0]?.id ?? null}
+                  corrections={mediaType === 'image' ? stillCorrections : analysisTimeline?.corrections}
+                  loop={loop}
+                  onToggle={setKeypointEditing}
+                  onSwap={swapKeypointSides}
+                  onExclude={excludeFrames}
+                  onResetFrame={resetFrameCorrections}
+                  onResetAll={resetAllCorrections}
+                />
+              )}
+
+              {/* Form Report */}
+              {mediaType === 'video' && analysisProgress === null && (
+                <FormReport
+                  report={formReport}
+                  exporting={reportExporting}
+                  error={reportError}
+                  onSeek={(t) => seekVideo(t)}
+                  onExport={exportFormReport}
+                />
+              )}
+
+              {/* Annotated Export */}
+              {mediaType === 'video' && videoDuration > 0 && analysisProgress === null && (
+                <ExportPanel
+                  key={`${uploadedFile}:${videoDuration}`}
+                  duration={videoDuration}
+                  loop={loop}
+                  canExport={Boolean(analysisTimeline)}
+                  onExport={exportVideo}
+                />
+              )}
+
+              {/* Session Data */}
+              {mediaType === 'video' && analysisProgress === null && (
+                <DataExportPanel
+                  canExport={Boolean(analysisTimeline)}
+                  onExport={exportSessionData}
+                  onImport={importSessionData}
+                />
+              )}
+
+              {/* Offline Analysis Progress */}
+              {analysisProgress !== null && (
+                <div className="w-full max-w-md flex items-center gap-3">
+                  <div className="flex-1 h-2 bg-slate-800 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-purple-500 transition-all"
+                      style={{ width: `${Math.round(analysisProgress * 100)}%` }}
+                    />
+                  </div>
+                  <span className="text-xs text-purple-400 w-10 text-right">
+                    {Math.round(analysisProgress * 100)}%
+                  </span>
+                  <button
+                    onClick={cancelFullAnalysis}
+                    className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg text-sm transition-colors">
+                    Cancel
                   </button>
                 </div>
               )}
 
+              {analysisTimeline && analysisProgress === null && (
+                <p className="text-xs text-gray-400">
+                  Cached analysis: {analysisTimeline.frames.length} frames @ {analysisTimeline.frameRate} fps
+                  {' · '}{POSE_MODELS[analysisTimeline.modelId]?.label ?? analysisTimeline.modelId}
+                </p>
+              )}
+
+              {analysisError && (
+                <p className="text-xs text-neon-red">
+                  Analysis failed: {analysisError}
+                </p>
+              )}
+
+              {/* Runner Selection */}
+              <div className="flex items-center gap-3 text-xs text-gray-400">
+                <label className="flex items-center gap-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={multiRunner}
+                    onChange={(e) => {
+                      setMultiRunner(e.target.checked)
+                      if (!e.target.checked) updateSelection(selectedIds.slice(0, 1))
+                    }}
+                    className="accent-purple-500"
+                  />
+                  👥 Analyze multiple runners
+                </label>
+                <span>
+                  {selectedIds.length > 0
+                    ? `Selected: ${selectedIds.map(id => `#${id}`).join(', ')}`
+                    : 'Click a runner to select · following the largest'}
+                </span>
+              </div>
+
+              {/* Reference Form */}
+              <ReferenceSettings
+                references={references}
+                settings={referenceSettings}
+                deviation={liveSnapshot.deviation}
+                canSaveFromClip={Boolean(analysisTimeline)}
+                onSettingsChange={updateReferenceSettings}
+                onReferencesChange={updateReferences}
+                onSaveFromClip={saveReferenceFromClip}
+              />
+
+              {/* Calibration */}
+              <CalibrationPanel
+                key={uploadedFile}
+                calibration={calibration}
+                isDrawingReference={referenceDraft !== null}
+                onCalibrateHeight={calibrateHeight}
+                onStartReference={(lengthCm) => setReferenceDraft({ lengthCm, points: [] })}
+                onClear={() => updateCalibration(null)}
+              />
+
+              {/* Crop & Zoom */}
+              <RoiSettings
+                settings={roiSettings}
+                cached={Boolean(analysisTimeline)}
+                canCropToRunner={hudRunners.length > 0}
+                onChange={updateRoiSettings}
+                onCropToRunner={cropToRunner}
+              />
+
+              {/* Camera View */}
+              <ViewSettings view={cameraView} detectedView={hudRunners[0]?.metrics.view} onChange={updateCameraView} />
+
+              {/* Keypoint Filter */}
+              <FilterSettings options={filterOptions} onChange={updateFilterOptions} />
+
               {/* Change File Button */}
               <div className="text-center">
                 <button
-                  onClick={() => {
-                    setUploadedFile(null)
-                    setMediaType(null)
-                    setIsPlaying(false)
-                  }}
+                  onClick={closeFile}
                   className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors">
                   📁 Upload Different File
                 </button>
               </div>
             </div>
           )}
+
+          {/* Batch Analysis */}
+          {batchJobs.length > 0 && (
+            <BatchQueue
+              jobs={batchJobs}
+              running={batchRunning}
+              savesToHistory={isHistorySupported()}
+              onOpen={openBatchResult}
+              onCancel={cancelBatch}
+              onClear={() => setBatchJobs([])}
+              onExport={exportBatchSummary}
+            />
+          )}
         </div>
       )}
 
       {/* Camera Mode */}
       {mode === 'camera' && (
-        <div className="relative mb-8">
-          <Webcam
-            ref={webcamRef}
-            width={640}
-            height={480}
-            videoConstraints={{
-              width: 640,
-              height: 480,
-              facingMode: 'user',
-            }}
-            onUserMedia={() => setWebcamReady(true)}
-            onUserMediaError={(err) => setWebcamError(err.message)}
-            className="rounded-lg"
-          />
-
-          {!webcamReady && !webcamError && (
-            <div className="absolute inset-0 bg-gray-900 rounded-lg flex items-center justify-center">
-              <p className="text-xl text-purple-400 animate-pulse">
-                Requesting camera access...
-              </p>
-            </div>
-          )}
-
-          {webcamError && (
-            <div className="absolute inset-0 bg-gray-900 rounded-lg flex items-center justify-center p-8">
-              <div className="text-center">
-                <p className="text-xl text-neon-red mb-4">
-                  Camera Access Denied
-                </p>
-                <p className="text-sm text-green-400 mb-4">
-                  Please allow camera access in your browser settings
+        <div className="w-full max-w-4xl space-y-4 flex flex-col items-center mb-8">
+          <div className="relative">
+            <Webcam
+              key={JSON.stringify(buildVideoConstraints(cameraSettings))}
+              ref={webcamRef}
+              audio={false}
+              mirrored={cameraSettings.mirrored}
+              videoConstraints={buildVideoConstraints(cameraSettings)}
+              onUserMedia={handleUserMedia}
+              onUserMediaError={(err) => setWebcamError(err.message || err.name)}
+              onLoadedMetadata={handleVideoLoaded}
+              className="rounded-lg max-w-full"
+              style={{ maxHeight: '60vh' }}
+            />
+
+            {!webcamReady && !webcamError && (
+              <div className="absolute inset-0 bg-gray-900 rounded-lg flex items-center justify-center">
+                <p className="text-xl text-purple-400 animate-pulse">
+                  Requesting camera access...
                 </p>
-                <button
-                  onClick={() => window.location.reload()}
-                  className="px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-bold transition-colors">
-                  Retry
-                </button>
               </div>
-            </div>
-          )}
+            )}
+
+            {webcamError && (
+              <div className="absolute inset-0 bg-gray-900 rounded-lg flex items-center justify-center p-8">
+                <div className="text-center">
+                  <p className="text-xl text-neon-red mb-4">
+                    Camera unavailable
+                  </p>
+                  <p className="text-sm text-green-400 mb-4">
+                    {webcamError} · allow camera access or pick another camera/resolution
+                  </p>
+                  <button
+                    onClick={() => window.location.reload()}
+                    className="px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-bold transition-colors">
+                    Retry
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Skeletons from the pose worker underneath; clicks and calibration marks on top */}
+            <canvas
+              ref={liveCanvasRef}
+              className="absolute top-0 left-0 w-full h-full rounded-lg pointer-events-none"
+              style={cameraSettings.mirrored ? { transform: 'scaleX(-1)' } : undefined}
+            />
+            <canvas
+              ref={canvasRef}
+              onClick={handleCanvasClick}
+              className={`absolute top-0 left-0 w-full h-full rounded-lg ${referenceDraft
+                ? 'cursor-crosshair'
+                : 'cursor-pointer'
+                }`}
+              style={cameraSettings.mirrored ? { transform: 'scaleX(-1)' } : undefined}
+            />
+            {webcamReady && (
+              <PerfReadout perf={liveSnapshot.perf} inWorker={activeModel.inWorker} backend={activeModel.backend} />
+            )}
+          </div>
 
-          <canvas
-            ref={canvasRef}
-            width={640}
-            height={480}
-            className="absolute top-0 left-0 rounded-lg"
+          <CameraSettings
+            settings={cameraSettings}
+            cameras={cameras}
+            activeTrackSettings={webcamReady ? cameraTrackSettings : null}
+            onChange={changeCameraSettings}
+            recordingSeconds={recordingSeconds}
+            canRecord={webcamReady && isRecordingSupported()}
+            onStartRecording={startRecording}
+            onStopRecording={stopRecording}
           />
-        </div>
-      )}
 
-      {/* Biomechanics HUD */}
-      <div className="mt-6 bg-slate-800/40 rounded-lg p-4 border border-purple-700/30 max-w-4xl">
-        <h2 className="text-lg text-purple-400 mb-3 text-center font-semibold">
-          Biomechanics Analysis
-        </h2>
-
-        {/* Metrics Grid - 2 columns */}
-        <div className="grid grid-cols-2 gap-2.5">
-          {/* Torso Lean */}
-          <div className="text-center bg-slate-800/20 p-2.5 rounded-lg">
-            <p className="text-xs text-purple-400 mb-1">TORSO LEAN</p>
-            <p className={`text-2xl font-bold ${feedbackInfo.color}`}>
-              {torsoLean}°
-            </p>
-            <p className={`text-xs mt-1 ${feedbackInfo.color}`}>
-              {feedbackInfo.message}
-            </p>
-          </div>
+          {/* Audio Coaching */}
+          <CoachingSettings
+            config={coachingConfig}
+            ranges={profiles[activeProfileId].ranges}
+            profileName={profiles[activeProfileId].name}
+            onChange={updateCoachingConfig}
+            metronome={metronome}
+            onMetronomeChange={updateMetronome}
+            lastCue={lastCue}
+          />
 
-          {/* Vertical Oscillation */}
-          <div className="text-center bg-slate-800/20 p-2.5 rounded-lg">
-            <p className="text-xs text-purple-400 mb-1">VERT. OSC.</p>
-            <p className="text-2xl font-bold text-purple-400">
-              {verticalOscillation}px
-            </p>
-            <p className="text-xs mt-1 text-gray-400">
-              {verticalOscillation < 40 ? 'Excellent' : verticalOscillation < 60 ? 'Good' : 'High'}
-            </p>
-          </div>
+          {/* Reference Form */}
+          <ReferenceSettings
+            references={references}
+            settings={referenceSettings}
+            deviation={liveSnapshot.deviation}
+            canSaveFromClip={false}
+            onSettingsChange={updateReferenceSettings}
+            onReferencesChange={updateReferences}
+            onSaveFromClip={saveReferenceFromClip}
+          />
 
-          {/* Knee Angle */}
-          <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
-            <p className="text-xs text-purple-400 mb-1">KNEE</p>
-            <p className="text-xl font-bold text-green-400">
-              {kneeAngle}°
-            </p>
-          </div>
+          {/* Calibration */}
+          <CalibrationPanel
+            key={getCameraCalibrationKey(cameraSettings)}
+            calibration={calibration}
+            isDrawingReference={referenceDraft !== null}
+            onCalibrateHeight={calibrateHeight}
+            onStartReference={(lengthCm) => setReferenceDraft({ lengthCm, points: [] })}
+            onClear={() => updateCalibration(null)}
+          />
 
-          {/* Hip Angle */}
-          <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
-            <p className="text-xs text-purple-400 mb-1">HIP</p>
-            <p className="text-xl font-bold text-green-400">
-              {hipAngle}°
-            </p>
-          </div>
+          {/* Crop & Zoom */}
+          <RoiSettings
+            settings={roiSettings}
+            cached={false}
+            canCropToRunner={hudRunners.length > 0}
+            onChange={updateRoiSettings}
+            onCropToRunner={cropToRunner}
+          />
 
-          {/* Head Alignment */}
-          <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
-            <p className="text-xs text-purple-400 mb-1">HEAD</p>
-            <p className="text-xl font-bold text-green-400">
-              {headAlignment}°
-            </p>
-          </div>
+          {/* Camera View */}
+          <ViewSettings view={cameraView} detectedView={hudRunners[0]?.metrics.view} onChange={updateCameraView} />
 
-          {/* Cadence */}
-          <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
-            <p className="text-xs text-purple-400 mb-1">CADENCE</p>
-            <p className="text-xl font-bold text-green-400">
-              {cadence} SPM
-            </p>
-          </div>
+          {/* Keypoint Filter */}
+          <FilterSettings options={filterOptions} onChange={updateFilterOptions} />
         </div>
+      )}
 
-        {/* Elite Reference */}
-        <div className="mt-3 text-center text-xs text-gray-500">
-          Elite: Torso 3-8° · Osc. &lt;40px · Cadence 180+ SPM
-        </div>
-      </div>
+      {/* Compare Mode */}
+      {mode === 'compare' && (
+        <CompareView
+          sessions={sessions}
+          getDetector={() => engineRef.current.detector}
+          resetDetector={() => engineRef.current.reset()}
+          modelId={activeModel.modelId}
+          rotation={roiSettings.rotation}
+          filterOptions={filterOptions}
+          profile={profiles[activeProfileId]}
+        />
+      )}
+
+      {/* Biomechanics HUD - one per analysed runner */}
+      {mode !== 'compare' && (hudRunners.length > 0 ? hudRunners.map(({ id, metrics }) => (
+        <BiomechanicsHud
+          key={id}
+          metrics={metrics}
+          calibration={calibration}
+          asymmetryThreshold={asymmetryThreshold}
+          onAsymmetryThresholdChange={setAsymmetryThreshold}
+          profile={profiles[activeProfileId]}
+          title={hudRunners.length > 1 || multiRunner ? `Runner #${id} · Biomechanics` : undefined}
+          accentColor={hudRunners.length > 1 || multiRunner ? getTrackColor(id) : undefined}
+        />
+      )) : (
+        <BiomechanicsHud
+          metrics={null}
+          calibration={calibration}
+          asymmetryThreshold={asymmetryThreshold}
+          onAsymmetryThresholdChange={setAsymmetryThreshold}
+          profile={profiles[activeProfileId]}
+        />
+      ))}
 
       {/* Instructions */}
       <div className="mt-4 text-center max-w-2xl">
         <p className="text-xs text-gray-400">
           {mode === 'upload'
             ? 'Upload a video or image of your running form to analyze torso lean angle'
-            : 'Stand in front of the camera to analyze your running form in real-time'}
+            : mode === 'compare'
+              ? 'Load a before and an after clip to compare them cycle by cycle'
+              : 'Stand in front of the camera to analyze your running form in real-time'}
         </p>
       </div>
     </div>
@@ -0,0 +1,115 @@
+import { ARM_TARGETS, rateArmMetric } from '../lib/armSwing'
+import { formatStat } from '../lib/strides'
+
+const LEVEL_COLORS = {
+  good: 'text-neon-green',
+  fair: 'text-neon-yellow',
+  poor: 'text-neon-red',
+}
+
+const SIDES = ['left', 'right']
+
+const formatAngle = (degrees) => (degrees == null ? '--' : `${degrees}°`)
+const formatTiming = (stat) => (stat ? `${stat.mean > 0 ? '+' : ''}${stat.mean.toFixed(0)}%` : '--')
+
+// "min-max unit" / "<max unit" for the targets line
+const formatTarget = ({ min, max, unit }) => (min == null ? `<${max}${unit}` : `${min}-${max}${unit}`)
+
+// Arm-swing section of the HUD: elbow flexion, swing range and timing per
+// arm in side views, hands crossing the midline in front and rear views
+function ArmSwingPanel({ arms, sagittal, asymmetryThreshold }) {
+  const current = arms?.current ?? null
+  const swings = arms?.swings ?? null
+
+  // One side's value: mean ± SD coloured against its target, else this frame's
+  const sideValue = (side, key, { currentValue, rateValue = (stat) => stat.mean, format } = {}) => {
+    const stat = swings?.[side][key]
+    const rating = stat ? rateArmMetric(key, rateValue(stat)) : null
+    return (
+      <p key={side} className={`text-sm font-bold ${LEVEL_COLORS[rating?.level] ?? 'text-green-400'}`}>
+        {side === 'left' ? 'L' : 'R'}{' '}
+        {stat ? (format ? format(stat) : formatStat(stat, '°')) : formatAngle(currentValue ?? null)}
+      </p>
+    )
+  }
+
+  // Worst-rated message of a metric over both arms
+  const sideMessage = (key, rateValue = (stat) => stat.mean) => {
+    const ratings = SIDES.map(side => swings?.[side][key])
+      .filter(Boolean)
+      .map(stat => rateArmMetric(key, rateValue(stat)))
+    const worst = ratings.find(r => r.level === 'poor') ?? ratings.find(r => r.level === 'fair') ?? ratings[0]
+    return worst && <p className={`text-[10px] mt-1 ${LEVEL_COLORS[worst.level]}`}>{worst.message}</p>
+  }
+
+  const symmetryClass = (value) => (value != null && value > asymmetryThreshold ? 'text-neon-red' : 'text-green-400')
+  const crossover = rateArmMetric('crossoverRate', swings?.crossoverRate ?? null)
+  const absTiming = (stat) => Math.abs(stat.mean)
+
+  return (
+    <div className="mt-2.5 bg-slate-800/15 p-2.5 rounded-lg">
+      <p className="text-xs text-purple-400 mb-2 text-center">ARM SWING</p>
+
+      {sagittal ? (
+        <>
+          <div className="grid grid-cols-4 gap-2 text-center">
+            <div>
+              <p className="text-[10px] text-gray-400">Elbow flexion</p>
+              {SIDES.map(side => sideValue(side, 'elbowFlexion', { currentValue: current?.elbowFlexion?.[side] }))}
+              {sideMessage('elbowFlexion')}
+            </div>
+            <div>
+              <p className="text-[10px] text-gray-400">Forward / back</p>
+              {SIDES.map(side => (
+                <p key={side} className="text-sm font-bold text-green-400">
+                  {side === 'left' ? 'L' : 'R'}{' '}
+                  {swings?.[side].forward
+                    ? `${swings[side].forward.mean.toFixed(0)}° / ${swings[side].back?.mean.toFixed(0) ?? '--'}°`
+                    : formatAngle(current?.shoulderSwing?.[side] ?? null)}
+                </p>
+              ))}
+            </div>
+            <div>
+              <p className="text-[10px] text-gray-400">Swing range</p>
+              {SIDES.map(side => sideValue(side, 'amplitude'))}
+              {sideMessage('amplitude')}
+            </div>
+            <div>
+              <p className="text-[10px] text-gray-400">Timing vs opp. leg</p>
+              {SIDES.map(side => sideValue(side, 'timing', { rateValue: absTiming, format: formatTiming }))}
+              {sideMessage('timing', absTiming)}
+            </div>
+          </div>
+          <p className="text-xs text-center mt-2 text-gray-400">
+            Symmetry (L/R):{' '}
+            <span className={symmetryClass(swings?.symmetry.amplitude)}>
+              range {swings?.symmetry.amplitude == null ? '--' : `${swings.symmetry.amplitude}%`}
+            </span>
+            {' · '}
+            <span className={symmetryClass(swings?.symmetry.elbowFlexion)}>
+              elbow {swings?.symmetry.elbowFlexion == null ? '--' : `${swings.symmetry.elbowFlexion}%`}
+            </span>
+          </p>
+        </>
+      ) : (
+        <div className="text-center">
+          <p className="text-[10px] text-gray-400">Hands across the midline</p>
+          <p className={`text-xl font-bold ${LEVEL_COLORS[crossover?.level] ?? 'text-gray-400'}`}>
+            {swings?.crossoverRate == null ? '--' : `${swings.crossoverRate}% of swings`}
+          </p>
+          {crossover && <p className={`text-[10px] ${LEVEL_COLORS[crossover.level]}`}>{crossover.message}</p>}
+          <p className="text-[10px] text-gray-500 mt-1">Swing angles and timing need a side view</p>
+        </div>
+      )}
+
+      {!swings && <p className="text-[10px] text-gray-500 mt-1 text-center">Waiting for a full stride…</p>}
+      <p className="text-[10px] text-gray-500 mt-1 text-center">
+        {sagittal
+          ? ['elbowFlexion', 'amplitude', 'timing'].map(key => `${ARM_TARGETS[key].label} ${formatTarget(ARM_TARGETS[key])}`).join(' · ')
+          : `${ARM_TARGETS.crossoverRate.label} ${formatTarget(ARM_TARGETS.crossoverRate)}`}
+      </p>
+    </div>
+  )
+}
+
+export default ArmSwingPanel
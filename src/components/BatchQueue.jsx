@@ -0,0 +1,150 @@
+import { useState } from 'react'
+import { BATCH_COLUMNS, sortBatchRows } from '../lib/batchQueue'
+import { scoreLevel } from '../lib/formReport'
+
+const STATUS_LABELS = {
+  queued: { text: 'Queued', color: 'text-gray-400' },
+  running: { text: 'Analyzing', color: 'text-purple-300' },
+  done: { text: 'Done', color: 'text-neon-green' },
+  failed: { text: 'Failed', color: 'text-neon-red' },
+  cancelled: { text: 'Cancelled', color: 'text-neon-yellow' },
+}
+
+const SCORE_COLORS = {
+  good: 'text-neon-green',
+  fair: 'text-neon-yellow',
+  poor: 'text-neon-red',
+}
+
+const baseName = (fileName) => fileName.replace(/\.[^.]+$/, '')
+
+const formatCell = (column, row) => {
+  const value = row[column.key]
+  if (value == null) return '--'
+  if (typeof value === 'string') return value
+  const unit = typeof column.unit === 'function' ? column.unit(row) : column.unit ?? ''
+  return `${value.toFixed(column.digits)}${unit}`
+}
+
+// Batch analysis queue: per-clip progress and errors, then a sortable
+// summary table of the finished clips with links into each result
+function BatchQueue({ jobs, running, savesToHistory, onOpen, onCancel, onClear, onExport }) {
+  const [sort, setSort] = useState({ key: 'name', direction: 'asc' })
+
+  const finished = jobs.filter(job => job.status === 'done' && job.row)
+  const pending = jobs.filter(job => job.status === 'queued' || job.status === 'running').length
+  const rows = sortBatchRows(
+    finished.map(job => ({
+      ...job.row,
+      id: job.id,
+      name: job.athlete ? `${job.athlete} · ${baseName(job.fileName)}` : baseName(job.fileName),
+    })),
+    sort.key,
+    sort.direction
+  )
+  const jobsById = Object.fromEntries(jobs.map(job => [job.id, job]))
+
+  const sortBy = (key) => setSort(previous => ({
+    key,
+    direction: previous.key === key && previous.direction === 'asc' ? 'desc' : 'asc',
+  }))
+
+  return (
+    <div className="w-full bg-slate-800/40 rounded-lg p-3 border border-purple-700/30 mt-4 text-xs text-gray-400">
+      <div className="flex items-center gap-2 mb-2">
+        <p className="text-purple-400 font-semibold flex-1">
+          📦 BATCH ANALYSIS · {jobs.length - pending} of {jobs.length} clips processed
+        </p>
+        <button
+          onClick={onExport}
+          disabled={finished.length === 0}
+          className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg transition-colors">
+          ⬇ Combined CSV
+        </button>
+        {running ? (
+          <button
+            onClick={onCancel}
+            className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors">
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={onClear}
+            className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors">
+            Clear
+          </button>
+        )}
+      </div>
+
+      {/* Queue */}
+      <ul className="space-y-1 max-h-48 overflow-y-auto">
+        {jobs.map(job => (
+          <li key={job.id} className="flex items-center gap-2">
+            <span className="flex-1 truncate text-left text-gray-300" title={job.fileName}>{job.fileName}</span>
+            {job.status === 'running' && (
+              <div className="w-24 h-1.5 bg-slate-800 rounded-full overflow-hidden">
+                <div className="h-full bg-purple-500 transition-all" style={{ width: `${Math.round(job.progress * 100)}%` }} />
+              </div>
+            )}
+            <span className={`w-20 text-right ${STATUS_LABELS[job.status].color}`}>
+              {job.status === 'running' ? `${Math.round(job.progress * 100)}%` : STATUS_LABELS[job.status].text}
+            </span>
+            {job.status === 'done' && !job.row && <span className="text-neon-yellow">No runner found</span>}
+            {job.error && <span className="text-neon-red truncate max-w-xs" title={job.error}>{job.error}</span>}
+          </li>
+        ))}
+      </ul>
+
+      {/* Summary */}
+      {rows.length > 0 && (
+        <table className="w-full mt-3 text-left">
+          <thead>
+            <tr className="text-purple-400">
+              {BATCH_COLUMNS.map(column => (
+                <th key={column.key} className="py-1 pr-2 font-semibold">
+                  <button onClick={() => sortBy(column.key)} className="hover:text-purple-300">
+                    {column.label}
+                    {sort.key === column.key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+                  </button>
+                </th>
+              ))}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.id} className="border-t border-slate-700/60">
+                {BATCH_COLUMNS.map(column => (
+                  <td
+                    key={column.key}
+                    title={column.key === 'asymmetry' ? row.asymmetryLabel ?? undefined : undefined}
+                    className={`py-1 pr-2 ${column.key === 'score'
+                      ? `font-bold ${SCORE_COLORS[scoreLevel(row.score)] ?? 'text-gray-400'}`
+                      : 'text-white'
+                      }`}>
+                    {formatCell(column, row)}
+                  </td>
+                ))}
+                <td className="py-1 text-right">
+                  <button
+                    onClick={() => onOpen(jobsById[row.id])}
+                    disabled={running}
+                    className="text-purple-300 hover:text-purple-200 disabled:opacity-40 underline">
+                    Open
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="text-[10px] text-gray-500 mt-2">
+        Each clip's main runner against the active profile.
+        {savesToHistory && ' Finished clips are saved to the session history.'}
+        {running && ' Playback, full analysis, model changes and opening results wait until the batch finishes.'}
+      </p>
+    </div>
+  )
+}
+
+export default BatchQueue
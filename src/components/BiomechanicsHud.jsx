@@ -0,0 +1,356 @@
+import { ASYMMETRY_METRICS, DEFAULT_ASYMMETRY_THRESHOLD, findAsymmetryWarnings } from '../lib/asymmetry'
+import { formatLength } from '../lib/calibration'
+import { isFrontalView } from '../lib/cameraView'
+import { classifyMetric, PROFILE_METRICS } from '../lib/profiles'
+import { formatStat } from '../lib/strides'
+import ArmSwingPanel from './ArmSwingPanel'
+import FrontalHud from './FrontalHud'
+
+const LEVEL_COLORS = {
+  good: 'text-neon-green',
+  fair: 'text-neon-yellow',
+  poor: 'text-neon-red',
+}
+
+// Feedback message and colour for one metric value against the active profile
+const getFeedbackInfo = (key, value, profile) => {
+  const rating = classifyMetric(value, profile?.ranges[key])
+  if (!rating) return { message: 'No data', color: 'text-gray-400' }
+
+  const metric = PROFILE_METRICS.find(m => m.key === key)
+  // A signed metric below zero is a different fault from "low", e.g. leaning back
+  const message = rating.direction === 'low'
+    ? (value < 0 && metric.negativeLabel) || metric.lowLabel
+    : rating.direction === 'high' ? metric.highLabel : 'On target'
+  return { message, color: LEVEL_COLORS[rating.level] }
+}
+
+// "min–max unit" / "<max unit" / ">min unit" for the reference line
+const formatRange = (range, unit) => {
+  if (!range || (range.min == null && range.max == null)) return '--'
+  if (range.min == null) return `<${range.max}${unit}`
+  if (range.max == null) return `>${range.min}${unit}`
+  return `${range.min}-${range.max}${unit}`
+}
+
+const meanOf = (stat) => stat?.mean ?? null
+const toMs = (seconds) => (seconds == null ? null : seconds * 1000)
+
+const formatAngle = (degrees) => (degrees == null ? 'Low conf.' : `${degrees}°`)
+const formatMs = (seconds) => (seconds == null ? '--' : `${Math.round(seconds * 1000)}ms`)
+const formatMeanAngle = (degrees) => (degrees == null ? '--' : `${Math.round(degrees)}°`)
+
+const SEVERITY_CLASSES = {
+  none: 'text-neon-green',
+  mild: 'text-neon-yellow',
+  moderate: 'text-neon-orange',
+  severe: 'text-neon-red',
+}
+
+// Biomechanics HUD for one runner's metrics snapshot (from createPoseAnalyzer);
+// front and rear views get the frontal-plane layout
+function BiomechanicsHud({
+  metrics,
+  calibration,
+  asymmetryThreshold,
+  onAsymmetryThresholdChange,
+  profile,
+  title = 'Biomechanics Analysis',
+  accentColor,
+}) {
+  if (isFrontalView(metrics?.view)) {
+    return (
+      <FrontalHud
+        metrics={metrics}
+        calibration={calibration}
+        asymmetryThreshold={asymmetryThreshold}
+        profile={profile}
+        title={title}
+        accentColor={accentColor}
+      />
+    )
+  }
+
+  const torsoLean = metrics?.torsoLean ?? 0
+  const kneeAngle = metrics?.kneeAngle ?? { left: 0, right: 0 }
+  const hipAngle = metrics?.hipAngle ?? { left: 0, right: 0 }
+  const headAlignment = metrics?.headAlignment ?? 0
+  const verticalOscillation = metrics?.verticalOscillation ?? null
+  const gaitMetrics = metrics?.gait ?? null
+  const strideStats = metrics?.strideStats ?? null
+  const asymmetry = metrics?.asymmetry ?? null
+  const landings = metrics?.landings ?? null
+
+  const asymmetryWarnings = findAsymmetryWarnings(asymmetry, asymmetryThreshold)
+
+  // Values the profile rates: stride means where available
+  const oscillationPx = meanOf(strideStats?.all.verticalOscillation) ?? verticalOscillation
+  const oscillationKey = calibration ? 'verticalOscillation' : 'verticalOscillationPx'
+  const headValue = meanOf(strideStats?.all.meanHeadAlignment) ?? (metrics ? headAlignment : null)
+  const feedback = (key, value) => getFeedbackInfo(key, value, profile)
+
+  const leanFeedback = feedback('torsoLean', meanOf(strideStats?.all.meanTrunkLean) ?? metrics?.torsoLean)
+  const oscillationFeedback = feedback(
+    oscillationKey,
+    oscillationPx == null ? null : oscillationPx * (calibration?.cmPerPx ?? 1)
+  )
+  const headFeedback = feedback('headAlignment', headValue == null ? null : Math.abs(headValue))
+  const cadenceFeedback = feedback('cadence', gaitMetrics?.cadence || null)
+  const sideFeedback = (key, side, value) => feedback(key, value ?? meanOf(strideStats?.[side][key]))
+
+  return (
+    <div className="mt-6 bg-slate-800/40 rounded-lg p-4 border border-purple-700/30 max-w-4xl">
+      <h2
+        className="text-lg text-purple-400 mb-3 text-center font-semibold"
+        style={accentColor ? { color: accentColor } : undefined}>
+        {title}
+      </h2>
+
+      {/* Metrics Grid - 2 columns */}
+      <div className="grid grid-cols-2 gap-2.5">
+        {/* Torso Lean */}
+        <div className="text-center bg-slate-800/20 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">TORSO LEAN</p>
+          <p className={`text-2xl font-bold ${leanFeedback.color}`}>
+            {strideStats ? formatStat(strideStats.all.meanTrunkLean, '°') : formatAngle(torsoLean)}
+          </p>
+          <p className={`text-xs mt-1 ${leanFeedback.color}`}>
+            {leanFeedback.message}
+          </p>
+        </div>
+
+        {/* Vertical Oscillation */}
+        <div className="text-center bg-slate-800/20 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">VERT. OSC.</p>
+          <p className={`text-2xl font-bold ${oscillationFeedback.color}`}>
+            {strideStats
+              ? formatStat(strideStats.all.verticalOscillation, calibration ? 'cm' : 'px', calibration?.cmPerPx ?? 1, calibration ? 1 : 0)
+              : formatLength(verticalOscillation, calibration)}
+          </p>
+          <p className={`text-xs mt-1 ${oscillationFeedback.color}`}>
+            {oscillationFeedback.message}
+          </p>
+        </div>
+
+        {/* Knee Angle */}
+        <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">KNEE</p>
+          {strideStats ? (
+            <>
+              <p className="text-xs text-gray-400">Peak swing flexion</p>
+              <p className="text-sm font-bold">
+                <span className={sideFeedback('peakSwingKneeFlexion', 'left').color}>
+                  L {formatStat(strideStats.left.peakSwingKneeFlexion, '°')}
+                </span>
+                {' · '}
+                <span className={sideFeedback('peakSwingKneeFlexion', 'right').color}>
+                  R {formatStat(strideStats.right.peakSwingKneeFlexion, '°')}
+                </span>
+              </p>
+              <p className="text-xs text-gray-400 mt-1">At contact</p>
+              <p className="text-sm font-bold">
+                <span className={sideFeedback('kneeAngleAtContact', 'left').color}>
+                  L {formatStat(strideStats.left.kneeAngleAtContact, '°')}
+                </span>
+                {' · '}
+                <span className={sideFeedback('kneeAngleAtContact', 'right').color}>
+                  R {formatStat(strideStats.right.kneeAngleAtContact, '°')}
+                </span>
+              </p>
+            </>
+          ) : (
+            <p className="text-xl font-bold text-green-400">
+              L {formatAngle(kneeAngle.left)} · R {formatAngle(kneeAngle.right)}
+            </p>
+          )}
+        </div>
+
+        {/* Hip Angle */}
+        <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">HIP</p>
+          {strideStats ? (
+            <>
+              <p className="text-xs text-gray-400">Max extension at toe-off</p>
+              <p className="text-sm font-bold">
+                <span className={sideFeedback('peakHipExtension', 'left').color}>
+                  L {formatStat(strideStats.left.peakHipExtension, '°')}
+                </span>
+                {' · '}
+                <span className={sideFeedback('peakHipExtension', 'right').color}>
+                  R {formatStat(strideStats.right.peakHipExtension, '°')}
+                </span>
+              </p>
+            </>
+          ) : (
+            <p className="text-xl font-bold text-green-400">
+              L {formatAngle(hipAngle.left)} · R {formatAngle(hipAngle.right)}
+            </p>
+          )}
+        </div>
+
+        {/* Head Alignment */}
+        <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">HEAD</p>
+          <p className={`text-xl font-bold ${headFeedback.color}`}>
+            {strideStats ? formatStat(strideStats.all.meanHeadAlignment, '°') : formatAngle(headAlignment)}
+          </p>
+          <p className={`text-xs mt-1 ${headFeedback.color}`}>
+            {headFeedback.message}
+          </p>
+        </div>
+
+        {/* Cadence */}
+        <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">CADENCE</p>
+          <p className={`text-xl font-bold ${cadenceFeedback.color}`}>
+            {gaitMetrics?.cadence || 0} SPM
+          </p>
+          <p className={`text-xs mt-1 ${cadenceFeedback.color}`}>
+            {cadenceFeedback.message}
+          </p>
+        </div>
+      </div>
+
+      {strideStats && (
+        <p className="mt-2 text-center text-xs text-gray-500">
+          Mean ± SD over {strideStats.count} strides
+        </p>
+      )}
+
+      {/* Gait Timing - per side */}
+      <div className="grid grid-cols-3 gap-2.5 mt-2.5">
+        {[
+          { label: 'CONTACT', key: 'contactTime' },
+          { label: 'FLIGHT', key: 'flightTime' },
+          { label: 'STEP', key: 'stepTime' },
+        ].map(({ label, key }) => (
+          <div key={key} className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+            <p className="text-xs text-purple-400 mb-1">{label}</p>
+            {['left', 'right'].map(side => {
+              // Step time has no target; it follows from cadence
+              const color = profile?.ranges[key]
+                ? sideFeedback(key, side, toMs(gaitMetrics?.[side][key])).color
+                : 'text-green-400'
+              return (
+                <p key={side} className={`text-sm font-bold ${color}`}>
+                  {side === 'left' ? 'L' : 'R'} {formatMs(gaitMetrics?.[side][key])}
+                </p>
+              )
+            })}
+          </div>
+        ))}
+      </div>
+
+      {/* Stride & Landing */}
+      <div className="grid grid-cols-2 gap-2.5 mt-2.5">
+        <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">STRIDE LENGTH</p>
+          <p className="text-xl font-bold text-green-400">
+            {formatLength(gaitMetrics?.strideLength, calibration)}
+          </p>
+        </div>
+        <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">FOOT LANDING (AHEAD OF HIP)</p>
+          <p className="text-sm font-bold text-green-400">
+            L {formatLength(gaitMetrics?.left.landingDistance, calibration)}
+            {' · '}
+            R {formatLength(gaitMetrics?.right.landingDistance, calibration)}
+          </p>
+        </div>
+      </div>
+
+      {/* Overstride & Foot Strike - per side, at initial contact */}
+      <div className="mt-2.5 bg-slate-800/15 p-2.5 rounded-lg">
+        <p className="text-xs text-purple-400 mb-2 text-center">OVERSTRIDE & FOOT STRIKE</p>
+        {landings ? (
+          <div className="grid grid-cols-2 gap-2 text-center">
+            {['left', 'right'].map(side => {
+              const landing = landings[side]
+              return (
+                <div key={side} className="text-xs text-gray-400">
+                  <p className="text-purple-400">{side === 'left' ? 'LEFT' : 'RIGHT'}</p>
+                  {landing ? (
+                    <>
+                      <p className={`text-sm font-bold capitalize ${SEVERITY_CLASSES[landing.severity]}`}>
+                        {landing.severity === 'none' ? 'No overstride' : `${landing.severity} overstride`}
+                      </p>
+                      <p>Ahead of hip <span className="text-white">{formatLength(landing.landingDistance, calibration)}</span></p>
+                      <p>Shank <span className="text-white">{formatMeanAngle(landing.shankAngle)}</span> · Knee flex. <span className="text-white">{formatMeanAngle(landing.kneeFlexion)}</span></p>
+                      <p>
+                        Strike{' '}
+                        <span className="text-white capitalize">
+                          {landing.strikePattern ?? 'n/a'}
+                        </span>
+                      </p>
+                    </>
+                  ) : (
+                    <p>--</p>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        ) : (
+          <p className="text-xs text-gray-500 text-center">Waiting for foot contacts…</p>
+        )}
+        {landings && !landings.left?.strikePattern && !landings.right?.strikePattern && (
+          <p className="text-[10px] text-gray-500 mt-1 text-center">
+            Strike pattern needs heel & toe keypoints (BlazePose)
+          </p>
+        )}
+      </div>
+
+      {/* Arm Swing */}
+      <ArmSwingPanel arms={metrics?.arms} sagittal asymmetryThreshold={asymmetryThreshold} />
+
+      {/* Asymmetry */}
+      <div className="mt-2.5 bg-slate-800/15 p-2.5 rounded-lg">
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-xs text-purple-400">ASYMMETRY (L/R)</p>
+          <label className="text-xs text-gray-400 flex items-center gap-1">
+            Warn above
+            <input
+              type="number"
+              min={1}
+              max={100}
+              value={asymmetryThreshold}
+              onChange={(e) => onAsymmetryThresholdChange(Number(e.target.value) || DEFAULT_ASYMMETRY_THRESHOLD)}
+              className="w-12 bg-slate-900 text-white rounded px-1 text-right"
+            />
+            %
+          </label>
+        </div>
+        <div className="grid grid-cols-4 gap-2 text-center">
+          {ASYMMETRY_METRICS.map(({ key, label }) => {
+            const value = asymmetry?.[key]
+            const over = value != null && value > asymmetryThreshold
+            return (
+              <div key={key}>
+                <p className="text-[10px] text-gray-400">{label}</p>
+                <p className={`text-sm font-bold ${over ? 'text-neon-red' : 'text-green-400'}`}>
+                  {value == null ? '--' : `${value}%`}
+                </p>
+              </div>
+            )
+          })}
+        </div>
+        {asymmetryWarnings.length > 0 && (
+          <p className="text-xs text-neon-red mt-2 text-center">
+            ⚠ Asymmetry above {asymmetryThreshold}%: {asymmetryWarnings.map(({ label }) => label).join(', ')}
+          </p>
+        )}
+      </div>
+
+      {/* Profile Reference */}
+      {profile && (
+        <div className="mt-3 text-center text-xs text-gray-500">
+          {profile.name}: Torso {formatRange(profile.ranges.torsoLean, '°')}
+          {' · '}Osc. {formatRange(profile.ranges[oscillationKey], calibration ? 'cm' : 'px')}
+          {' · '}Cadence {formatRange(profile.ranges.cadence, ' SPM')}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BiomechanicsHud
@@ -0,0 +1,78 @@
+import { useState } from 'react'
+
+// Calibration controls: runner height or a reference line drawn on the frame
+function CalibrationPanel({ calibration, isDrawingReference, onCalibrateHeight, onStartReference, onClear }) {
+  const [method, setMethod] = useState('height')
+  const [heightCm, setHeightCm] = useState(calibration?.heightCm || '')
+  const [referenceCm, setReferenceCm] = useState(calibration?.referenceCm || '')
+
+  return (
+    <div className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-xs text-purple-400 font-semibold">📏 CALIBRATION</p>
+        <p className="text-xs text-gray-400">
+          {calibration
+            ? `${calibration.cmPerPx.toFixed(3)} cm/px (${calibration.method})`
+            : 'Not calibrated · values in px'}
+        </p>
+      </div>
+
+      <div className="flex gap-2 items-center">
+        <select
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+          className="bg-slate-900 text-white text-sm rounded px-2 py-1">
+          <option value="height">Runner height</option>
+          <option value="reference">Reference line</option>
+        </select>
+
+        {method === 'height' ? (
+          <>
+            <input
+              type="number"
+              min={50}
+              max={250}
+              placeholder="cm"
+              value={heightCm}
+              onChange={(e) => setHeightCm(e.target.value)}
+              className="w-20 bg-slate-900 text-white text-sm rounded px-2 py-1"
+            />
+            <button
+              onClick={() => onCalibrateHeight(Number(heightCm))}
+              disabled={!(Number(heightCm) > 0)}
+              className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg text-sm transition-colors">
+              Calibrate
+            </button>
+          </>
+        ) : (
+          <>
+            <input
+              type="number"
+              min={1}
+              placeholder="cm"
+              value={referenceCm}
+              onChange={(e) => setReferenceCm(e.target.value)}
+              className="w-20 bg-slate-900 text-white text-sm rounded px-2 py-1"
+            />
+            <button
+              onClick={() => onStartReference(Number(referenceCm))}
+              disabled={!(Number(referenceCm) > 0) || isDrawingReference}
+              className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg text-sm transition-colors">
+              {isDrawingReference ? 'Click 2 points…' : 'Draw Line'}
+            </button>
+          </>
+        )}
+
+        {calibration && (
+          <button
+            onClick={onClear}
+            className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg text-sm transition-colors">
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CalibrationPanel
@@ -0,0 +1,121 @@
+import { CAMERA_FRAME_RATES, CAMERA_RESOLUTIONS } from '../lib/camera'
+
+const formatElapsed = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+
+// Camera picker (device, front/rear, resolution, frame rate), mirror toggle
+// and session recording controls
+function CameraSettings({
+  settings,
+  cameras,
+  activeTrackSettings,
+  onChange,
+  recordingSeconds,
+  canRecord,
+  onStartRecording,
+  onStopRecording,
+}) {
+  const update = (changes) => onChange({ ...settings, ...changes })
+  const isRecording = recordingSeconds !== null
+
+  return (
+    <div className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30 space-y-2 text-xs text-gray-400">
+      <div className="flex items-center justify-between">
+        <p className="text-purple-400 font-semibold">📹 CAMERA</p>
+        {activeTrackSettings && (
+          <p>
+            {activeTrackSettings.width}×{activeTrackSettings.height}
+            {activeTrackSettings.frameRate ? ` @ ${Math.round(activeTrackSettings.frameRate)} fps` : ''}
+          </p>
+        )}
+      </div>
+
+      <label className="flex items-center gap-2">
+        <span className="w-16 text-left">Camera</span>
+        <select
+          value={settings.deviceId}
+          disabled={isRecording}
+          onChange={(e) => update({ deviceId: e.target.value })}
+          className="flex-1 bg-slate-900 text-white rounded px-2 py-1">
+          <option value="">Auto ({settings.facing === 'user' ? 'front' : 'rear'})</option>
+          {cameras.map(camera => (
+            <option key={camera.deviceId} value={camera.deviceId}>{camera.label}</option>
+          ))}
+        </select>
+      </label>
+
+      {!settings.deviceId && (
+        <label className="flex items-center gap-2">
+          <span className="w-16 text-left">Facing</span>
+          <select
+            value={settings.facing}
+            disabled={isRecording}
+            onChange={(e) => update({ facing: e.target.value })}
+            className="flex-1 bg-slate-900 text-white rounded px-2 py-1">
+            <option value="user">Front</option>
+            <option value="environment">Rear</option>
+          </select>
+        </label>
+      )}
+
+      <div className="flex gap-2">
+        <label className="flex items-center gap-2 flex-1">
+          <span className="w-16 text-left">Resolution</span>
+          <select
+            value={settings.resolution}
+            disabled={isRecording}
+            onChange={(e) => update({ resolution: e.target.value })}
+            className="flex-1 bg-slate-900 text-white rounded px-2 py-1">
+            {Object.entries(CAMERA_RESOLUTIONS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span>FPS</span>
+          <select
+            value={settings.frameRate}
+            disabled={isRecording}
+            onChange={(e) => update({ frameRate: Number(e.target.value) })}
+            className="bg-slate-900 text-white rounded px-2 py-1">
+            {CAMERA_FRAME_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <label className="flex items-center gap-1 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={settings.mirrored}
+          onChange={(e) => update({ mirrored: e.target.checked })}
+          className="accent-purple-500"
+        />
+        Mirror preview
+      </label>
+
+      {/* Recording */}
+      <div className="pt-2 border-t border-slate-700 flex items-center gap-2">
+        {isRecording ? (
+          <>
+            <button
+              onClick={onStopRecording}
+              className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors">
+              ⏹ Stop & review
+            </button>
+            <span className="text-neon-red animate-pulse">● REC {formatElapsed(recordingSeconds)}</span>
+          </>
+        ) : (
+          <button
+            onClick={onStartRecording}
+            disabled={!canRecord}
+            className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg transition-colors">
+            ⏺ Record session
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CameraSettings
@@ -0,0 +1,145 @@
+import { COACHING_METRICS, DEFAULT_COACHING_CONFIG } from '../lib/coaching'
+import { isSpeechSupported } from '../lib/audio'
+
+// Audio coaching rules for this session, plus the cadence metronome. Cue
+// thresholds are the active profile's `ranges`, shown read-only.
+function CoachingSettings({ config, ranges, profileName, onChange, metronome, onMetronomeChange, lastCue }) {
+  const update = (changes) => onChange({ ...config, ...changes })
+  const updateRule = (index, changes) => update({
+    rules: config.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+  })
+
+  return (
+    <details className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        🔊 AUDIO COACHING · {config.enabled ? 'on' : 'off'}{metronome.enabled ? ` · ♩ ${metronome.spm} SPM` : ''}
+      </summary>
+
+      <div className="mt-2 space-y-2 text-xs text-gray-400">
+        {/* Metronome */}
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={metronome.enabled}
+              onChange={(e) => onMetronomeChange({ ...metronome, enabled: e.target.checked })}
+              className="accent-purple-500"
+            />
+            Metronome
+          </label>
+          <input
+            type="range"
+            min={140}
+            max={210}
+            step={1}
+            value={metronome.spm}
+            onChange={(e) => onMetronomeChange({ ...metronome, spm: Number(e.target.value) })}
+            className="flex-1 accent-purple-500"
+          />
+          <span className="w-16 text-right text-white">{metronome.spm} SPM</span>
+        </div>
+
+        {/* Cues */}
+        <div className="pt-2 border-t border-slate-700 flex items-center gap-3">
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={config.enabled}
+              onChange={(e) => update({ enabled: e.target.checked })}
+              className="accent-purple-500"
+            />
+            Coaching cues
+          </label>
+          <select
+            value={config.output}
+            onChange={(e) => update({ output: e.target.value })}
+            className="bg-slate-900 text-white rounded px-2 py-1">
+            <option value="voice" disabled={!isSpeechSupported()}>Spoken</option>
+            <option value="tone">Tones</option>
+          </select>
+        </div>
+
+        <div className="flex gap-3">
+          <label className="flex items-center gap-1">
+            Min gap
+            <input
+              type="number"
+              min={1}
+              value={config.minCueInterval}
+              onChange={(e) => update({ minCueInterval: Number(e.target.value) || 1 })}
+              className="w-12 bg-slate-900 text-white rounded px-1 text-right"
+            />
+            s
+          </label>
+          <label className="flex items-center gap-1">
+            Repeat after
+            <input
+              type="number"
+              min={1}
+              value={config.repeatInterval}
+              onChange={(e) => update({ repeatInterval: Number(e.target.value) || 1 })}
+              className="w-12 bg-slate-900 text-white rounded px-1 text-right"
+            />
+            s
+          </label>
+        </div>
+
+        <table className="w-full text-center">
+          <thead>
+            <tr className="text-purple-400">
+              <th className="text-left">Rule</th>
+              <th>Min</th>
+              <th>Max</th>
+              <th>Hold (s)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {config.rules.map((rule, index) => (
+              <tr key={rule.metric} className="text-white">
+                <td className="text-left">
+                  <label className="flex items-center gap-1 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled}
+                      onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                      className="accent-purple-500"
+                    />
+                    {COACHING_METRICS[rule.metric].label} ({COACHING_METRICS[rule.metric].unit})
+                  </label>
+                </td>
+                {['min', 'max'].map(bound => (
+                  <td key={bound} className="text-gray-300">{ranges[rule.metric]?.[bound] ?? '--'}</td>
+                ))}
+                <td>
+                  <input
+                    type="number"
+                    min={0}
+                    value={rule.holdSeconds}
+                    onChange={(e) => updateRule(index, { holdSeconds: Number(e.target.value) || 0 })}
+                    className="w-14 bg-slate-900 text-white rounded px-1 text-right"
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-[10px] text-gray-500">
+          Min and Max are the {profileName} profile&apos;s target ranges; edit them under Runner Profile.
+          Oscillation cues need calibration.
+        </p>
+
+        {lastCue && (
+          <p className="text-neon-yellow">Last cue: “{lastCue.message}”</p>
+        )}
+
+        <button
+          onClick={() => onChange({ ...DEFAULT_COACHING_CONFIG, enabled: config.enabled })}
+          className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg text-xs transition-colors">
+          Reset rules
+        </button>
+      </div>
+    </details>
+  )
+}
+
+export default CoachingSettings
@@ -0,0 +1,479 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { analyzeTimeline } from '../lib/biomechanics'
+import { getCalibrationKey, loadCalibration } from '../lib/calibration'
+import { alignGhost, compareRuns, cyclePhase, describeRun, listCycles, mapCycleTime } from '../lib/comparison'
+import { analyzeVideoFrames, findFrameIndex, resolveDuration, seekTo } from '../lib/offlineAnalysis'
+import { drawKeypoints, drawRunner, drawSkeleton } from '../lib/overlay'
+import { fromUprightKeypoints } from '../lib/roi'
+import { readSessionJson } from '../lib/sessionData'
+import { loadSession } from '../lib/sessionStore'
+import { pickTimelineRunner } from '../lib/timelineSeries'
+import { trackFrames } from '../lib/tracker'
+
+const SLOTS = [
+  { key: 'a', label: 'Before' },
+  { key: 'b', label: 'After' },
+]
+const EMPTY_SLOT = { name: null, url: null, timeline: null, calibration: null, progress: null, error: null, pending: null }
+const SYNC_SPEEDS = [0.25, 0.5, 1]
+const GHOST_COLOR = '#FF00FF'
+const MAX_DRIFT = 0.05 // Seconds the second clip may drift before it's re-seeked
+
+const TREND_CLASSES = { better: 'text-neon-green', worse: 'text-neon-red', same: 'text-gray-300' }
+
+const formatValue = (value, row) => (value == null ? '--' : `${value.toFixed(row.digits)}${row.unit === '°' ? '°' : ` ${row.unit}`}`)
+
+// Keypoints and facing of one runner at `time`
+const runnerAt = (run, time) => {
+  const frames = run.timeline.frames
+  const runner = frames[Math.max(0, findFrameIndex(frames, time))]?.runners[run.runnerId]
+  return runner ? { keypoints: runner.keypoints, facing: runner.metrics.facing } : null
+}
+
+// Before/after metric table coloured by the active profile
+function DeltaTable({ rows }) {
+  return (
+    <table className="w-full text-center">
+      <thead>
+        <tr className="text-purple-400">
+          <th className="text-left">Metric</th>
+          <th>Before</th>
+          <th>After</th>
+          <th>Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.key} className="text-white">
+            <td className="text-left text-gray-400">{row.label}</td>
+            <td>{formatValue(row.before, row)}</td>
+            <td>{formatValue(row.after, row)}</td>
+            <td className={TREND_CLASSES[row.trend] ?? 'text-gray-300'}>
+              {row.delta == null ? '--' : `${row.delta > 0 ? '+' : ''}${formatValue(row.delta, row)}`}
+              {row.percent != null && <span className="text-gray-500"> ({row.percent > 0 ? '+' : ''}{row.percent.toFixed(0)}%)</span>}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+// Source picker for one side: a video file (analysed here) or a saved session
+function SlotSource({ label, slot, sessions, disabled, onFile, onSession }) {
+  return (
+    <div className="flex-1 min-w-0 space-y-1">
+      <p className="text-purple-400 font-semibold">{label}</p>
+      <label className="block px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-center cursor-pointer transition-colors">
+        {slot.pending ? `Choose the video for “${slot.pending.title}”` : '📁 Choose video'}
+        <input
+          type="file"
+          accept="video/mp4,video/webm"
+          disabled={disabled}
+          onChange={(e) => onFile(e.target.files[0])}
+          className="hidden"
+        />
+      </label>
+      {sessions.length > 0 && (
+        <select
+          value=""
+          disabled={disabled}
+          onChange={(e) => e.target.value && onSession(e.target.value)}
+          className="w-full bg-slate-900 text-white rounded px-2 py-1">
+          <option value="">…or open a saved session</option>
+          {sessions.map(record => (
+            <option key={record.id} value={record.id}>
+              {record.title}{record.athlete ? ` · ${record.athlete}` : ''} · {new Date(record.createdAt).toLocaleDateString()}
+            </option>
+          ))}
+        </select>
+      )}
+      <p className="truncate text-gray-500">
+        {slot.name ?? 'Nothing loaded'}
+        {slot.progress != null && ` · analysing ${Math.round(slot.progress * 100)}%`}
+      </p>
+      {slot.error && <p className="text-neon-red">{slot.error}</p>}
+    </div>
+  )
+}
+
+// Before/after comparison: two clips aligned by gait cycle, played in sync
+// side by side or as a ghost skeleton, with a metric delta table. `rotation`
+// is the detector's (see createRoiDetector); `resetDetector` clears its
+// auto-follow state before each clip.
+function CompareView({ sessions, getDetector, resetDetector, modelId, rotation, filterOptions, profile }) {
+  const [slots, setSlots] = useState({ a: EMPTY_SLOT, b: EMPTY_SLOT })
+  const [view, setView] = useState('side') // 'side' or 'ghost'
+  const [side, setSide] = useState('left') // Foot whose contacts bound each cycle
+  const [cycleIndex, setCycleIndex] = useState({ a: null, b: null }) // null = middle cycle
+  const [speed, setSpeed] = useState(0.5)
+  const [playing, setPlaying] = useState(false)
+  const [phase, setPhase] = useState(0)
+
+  const videoRefs = { a: useRef(null), b: useRef(null) }
+  const canvasRefs = { a: useRef(null), b: useRef(null) }
+  const abortRef = useRef({}) // Slot key -> AbortController of its analysis
+  const queueRef = useRef(Promise.resolve()) // Analyses share the detector, one at a time
+  const urlsRef = useRef({})
+  const animationIdRef = useRef(null)
+  const syncRef = useRef(null) // Latest runs/cycles/view for the animation loop
+
+  // Runner and whole-clip metrics per loaded clip
+  const runs = useMemo(() => Object.fromEntries(SLOTS.map(({ key }) => {
+    const { timeline, calibration } = slots[key]
+    if (!timeline) return [key, null]
+    const runnerId = pickTimelineRunner(timeline.frames, [])
+    return [key, runnerId == null ? null : { timeline, runnerId, summary: describeRun(timeline, runnerId, calibration) }]
+  })), [slots])
+
+  const cycles = Object.fromEntries(SLOTS.map(({ key }) => {
+    const run = runs[key]
+    const list = run ? listCycles(run.timeline.frames, run.runnerId, side) : []
+    const index = Math.min(list.length - 1, cycleIndex[key] ?? Math.floor(list.length / 2))
+    return [key, { list, index, cycle: list[index] ?? null }]
+  }))
+  const ready = Boolean(cycles.a.cycle && cycles.b.cycle)
+  const rows = runs.a?.summary && runs.b?.summary ? compareRuns(runs.a.summary, runs.b.summary, profile) : []
+
+  useEffect(() => {
+    syncRef.current = { runs, a: cycles.a.cycle, b: cycles.b.cycle, view, speed, minScore: filterOptions.minScore }
+  })
+
+  // Stop playback and analyses, and release the clips, when leaving
+  useEffect(() => {
+    const controllers = abortRef.current
+    const urls = urlsRef.current
+    return () => {
+      cancelAnimationFrame(animationIdRef.current)
+      Object.values(controllers).forEach(controller => controller.abort())
+      Object.values(urls).forEach(url => URL.revokeObjectURL(url))
+    }
+  }, [])
+
+  const updateSlot = (key, changes) => setSlots(previous => ({ ...previous, [key]: { ...previous[key], ...changes } }))
+
+  const stopPlayback = () => {
+    cancelAnimationFrame(animationIdRef.current)
+    SLOTS.forEach(({ key }) => videoRefs[key].current?.pause())
+    setPlaying(false)
+  }
+
+  // `prepared` carries a saved session's analysis, so the model isn't re-run
+  const loadFile = (key, file, prepared = null) => {
+    if (!file) return
+    stopPlayback()
+    abortRef.current[key]?.abort()
+    if (urlsRef.current[key]) URL.revokeObjectURL(urlsRef.current[key])
+    urlsRef.current[key] = URL.createObjectURL(file)
+
+    setCycleIndex(previous => ({ ...previous, [key]: null }))
+    setSlots(previous => ({
+      ...previous,
+      [key]: {
+        ...EMPTY_SLOT,
+        name: prepared?.title ?? file.name,
+        url: urlsRef.current[key],
+        timeline: prepared?.timeline ?? null,
+        calibration: prepared ? prepared.calibration : loadCalibration(getCalibrationKey(file)),
+      },
+    }))
+  }
+
+  const loadSaved = async (key, id) => {
+    try {
+      const { record, analysis, video } = await loadSession(id)
+      const session = readSessionJson(analysis)
+      const prepared = {
+        title: record.title,
+        calibration: session.calibration ?? null,
+        timeline: {
+          frameRate: session.frameRate,
+          modelId: session.modelId,
+          rotation: session.rotation,
+          frames: analyzeTimeline(session.frames, session.filterOptions ?? filterOptions, {
+            view: session.cameraView ?? 'auto',
+            corrections: session.corrections,
+          }),
+        },
+      }
+      if (video) {
+        loadFile(key, new File([video], record.fileName ?? `${record.title}.webm`, { type: video.type }), prepared)
+      } else {
+        stopPlayback()
+        updateSlot(key, { ...EMPTY_SLOT, pending: prepared })
+      }
+    } catch (error) {
+      console.error('❌ Error opening session:', error)
+      updateSlot(key, { error: `Could not open session: ${error.message}` })
+    }
+  }
+
+  // Analyse a freshly loaded clip frame by frame
+  const analyzeSlot = (key, video) => {
+    const controller = new AbortController()
+    abortRef.current[key] = controller
+    updateSlot(key, { progress: 0, error: null })
+
+    queueRef.current = queueRef.current.then(async () => {
+      try {
+        await resetDetector()
+        const { frameRate, frames } = await analyzeVideoFrames(video, getDetector(), {
+          onProgress: progress => updateSlot(key, { progress }),
+          signal: controller.signal,
+        })
+        const timeline = { frameRate, modelId, rotation, frames: analyzeTimeline(trackFrames(frames), filterOptions) }
+        updateSlot(key, { timeline, progress: null })
+      } catch (error) {
+        if (error.name === 'AbortError') return
+        console.error('❌ Error analyzing video:', error)
+        updateSlot(key, { progress: null, error: `Analysis failed: ${error.message}` })
+      }
+    })
+  }
+
+  const handleVideoLoaded = async (key, video) => {
+    const canvas = canvasRefs[key].current
+    canvas.width = video.videoWidth
+    canvas.height = video.videoHeight
+    try {
+      await resolveDuration(video)
+    } catch (error) {
+      console.error('❌ Error loading video:', error)
+      updateSlot(key, { error: `Could not load video: ${error.message}` })
+      return
+    }
+    if (!slots[key].timeline) analyzeSlot(key, video)
+  }
+
+  // Draw both runners for the current moment; in ghost view the "after"
+  // skeleton is fitted onto the "before" runner
+  const drawFrame = (timeA, timeB) => {
+    const { runs: currentRuns, view: currentView, minScore } = syncRef.current
+    const runnerA = runnerAt(currentRuns.a, timeA)
+    const runnerB = runnerAt(currentRuns.b, timeB)
+
+    const rotationA = currentRuns.a.timeline.rotation
+    const ctxA = canvasRefs.a.current.getContext('2d')
+    ctxA.clearRect(0, 0, ctxA.canvas.width, ctxA.canvas.height)
+    if (runnerA) drawRunner(runnerA.keypoints, ctxA, { id: currentRuns.a.runnerId, analysed: true, minScore, rotation: rotationA })
+
+    if (currentView === 'ghost') {
+      const ghost = runnerA && runnerB
+        ? alignGhost(runnerB.keypoints, runnerA.keypoints, { flip: runnerA.facing !== runnerB.facing, minScore })
+        : null
+      if (ghost) {
+        const points = fromUprightKeypoints(ghost, ctxA.canvas, rotationA)
+        ctxA.globalAlpha = 0.7
+        drawSkeleton(points, ctxA, { color: GHOST_COLOR, lineWidth: 3, minScore })
+        drawKeypoints(points, ctxA, { color: GHOST_COLOR, minScore })
+        ctxA.globalAlpha = 1
+      }
+      return
+    }
+
+    const ctxB = canvasRefs.b.current.getContext('2d')
+    ctxB.clearRect(0, 0, ctxB.canvas.width, ctxB.canvas.height)
+    if (runnerB) {
+      drawRunner(runnerB.keypoints, ctxB, {
+        id: currentRuns.b.runnerId,
+        analysed: true,
+        minScore,
+        rotation: currentRuns.b.timeline.rotation,
+      })
+    }
+  }
+
+  // Playback loop: "before" is the master clock and loops its cycle; the
+  // "after" clip follows at the same phase of its own cycle
+  const syncFrame = () => {
+    const { a, b, view: currentView, speed: currentSpeed } = syncRef.current
+    const videoA = videoRefs.a.current
+    const videoB = videoRefs.b.current
+    if (!videoA || !videoB || !a || !b) return
+
+    if (videoA.currentTime >= a.end || videoA.currentTime < a.start) videoA.currentTime = a.start
+    const timeB = mapCycleTime(videoA.currentTime, a, b)
+    if (currentView === 'side') {
+      videoB.playbackRate = Math.min(16, Math.max(0.0625, currentSpeed * (b.end - b.start) / (a.end - a.start)))
+      if (Math.abs(videoB.currentTime - timeB) > MAX_DRIFT) videoB.currentTime = timeB
+    }
+
+    drawFrame(videoA.currentTime, timeB)
+    setPhase(cyclePhase(videoA.currentTime, a))
+    animationIdRef.current = requestAnimationFrame(syncFrame)
+  }
+
+  const play = () => {
+    const videoA = videoRefs.a.current
+    videoA.playbackRate = speed
+    videoA.play()
+    if (view === 'side') videoRefs.b.current.play()
+    setPlaying(true)
+    syncFrame()
+  }
+
+  // Show the same phase in both clips (paused)
+  const seekPhase = async (nextPhase, a = cycles.a.cycle, b = cycles.b.cycle, nextView = view) => {
+    stopPlayback()
+    setPhase(nextPhase)
+    if (!a || !b) return
+    const timeA = a.start + nextPhase * (a.end - a.start)
+    const timeB = mapCycleTime(timeA, a, b)
+    await Promise.all([
+      seekTo(videoRefs.a.current, timeA),
+      nextView === 'side' ? seekTo(videoRefs.b.current, timeB) : null,
+    ])
+    syncRef.current = { ...syncRef.current, a, b, view: nextView }
+    drawFrame(timeA, timeB)
+  }
+
+  const stepCycle = (key, direction) => {
+    const { list, index } = cycles[key]
+    const next = Math.min(list.length - 1, Math.max(0, index + direction))
+    setCycleIndex({ ...cycleIndex, [key]: next })
+    seekPhase(phase, key === 'a' ? list[next] : cycles.a.cycle, key === 'b' ? list[next] : cycles.b.cycle)
+  }
+
+  const busy = slots.a.progress != null || slots.b.progress != null
+
+  return (
+    <div className="w-full max-w-5xl space-y-4 flex flex-col items-center mb-8 text-xs text-gray-400">
+      <div className="w-full flex gap-4">
+        {SLOTS.map(({ key, label }) => (
+          <SlotSource
+            key={key}
+            label={label}
+            slot={slots[key]}
+            sessions={sessions}
+            disabled={slots[key].progress != null}
+            onFile={(file) => loadFile(key, file, slots[key].pending)}
+            onSession={(id) => loadSaved(key, id)}
+          />
+        ))}
+      </div>
+
+      {/* Clips: the "after" video stays mounted (hidden) in ghost view */}
+      <div className="w-full flex gap-4 justify-center">
+        {SLOTS.map(({ key }) => (
+          <div key={key} className={`relative flex-1 ${!slots[key].url || (view === 'ghost' && key === 'b') ? 'hidden' : ''}`}>
+            {slots[key].url && (
+              <video
+                ref={videoRefs[key]}
+                src={slots[key].url}
+                muted
+                playsInline
+                onLoadedMetadata={(e) => handleVideoLoaded(key, e.target)}
+                className="rounded-lg w-full"
+              />
+            )}
+            <canvas ref={canvasRefs[key]} className="absolute top-0 left-0 w-full h-full rounded-lg pointer-events-none" />
+          </div>
+        ))}
+      </div>
+
+      {ready ? (
+        <div className="w-full max-w-2xl bg-slate-800/40 rounded-lg p-3 border border-purple-700/30 space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={playing ? stopPlayback : play}
+              className="px-4 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-bold transition-colors">
+              {playing ? '⏸ Pause' : '▶ Play in sync'}
+            </button>
+            <select
+              value={view}
+              onChange={(e) => {
+                setView(e.target.value)
+                seekPhase(phase, cycles.a.cycle, cycles.b.cycle, e.target.value)
+              }}
+              className="bg-slate-900 text-white rounded px-2 py-1">
+              <option value="side">Side by side</option>
+              <option value="ghost">Ghost overlay</option>
+            </select>
+            <select
+              value={side}
+              onChange={(e) => {
+                stopPlayback()
+                setSide(e.target.value)
+                setCycleIndex({ a: null, b: null })
+              }}
+              className="bg-slate-900 text-white rounded px-2 py-1">
+              <option value="left">Cycles from left contact</option>
+              <option value="right">Cycles from right contact</option>
+            </select>
+            <select
+              value={speed}
+              disabled={playing}
+              onChange={(e) => setSpeed(Number(e.target.value))}
+              className="bg-slate-900 text-white rounded px-2 py-1">
+              {SYNC_SPEEDS.map(value => (
+                <option key={value} value={value}>{value}x</option>
+              ))}
+            </select>
+          </div>
+
+          <label className="flex items-center gap-2">
+            <span className="w-16">Phase</span>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.01}
+              value={phase}
+              onChange={(e) => seekPhase(Number(e.target.value))}
+              className="flex-1 accent-purple-500"
+            />
+            <span className="w-10 text-right text-white">{Math.round(phase * 100)}%</span>
+          </label>
+
+          <div className="flex gap-4">
+            {SLOTS.map(({ key, label }) => {
+              const { list, index, cycle } = cycles[key]
+              return (
+                <div key={key} className="flex-1 flex items-center gap-2">
+                  <span className="text-purple-400">{label}</span>
+                  <button
+                    onClick={() => stepCycle(key, -1)}
+                    disabled={index <= 0}
+                    className="px-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded transition-colors">
+                    ‹
+                  </button>
+                  <span>cycle {index + 1}/{list.length} · {cycle.start.toFixed(2)}–{cycle.end.toFixed(2)}s</span>
+                  <button
+                    onClick={() => stepCycle(key, 1)}
+                    disabled={index >= list.length - 1}
+                    className="px-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded transition-colors">
+                    ›
+                  </button>
+                </div>
+              )
+            })}
+          </div>
+          {view === 'ghost' && (
+            <p>
+              <span style={{ color: GHOST_COLOR }}>■</span> After, scaled to the before runner&apos;s torso and pinned at the hips
+            </p>
+          )}
+        </div>
+      ) : (
+        <p className="text-center text-gray-500">
+          {busy
+            ? 'Analysing…'
+            : runs.a && runs.b
+              ? `Both clips need at least one complete ${side} gait cycle`
+              : 'Load a before and an after clip to compare them'}
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <div className="w-full max-w-2xl bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+          <p className="text-purple-400 font-semibold mb-2">
+            WHOLE-CLIP CHANGE{profile ? ` · rated against ${profile.name}` : ''}
+          </p>
+          <DeltaTable rows={rows} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CompareView
@@ -0,0 +1,67 @@
+import { useRef, useState } from 'react'
+
+const EXPORTS = [
+  { kind: 'json', label: 'JSON (full)' },
+  { kind: 'frames', label: 'Frames CSV' },
+  { kind: 'contacts', label: 'Gait events CSV' },
+  { kind: 'strides', label: 'Strides CSV' },
+]
+
+// Download the analysis as JSON/CSV, or reload a JSON export
+function DataExportPanel({ canExport, onExport, onImport }) {
+  const [importError, setImportError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const importFile = async (file) => {
+    if (!file) return
+    setImportError(null)
+    try {
+      await onImport(file)
+    } catch (error) {
+      setImportError(error.message)
+    }
+    fileInputRef.current.value = ''
+  }
+
+  return (
+    <details className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        💾 SESSION DATA
+      </summary>
+
+      <div className="mt-2 space-y-2 text-xs text-gray-400">
+        <div className="flex flex-wrap gap-2">
+          {EXPORTS.map(({ kind, label }) => (
+            <button
+              key={kind}
+              onClick={() => onExport(kind)}
+              disabled={!canExport}
+              className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg transition-colors">
+              ⬇ {label}
+            </button>
+          ))}
+        </div>
+        {!canExport && <p className="text-neon-yellow">Analyze the full video first</p>}
+
+        <div className="pt-2 border-t border-slate-700 flex items-center gap-2">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors">
+            ⬆ Import JSON
+          </button>
+          <span>Reloads an exported analysis onto this video without re-running the model</span>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={(e) => importFile(e.target.files[0])}
+            className="hidden"
+          />
+        </div>
+        {importError && <p className="text-neon-red">Import failed: {importError}</p>}
+      </div>
+    </details>
+  )
+}
+
+export default DataExportPanel
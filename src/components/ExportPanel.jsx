@@ -0,0 +1,151 @@
+import { useEffect, useRef, useState } from 'react'
+import { DEFAULT_EXPORT_OVERLAYS, EXPORT_OVERLAYS } from '../lib/videoExport'
+
+const EXPORT_SPEEDS = [0.25, 0.5, 1]
+
+// Annotated video export: time range, speed and overlay choice
+function ExportPanel({ duration, loop, canExport, onExport }) {
+  const [range, setRange] = useState({ start: 0, end: duration })
+  const [speed, setSpeed] = useState(1)
+  const [overlays, setOverlays] = useState(DEFAULT_EXPORT_OVERLAYS)
+  const [progress, setProgress] = useState(null)
+  const [result, setResult] = useState(null) // { url, filename }
+  const [error, setError] = useState(null)
+  const abortRef = useRef(null)
+
+  // Release the previous download when a new one replaces it
+  useEffect(() => () => {
+    if (result) URL.revokeObjectURL(result.url)
+  }, [result])
+
+  const runExport = async () => {
+    const controller = new AbortController()
+    abortRef.current = controller
+    setError(null)
+    setResult(null)
+    setProgress(0)
+
+    try {
+      const blob = await onExport({
+        start: range.start,
+        end: Math.min(range.end, duration),
+        speed,
+        overlays,
+        onProgress: setProgress,
+        signal: controller.signal,
+      })
+      const extension = blob.type === 'video/mp4' ? 'mp4' : 'webm'
+      setResult({ url: URL.createObjectURL(blob), filename: `runform-annotated.${extension}` })
+    } catch (exportError) {
+      if (exportError.name !== 'AbortError') setError(exportError.message)
+    } finally {
+      abortRef.current = null
+      setProgress(null)
+    }
+  }
+
+  const busy = progress !== null
+  const valid = range.end > range.start
+
+  return (
+    <details className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        🎬 EXPORT ANNOTATED VIDEO
+      </summary>
+
+      <div className="mt-2 space-y-2 text-xs text-gray-400">
+        {!canExport && (
+          <p className="text-neon-yellow">Analyze the full video first</p>
+        )}
+
+        <div className="flex items-center gap-2">
+          <span className="w-16 text-left">Range (s)</span>
+          {['start', 'end'].map(bound => (
+            <input
+              key={bound}
+              type="number"
+              min={0}
+              max={duration}
+              step={0.1}
+              value={Number(range[bound].toFixed(2))}
+              disabled={busy}
+              onChange={(e) => setRange({ ...range, [bound]: Number(e.target.value) })}
+              className="w-20 bg-slate-900 text-white rounded px-1 text-right"
+            />
+          ))}
+          <button
+            onClick={() => setRange({ start: loop.a, end: loop.b })}
+            disabled={busy || loop.a == null || loop.b == null}
+            className="px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded transition-colors">
+            Use A/B
+          </button>
+          <button
+            onClick={() => setRange({ start: 0, end: duration })}
+            disabled={busy}
+            className="px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded transition-colors">
+            Whole clip
+          </button>
+        </div>
+
+        <label className="flex items-center gap-2">
+          <span className="w-16 text-left">Speed</span>
+          <select
+            value={speed}
+            disabled={busy}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="bg-slate-900 text-white rounded px-2 py-1">
+            {EXPORT_SPEEDS.map(value => (
+              <option key={value} value={value}>{value === 1 ? 'Real time' : `${value}x slow-mo`}</option>
+            ))}
+          </select>
+        </label>
+
+        <div className="flex flex-wrap gap-3">
+          {EXPORT_OVERLAYS.map(({ key, label }) => (
+            <label key={key} className="flex items-center gap-1 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={overlays[key]}
+                disabled={busy}
+                onChange={(e) => setOverlays({ ...overlays, [key]: e.target.checked })}
+                className="accent-purple-500"
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2">
+          {busy ? (
+            <>
+              <span>Recording… {Math.round(progress * 100)}%</span>
+              <button
+                onClick={() => abortRef.current?.abort()}
+                className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors">
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={runExport}
+              disabled={!canExport || !valid}
+              className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg transition-colors">
+              Export WebM
+            </button>
+          )}
+          {result && (
+            <a href={result.url} download={result.filename} className="text-neon-green underline">
+              ⬇ Download
+            </a>
+          )}
+        </div>
+        <p className="text-[10px] text-gray-500">
+          Export runs in real time ({speed < 1 ? `${Math.round(1 / speed)}× the range length` : 'as long as the range'}); keep this tab visible.
+        </p>
+        {error && <p className="text-neon-red">{error}</p>}
+      </div>
+    </details>
+  )
+}
+
+export default ExportPanel
@@ -0,0 +1,43 @@
+import { DEFAULT_FILTER_OPTIONS } from '../lib/keypointFilter'
+
+const FIELDS = [
+  { key: 'minScore', label: 'Confidence gate', min: 0.1, max: 0.8, step: 0.05, format: v => v.toFixed(2) },
+  { key: 'minCutoff', label: 'Smoothing (Hz, lower = smoother)', min: 0.1, max: 5, step: 0.1, format: v => v.toFixed(1) },
+  { key: 'beta', label: 'Responsiveness', min: 0, max: 0.2, step: 0.005, format: v => v.toFixed(3) },
+  { key: 'maxGapSeconds', label: 'Max gap filled (s)', min: 0, max: 1, step: 0.05, format: v => v.toFixed(2) },
+]
+
+// Tuning for the keypoint smoothing / confidence gating stage
+function FilterSettings({ options, onChange }) {
+  return (
+    <details className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        🎛 KEYPOINT FILTER
+      </summary>
+      <div className="mt-2 space-y-2">
+        {FIELDS.map(({ key, label, min, max, step, format }) => (
+          <label key={key} className="flex items-center gap-2 text-xs text-gray-400">
+            <span className="w-48 text-left">{label}</span>
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={options[key]}
+              onChange={(e) => onChange({ ...options, [key]: Number(e.target.value) })}
+              className="flex-1 accent-purple-500"
+            />
+            <span className="w-12 text-right text-white">{format(options[key])}</span>
+          </label>
+        ))}
+        <button
+          onClick={() => onChange(DEFAULT_FILTER_OPTIONS)}
+          className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg text-xs transition-colors">
+          Reset to defaults
+        </button>
+      </div>
+    </details>
+  )
+}
+
+export default FilterSettings
@@ -0,0 +1,106 @@
+import { formatClipTime, formatMeasure, formatTarget, scoreLevel } from '../lib/formReport'
+
+const LEVEL_CLASSES = { good: 'text-neon-green', fair: 'text-neon-yellow', poor: 'text-neon-red' }
+
+const MAX_ISSUES = 5
+
+// Composite form score, sub-scores and the top issues of the analysed clip,
+// with drills, jump-to moments and a printable export
+function FormReport({ report, exporting, error, onSeek, onExport }) {
+  const issues = report?.issues.slice(0, MAX_ISSUES) ?? []
+
+  return (
+    <details className="w-full max-w-2xl bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        📋 FORM REPORT{report?.score != null ? ` · ${report.score}/100` : ''}
+      </summary>
+
+      {!report ? (
+        <p className="mt-2 text-xs text-neon-yellow">Analyze the full video to generate a report</p>
+      ) : (
+        <div className="mt-2 space-y-3 text-xs text-gray-400">
+          <div className="flex items-center gap-4">
+            <div className="text-center">
+              <p className={`text-4xl font-bold ${LEVEL_CLASSES[scoreLevel(report.score)] ?? 'text-gray-400'}`}>
+                {report.score ?? '--'}
+              </p>
+              <p>overall</p>
+            </div>
+            <div className="flex-1 grid grid-cols-2 sm:grid-cols-3 gap-1">
+              {report.categories.map(category => (
+                <div key={category.key} className="bg-slate-900/60 rounded px-2 py-1 flex justify-between">
+                  <span>{category.label}</span>
+                  <span className={`font-bold ${LEVEL_CLASSES[scoreLevel(category.score)] ?? 'text-gray-500'}`}>
+                    {category.score ?? '--'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {issues.length > 0 ? (
+            <ol className="space-y-2">
+              {issues.map((issue, i) => (
+                <li key={issue.key} className="p-2 rounded border border-slate-700">
+                  <p className="text-white font-semibold">
+                    {i + 1}. {issue.title}
+                    <span className={`ml-2 uppercase text-[10px] ${LEVEL_CLASSES[issue.level]}`}>{issue.level}</span>
+                  </p>
+                  <p className="text-[10px] text-gray-500">
+                    {issue.label}: {formatMeasure(issue.value, issue.unit, issue.digits)}
+                    {issue.sides && ` (L ${formatMeasure(issue.sides.left, '', 0)} / R ${formatMeasure(issue.sides.right, '', 0)})`}
+                    {' · '}target {formatTarget(issue.range, issue.unit)} · score {issue.score}
+                  </p>
+                  <p className="mt-1">{issue.explanation}</p>
+                  <ul className="mt-1 list-disc list-inside text-gray-300">
+                    {issue.drills.map(drill => <li key={drill}>{drill}</li>)}
+                  </ul>
+                  {issue.moments.length > 0 && (
+                    <p className="mt-1 flex items-center gap-1">
+                      See it at
+                      {issue.moments.map(t => (
+                        <button
+                          key={t}
+                          onClick={() => onSeek(t)}
+                          className="px-2 py-0.5 bg-slate-700 hover:bg-slate-600 text-white rounded font-mono transition-colors">
+                          {formatClipTime(t)}
+                        </button>
+                      ))}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p className="text-neon-green">Every measure is inside the {report.profileName} targets</p>
+          )}
+          {report.issues.length > MAX_ISSUES && (
+            <p className="text-[10px] text-gray-500">{report.issues.length - MAX_ISSUES} smaller issues are listed in the exported report</p>
+          )}
+
+          <div className="pt-2 border-t border-slate-700 flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => onExport('html')}
+              disabled={exporting}
+              className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg transition-colors">
+              ⬇ Printable HTML
+            </button>
+            <button
+              onClick={() => onExport('print')}
+              disabled={exporting}
+              className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded-lg transition-colors">
+              🖨 Print / save as PDF
+            </button>
+            {exporting && <span className="animate-pulse">Capturing frames…</span>}
+          </div>
+          {error && <p className="text-neon-red">{error}</p>}
+          <p className="text-[10px] text-gray-500">
+            Scores compare the whole clip with the {report.profileName} profile: 100 inside each target range, less the further out.
+          </p>
+        </div>
+      )}
+    </details>
+  )
+}
+
+export default FormReport
@@ -0,0 +1,149 @@
+import { formatLength } from '../lib/calibration'
+import { FRONTAL_LIMITS, rateFrontal } from '../lib/frontalPlane'
+import { classifyMetric } from '../lib/profiles'
+import { formatStat } from '../lib/strides'
+import ArmSwingPanel from './ArmSwingPanel'
+
+const LEVEL_COLORS = {
+  good: 'text-neon-green',
+  fair: 'text-neon-yellow',
+  poor: 'text-neon-red',
+}
+
+const VIEW_LABELS = { front: 'Front view', rear: 'Rear view' }
+
+const colorOf = (level) => LEVEL_COLORS[level] ?? 'text-gray-400'
+const formatAngle = (degrees) => (degrees == null ? '--' : `${degrees.toFixed(1)}°`)
+const formatMs = (seconds) => (seconds == null ? '--' : `${Math.round(seconds * 1000)}ms`)
+
+// Frontal-plane HUD for front and rear camera views: per-stance pelvic drop
+// and knee valgus, foot placement and trunk sway, hands crossing the midline,
+// plus the timing metrics that don't depend on the view
+function FrontalHud({ metrics, calibration, asymmetryThreshold, profile, title, accentColor }) {
+  const current = metrics?.frontal?.current ?? null
+  const steps = metrics?.frontal?.steps ?? null
+  const gait = metrics?.gait ?? null
+  const oscillation = metrics?.verticalOscillation ?? null
+  const lengthUnit = calibration ? 'cm' : 'px'
+  const lengthScale = calibration?.cmPerPx ?? 1
+  const lengthDigits = calibration ? 1 : 0
+
+  const cadenceColor = colorOf(classifyMetric(gait?.cadence || null, profile?.ranges.cadence)?.level)
+  const crossoverColor = colorOf(rateFrontal('crossoverRate', steps?.crossoverRate))
+  const swayColor = colorOf(rateFrontal('trunkSway', steps?.trunkSway?.mean))
+
+  // "L · R": mean ± SD per stance side once steps are in, else this frame's value
+  const sidePair = (key, currentValues) => {
+    const sideValue = (side) => {
+      const stat = steps?.[side][key]
+      return (
+        <span className={colorOf(rateFrontal(key, stat?.mean ?? null))}>
+          {side === 'left' ? 'L' : 'R'} {stat ? formatStat(stat, '°', 1, 1) : formatAngle(currentValues?.[side] ?? null)}
+        </span>
+      )
+    }
+    return <>{sideValue('left')}{' · '}{sideValue('right')}</>
+  }
+
+  return (
+    <div className="mt-6 bg-slate-800/40 rounded-lg p-4 border border-purple-700/30 max-w-4xl">
+      <h2
+        className="text-lg text-purple-400 mb-1 text-center font-semibold"
+        style={accentColor ? { color: accentColor } : undefined}>
+        {title}
+      </h2>
+      <p className="text-xs text-gray-500 mb-3 text-center">{VIEW_LABELS[metrics.view]} · frontal plane</p>
+
+      <div className="grid grid-cols-2 gap-2.5">
+        {/* Pelvic Drop */}
+        <div className="text-center bg-slate-800/20 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">PELVIC DROP</p>
+          <p className="text-sm font-bold">
+            {steps ? sidePair('pelvicDrop') : (
+              <span className="text-green-400">Tilt {formatAngle(current?.pelvicTilt ?? null)}</span>
+            )}
+          </p>
+          <p className="text-xs text-gray-400 mt-1">
+            {steps ? 'Opposite hip, standing on each foot' : 'Left hip lower is positive'}
+          </p>
+        </div>
+
+        {/* Knee Valgus */}
+        <div className="text-center bg-slate-800/20 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">KNEE VALGUS</p>
+          <p className="text-sm font-bold">
+            {sidePair('kneeValgus', current?.kneeValgus)}
+          </p>
+          <p className="text-xs text-gray-400 mt-1">
+            {steps ? 'Peak collapse during stance' : 'Inwards is positive'}
+          </p>
+        </div>
+
+        {/* Step Width & Crossover */}
+        <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">STEP WIDTH</p>
+          <p className="text-xl font-bold text-green-400">
+            {formatStat(steps?.stepWidth, lengthUnit, lengthScale, lengthDigits)}
+          </p>
+          <p className={`text-xs mt-1 ${crossoverColor}`}>
+            {steps?.crossoverRate == null
+              ? 'Waiting for foot contacts…'
+              : steps.crossoverRate > 0 ? `Crossover on ${steps.crossoverRate}% of landings` : 'No crossover'}
+          </p>
+        </div>
+
+        {/* Trunk Sway */}
+        <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">TRUNK SWAY</p>
+          <p className={`text-xl font-bold ${steps?.trunkSway ? swayColor : 'text-green-400'}`}>
+            {steps?.trunkSway ? formatStat(steps.trunkSway, '°', 1, 1) : formatAngle(current?.trunkLean ?? null)}
+          </p>
+          <p className="text-xs text-gray-400 mt-1">
+            {steps?.trunkSway
+              ? `Pelvis shift ${formatStat(steps.lateralShift, lengthUnit, lengthScale, lengthDigits)}`
+              : 'Sideways lean, left is positive'}
+          </p>
+        </div>
+      </div>
+
+      {steps && (
+        <p className="mt-2 text-center text-xs text-gray-500">
+          Mean ± SD over {steps.count} steps
+        </p>
+      )}
+
+      {/* Timing - the same from any angle */}
+      <div className="grid grid-cols-4 gap-2.5 mt-2.5">
+        <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">CADENCE</p>
+          <p className={`text-xl font-bold ${cadenceColor}`}>{gait?.cadence || 0} SPM</p>
+        </div>
+        {[
+          { label: 'CONTACT', key: 'contactTime' },
+          { label: 'FLIGHT', key: 'flightTime' },
+        ].map(({ label, key }) => (
+          <div key={key} className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+            <p className="text-xs text-purple-400 mb-1">{label}</p>
+            <p className="text-sm font-bold text-green-400">
+              L {formatMs(gait?.left[key])} · R {formatMs(gait?.right[key])}
+            </p>
+          </div>
+        ))}
+        <div className="text-center bg-slate-800/15 p-2.5 rounded-lg">
+          <p className="text-xs text-purple-400 mb-1">VERT. OSC.</p>
+          <p className="text-xl font-bold text-green-400">{formatLength(oscillation, calibration)}</p>
+        </div>
+      </div>
+
+      {/* Arm Swing */}
+      <ArmSwingPanel arms={metrics.arms} sagittal={false} asymmetryThreshold={asymmetryThreshold} />
+
+      <p className="mt-3 text-center text-xs text-gray-500">
+        Targets: pelvic drop ≤{FRONTAL_LIMITS.pelvicDrop[0]}° · knee valgus ≤{FRONTAL_LIMITS.kneeValgus[0]}°
+        {' · '}trunk sway ≤{FRONTAL_LIMITS.trunkSway[0]}° · crossover on ≤{FRONTAL_LIMITS.crossoverRate[0]}% of landings
+      </p>
+    </div>
+  )
+}
+
+export default FrontalHud
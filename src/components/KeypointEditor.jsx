@@ -0,0 +1,148 @@
+import { useState } from 'react'
+import { countCorrections, isExcluded, isSwapped } from '../lib/keypointCorrections'
+
+// Fix mislabelled keypoints by hand: drag points on the paused frame, swap
+// left/right or exclude frames over a time range. `frameIndex` and `time`
+// are the shown frame; an image (`isStill`) only supports dragging and swap.
+function KeypointEditor({
+  editing,
+  canEdit,
+  isStill,
+  frameIndex,
+  time,
+  runnerId,
+  corrections,
+  loop,
+  onToggle,
+  onSwap,
+  onExclude,
+  onResetFrame,
+  onResetAll,
+}) {
+  const [range, setRange] = useState({ start: 0, end: 0 })
+
+  const counts = countCorrections(corrections)
+  const swapped = runnerId != null && isSwapped(corrections, frameIndex, runnerId)
+  const excluded = runnerId != null && isExcluded(corrections, frameIndex, runnerId)
+  const from = isStill ? 0 : range.start
+  const to = isStill ? 0 : range.end
+  const ready = editing && runnerId != null
+
+  return (
+    <details className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        ✏️ KEYPOINT CORRECTIONS
+        {counts.moved + counts.swapped + counts.excluded > 0
+          ? ` · ${counts.moved} moved · ${counts.swapped} swapped · ${counts.excluded} excluded`
+          : ''}
+      </summary>
+
+      <div className="mt-2 space-y-2 text-xs text-gray-400">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onToggle(!editing)}
+            disabled={!canEdit && !editing}
+            className={`px-3 py-1 rounded-lg transition-colors disabled:opacity-40 ${editing
+              ? 'bg-purple-600 hover:bg-purple-700 text-white'
+              : 'bg-slate-700 hover:bg-slate-600 text-white'
+              }`}>
+            {editing ? '✓ Done editing' : '✏️ Edit keypoints'}
+          </button>
+          {editing && (
+            <span>
+              {isStill ? 'Image' : `Frame ${frameIndex} · ${time.toFixed(2)}s`}
+              {runnerId != null && ` · runner #${runnerId}`}
+              {swapped && <span className="text-neon-yellow"> · L/R swapped</span>}
+              {excluded && <span className="text-neon-red"> · excluded</span>}
+            </span>
+          )}
+        </div>
+        {!canEdit && !editing && (
+          <p className="text-neon-yellow">
+            {isStill ? 'Waiting for a detection' : 'Analyze the full video and pause it first'}
+          </p>
+        )}
+        {editing && (
+          <p className="text-[10px] text-gray-500">
+            Drag a ringed keypoint to where it belongs; dashed rings are below the confidence gate.
+            Moved points are drawn in magenta.
+          </p>
+        )}
+
+        {!isStill && (
+          <div className="flex items-center gap-2">
+            <span className="w-16 text-left">Range (s)</span>
+            {['start', 'end'].map(bound => (
+              <input
+                key={bound}
+                type="number"
+                min={0}
+                step={0.01}
+                value={Number(range[bound].toFixed(2))}
+                disabled={!ready}
+                onChange={(e) => setRange({ ...range, [bound]: Number(e.target.value) })}
+                className="w-20 bg-slate-900 text-white rounded px-1 text-right"
+              />
+            ))}
+            <button
+              onClick={() => setRange({ start: time, end: time })}
+              disabled={!ready}
+              className="px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded transition-colors">
+              This frame
+            </button>
+            <button
+              onClick={() => setRange({ start: loop.a, end: loop.b })}
+              disabled={!ready || loop.a == null || loop.b == null}
+              className="px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded transition-colors">
+              Use A/B
+            </button>
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => onSwap(from, to)}
+            disabled={!ready}
+            title="Exchange the left and right keypoints; swapping again restores them"
+            className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded-lg transition-colors">
+            ⇄ Swap L/R
+          </button>
+          {!isStill && (
+            <>
+              <button
+                onClick={() => onExclude(from, to, true)}
+                disabled={!ready}
+                title="Treat the frames as missed detections, bridged from their neighbours"
+                className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded-lg transition-colors">
+                🚫 Exclude
+              </button>
+              <button
+                onClick={() => onExclude(from, to, false)}
+                disabled={!ready}
+                className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded-lg transition-colors">
+                Include
+              </button>
+            </>
+          )}
+          <button
+            onClick={onResetFrame}
+            disabled={!ready}
+            className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded-lg transition-colors">
+            ↺ Reset {isStill ? 'image' : 'frame'}
+          </button>
+          <button
+            onClick={onResetAll}
+            disabled={counts.moved + counts.swapped + counts.excluded === 0}
+            className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded-lg transition-colors">
+            Reset all
+          </button>
+        </div>
+        <p className="text-[10px] text-gray-500">
+          Metrics, gait events and the saved session are recomputed from the corrected keypoints.
+        </p>
+      </div>
+    </details>
+  )
+}
+
+export default KeypointEditor
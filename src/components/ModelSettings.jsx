@@ -0,0 +1,145 @@
+import { useRef, useState } from 'react'
+import { benchmarkModels } from '../lib/benchmark'
+import { BACKENDS, POSE_MODELS } from '../lib/poseModels'
+
+// Pose model / tfjs backend picker with a per-model benchmark on the current
+// clip; `locked` keeps the model while a batch analysis uses it. The
+// benchmark seeks the page's video, so it also waits for a full analysis
+// (`analyzing`).
+function ModelSettings({
+  modelId,
+  backend,
+  activeBackend,
+  loading,
+  locked,
+  analyzing,
+  onModelChange,
+  onBackendChange,
+  getBenchmarkSource,
+}) {
+  const [benchmarkProgress, setBenchmarkProgress] = useState(null)
+  const [benchmarkResults, setBenchmarkResults] = useState(null)
+  const [benchmarkError, setBenchmarkError] = useState(null)
+  const abortRef = useRef(null)
+
+  const runBenchmark = async () => {
+    const source = getBenchmarkSource()
+    if (!source) {
+      setBenchmarkError('Load a video or image first')
+      return
+    }
+
+    const controller = new AbortController()
+    abortRef.current = controller
+    setBenchmarkError(null)
+    setBenchmarkProgress(0)
+
+    try {
+      setBenchmarkResults(await benchmarkModels(source, {
+        onProgress: setBenchmarkProgress,
+        signal: controller.signal,
+      }))
+    } catch (error) {
+      if (error.name !== 'AbortError') setBenchmarkError(error.message)
+    } finally {
+      abortRef.current = null
+      setBenchmarkProgress(null)
+    }
+  }
+
+  return (
+    <details className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        🧠 POSE MODEL · {POSE_MODELS[modelId].label} · {loading ? 'loading…' : activeBackend}
+      </summary>
+
+      <div className="mt-2 space-y-2 text-xs text-gray-400">
+        <label className="flex items-center gap-2">
+          <span className="w-16 text-left">Model</span>
+          <select
+            value={modelId}
+            disabled={loading || locked}
+            onChange={(e) => onModelChange(e.target.value)}
+            className="flex-1 bg-slate-900 text-white rounded px-2 py-1">
+            {Object.entries(POSE_MODELS).map(([id, model]) => (
+              <option key={id} value={id}>{model.label} — {model.description}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="w-16 text-left">Backend</span>
+          <select
+            value={backend}
+            disabled={loading || locked}
+            onChange={(e) => onBackendChange(e.target.value)}
+            className="flex-1 bg-slate-900 text-white rounded px-2 py-1">
+            {BACKENDS.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        {locked && <p className="text-neon-yellow">The model can be changed once the batch analysis finishes</p>}
+        {!loading && activeBackend && activeBackend !== backend && (
+          <p className="text-neon-yellow">
+            {backend} unavailable · fell back to {activeBackend}
+          </p>
+        )}
+
+        {/* Benchmark */}
+        <div className="pt-2 border-t border-slate-700">
+          <div className="flex items-center gap-2">
+            <button
+              onClick={runBenchmark}
+              disabled={benchmarkProgress !== null || loading || locked || analyzing}
+              className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg transition-colors">
+              📊 Benchmark models on this clip
+            </button>
+            {benchmarkProgress !== null && (
+              <>
+                <span>{Math.round(benchmarkProgress * 100)}%</span>
+                <button
+                  onClick={() => abortRef.current?.abort()}
+                  className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors">
+                  Cancel
+                </button>
+              </>
+            )}
+          </div>
+          {benchmarkError && <p className="text-neon-red mt-1">{benchmarkError}</p>}
+          {benchmarkResults && (
+            <table className="w-full mt-2 text-center">
+              <thead>
+                <tr className="text-purple-400">
+                  <th className="text-left">Model</th>
+                  <th>ms</th>
+                  <th>FPS</th>
+                  <th>Conf.</th>
+                  <th>Detected</th>
+                </tr>
+              </thead>
+              <tbody>
+                {benchmarkResults.map(result => (
+                  <tr key={result.modelId} className="text-white">
+                    <td className="text-left">{POSE_MODELS[result.modelId].label}</td>
+                    {result.error ? (
+                      <td colSpan={4} className="text-neon-red">{result.error}</td>
+                    ) : (
+                      <>
+                        <td>{result.meanMs.toFixed(0)}</td>
+                        <td>{result.fps.toFixed(1)}</td>
+                        <td>{result.meanScore.toFixed(2)}</td>
+                        <td>{Math.round(result.detectionRate * 100)}%</td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </details>
+  )
+}
+
+export default ModelSettings
@@ -0,0 +1,20 @@
+const formatMs = (ms) => (ms == null ? '--' : `${Math.round(ms)}ms`)
+
+// Live throughput in the corner of the video: processed frames per second,
+// model inference time and frame-to-result latency
+function PerfReadout({ perf, inWorker, backend }) {
+  const fpsClass = perf?.fps == null ? 'text-gray-400' : perf.fps >= 20 ? 'text-neon-green' : perf.fps >= 10 ? 'text-neon-yellow' : 'text-neon-red'
+
+  return (
+    <div className="absolute top-2 right-2 px-2 py-1 rounded bg-slate-900/75 text-[10px] font-mono text-gray-300 pointer-events-none text-right">
+      <p>
+        <span className={fpsClass}>{perf?.fps == null ? '--' : perf.fps.toFixed(1)} FPS</span>
+        {' · '}inference {formatMs(perf?.detectMs)}
+        {' · '}latency {formatMs(perf?.latencyMs)}
+      </p>
+      <p className="text-gray-500">{inWorker ? 'worker' : 'main thread'} · {backend}</p>
+    </div>
+  )
+}
+
+export default PerfReadout
@@ -0,0 +1,111 @@
+import { useState } from 'react'
+import { DEFAULT_PROFILE_ID, DEFAULT_PROFILES, PROFILE_METRICS } from '../lib/profiles'
+
+const numberOrNull = (value) => (value === '' ? null : Number(value))
+
+// Runner profile picker and target-range editor
+function ProfileSettings({ profiles, activeId, onSelect, onChange }) {
+  const [newName, setNewName] = useState('')
+  const profile = profiles[activeId]
+
+  const updateRange = (key, changes) => onChange({
+    ...profiles,
+    [activeId]: {
+      ...profile,
+      ranges: { ...profile.ranges, [key]: { ...profile.ranges[key], ...changes } },
+    },
+  })
+
+  const duplicate = () => {
+    const name = newName.trim()
+    if (!name) return
+    const id = `custom-${Date.now()}`
+    onChange({ ...profiles, [id]: { name, builtIn: false, ranges: profile.ranges } })
+    onSelect(id)
+    setNewName('')
+  }
+
+  const remove = () => {
+    const rest = { ...profiles }
+    delete rest[activeId]
+    onSelect(DEFAULT_PROFILE_ID)
+    onChange(rest)
+  }
+
+  return (
+    <details className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        🎯 RUNNER PROFILE · {profile.name}
+      </summary>
+
+      <div className="mt-2 space-y-2 text-xs text-gray-400">
+        <select
+          value={activeId}
+          onChange={(e) => onSelect(e.target.value)}
+          className="w-full bg-slate-900 text-white rounded px-2 py-1">
+          {Object.entries(profiles).map(([id, { name }]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+
+        <table className="w-full text-center">
+          <thead>
+            <tr className="text-purple-400">
+              <th className="text-left">Target</th>
+              <th>Min</th>
+              <th>Max</th>
+            </tr>
+          </thead>
+          <tbody>
+            {PROFILE_METRICS.map(({ key, label, unit }) => (
+              <tr key={key} className="text-white">
+                <td className="text-left text-gray-400">{label} ({unit})</td>
+                {['min', 'max'].map(bound => (
+                  <td key={bound}>
+                    <input
+                      type="number"
+                      value={profile.ranges[key]?.[bound] ?? ''}
+                      onChange={(e) => updateRange(key, { [bound]: numberOrNull(e.target.value) })}
+                      className="w-16 bg-slate-900 text-white rounded px-1 text-right"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex gap-2 items-center">
+          <input
+            type="text"
+            placeholder="New profile name"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            className="flex-1 bg-slate-900 text-white rounded px-2 py-1"
+          />
+          <button
+            onClick={duplicate}
+            disabled={!newName.trim()}
+            className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg transition-colors">
+            Save as new
+          </button>
+          {profile.builtIn ? (
+            <button
+              onClick={() => onChange({ ...profiles, [activeId]: DEFAULT_PROFILES[activeId] })}
+              className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors">
+              Reset
+            </button>
+          ) : (
+            <button
+              onClick={remove}
+              className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors">
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    </details>
+  )
+}
+
+export default ProfileSettings
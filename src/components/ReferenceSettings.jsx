@@ -0,0 +1,145 @@
+import { useState } from 'react'
+import { DEVIATION_LEVELS } from '../lib/referenceForms'
+
+const LEVEL_CLASSES = { good: 'text-neon-green', fair: 'text-neon-yellow', poor: 'text-neon-red' }
+
+const formatAngle = (value) => (value == null ? '--' : `${value}°`)
+
+// Reference "ideal form" ghost: choice of reference, opacity, custom
+// references from the analysed clip, and the per-joint deviation readout
+function ReferenceSettings({
+  references,
+  settings,
+  deviation,
+  canSaveFromClip,
+  onSettingsChange,
+  onReferencesChange,
+  onSaveFromClip,
+}) {
+  const [newName, setNewName] = useState('')
+  const [saveError, setSaveError] = useState(null)
+  const reference = references[settings.referenceId]
+
+  const saveFromClip = () => {
+    const name = newName.trim()
+    if (!name) return
+    try {
+      onSaveFromClip(name)
+      setNewName('')
+      setSaveError(null)
+    } catch (error) {
+      setSaveError(error.message)
+    }
+  }
+
+  const remove = () => {
+    const rest = { ...references }
+    delete rest[settings.referenceId]
+    onSettingsChange({ ...settings, referenceId: Object.keys(rest)[0] })
+    onReferencesChange(rest)
+  }
+
+  return (
+    <details className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        👻 REFERENCE FORM{settings.enabled && reference ? ` · ${reference.name}` : ''}
+      </summary>
+
+      <div className="mt-2 space-y-2 text-xs text-gray-400">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => onSettingsChange({ ...settings, enabled: e.target.checked })}
+            className="accent-purple-500"
+          />
+          Show reference ghost on the analysed runner
+        </label>
+
+        <div className="flex items-center gap-2">
+          <select
+            value={settings.referenceId}
+            onChange={(e) => onSettingsChange({ ...settings, referenceId: e.target.value })}
+            className="flex-1 bg-slate-900 text-white rounded px-2 py-1">
+            {Object.entries(references).map(([id, { name }]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+          {reference && !reference.builtIn && (
+            <button
+              onClick={remove}
+              className="px-2 py-1 bg-slate-700 hover:bg-red-700 text-white rounded transition-colors">
+              Delete
+            </button>
+          )}
+        </div>
+
+        <label className="flex items-center gap-2">
+          <span className="w-16">Opacity</span>
+          <input
+            type="range"
+            min={0.1}
+            max={1}
+            step={0.05}
+            value={settings.opacity}
+            onChange={(e) => onSettingsChange({ ...settings, opacity: Number(e.target.value) })}
+            className="flex-1 accent-purple-500"
+          />
+        </label>
+
+        {settings.enabled && (
+          deviation ? (
+            <table className="w-full text-center">
+              <thead>
+                <tr className="text-purple-400">
+                  <th className="text-left">Joint · {Math.round(deviation.phase * 100)}% of cycle</th>
+                  <th>You</th>
+                  <th>Ref</th>
+                  <th>Δ</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deviation.rows.map(row => (
+                  <tr key={row.key} className="text-white">
+                    <td className="text-left text-gray-400">{row.label}</td>
+                    <td>{formatAngle(row.runner)}</td>
+                    <td>{formatAngle(row.reference)}</td>
+                    <td className={LEVEL_CLASSES[row.level] ?? 'text-gray-500'}>
+                      {row.delta == null ? '--' : `${row.delta > 0 ? '+' : ''}${row.delta}°`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-neon-yellow">The ghost appears once a few foot contacts have set the cadence</p>
+          )
+        )}
+        <p className="text-[10px] text-gray-500">
+          Matched by gait phase from the last left-foot contact, scaled to the runner&apos;s torso and pinned at the hips.
+          Δ within {DEVIATION_LEVELS.good}° is green, within {DEVIATION_LEVELS.fair}° yellow.
+        </p>
+
+        <div className="pt-2 border-t border-slate-700 flex gap-2 items-center">
+          <input
+            type="text"
+            value={newName}
+            placeholder="Reference name"
+            onChange={(e) => setNewName(e.target.value)}
+            className="flex-1 bg-slate-900 text-white rounded px-2 py-1"
+          />
+          <button
+            onClick={saveFromClip}
+            disabled={!canSaveFromClip || !newName.trim()}
+            className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded-lg transition-colors">
+            Save cycle from clip
+          </button>
+        </div>
+        {!canSaveFromClip && <p className="text-[10px] text-gray-500">Analyze a full video to save one of its gait cycles as a reference</p>}
+        {saveError && <p className="text-neon-red">{saveError}</p>}
+      </div>
+    </details>
+  )
+}
+
+export default ReferenceSettings
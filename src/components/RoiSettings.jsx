@@ -0,0 +1,122 @@
+import { clampCrop, DEFAULT_ROI_SETTINGS, isRoiActive, ROTATIONS } from '../lib/roi'
+
+const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 }
+
+const CROP_FIELDS = [
+  { key: 'x', label: 'Left' },
+  { key: 'y', label: 'Top' },
+  { key: 'width', label: 'Width' },
+  { key: 'height', label: 'Height' },
+]
+
+// What the pose model is given: a crop and rotation of the frame, or a
+// zoomed square that follows the runner. `cached` warns that an existing
+// analysis was detected without these settings.
+function RoiSettings({ settings, cached, canCropToRunner, onChange, onCropToRunner }) {
+  const crop = settings.crop ?? FULL_FRAME
+
+  const updateCrop = (key, percent) => {
+    const next = clampCrop({ ...crop, [key]: percent / 100 })
+    const whole = next.x === 0 && next.y === 0 && next.width === 1 && next.height === 1
+    onChange({ ...settings, crop: whole ? null : next })
+  }
+
+  return (
+    <details className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        🔍 CROP & ZOOM{isRoiActive(settings) ? ' · on' : ''}
+      </summary>
+      <div className="mt-2 space-y-2 text-xs text-gray-400">
+        <div className="flex items-center gap-2">
+          <span className="w-16 text-left">Rotate</span>
+          <div className="grid grid-cols-4 gap-1 flex-1">
+            {ROTATIONS.map(rotation => (
+              <button
+                key={rotation}
+                onClick={() => onChange({ ...settings, rotation })}
+                className={`px-2 py-1 rounded-lg transition-colors ${settings.rotation === rotation
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-slate-700 text-gray-300 hover:bg-slate-600'
+                  }`}>
+                {rotation}°
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <span className="w-16 text-left">Crop (%)</span>
+          {CROP_FIELDS.map(({ key, label }) => (
+            <label key={key} className="flex flex-col items-center">
+              <input
+                type="number"
+                min={0}
+                max={100}
+                step={1}
+                value={Math.round(crop[key] * 100)}
+                onChange={(e) => updateCrop(key, Number(e.target.value))}
+                className="w-14 bg-slate-900 text-white rounded px-1 text-right"
+              />
+              <span className="text-[10px] text-gray-500">{label}</span>
+            </label>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={onCropToRunner}
+            disabled={!canCropToRunner}
+            className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded-lg transition-colors">
+            Crop to runner
+          </button>
+          <button
+            onClick={() => onChange({ ...settings, crop: null })}
+            disabled={!settings.crop}
+            className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded-lg transition-colors">
+            Full frame
+          </button>
+        </div>
+
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.autoFollow}
+            onChange={(e) => onChange({ ...settings, autoFollow: e.target.checked })}
+            className="accent-purple-500"
+          />
+          Auto-follow: zoom in on the runner from the previous frame
+        </label>
+        {settings.autoFollow && (
+          <label className="flex items-center gap-2">
+            <span className="w-16 text-left">Margin</span>
+            <input
+              type="range"
+              min={0.1}
+              max={0.8}
+              step={0.05}
+              value={settings.padding}
+              onChange={(e) => onChange({ ...settings, padding: Number(e.target.value) })}
+              className="flex-1 accent-purple-500"
+            />
+            <span className="w-12 text-right text-white">{Math.round(settings.padding * 100)}%</span>
+          </label>
+        )}
+
+        <p className="text-[10px] text-gray-500">
+          The model sees only this region, so a small runner gets more pixels. Rotation turns sideways phone
+          footage upright, and lean, oscillation and gait are measured in that upright frame; keypoints are still
+          drawn on the video as shown. Auto-follow tracks one runner and falls back to the whole region when it
+          loses them.
+        </p>
+        {cached && <p className="text-neon-yellow">Re-analyze the video to apply these to the cached analysis</p>}
+        <button
+          onClick={() => onChange(DEFAULT_ROI_SETTINGS)}
+          disabled={!isRoiActive(settings)}
+          className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded-lg transition-colors">
+          Reset
+        </button>
+      </div>
+    </details>
+  )
+}
+
+export default RoiSettings
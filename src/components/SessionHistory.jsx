@@ -0,0 +1,206 @@
+import { useState } from 'react'
+import SessionTrends from './SessionTrends'
+import { matchesSearch, parseTags } from '../lib/sessionStore'
+import { buildTrendSeries, listAthletes } from '../lib/trends'
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+const formatSummary = (summary) => {
+  if (!summary) return 'No metrics'
+  return [
+    summary.cadence != null && `${summary.cadence} SPM`,
+    summary.torsoLean != null && `lean ${summary.torsoLean}°`,
+    summary.verticalOscillationCm != null
+      ? `osc. ${summary.verticalOscillationCm}cm`
+      : summary.verticalOscillation != null && `osc. ${Math.round(summary.verticalOscillation)}px`,
+  ].filter(Boolean).join(' · ') || 'No strides detected'
+}
+
+// One saved session; fields save when they lose focus
+function SessionRow({ record, current, canOpen, onOpen, onUpdate, onDelete }) {
+  const [editing, setEditing] = useState(false)
+
+  const saveField = (field, value) => {
+    if (JSON.stringify(value) !== JSON.stringify(record[field] ?? '')) onUpdate(record.id, { [field]: value })
+  }
+
+  return (
+    <li className={`p-2 rounded border ${current ? 'border-purple-500 bg-purple-900/20' : 'border-slate-700'}`}>
+      <div className="flex items-center gap-2">
+        <div className="flex-1 min-w-0">
+          <p className="text-white truncate">
+            {record.source === 'recording' ? '📹 ' : ''}{record.title}
+            {record.athlete && <span className="text-purple-400"> · {record.athlete}</span>}
+          </p>
+          <p className="text-[10px] text-gray-500">
+            {formatDate(record.createdAt)} · {record.profileName} · {formatSummary(record.summary)}
+            {record.hasVideo ? ' · video saved' : ''}
+          </p>
+          {record.tags?.length > 0 && (
+            <p className="flex flex-wrap gap-1 mt-1">
+              {record.tags.map(tag => (
+                <span key={tag} className="px-1 rounded bg-slate-700 text-[10px] text-gray-300">#{tag}</span>
+              ))}
+            </p>
+          )}
+        </div>
+        <button
+          onClick={() => onOpen(record.id)}
+          disabled={current || !canOpen}
+          className="px-2 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white rounded transition-colors">
+          Open
+        </button>
+        <button
+          onClick={() => setEditing(!editing)}
+          className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded transition-colors">
+          {editing ? 'Done' : 'Edit'}
+        </button>
+        <button
+          onClick={() => confirm(`Delete "${record.title}"?`) && onDelete(record.id)}
+          className="px-2 py-1 bg-slate-700 hover:bg-red-700 text-white rounded transition-colors"
+          title="Delete session">
+          🗑
+        </button>
+      </div>
+
+      {editing && (
+        <div className="mt-2 grid grid-cols-[4rem_1fr] gap-1 items-center">
+          <span>Title</span>
+          <input
+            type="text"
+            defaultValue={record.title}
+            onBlur={(e) => saveField('title', e.target.value.trim() || record.title)}
+            className="bg-slate-900 text-white rounded px-2 py-1"
+          />
+          <span>Athlete</span>
+          <input
+            type="text"
+            defaultValue={record.athlete}
+            onBlur={(e) => saveField('athlete', e.target.value.trim())}
+            className="bg-slate-900 text-white rounded px-2 py-1"
+          />
+          <span>Tags</span>
+          <input
+            type="text"
+            defaultValue={record.tags?.join(', ')}
+            placeholder="track, intervals"
+            onBlur={(e) => saveField('tags', parseTags(e.target.value))}
+            className="bg-slate-900 text-white rounded px-2 py-1"
+          />
+          <span className="self-start">Notes</span>
+          <textarea
+            defaultValue={record.notes}
+            rows={2}
+            onBlur={(e) => saveField('notes', e.target.value)}
+            className="bg-slate-900 text-white rounded px-2 py-1"
+          />
+        </div>
+      )}
+    </li>
+  )
+}
+
+// Saved sessions: search, reopen, edit, delete, and per-athlete trends
+function SessionHistory({
+  sessions,
+  currentId,
+  settings,
+  error,
+  canOpen,
+  onSettingsChange,
+  onOpen,
+  onUpdate,
+  onDelete,
+}) {
+  const [query, setQuery] = useState('')
+  const [trendAthlete, setTrendAthlete] = useState('')
+
+  const athletes = listAthletes(sessions)
+  const athlete = trendAthlete || settings.athlete || athletes[0] || ''
+  const visible = sessions.filter(record => matchesSearch(record, query))
+
+  return (
+    <details className="w-full max-w-2xl bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        📚 SESSION HISTORY ({sessions.length})
+      </summary>
+
+      <div className="mt-2 space-y-3 text-xs text-gray-400">
+        {error && <p className="text-neon-red">{error}</p>}
+
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2">
+            Athlete
+            <input
+              type="text"
+              value={settings.athlete}
+              placeholder="Name for new sessions"
+              onChange={(e) => onSettingsChange({ ...settings, athlete: e.target.value })}
+              className="w-40 bg-slate-900 text-white rounded px-2 py-1"
+            />
+          </label>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.saveVideo}
+              onChange={(e) => onSettingsChange({ ...settings, saveVideo: e.target.checked })}
+              className="accent-purple-500"
+            />
+            Keep source videos
+          </label>
+        </div>
+        <p className="text-[10px] text-gray-500">
+          Every full-video analysis is saved here automatically. Without a kept video, reopening asks for the original file.
+        </p>
+
+        <input
+          type="search"
+          value={query}
+          placeholder="Search title, athlete, notes or tags"
+          onChange={(e) => setQuery(e.target.value)}
+          className="w-full bg-slate-900 text-white rounded px-2 py-1"
+        />
+
+        {visible.length > 0 ? (
+          <ul className="space-y-1 max-h-80 overflow-y-auto">
+            {visible.map(record => (
+              <SessionRow
+                key={record.id}
+                record={record}
+                current={record.id === currentId}
+                canOpen={canOpen}
+                onOpen={onOpen}
+                onUpdate={onUpdate}
+                onDelete={onDelete}
+              />
+            ))}
+          </ul>
+        ) : (
+          <p className="text-center text-gray-500">
+            {sessions.length ? 'No sessions match' : 'No saved sessions yet'}
+          </p>
+        )}
+
+        {athletes.length > 0 && (
+          <div className="pt-2 border-t border-slate-700 space-y-2">
+            <label className="flex items-center gap-2">
+              <span className="text-purple-400 font-semibold">TRENDS</span>
+              <select
+                value={athlete}
+                onChange={(e) => setTrendAthlete(e.target.value)}
+                className="bg-slate-900 text-white rounded px-2 py-1">
+                {!athletes.includes(athlete) && <option value={athlete}>{athlete || '—'}</option>}
+                {athletes.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </label>
+            <SessionTrends trend={buildTrendSeries(sessions, athlete)} onOpen={(id) => canOpen && onOpen(id)} />
+          </div>
+        )}
+      </div>
+    </details>
+  )
+}
+
+export default SessionHistory
@@ -0,0 +1,77 @@
+import { TREND_METRICS, weekStarts } from '../lib/trends'
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 70
+const PADDING = 6
+
+const formatDay = (time) => new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+
+// One metric over time: a point per session, weekly grid lines
+function TrendChart({ metric, trend, onOpen }) {
+  const points = trend.points.filter(point => point.values[metric.key] != null)
+  const values = points.map(point => point.values[metric.key])
+  const low = values.length ? Math.min(...values) : 0
+  const high = values.length ? Math.max(...values) : 1
+  const span = high - low || 1
+  const range = trend.end - trend.start || 1
+  const xOf = (time) => PADDING + ((time - trend.start) / range) * (CHART_WIDTH - 2 * PADDING)
+  const yOf = (value) => CHART_HEIGHT - PADDING - ((value - low) / span) * (CHART_HEIGHT - 2 * PADDING)
+
+  return (
+    <div>
+      <div className="flex justify-between text-[10px] text-gray-500">
+        <span>{metric.label} ({metric.unit})</span>
+        <span>{values.length ? `${low.toFixed(0)} – ${high.toFixed(0)}` : 'no data'}</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-16 bg-slate-900/60 rounded">
+        {weekStarts(trend.start, trend.end).map(time => (
+          <line key={time} x1={xOf(time)} x2={xOf(time)} y1={0} y2={CHART_HEIGHT} stroke="#475569" strokeOpacity={0.5} vectorEffect="non-scaling-stroke" />
+        ))}
+        <path
+          d={points.map((point, i) => `${i ? 'L' : 'M'}${xOf(point.time).toFixed(1)},${yOf(point.values[metric.key]).toFixed(1)}`).join('')}
+          fill="none"
+          stroke={metric.color}
+          strokeWidth={1.5}
+          vectorEffect="non-scaling-stroke"
+        />
+        {points.map(point => (
+          <circle
+            key={point.id}
+            cx={xOf(point.time)}
+            cy={yOf(point.values[metric.key])}
+            r={3}
+            fill={metric.color}
+            className="cursor-pointer"
+            onClick={() => onOpen(point.id)}>
+            <title>{`${point.title} · ${formatDay(point.time)} · ${point.values[metric.key]}${metric.unit}`}</title>
+          </circle>
+        ))}
+      </svg>
+    </div>
+  )
+}
+
+// Cadence, lean and oscillation across an athlete's saved sessions
+function SessionTrends({ trend, onOpen }) {
+  if (!trend) {
+    return <p className="text-center text-gray-500">No saved sessions for this athlete yet</p>
+  }
+
+  return (
+    <div className="space-y-1">
+      {TREND_METRICS.map(metric => (
+        <TrendChart key={metric.key} metric={metric} trend={trend} onOpen={onOpen} />
+      ))}
+      <div className="flex justify-between text-[10px] text-gray-500">
+        <span>{formatDay(trend.start)}</span>
+        <span>{trend.points.length} sessions · grid lines mark weeks · click a point to open it</span>
+        <span>{formatDay(trend.end)}</span>
+      </div>
+    </div>
+  )
+}
+
+export default SessionTrends
@@ -0,0 +1,219 @@
+import { TIMELINE_CHARTS } from '../lib/timelineSeries'
+
+const PLAYBACK_SPEEDS = [0.1, 0.25, 0.5, 1, 1.5, 2]
+
+const CHART_WIDTH = 1000
+const CHART_HEIGHT = 56
+const SIDE_COLORS = { left: '#22D3EE', right: '#F472B6' }
+
+const formatTime = (seconds) => `${seconds.toFixed(2)}s`
+
+// SVG path through `values`, breaking the line at nulls
+const linePath = (times, values, duration, yOf) => {
+  let path = ''
+  let drawing = false
+  values.forEach((value, i) => {
+    if (value == null) {
+      drawing = false
+      return
+    }
+    const x = (times[i] / duration) * CHART_WIDTH
+    path += `${drawing ? 'L' : 'M'}${x.toFixed(1)},${yOf(value).toFixed(1)}`
+    drawing = true
+  })
+  return path
+}
+
+// One chart row: its lines, foot-strike markers, loop region and playhead
+function TimelineChart({ chart, data, duration, currentTime, loop, onSeek }) {
+  const values = chart.lines.flatMap(line => data.series[line.key]).filter(value => value != null)
+  const low = values.length ? Math.min(...values) : 0
+  const high = values.length ? Math.max(...values) : 1
+  const span = high - low || 1
+  const yOf = (value) => CHART_HEIGHT - 4 - ((value - low) / span) * (CHART_HEIGHT - 8)
+  const xOf = (t) => (t / duration) * CHART_WIDTH
+
+  return (
+    <div>
+      <div className="flex justify-between text-[10px] text-gray-500">
+        <span>{chart.label}</span>
+        <span>{low.toFixed(0)} – {high.toFixed(0)}</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-14 bg-slate-900/60 rounded">
+        {loop.a != null && loop.b != null && (
+          <rect x={xOf(loop.a)} y={0} width={xOf(loop.b) - xOf(loop.a)} height={CHART_HEIGHT} fill="#A855F7" opacity={0.15} />
+        )}
+        {data.contacts.map(contact => (
+          <g
+            key={`${contact.side}-${contact.t}`}
+            className="cursor-pointer"
+            onClick={(e) => {
+              e.stopPropagation()
+              onSeek(contact.t)
+            }}>
+            <line x1={xOf(contact.t)} x2={xOf(contact.t)} y1={0} y2={CHART_HEIGHT} stroke={SIDE_COLORS[contact.side]} strokeOpacity={0.4} />
+            <rect x={xOf(contact.t) - 4} y={0} width={8} height={CHART_HEIGHT} fill="transparent" />
+          </g>
+        ))}
+        {chart.lines.map(line => (
+          <path
+            key={line.key}
+            d={linePath(data.times, data.series[line.key], duration, yOf)}
+            fill="none"
+            stroke={line.color}
+            strokeWidth={1.5}
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+        <line x1={xOf(currentTime)} x2={xOf(currentTime)} y1={0} y2={CHART_HEIGHT} stroke="#FFFFFF" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+      </svg>
+    </div>
+  )
+}
+
+// Scrubber under the uploaded video: synced metric charts with foot-strike
+// markers, click-to-seek, frame stepping, speeds and an A/B loop
+function Timeline({
+  duration,
+  currentTime,
+  frameRate,
+  data,
+  loop,
+  playbackSpeed,
+  onSeek,
+  onStep,
+  onSpeedChange,
+  onLoopChange,
+}) {
+  if (!duration) return null
+
+  const seekFromClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width))
+    onSeek(fraction * duration)
+  }
+
+  const index = data ? data.times.findLastIndex(t => t <= currentTime) : -1
+  const previousStrike = data?.contacts.findLast(contact => contact.t < currentTime - 0.001)
+  const nextStrike = data?.contacts.find(contact => contact.t > currentTime + 0.001)
+
+  return (
+    <div className="w-full max-w-4xl bg-slate-800/40 rounded-lg p-3 border border-purple-700/30 space-y-2 text-xs text-gray-400">
+      {/* Transport */}
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onStep(-1)}
+          className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded transition-colors"
+          title="Previous frame">
+          ◀ Frame
+        </button>
+        <button
+          onClick={() => onStep(1)}
+          className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded transition-colors"
+          title="Next frame">
+          Frame ▶
+        </button>
+        {data && (
+          <>
+            <button
+              onClick={() => previousStrike && onSeek(previousStrike.t)}
+              disabled={!previousStrike}
+              className="px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded transition-colors">
+              ⏮ Strike
+            </button>
+            <button
+              onClick={() => nextStrike && onSeek(nextStrike.t)}
+              disabled={!nextStrike}
+              className="px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded transition-colors">
+              Strike ⏭
+            </button>
+          </>
+        )}
+        <label className="flex items-center gap-1">
+          Speed
+          <select
+            value={playbackSpeed}
+            onChange={(e) => onSpeedChange(Number(e.target.value))}
+            className="bg-slate-900 text-white rounded px-1 py-1">
+            {PLAYBACK_SPEEDS.map(speed => (
+              <option key={speed} value={speed}>{speed}x</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={() => onLoopChange({ ...loop, a: currentTime, b: loop.b != null && loop.b > currentTime ? loop.b : null })}
+          className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded transition-colors">
+          A{loop.a != null ? ` ${formatTime(loop.a)}` : ''}
+        </button>
+        <button
+          onClick={() => onLoopChange({ ...loop, b: currentTime })}
+          disabled={loop.a == null || currentTime <= loop.a}
+          className="px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-white rounded transition-colors">
+          B{loop.b != null ? ` ${formatTime(loop.b)}` : ''}
+        </button>
+        {loop.a != null && (
+          <button
+            onClick={() => onLoopChange({ a: null, b: null })}
+            className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded transition-colors">
+            Clear loop
+          </button>
+        )}
+        <span className="ml-auto text-white">
+          {formatTime(currentTime)} / {formatTime(duration)} · frame {Math.floor(currentTime * frameRate) + 1}
+        </span>
+      </div>
+
+      {/* Scrub bar */}
+      <div onClick={seekFromClick} className="relative h-3 bg-slate-900 rounded cursor-pointer">
+        {loop.a != null && loop.b != null && (
+          <div
+            className="absolute top-0 h-full bg-purple-500/30"
+            style={{ left: `${(loop.a / duration) * 100}%`, width: `${((loop.b - loop.a) / duration) * 100}%` }}
+          />
+        )}
+        <div className="absolute top-0 h-full bg-purple-500 rounded" style={{ width: `${(currentTime / duration) * 100}%` }} />
+      </div>
+
+      {/* Charts */}
+      {data ? (
+        <div onClick={seekFromClick} className="space-y-1 cursor-pointer">
+          {TIMELINE_CHARTS.map(chart => (
+            <TimelineChart
+              key={chart.key}
+              chart={chart}
+              data={data}
+              duration={duration}
+              currentTime={currentTime}
+              loop={loop}
+              onSeek={onSeek}
+            />
+          ))}
+        </div>
+      ) : (
+        <p className="text-center text-gray-500">Analyze the full video to see metric graphs and foot strikes</p>
+      )}
+
+      {/* Values at the playhead */}
+      {data && index >= 0 && (
+        <div className="flex flex-wrap gap-3 justify-center">
+          {TIMELINE_CHARTS.flatMap(chart => chart.lines.map(line => {
+            const value = data.series[line.key][index]
+            return (
+              <span key={line.key} style={{ color: line.color }}>
+                {chart.label.split(' (')[0]}{line.label ? ` ${line.label}` : ''}: {value == null ? '--' : Math.round(value)}
+              </span>
+            )
+          }))}
+          <span>
+            <span style={{ color: SIDE_COLORS.left }}>│</span> L strike · <span style={{ color: SIDE_COLORS.right }}>│</span> R strike
+          </span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Timeline
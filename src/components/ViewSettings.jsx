@@ -0,0 +1,38 @@
+import { CAMERA_VIEWS } from '../lib/cameraView'
+
+// Where the camera films the runner from, which picks the metrics and HUD
+// layout; `detectedView` is what auto detection currently sees
+function ViewSettings({ view, detectedView, onChange }) {
+  const detectedLabel = CAMERA_VIEWS.find(option => option.id === detectedView)?.label
+
+  return (
+    <details className="w-full max-w-md bg-slate-800/40 rounded-lg p-3 border border-purple-700/30">
+      <summary className="text-xs text-purple-400 font-semibold cursor-pointer">
+        📐 FILMING ANGLE · {CAMERA_VIEWS.find(option => option.id === view)?.label}
+        {view === 'auto' && detectedLabel ? ` (${detectedLabel.toLowerCase()})` : ''}
+      </summary>
+      <div className="mt-2 space-y-2 text-xs text-gray-400">
+        <div className="grid grid-cols-4 gap-1">
+          {CAMERA_VIEWS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => onChange(option.id)}
+              title={option.description}
+              className={`px-2 py-1 rounded-lg transition-colors ${view === option.id
+                ? 'bg-purple-600 text-white'
+                : 'bg-slate-700 text-gray-300 hover:bg-slate-600'
+                }`}>
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <p className="text-[10px] text-gray-500">
+          Side views measure trunk lean, joint angles and overstride. Front and rear views measure pelvic drop,
+          knee valgus, step width and trunk sway instead.
+        </p>
+      </div>
+    </details>
+  )
+}
+
+export default ViewSettings
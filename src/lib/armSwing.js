@@ -0,0 +1,177 @@
+import { symmetryIndex } from './asymmetry'
+import { DEFAULT_GAIT_OPTIONS } from './gait'
+import { describe } from './strides'
+
+// Arm-swing analysis from the shoulder, elbow and wrist keypoints
+//
+// Each frame measures, in side views, elbow flexion (0 = straight arm) and
+// shoulder swing: the upper arm's angle from hanging straight down, positive
+// with the elbow forward. In front and rear views it measures how far each
+// wrist sits out from the shoulder midline on its own side (negative =
+// crossed over). Each completed stride of a leg then closes one swing cycle
+// of the arm on that side, summarised as elbow flexion, forward and back
+// swing peaks, and the timing of the arm's forward peak against the
+// opposite leg's, which should swing forward together.
+
+const SUMMARY_SECONDS = DEFAULT_GAIT_OPTIONS.summarySeconds
+
+// Targets: inside min-max is good, within `margin` of it fair, else poor
+export const ARM_TARGETS = {
+  elbowFlexion: { label: 'Elbow flexion', unit: '°', min: 70, max: 110, margin: 15, lowLabel: 'Arms too straight', highLabel: 'Arms too tightly bent' },
+  amplitude: { label: 'Swing range', unit: '°', min: 30, max: 80, margin: 15, lowLabel: 'Short arm swing', highLabel: 'Over-swinging' },
+  timing: { label: 'Timing vs opposite leg', unit: '%', min: null, max: 10, margin: 10, highLabel: 'Arms out of sync with legs' },
+  crossoverRate: { label: 'Hands across midline', unit: '%', min: null, max: 10, margin: 20, highLabel: 'Hands cross the body' },
+}
+
+const toDegrees = (radians) => (radians * 180) / Math.PI
+
+const opposite = (side) => (side === 'left' ? 'right' : 'left')
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null)
+
+// { level, message } for one value against its target, or null without data
+export const rateArmMetric = (key, value) => {
+  const { min, max, margin, lowLabel, highLabel } = ARM_TARGETS[key]
+  if (value == null) return null
+  if (min != null && value < min) return { level: value >= min - margin ? 'fair' : 'poor', message: lowLabel }
+  if (max != null && value > max) return { level: value <= max + margin ? 'fair' : 'poor', message: highLabel }
+  return { level: 'good', message: 'On target' }
+}
+
+// One frame's arm measures from keypoints (by name). `sagittal` selects the
+// side-view angles over the frontal-view wrist offsets.
+export const measureArms = (points, { facing = 1, sagittal = true, minScore = 0.3 } = {}) => {
+  const reliable = (...list) => list.every(point => point && point.score >= minScore)
+  const { left_shoulder: leftShoulder, right_shoulder: rightShoulder } = points
+  const arm = (side) => ({
+    shoulder: points[`${side}_shoulder`],
+    elbow: points[`${side}_elbow`],
+    wrist: points[`${side}_wrist`],
+  })
+
+  if (sagittal) {
+    const elbowFlexion = (side) => {
+      const { shoulder, elbow, wrist } = arm(side)
+      if (!reliable(shoulder, elbow, wrist)) return null
+      const upper = { x: shoulder.x - elbow.x, y: shoulder.y - elbow.y }
+      const lower = { x: wrist.x - elbow.x, y: wrist.y - elbow.y }
+      const angle = Math.abs(toDegrees(Math.atan2(upper.x * lower.y - upper.y * lower.x, upper.x * lower.x + upper.y * lower.y)))
+      return Math.round(180 - angle)
+    }
+    const shoulderSwing = (side) => {
+      const { shoulder, elbow } = arm(side)
+      if (!reliable(shoulder, elbow)) return null
+      return Math.round(toDegrees(Math.atan2((elbow.x - shoulder.x) * facing, elbow.y - shoulder.y)))
+    }
+    return {
+      elbowFlexion: { left: elbowFlexion('left'), right: elbowFlexion('right') },
+      shoulderSwing: { left: shoulderSwing('left'), right: shoulderSwing('right') },
+      wristOffset: null,
+    }
+  }
+
+  if (!reliable(leftShoulder, rightShoulder)) return null
+  const lateral = leftShoulder.x >= rightShoulder.x ? 1 : -1 // +1 when the runner's left points towards +x
+  const midX = (leftShoulder.x + rightShoulder.x) / 2
+  const wristOffset = (side) => {
+    const { wrist } = arm(side)
+    if (!reliable(wrist)) return null
+    return (wrist.x - midX) * lateral * (side === 'left' ? 1 : -1)
+  }
+  return {
+    elbowFlexion: null,
+    shoulderSwing: null,
+    wristOffset: { left: wristOffset('left'), right: wristOffset('right') },
+  }
+}
+
+// Time of the largest value of `pick` over samples, or null
+const peakTime = (samples, pick) => samples.reduce((best, sample) => {
+  const value = pick(sample)
+  return value != null && (!best || value > best.value) ? { t: sample.t, value } : best
+}, null)?.t ?? null
+
+// One swing cycle of the arm on `side` over a stride of that side's leg.
+// Samples are { t, arms, hipFlexion } frames between the two contacts.
+const assessSwing = (side, start, end, samples) => {
+  const cycle = samples.filter(sample => sample.arms && sample.t >= start && sample.t <= end)
+  const values = (pick) => cycle.map(pick).filter(value => value != null)
+  const elbow = values(sample => sample.arms.elbowFlexion?.[side])
+  const swing = values(sample => sample.arms.shoulderSwing?.[side])
+  const wrist = values(sample => sample.arms.wristOffset?.[side])
+
+  // The arm leads with the opposite leg: compare their forward peaks as a
+  // share of the cycle, wrapped to ±50%
+  const armPeak = peakTime(cycle, sample => sample.arms.shoulderSwing?.[side])
+  const legPeak = peakTime(cycle, sample => sample.hipFlexion?.[opposite(side)])
+  const duration = end - start
+  const lag = armPeak != null && legPeak != null && duration > 0
+    ? ((((armPeak - legPeak) / duration + 0.5) % 1) + 1) % 1 - 0.5
+    : null
+
+  return {
+    side,
+    t: end,
+    elbowFlexion: mean(elbow),
+    forward: swing.length ? Math.max(...swing) : null,
+    back: swing.length ? -Math.min(...swing) : null,
+    amplitude: swing.length > 1 ? Math.max(...swing) - Math.min(...swing) : null,
+    timing: lag == null ? null : Math.round(lag * 100),
+    crossed: wrist.length ? wrist.some(offset => offset < 0) : null,
+  }
+}
+
+// { count, left, right, symmetry, crossoverRate } over the last swings:
+// left / right map elbowFlexion, forward, back, amplitude and timing to
+// { mean, sd, n }; symmetry holds symmetry indices (%) of swing range and
+// elbow flexion
+export const summarizeArmSwings = (swings) => {
+  if (swings.length === 0) return null
+  const stat = (subset, key) => describe(subset.map(swing => swing[key]).filter(value => value != null))
+  const sideSummary = (side) => {
+    const subset = swings.filter(swing => swing.side === side)
+    return Object.fromEntries(
+      ['elbowFlexion', 'forward', 'back', 'amplitude', 'timing'].map(key => [key, stat(subset, key)])
+    )
+  }
+  const left = sideSummary('left')
+  const right = sideSummary('right')
+  const placed = swings.filter(swing => swing.crossed != null)
+
+  return {
+    count: swings.length,
+    left,
+    right,
+    symmetry: {
+      amplitude: symmetryIndex(left.amplitude?.mean, right.amplitude?.mean),
+      elbowFlexion: symmetryIndex(left.elbowFlexion?.mean, right.elbowFlexion?.mean),
+    },
+    crossoverRate: placed.length
+      ? Math.round((placed.filter(swing => swing.crossed).length / placed.length) * 100)
+      : null,
+  }
+}
+
+// Stateful per-runner tracker fed the gait contacts completed on each frame
+export const createArmSwingTracker = () => {
+  let swings = []
+  let lastContacts = { left: null, right: null }
+
+  const reset = () => {
+    swings = []
+    lastContacts = { left: null, right: null }
+  }
+
+  // Returns the rolling summary, or null before the first full stride
+  const update = (contacts, samples, timestamp) => {
+    contacts.forEach(contact => {
+      const previous = lastContacts[contact.side]
+      lastContacts[contact.side] = contact
+      if (previous) swings.push(assessSwing(contact.side, previous.ic, contact.ic, samples))
+    })
+    swings = swings.filter(swing => timestamp - swing.t <= SUMMARY_SECONDS)
+    return summarizeArmSwings(swings)
+  }
+
+  return { update, reset }
+}
@@ -0,0 +1,26 @@
+// Left/right asymmetry indices
+//
+// Uses the symmetry index |L - R| / mean(L, R) * 100, so 0% is perfectly
+// symmetric and the value doesn't depend on which side is "dominant".
+
+export const DEFAULT_ASYMMETRY_THRESHOLD = 10 // Percent
+
+export const ASYMMETRY_METRICS = [
+  { key: 'kneeFlexion', label: 'Knee Flexion' },
+  { key: 'hipExtension', label: 'Hip Extension' },
+  { key: 'contactTime', label: 'Contact Time' },
+  { key: 'stepLength', label: 'Step Length' },
+]
+
+export const symmetryIndex = (left, right) => {
+  if (left == null || right == null) return null
+  const average = (Math.abs(left) + Math.abs(right)) / 2
+  if (average === 0) return 0
+  return Math.round((Math.abs(left - right) / average) * 100)
+}
+
+// Metrics whose asymmetry exceeds `threshold` percent
+export const findAsymmetryWarnings = (asymmetry, threshold = DEFAULT_ASYMMETRY_THRESHOLD) => {
+  if (!asymmetry) return []
+  return ASYMMETRY_METRICS.filter(({ key }) => asymmetry[key] != null && asymmetry[key] > threshold)
+}
@@ -0,0 +1,84 @@
+// Audio output for coaching: spoken cues (Web Speech), tones and a cadence
+// metronome (Web Audio)
+//
+// Browsers only start an AudioContext after a user gesture, so the shared
+// context is created lazily from click handlers.
+
+const SCHEDULE_AHEAD = 0.1   // Seconds of clicks queued in advance
+const SCHEDULER_INTERVAL = 25 // ms between scheduler runs
+
+let audioContext = null
+
+const getAudioContext = () => {
+  if (!audioContext) audioContext = new AudioContext()
+  if (audioContext.state === 'suspended') audioContext.resume()
+  return audioContext
+}
+
+// Short sine blip starting at `time` (AudioContext time)
+const playTone = (context, { frequency, time = context.currentTime, duration = 0.05, gain = 0.3 }) => {
+  const oscillator = context.createOscillator()
+  const envelope = context.createGain()
+  oscillator.frequency.value = frequency
+  envelope.gain.setValueAtTime(gain, time)
+  envelope.gain.exponentialRampToValueAtTime(0.001, time + duration)
+  oscillator.connect(envelope).connect(context.destination)
+  oscillator.start(time)
+  oscillator.stop(time + duration)
+}
+
+export const isSpeechSupported = () => 'speechSynthesis' in window
+
+// Speak `message`, replacing anything still queued
+export const speakCue = (message) => {
+  if (!isSpeechSupported()) return
+  window.speechSynthesis.cancel()
+  window.speechSynthesis.speak(new SpeechSynthesisUtterance(message))
+}
+
+// Two-note tone cue: rising for "too low", falling for "too high"
+export const playCueTone = (direction) => {
+  const context = getAudioContext()
+  const [first, second] = direction === 'low' ? [440, 660] : [660, 440]
+  playTone(context, { frequency: first, duration: 0.15 })
+  playTone(context, { frequency: second, time: context.currentTime + 0.2, duration: 0.15 })
+}
+
+// Metronome at `spm` steps per minute; every other click is accented so the
+// runner can match left/right. Uses look-ahead scheduling so clicks stay on
+// time while the main thread is busy with inference.
+export const createMetronome = () => {
+  let timer = null
+  let spm = 180
+  let nextClick = 0
+  let count = 0
+
+  const schedule = () => {
+    const context = getAudioContext()
+    while (nextClick < context.currentTime + SCHEDULE_AHEAD) {
+      playTone(context, { frequency: count % 2 === 0 ? 1200 : 900, time: nextClick })
+      nextClick += 60 / spm
+      count++
+    }
+  }
+
+  const start = (rate) => {
+    spm = rate
+    if (timer) return
+    nextClick = getAudioContext().currentTime + 0.05
+    count = 0
+    timer = setInterval(schedule, SCHEDULER_INTERVAL)
+    schedule()
+  }
+
+  const setRate = (rate) => {
+    spm = rate
+  }
+
+  const stop = () => {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { start, setRate, stop, isRunning: () => timer !== null }
+}
@@ -0,0 +1,147 @@
+import { analyzeTimeline } from './biomechanics'
+import { buildFormReport } from './formReport'
+import { analyzeVideoFrames, resolveDuration } from './offlineAnalysis'
+import { summarizeRun } from './sessionData'
+import { pickTimelineRunner } from './timelineSeries'
+import { trackFrames } from './tracker'
+
+// Batch analysis: many dropped clips analysed one after another with the
+// same offline pass as "Analyze Full Video", each summarised as one row of
+// a table that compares the clips' main runners
+
+// Summary table columns; `unit` may depend on the row (px or cm)
+export const BATCH_COLUMNS = [
+  { key: 'name', label: 'Athlete / file' },
+  { key: 'cadence', label: 'Cadence', unit: ' SPM', digits: 0 },
+  { key: 'torsoLean', label: 'Lean', unit: '°', digits: 1 },
+  { key: 'oscillation', label: 'Oscillation', unit: (row) => ` ${row.oscillationUnit}`, digits: 1 },
+  { key: 'asymmetry', label: 'Asymmetry', unit: '%', digits: 0 },
+  { key: 'score', label: 'Form score', digits: 0 },
+]
+
+const VIDEO_EXTENSIONS = /\.(mp4|m4v|mov|webm|mkv|avi)$/i
+
+export const isVideoFile = (file) => file.type.startsWith('video/') || VIDEO_EXTENSIONS.test(file.name)
+
+// Entries of a dropped folder; readEntries returns them in batches until
+// an empty one
+const readDirectory = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+  .then(batch => (batch.length ? readDirectory(reader).then(rest => [...batch, ...rest]) : []))
+
+const readEntry = async (entry) => {
+  if (entry.isFile) return [await new Promise((resolve, reject) => entry.file(resolve, reject))]
+  const children = await readDirectory(entry.createReader())
+  return (await Promise.all(children.map(readEntry))).flat()
+}
+
+// Every file of a drop, walking into dropped folders, sorted by name. The
+// entries are taken before the first await, while the drop data is readable.
+export const collectDroppedFiles = async (dataTransfer) => {
+  const entries = [...(dataTransfer.items ?? [])]
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean)
+  const files = entries.length > 0
+    ? (await Promise.all(entries.map(readEntry))).flat()
+    : [...dataTransfer.files]
+  return files.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+}
+
+const LOAD_TIMEOUT_MS = 15000 // A clip that has not decoded by then fails
+
+// A detached, muted video element for `file`, ready to seek. Rejects when
+// it cannot be decoded in time, or with an AbortError on `signal`.
+const loadVideo = (file, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Analysis cancelled', 'AbortError'))
+    return
+  }
+
+  const video = document.createElement('video')
+  const finish = (error) => {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+    video.onloadeddata = null
+    video.onerror = null
+    if (!error) {
+      resolve(video)
+      return
+    }
+    URL.revokeObjectURL(video.src)
+    video.removeAttribute('src')
+    video.load()
+    reject(error)
+  }
+  const onAbort = () => finish(new DOMException('Analysis cancelled', 'AbortError'))
+  const timer = setTimeout(() => finish(new Error('This video did not load in time')), LOAD_TIMEOUT_MS)
+  signal?.addEventListener('abort', onAbort)
+
+  video.muted = true
+  video.playsInline = true
+  video.preload = 'auto'
+  video.onloadeddata = () => finish()
+  video.onerror = () => finish(new Error('This video could not be decoded'))
+  video.src = URL.createObjectURL(file)
+})
+
+// Detect, track and analyse one clip: { timeline, duration }. `rotation` is
+// the detector's (see createRoiDetector); aborting `signal` stops loading,
+// the duration scan or the frame pass with an AbortError, and
+// `onProgress(fraction)` is passed to analyzeVideoFrames.
+export const analyzeClip = async (file, detector, { modelId, rotation = 0, filterOptions, view, onProgress, signal }) => {
+  const video = await loadVideo(file, signal)
+  try {
+    const duration = await resolveDuration(video, { signal })
+    const { frameRate, frames } = await analyzeVideoFrames(video, detector, { onProgress, signal })
+    return {
+      duration,
+      timeline: {
+        frameRate,
+        modelId,
+        rotation,
+        frames: analyzeTimeline(trackFrames(frames), filterOptions, { view }),
+      },
+    }
+  } finally {
+    URL.revokeObjectURL(video.src)
+    video.removeAttribute('src')
+    video.load()
+  }
+}
+
+// Summary row for a clip's main runner, or null when nobody was analysed.
+// Asymmetry is the clip's largest left/right index, as in the form report.
+export const summarizeClip = (timeline, { profile, calibration = null, asymmetryThreshold }) => {
+  const runnerId = pickTimelineRunner(timeline.frames)
+  if (runnerId == null) return null
+
+  const summary = summarizeRun(timeline, runnerId, calibration)
+  const report = buildFormReport(timeline, runnerId, { profile, calibration, asymmetryThreshold })
+  const worst = report.categories
+    .flatMap(category => category.measures)
+    .filter(measure => measure.key.startsWith('asymmetry.') && measure.value != null)
+    .reduce((best, measure) => (!best || measure.value > best.value ? measure : best), null)
+
+  return {
+    runnerId,
+    strides: summary.strides,
+    cadence: summary.cadence,
+    torsoLean: summary.torsoLean,
+    oscillation: calibration ? summary.verticalOscillationCm : summary.verticalOscillation,
+    oscillationUnit: calibration ? 'cm' : 'px',
+    contactTime: summary.contactTime,
+    asymmetry: worst?.value ?? null,
+    asymmetryLabel: worst?.label ?? null,
+    score: report.score,
+  }
+}
+
+// Rows sorted by a column; missing values always go last
+export const sortBatchRows = (rows, key, direction = 'asc') => {
+  const sign = direction === 'asc' ? 1 : -1
+  return [...rows].sort((a, b) => {
+    const x = a[key]
+    const y = b[key]
+    if (x == null || y == null) return (x == null) - (y == null)
+    return sign * (typeof x === 'string' ? x.localeCompare(y, undefined, { numeric: true }) : x - y)
+  })
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest'
+import { collectDroppedFiles, isVideoFile, sortBatchRows, summarizeClip } from './batchQueue'
+import { DEFAULT_PROFILES } from './profiles'
+
+describe('sortBatchRows', () => {
+  const rows = [
+    { name: 'clip 10', cadence: 170 },
+    { name: 'clip 2', cadence: null },
+    { name: 'clip 1', cadence: 182 },
+  ]
+
+  it('sorts numbers and names either way, missing values last', () => {
+    expect(sortBatchRows(rows, 'cadence').map(row => row.name)).toEqual(['clip 10', 'clip 1', 'clip 2'])
+    expect(sortBatchRows(rows, 'cadence', 'desc').map(row => row.name)).toEqual(['clip 1', 'clip 10', 'clip 2'])
+    expect(sortBatchRows(rows, 'name').map(row => row.name)).toEqual(['clip 1', 'clip 2', 'clip 10'])
+  })
+})
+
+describe('collectDroppedFiles', () => {
+  const file = (name, type = 'video/mp4') => ({ name, type })
+
+  // A dropped folder whose reader hands out its entries in two batches
+  const folder = (children) => {
+    const batches = [children.slice(0, 1), children.slice(1), []]
+    return { isFile: false, createReader: () => ({ readEntries: (resolve) => resolve(batches.shift()) }) }
+  }
+  const entry = (f) => ({ isFile: true, file: (resolve) => resolve(f) })
+
+  it('walks dropped folders and sorts by name', async () => {
+    const items = [
+      { webkitGetAsEntry: () => entry(file('run 10.mp4')) },
+      { webkitGetAsEntry: () => folder([entry(file('run 2.mov')), entry(file('notes.txt', 'text/plain'))]) },
+    ]
+
+    const files = await collectDroppedFiles({ items, files: [] })
+
+    expect(files.map(f => f.name)).toEqual(['notes.txt', 'run 2.mov', 'run 10.mp4'])
+    expect(files.filter(isVideoFile).map(f => f.name)).toEqual(['run 2.mov', 'run 10.mp4'])
+  })
+
+  it('falls back to the plain file list', async () => {
+    const files = await collectDroppedFiles({ files: [file('b.webm'), file('a.MKV', '')] })
+
+    expect(files.map(f => f.name)).toEqual(['a.MKV', 'b.webm'])
+    expect(files.every(isVideoFile)).toBe(true)
+  })
+})
+
+describe('summarizeClip', () => {
+  // Runner 1 is in every frame, runner 4 only passes through
+  const contacts = [0, 1, 2, 3].map(i => ({ side: i % 2 ? 'right' : 'left', ic: i / 3, to: i / 3 + 0.25, stepLength: null }))
+  const timeline = {
+    frames: [0, 1, 2, 3].map(i => ({
+      t: i / 4,
+      runners: {
+        1: { keypoints: [], metrics: { torsoLean: 6, headAlignment: 0, contacts: i === 0 ? contacts : [] } },
+        ...(i === 0 ? { 4: { keypoints: [], metrics: { torsoLean: 30 } } } : {}),
+      },
+    })),
+  }
+
+  it("summarises the clip's main runner", () => {
+    const row = summarizeClip(timeline, { profile: DEFAULT_PROFILES.recreational })
+
+    expect(row).toMatchObject({
+      runnerId: 1,
+      cadence: 180,
+      torsoLean: 6,
+      oscillationUnit: 'px',
+      contactTime: 0.25,
+      asymmetry: 0,
+      asymmetryLabel: 'Contact Time asymmetry',
+      score: 100,
+    })
+  })
+
+  it('is null when nobody was analysed', () => {
+    expect(summarizeClip({ frames: [{ t: 0, runners: {} }] }, { profile: DEFAULT_PROFILES.recreational })).toBeNull()
+  })
+})
@@ -0,0 +1,82 @@
+import { CORE_KEYPOINTS, indexKeypoints } from './keypoints'
+import { seekTo } from './offlineAnalysis'
+import { POSE_MODELS } from './poseModels'
+
+// Compare pose models on the current clip: inference speed and keypoint
+// confidence over a handful of evenly spaced frames.
+
+const DEFAULT_SAMPLE_COUNT = 15
+
+// Mean score of the core keypoints of the most confident pose
+const meanKeypointScore = (poses) => {
+  if (poses.length === 0) return 0
+  const best = poses.reduce((a, b) => ((a.score ?? 0) >= (b.score ?? 0) ? a : b))
+  const byName = indexKeypoints(best.keypoints)
+  const scores = CORE_KEYPOINTS.map(name => byName[name]?.score ?? 0)
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length
+}
+
+// `source` is the <video> or <img> element. Each model is loaded, timed and
+// disposed in turn; `onProgress(fraction)` reports progress and aborting
+// `signal` rejects with an AbortError.
+export const benchmarkModels = async (source, {
+  modelIds = Object.keys(POSE_MODELS),
+  sampleCount = DEFAULT_SAMPLE_COUNT,
+  onProgress,
+  signal,
+} = {}) => {
+  const isVideo = source instanceof HTMLVideoElement
+  const startTime = isVideo ? source.currentTime : 0
+  if (isVideo) source.pause()
+
+  const sampleTimes = isVideo
+    ? Array.from({ length: sampleCount }, (_, i) => ((i + 0.5) / sampleCount) * source.duration)
+    : Array(sampleCount).fill(0)
+
+  const results = []
+  try {
+    for (const [modelIndex, modelId] of modelIds.entries()) {
+      let detector = null
+      try {
+        detector = await POSE_MODELS[modelId].create()
+
+        // Warm-up run so shader compilation isn't counted
+        await detector.estimatePoses(source)
+
+        let totalMs = 0
+        let totalScore = 0
+        let detected = 0
+        for (const [i, time] of sampleTimes.entries()) {
+          if (signal?.aborted) throw new DOMException('Benchmark cancelled', 'AbortError')
+          if (isVideo) await seekTo(source, time)
+
+          const start = performance.now()
+          const poses = await detector.estimatePoses(source)
+          totalMs += performance.now() - start
+          totalScore += meanKeypointScore(poses)
+          if (poses.length > 0) detected++
+
+          onProgress?.((modelIndex + (i + 1) / sampleTimes.length) / modelIds.length)
+        }
+
+        const meanMs = totalMs / sampleTimes.length
+        results.push({
+          modelId,
+          meanMs,
+          fps: 1000 / meanMs,
+          meanScore: totalScore / sampleTimes.length,
+          detectionRate: detected / sampleTimes.length,
+        })
+      } catch (error) {
+        if (error.name === 'AbortError') throw error
+        results.push({ modelId, error: error.message })
+      } finally {
+        detector?.dispose()
+      }
+    }
+  } finally {
+    if (isVideo) await seekTo(source, startTime)
+  }
+
+  return results
+}
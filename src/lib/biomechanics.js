@@ -0,0 +1,366 @@
+import { createGaitDetector, DEFAULT_GAIT_OPTIONS } from './gait'
+import { symmetryIndex } from './asymmetry'
+import { buildStride, nearestSample, summarizeStrides } from './strides'
+import { assessLanding, summarizeLandings } from './overstride'
+import { createKeypointFilter, DEFAULT_FILTER_OPTIONS, interpolateKeypointGaps } from './keypointFilter'
+import { indexKeypoints } from './keypoints'
+import { classifyView, createViewDetector, detectClipView, isFrontalView } from './cameraView'
+import { createFrontalTracker, measureFrontalFrame } from './frontalPlane'
+import { createArmSwingTracker, measureArms } from './armSwing'
+import { correctKeypoints } from './keypointCorrections'
+
+const SUMMARY_SECONDS = DEFAULT_GAIT_OPTIONS.summarySeconds // Strides kept for mean ± SD
+const SAMPLE_SECONDS = SUMMARY_SECONDS + 2 // Frames kept for stride segmentation
+const LANDING_MARKER_SECONDS = 0.8 // How long a landing stays marked on the video
+
+// Calculate torso lean angle (FIXED)
+export const calculateTorsoLean = (leftShoulder, rightShoulder, leftHip, rightHip) => {
+  if (!leftShoulder || !rightShoulder || !leftHip || !rightHip) return 0
+
+  // Calculate midpoints
+  const shoulderMid = {
+    x: (leftShoulder.x + rightShoulder.x) / 2,
+    y: (leftShoulder.y + rightShoulder.y) / 2
+  }
+  const hipMid = {
+    x: (leftHip.x + rightHip.x) / 2,
+    y: (leftHip.y + rightHip.y) / 2
+  }
+
+  // Calculate angle from vertical (CORRECTED)
+  // Positive = forward lean, Negative = backward lean
+  const dx = shoulderMid.x - hipMid.x
+  const dy = hipMid.y - shoulderMid.y // Inverted for correct direction
+  const angleRad = Math.atan2(dx, dy)
+  const angleDeg = (angleRad * 180) / Math.PI
+
+  return Math.round(angleDeg)
+}
+
+// Calculate angle between three points
+export const calculateAngle = (point1, point2, point3) => {
+  if (!point1 || !point2 || !point3) return 0
+
+  const v1 = { x: point1.x - point2.x, y: point1.y - point2.y }
+  const v2 = { x: point3.x - point2.x, y: point3.y - point2.y }
+
+  const angle = Math.abs(
+    Math.atan2(v2.y, v2.x) - Math.atan2(v1.y, v1.x)
+  )
+
+  let degrees = (angle * 180) / Math.PI
+  if (degrees > 180) degrees = 360 - degrees
+
+  return Math.round(degrees)
+}
+
+// Calculate head alignment
+export const calculateHeadAlignment = (nose, neck) => {
+  if (!nose || !neck) return 0
+
+  const dx = nose.x - neck.x
+  const dy = neck.y - nose.y
+  const angleRad = Math.atan2(dx, dy)
+  const angleDeg = (angleRad * 180) / Math.PI
+
+  return Math.round(angleDeg)
+}
+
+// Which way the runner faces in a side view: 1 = towards +x, -1 = towards -x
+// (the nose sits ahead of the ears)
+export const detectFacing = (nose, leftEar, rightEar) => {
+  const ears = [leftEar, rightEar].filter(ear => ear && ear.score > 0.3)
+  if (!nose || ears.length === 0) return 1
+  const earX = ears.reduce((sum, ear) => sum + ear.x, 0) / ears.length
+  return nose.x >= earX ? 1 : -1
+}
+
+// Signed hip angle between trunk line and thigh
+// Positive = flexion (knee in front of trunk), Negative = extension
+export const calculateHipFlexion = (shoulder, hip, knee, facing = 1) => {
+  if (!shoulder || !hip || !knee) return 0
+
+  const trunk = { x: hip.x - shoulder.x, y: hip.y - shoulder.y }
+  const thigh = { x: knee.x - hip.x, y: knee.y - hip.y }
+  const cross = trunk.x * thigh.y - trunk.y * thigh.x
+  const dot = trunk.x * thigh.x + trunk.y * thigh.y
+  const angleDeg = (Math.atan2(cross, dot) * 180) / Math.PI
+
+  return Math.round(-angleDeg * facing)
+}
+
+// Ankle separation along x is step width, not step length, seen from the
+// front or back
+const withoutStepLength = (gait) => ({
+  ...gait,
+  strideLength: null,
+  left: { ...gait.left, stepLength: null },
+  right: { ...gait.right, stepLength: null },
+})
+
+// Stateful per-clip analyzer: filters one frame of raw keypoints and turns it
+// into a metrics snapshot. Filtering, oscillation and gait depend on earlier
+// frames, so frames must be fed in time order and `reset` called between clips.
+// Metrics whose keypoints fail the confidence gate are null. `view` is a
+// camera view id (see cameraView.js); in front and rear views the side-view
+// angles are null and `frontal` carries the frontal-plane metrics instead.
+export const createPoseAnalyzer = (filterOptions = {}, { view = 'auto' } = {}) => {
+  const keypointFilter = createKeypointFilter(filterOptions)
+  const { minScore } = keypointFilter.options
+  const gaitDetector = createGaitDetector({ minScore })
+  const viewDetector = createViewDetector()
+  const frontalTracker = createFrontalTracker()
+  const armSwingTracker = createArmSwingTracker()
+  let gait = null
+  let frontalSteps = null
+  let armSwings = null
+  let samples = []
+  let strides = []
+  let strideStats = null
+  let lastContacts = { left: null, right: null }
+  let landings = []
+
+  const reliable = (...points) => points.every(point => point && point.score >= minScore)
+
+  const reset = () => {
+    keypointFilter.reset()
+    gaitDetector.reset()
+    viewDetector.reset()
+    frontalTracker.reset()
+    armSwingTracker.reset()
+    gait = null
+    frontalSteps = null
+    armSwings = null
+    samples = []
+    strides = []
+    strideStats = null
+    lastContacts = { left: null, right: null }
+    landings = []
+  }
+
+  // Close a stride for each foot whose contact just completed, and assess
+  // its landing (side view only). Returns the strides completed.
+  const updateStrides = (contacts, timestamp, sagittal) => {
+    const completed = []
+    contacts.forEach(contact => {
+      const atContact = nearestSample(samples, contact.ic)
+      if (atContact && sagittal) landings.push(assessLanding(contact, atContact))
+
+      const previous = lastContacts[contact.side]
+      lastContacts[contact.side] = contact
+      if (!previous) return
+
+      const stride = buildStride(contact.side, previous, contact, samples)
+      if (stride) completed.push(stride)
+    })
+    strides = [...strides, ...completed].filter(stride => timestamp - stride.end <= SUMMARY_SECONDS)
+    strideStats = summarizeStrides(strides)
+    landings = landings.filter(landing => timestamp - landing.t <= SUMMARY_SECONDS)
+    return completed
+  }
+
+  // `timestamp` is media time in seconds; omit it for still images.
+  // Returns { keypoints, metrics } with the filtered keypoints for drawing.
+  const analyze = (rawKeypoints, timestamp) => {
+    // Seeking backwards invalidates the filter and stride history
+    if (timestamp !== undefined && samples.length > 0 && timestamp < samples[samples.length - 1].t) {
+      reset()
+    }
+
+    const keypoints = keypointFilter.filter(rawKeypoints, timestamp)
+
+    // Get all relevant keypoints
+    const points = indexKeypoints(keypoints)
+    const {
+      nose,
+      left_ear: leftEar,
+      right_ear: rightEar,
+      left_shoulder: leftShoulder,
+      right_shoulder: rightShoulder,
+      left_hip: leftHip,
+      right_hip: rightHip,
+      left_knee: leftKnee,
+      right_knee: rightKnee,
+      left_ankle: leftAnkle,
+      right_ankle: rightAnkle,
+      left_heel: leftHeel,
+      right_heel: rightHeel,
+      left_foot_index: leftToe,
+      right_foot_index: rightToe,
+    } = points
+    const facing = detectFacing(nose, leftEar, rightEar)
+
+    // Camera view: fixed, or voted over recent frames (a still image only has its own)
+    const activeView = view !== 'auto'
+      ? view
+      : timestamp === undefined
+        ? classifyView(points, minScore) ?? 'side'
+        : viewDetector.push(classifyView(points, minScore))
+    const sagittal = !isFrontalView(activeView)
+    const frontalFrame = sagittal ? null : measureFrontalFrame(points, minScore)
+    const arms = measureArms(points, { facing, sagittal, minScore })
+
+    // Calculate torso lean
+    const torsoLean = sagittal && reliable(leftShoulder, rightShoulder, leftHip, rightHip)
+      ? calculateTorsoLean(leftShoulder, rightShoulder, leftHip, rightHip)
+      : null
+
+    // Calculate knee and hip angles (both legs)
+    const jointAngle = (a, b, c) => (sagittal && reliable(a, b, c) ? calculateAngle(a, b, c) : null)
+    const kneeAngle = {
+      left: jointAngle(leftHip, leftKnee, leftAnkle),
+      right: jointAngle(rightHip, rightKnee, rightAnkle),
+    }
+    const hipAngle = {
+      left: jointAngle(leftShoulder, leftHip, leftKnee),
+      right: jointAngle(rightShoulder, rightHip, rightKnee),
+    }
+    const hipFlexion = {
+      left: sagittal && reliable(leftShoulder, leftHip, leftKnee)
+        ? calculateHipFlexion(leftShoulder, leftHip, leftKnee, facing)
+        : null,
+      right: sagittal && reliable(rightShoulder, rightHip, rightKnee)
+        ? calculateHipFlexion(rightShoulder, rightHip, rightKnee, facing)
+        : null,
+    }
+
+    const hipMid = reliable(leftHip, rightHip)
+      ? { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 }
+      : null
+
+    // Calculate head alignment
+    const headAlignment = sagittal && reliable(nose, leftShoulder, rightShoulder)
+      ? calculateHeadAlignment(nose, {
+        x: (leftShoulder.x + rightShoulder.x) / 2,
+        y: (leftShoulder.y + rightShoulder.y) / 2
+      })
+      : null
+
+    // Lower-limb points kept for landing assessment (heel/toe only with BlazePose)
+    const legJoints = (hip, knee, ankle, heel, toe) => ({
+      knee: reliable(knee) ? knee : null,
+      ankle: reliable(ankle) ? ankle : null,
+      heel: reliable(heel) ? heel : null,
+      toe: reliable(toe) ? toe : null,
+      legLength: reliable(hip, knee, ankle)
+        ? Math.hypot(hip.x - knee.x, hip.y - knee.y) + Math.hypot(knee.x - ankle.x, knee.y - ankle.y)
+        : null,
+    })
+
+    // Track gait events and strides
+    let contacts = []
+    let completedStrides = []
+    if (timestamp !== undefined) {
+      samples = [
+        ...samples,
+        {
+          t: timestamp,
+          facing,
+          kneeAngle,
+          hipFlexion,
+          torsoLean,
+          headAlignment,
+          hipY: hipMid?.y ?? null,
+          frontal: frontalFrame,
+          arms,
+          joints: {
+            left: legJoints(leftHip, leftKnee, leftAnkle, leftHeel, leftToe),
+            right: legJoints(rightHip, rightKnee, rightAnkle, rightHeel, rightToe),
+          },
+        },
+      ].filter(sample => timestamp - sample.t <= SAMPLE_SECONDS)
+
+      contacts = gaitDetector.push(timestamp, leftAnkle, rightAnkle, { hip: sagittal ? hipMid : null, facing })
+      if (contacts.length > 0) {
+        gait = sagittal ? gaitDetector.getMetrics() : withoutStepLength(gaitDetector.getMetrics())
+        completedStrides = updateStrides(contacts, timestamp, sagittal)
+        if (!sagittal) frontalSteps = frontalTracker.update(contacts, samples, timestamp)
+        armSwings = armSwingTracker.update(contacts, samples, timestamp)
+      }
+    }
+
+    // Position in the gait cycle (0 = left initial contact), extrapolated
+    // from the last left contact at the current cadence
+    const cyclePhase = timestamp !== undefined && lastContacts.left && gait?.cadence
+      ? (((timestamp - lastContacts.left.ic) * gait.cadence) / 120) % 1
+      : null
+
+    // Left/right asymmetry from stride peaks (still images only have this frame)
+    const flexion = (angle) => (angle == null ? null : 180 - angle)
+    const extension = (angle) => (angle == null ? null : -angle)
+    const peakLeft = strideStats?.left
+    const peakRight = strideStats?.right
+    const asymmetry = {
+      kneeFlexion: timestamp === undefined
+        ? symmetryIndex(flexion(kneeAngle.left), flexion(kneeAngle.right))
+        : symmetryIndex(peakLeft?.peakSwingKneeFlexion?.mean, peakRight?.peakSwingKneeFlexion?.mean),
+      hipExtension: timestamp === undefined
+        ? symmetryIndex(extension(hipFlexion.left), extension(hipFlexion.right))
+        : symmetryIndex(peakLeft?.peakHipExtension?.mean, peakRight?.peakHipExtension?.mean),
+      contactTime: symmetryIndex(gait?.left.contactTime, gait?.right.contactTime),
+      stepLength: symmetryIndex(gait?.left.stepLength, gait?.right.stepLength),
+    }
+
+    const metrics = {
+      view: activeView,
+      torsoLean,
+      facing,
+      kneeAngle,
+      hipAngle,
+      hipFlexion,
+      // Peak-to-trough per stride (pixels); null until a stride completes
+      verticalOscillation: strideStats?.all.verticalOscillation?.mean ?? null,
+      headAlignment,
+      gait,
+      cyclePhase,
+      strideStats,
+      asymmetry,
+      landings: summarizeLandings(landings),
+      // Front / rear views: this frame's measures and the rolling step summary
+      frontal: sagittal ? null : { current: frontalFrame, steps: frontalSteps },
+      // This frame's arm measures and the rolling swing summary
+      arms: { current: arms, swings: armSwings },
+      // Landings to mark on the video around this frame
+      recentLandings: timestamp === undefined
+        ? []
+        : landings.filter(landing => timestamp - landing.t <= LANDING_MARKER_SECONDS),
+      contacts, // Contacts completed on this frame
+      strides: completedStrides, // Strides completed on this frame
+    }
+
+    return { keypoints, metrics }
+  }
+
+  return { analyze, reset, filterOptions: keypointFilter.options }
+}
+
+// Run one analyzer per tracked runner over a cached timeline of
+// { t, poses } frames (poses carry tracker `id`s), filling short keypoint
+// dropouts from both neighbours first. Returns frames with `runners` added:
+// { [id]: { keypoints, metrics } } for every runner present in that frame.
+// With the 'auto' view each runner's view is detected over the whole clip;
+// manual `corrections` (see keypointCorrections.js) are applied to the
+// detections first. A single frame without `t` is analysed as a still image.
+export const analyzeTimeline = (frames, filterOptions = {}, { view = 'auto', corrections = null } = {}) => {
+  const { minScore } = { ...DEFAULT_FILTER_OPTIONS, ...filterOptions }
+  const ids = [...new Set(frames.flatMap(frame => frame.poses.map(pose => pose.id)))]
+  const runners = frames.map(() => ({}))
+
+  ids.forEach(id => {
+    const track = frames.map((frame, i) => ({
+      t: frame.t,
+      keypoints: correctKeypoints(frame.poses.find(pose => pose.id === id)?.keypoints, corrections, i, id),
+    }))
+    const filled = interpolateKeypointGaps(track, filterOptions)
+    const clipView = view === 'auto'
+      ? detectClipView(filled.filter(entry => entry.keypoints).map(entry => indexKeypoints(entry.keypoints)), minScore)
+      : view
+    const analyzer = createPoseAnalyzer(filterOptions, { view: clipView ?? 'auto' })
+
+    filled.forEach((entry, i) => {
+      if (entry.keypoints) runners[i][id] = analyzer.analyze(entry.keypoints, entry.t)
+    })
+  })
+
+  return frames.map((frame, i) => ({ ...frame, runners: runners[i] }))
+}
@@ -0,0 +1,108 @@
+// Pixel-to-centimetre calibration
+//
+// Two ways to get a scale: from the runner's standing height (using
+// anthropometric segment ratios against the detected skeleton), or from a
+// reference line of known length drawn on a frame (e.g. the treadmill deck).
+
+import { indexKeypoints } from './keypoints'
+
+// Segment length as a fraction of standing height (Drillis & Contini)
+const SEGMENT_RATIOS = {
+  trunk: 0.288, // Shoulder to hip
+  thigh: 0.245, // Hip to knee
+  shank: 0.246, // Knee to ankle
+}
+
+const STORAGE_PREFIX = 'runform.calibration.'
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y)
+
+const visible = (...points) => points.every(point => point && point.score > 0.3)
+
+// Trunk + longest leg in pixels for one frame, or null if not fully visible
+const skeletonLengthPx = (keypoints) => {
+  const {
+    left_shoulder: leftShoulder, right_shoulder: rightShoulder,
+    left_hip: leftHip, right_hip: rightHip,
+    left_knee: leftKnee, right_knee: rightKnee,
+    left_ankle: leftAnkle, right_ankle: rightAnkle,
+  } = indexKeypoints(keypoints)
+
+  const legs = []
+  if (visible(leftHip, leftKnee, leftAnkle)) {
+    legs.push(distance(leftHip, leftKnee) + distance(leftKnee, leftAnkle))
+  }
+  if (visible(rightHip, rightKnee, rightAnkle)) {
+    legs.push(distance(rightHip, rightKnee) + distance(rightKnee, rightAnkle))
+  }
+  if (legs.length === 0 || !visible(leftShoulder, rightShoulder, leftHip, rightHip)) return null
+
+  const shoulderMid = { x: (leftShoulder.x + rightShoulder.x) / 2, y: (leftShoulder.y + rightShoulder.y) / 2 }
+  const hipMid = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 }
+
+  // Foreshortening only ever shortens a segment, so take the longer leg
+  return distance(shoulderMid, hipMid) + Math.max(...legs)
+}
+
+// Scale from the runner's height over one or more frames of keypoints
+export const calibrateFromHeight = (keypointFrames, heightCm) => {
+  const lengths = keypointFrames
+    .map(skeletonLengthPx)
+    .filter(length => length !== null)
+    .sort((a, b) => a - b)
+  if (lengths.length === 0 || !(heightCm > 0)) return null
+
+  // Upper percentile rejects frames where a limb is foreshortened
+  const lengthPx = lengths[Math.floor(lengths.length * 0.9)] ?? lengths[lengths.length - 1]
+  const expectedCm = heightCm * (SEGMENT_RATIOS.trunk + SEGMENT_RATIOS.thigh + SEGMENT_RATIOS.shank)
+
+  return {
+    method: 'height',
+    heightCm,
+    cmPerPx: expectedCm / lengthPx,
+  }
+}
+
+// Scale from a reference line between two image points
+export const calibrateFromReference = (start, end, lengthCm) => {
+  const lengthPx = distance(start, end)
+  if (lengthPx === 0 || !(lengthCm > 0)) return null
+
+  return {
+    method: 'reference',
+    referenceCm: lengthCm,
+    reference: { start, end },
+    cmPerPx: lengthCm / lengthPx,
+  }
+}
+
+// Format a pixel length in cm when calibrated, else in px
+export const formatLength = (px, calibration) => {
+  if (px == null) return '--'
+  if (!calibration) return `${Math.round(px)}px`
+  return `${(px * calibration.cmPerPx).toFixed(1)}cm`
+}
+
+// Persist calibration per clip so reopening it keeps the scale
+export const getCalibrationKey = (file) => `${file.name}:${file.size}`
+
+export const loadCalibration = (key) => {
+  try {
+    const stored = localStorage.getItem(STORAGE_PREFIX + key)
+    return stored ? JSON.parse(stored) : null
+  } catch {
+    return null
+  }
+}
+
+export const saveCalibration = (key, calibration) => {
+  try {
+    if (calibration) {
+      localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(calibration))
+    } else {
+      localStorage.removeItem(STORAGE_PREFIX + key)
+    }
+  } catch (error) {
+    console.error('❌ Error saving calibration:', error)
+  }
+}
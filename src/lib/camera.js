@@ -0,0 +1,78 @@
+// Live camera selection and session recording
+//
+// Settings are turned into getUserMedia constraints; a specific device wins
+// over the front/rear choice. Recordings are plain WebM/MP4 clips so they can
+// be reviewed through the upload pipeline.
+
+export const CAMERA_RESOLUTIONS = {
+  '480p': { label: '640×480', width: 640, height: 480 },
+  '720p': { label: '1280×720', width: 1280, height: 720 },
+  '1080p': { label: '1920×1080', width: 1920, height: 1080 },
+}
+
+export const CAMERA_FRAME_RATES = [30, 60]
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  deviceId: '',        // Empty = pick by facing
+  facing: 'user',      // 'user' (front) or 'environment' (rear)
+  resolution: '480p',
+  frameRate: 30,
+  mirrored: true,
+}
+
+// Recording formats in order of preference
+const RECORDING_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4']
+
+export const buildVideoConstraints = (settings) => {
+  const { width, height } = CAMERA_RESOLUTIONS[settings.resolution]
+  return {
+    ...(settings.deviceId
+      ? { deviceId: { exact: settings.deviceId } }
+      : { facingMode: settings.facing }),
+    width: { ideal: width },
+    height: { ideal: height },
+    frameRate: { ideal: settings.frameRate },
+  }
+}
+
+// Video inputs; labels are only filled in once camera permission is granted
+export const listCameras = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return []
+  const devices = await navigator.mediaDevices.enumerateDevices()
+  return devices
+    .filter(device => device.kind === 'videoinput')
+    .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }))
+}
+
+export const isRecordingSupported = () => typeof MediaRecorder !== 'undefined'
+
+// Best MediaRecorder type this browser supports ('' = browser default)
+export const pickRecordingType = () => RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type)) ?? ''
+
+// Record `stream` until stop(), which resolves with the clip as a File
+export const createSessionRecorder = (stream) => {
+  const mimeType = pickRecordingType()
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined)
+  const chunks = []
+  const startedAt = new Date()
+
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data.size > 0) chunks.push(e.data)
+  })
+
+  const stop = () => new Promise((resolve) => {
+    recorder.addEventListener('stop', () => {
+      const type = recorder.mimeType.split(';')[0] || 'video/webm'
+      const extension = type === 'video/mp4' ? 'mp4' : 'webm'
+      const stamp = startedAt.toISOString().slice(0, 19).replace(/[:T]/g, '-')
+      resolve(new File(chunks, `session-${stamp}.${extension}`, { type }))
+    }, { once: true })
+    recorder.stop()
+  })
+
+  recorder.start(1000)
+  return { stop, startedAt }
+}
+
+// Calibration is stored per camera and resolution (see calibration.js)
+export const getCameraCalibrationKey = (settings) => `camera:${settings.deviceId || settings.facing}:${settings.resolution}`
@@ -0,0 +1,95 @@
+// Camera view: side (sagittal plane) or front / rear (frontal plane)
+//
+// Side-view metrics (trunk lean, joint flexion, overstride) only make sense
+// when the camera looks across the runner; front and rear views get the
+// frontal-plane metrics in frontalPlane.js instead. The view can be picked
+// by the user or detected from the shoulder line: seen from the side the
+// shoulders overlap, seen from the front or back they span most of the
+// torso height. The model labels sides anatomically, so the runner's left
+// shoulder shows on the image right when they face the camera.
+
+export const CAMERA_VIEWS = [
+  { id: 'auto', label: 'Auto', description: 'Detect from the pose' },
+  { id: 'side', label: 'Side', description: 'Camera beside the runner' },
+  { id: 'front', label: 'Front', description: 'Runner comes towards the camera' },
+  { id: 'rear', label: 'Rear', description: 'Camera behind, e.g. on a treadmill' },
+]
+
+export const DEFAULT_VIEW = 'auto'
+
+const STORAGE_KEY = 'runform.cameraView'
+
+// Shoulder width / torso height below which the view is side-on, and above
+// which it is frontal; in between (oblique) a frame doesn't vote
+const SIDE_RATIO = 0.3
+const FRONTAL_RATIO = 0.5
+
+const VOTE_FRAMES = 45 // Recent frame votes behind the detected view
+
+export const isFrontalView = (view) => view === 'front' || view === 'rear'
+
+// View of one frame of keypoints (by name), or null when unclear. A hidden
+// face means the runner has their back to the camera.
+export const classifyView = (points, minScore = 0.3) => {
+  const { nose, left_shoulder: leftShoulder, right_shoulder: rightShoulder, left_hip: leftHip, right_hip: rightHip } = points
+  const reliable = [leftShoulder, rightShoulder, leftHip, rightHip].every(point => point && point.score >= minScore)
+  if (!reliable) return null
+
+  const torsoHeight = Math.abs((leftHip.y + rightHip.y) / 2 - (leftShoulder.y + rightShoulder.y) / 2)
+  if (torsoHeight === 0) return null
+  const ratio = Math.abs(leftShoulder.x - rightShoulder.x) / torsoHeight
+  if (ratio < SIDE_RATIO) return 'side'
+  if (ratio < FRONTAL_RATIO) return null
+
+  if (!nose || nose.score < minScore) return 'rear'
+  return leftShoulder.x > rightShoulder.x ? 'front' : 'rear'
+}
+
+// Most common view among `views`, ignoring nulls
+const majority = (views) => {
+  const counts = {}
+  views.forEach(view => {
+    if (view) counts[view] = (counts[view] ?? 0) + 1
+  })
+  const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1])
+  return best ? best[0] : null
+}
+
+// Majority vote over a clip's frames of keypoints (by name)
+export const detectClipView = (framePoints, minScore) => (
+  majority(framePoints.map(points => classifyView(points, minScore)))
+)
+
+// Rolling vote for live input, so one odd frame doesn't flip the layout.
+// `push` returns the current view, side until any frame has voted.
+export const createViewDetector = (frames = VOTE_FRAMES) => {
+  let votes = []
+
+  const push = (view) => {
+    if (view) votes = [...votes, view].slice(-frames)
+    return majority(votes) ?? 'side'
+  }
+
+  const reset = () => {
+    votes = []
+  }
+
+  return { push, reset }
+}
+
+export const loadViewSetting = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    return CAMERA_VIEWS.some(view => view.id === stored) ? stored : DEFAULT_VIEW
+  } catch {
+    return DEFAULT_VIEW
+  }
+}
+
+export const saveViewSetting = (view) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, view)
+  } catch (error) {
+    console.error('❌ Error saving camera view:', error)
+  }
+}
@@ -0,0 +1,103 @@
+// Coaching cues from live metrics
+//
+// A rule fires when its metric stays outside the active runner profile's
+// target range for `holdSeconds`, so a cue never contradicts the HUD rating
+// (COACHING_METRICS keys are profile metric keys). Cues are rate limited twice: a global gap between any two cues, and a
+// longer gap before the same cue may repeat. Output (speech / tone) lives in
+// audio.js; this module only decides what to say and when.
+
+export const COACHING_METRICS = {
+  torsoLean: {
+    label: 'Torso lean',
+    unit: '°',
+    value: (metrics) => metrics.torsoLean,
+  },
+  cadence: {
+    label: 'Cadence',
+    unit: 'SPM',
+    value: (metrics) => metrics.gait?.cadence || null,
+  },
+  // Only coached once calibrated, since px depend on camera distance
+  verticalOscillation: {
+    label: 'Vertical oscillation',
+    unit: 'cm',
+    value: (metrics, calibration) => (metrics.verticalOscillation != null && calibration
+      ? metrics.verticalOscillation * calibration.cmPerPx
+      : null),
+  },
+}
+
+const DEFAULT_RULES = [
+  { metric: 'torsoLean', enabled: true, holdSeconds: 3, lowCue: 'Lean slightly forward from the ankles', highCue: 'Run tall, bring your chest up' },
+  { metric: 'cadence', enabled: true, holdSeconds: 5, lowCue: 'Quicker, lighter steps', highCue: 'Relax, lengthen your stride a little' },
+  { metric: 'verticalOscillation', enabled: true, holdSeconds: 5, lowCue: '', highCue: 'Less bounce, run low and smooth' },
+]
+
+// Per-session coaching config
+export const DEFAULT_COACHING_CONFIG = {
+  enabled: false,
+  output: 'voice',     // 'voice' (Web Speech) or 'tone' (Web Audio beeps)
+  minCueInterval: 8,   // Seconds between any two cues
+  repeatInterval: 20,  // Seconds before the same cue may repeat
+  rules: DEFAULT_RULES,
+}
+
+// `update(metrics, calibration, config, t, ranges)` returns the cue to play
+// now ({ metric, direction, message }) or null. `t` is in seconds; `config`
+// and `ranges` (the active profile's) are passed on every call so edits
+// apply mid-session.
+export const createCoach = () => {
+  let outOfRange = {} // metric -> { direction, since }
+  let lastCueAt = -Infinity
+  let lastCueByKey = {} // 'metric:direction' -> t
+
+  const reset = () => {
+    outOfRange = {}
+    lastCueAt = -Infinity
+    lastCueByKey = {}
+  }
+
+  const update = (metrics, calibration, config, t, ranges) => {
+    if (!metrics || !config.enabled) return null
+
+    const due = []
+    config.rules.forEach(rule => {
+      const range = ranges?.[rule.metric]
+      const value = rule.enabled && range ? COACHING_METRICS[rule.metric].value(metrics, calibration) : null
+      const direction = value == null
+        ? null
+        : range.min != null && value < range.min
+          ? 'low'
+          : range.max != null && value > range.max ? 'high' : null
+
+      if (!direction) {
+        delete outOfRange[rule.metric]
+        return
+      }
+      if (outOfRange[rule.metric]?.direction !== direction) {
+        outOfRange[rule.metric] = { direction, since: t }
+      }
+
+      const { since } = outOfRange[rule.metric]
+      const key = `${rule.metric}:${direction}`
+      const message = direction === 'low' ? rule.lowCue : rule.highCue
+      if (
+        message &&
+        t - since >= rule.holdSeconds &&
+        t - (lastCueByKey[key] ?? -Infinity) >= config.repeatInterval
+      ) {
+        due.push({ metric: rule.metric, direction, message, since, key })
+      }
+    })
+
+    if (due.length === 0 || t - lastCueAt < config.minCueInterval) return null
+
+    // The problem that has lasted longest goes first
+    const next = due.sort((a, b) => a.since - b.since)[0]
+    lastCueAt = t
+    lastCueByKey[next.key] = t
+    return { metric: next.metric, direction: next.direction, message: next.message }
+  }
+
+  return { update, reset }
+}
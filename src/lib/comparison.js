@@ -0,0 +1,117 @@
+import { indexKeypoints } from './keypoints'
+import { classifyMetric } from './profiles'
+import { summarizeRun } from './sessionData'
+import { summarizeStrides } from './strides'
+
+// Before/after comparison of two analysed clips
+//
+// Clips are lined up by gait cycle: one initial contact to the next contact
+// of the same foot in each clip, with time inside the cycle mapped by phase.
+// That keeps the two runners in step even when their cadence differs.
+
+// Completed strides (gait cycles) of one runner, in order
+export const listCycles = (frames, runnerId, side = null) => frames
+  .flatMap(frame => frame.runners?.[runnerId]?.metrics.strides ?? [])
+  .filter(stride => !side || stride.side === side)
+
+// Phase 0..1 of `time` inside a cycle
+export const cyclePhase = (time, cycle) => (time - cycle.start) / (cycle.end - cycle.start)
+
+// Time in `to` at the same phase as `time` in `from`
+export const mapCycleTime = (time, from, to) => to.start + cyclePhase(time, from) * (to.end - to.start)
+
+// Hip midpoint and torso length (hips to shoulders) of one pose
+export const bodyAnchor = (keypoints, minScore = 0.3) => {
+  const byName = indexKeypoints(keypoints)
+  const midpoint = (a, b) => {
+    const points = [byName[a], byName[b]].filter(point => point?.score >= minScore)
+    if (points.length === 0) return null
+    return {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+    }
+  }
+  const hip = midpoint('left_hip', 'right_hip')
+  const shoulder = midpoint('left_shoulder', 'right_shoulder')
+  if (!hip || !shoulder) return null
+  const torso = Math.hypot(shoulder.x - hip.x, shoulder.y - hip.y)
+  return torso > 0 ? { hip, torso } : null
+}
+
+// Move and scale the ghost pose so its hips and torso length match the
+// target's; `flip` mirrors it when the two runners face opposite ways
+export const alignGhost = (ghost, target, { flip = false, minScore = 0.3 } = {}) => {
+  const from = bodyAnchor(ghost, minScore)
+  const to = bodyAnchor(target, minScore)
+  if (!from || !to) return null
+
+  const scale = to.torso / from.torso
+  return ghost.map(keypoint => ({
+    ...keypoint,
+    x: to.hip.x + (flip ? -1 : 1) * (keypoint.x - from.hip.x) * scale,
+    y: to.hip.y + (keypoint.y - from.hip.y) * scale,
+  }))
+}
+
+// Whole-clip numbers for one runner: the saved-session summary plus mean
+// stride angles
+export const describeRun = (timeline, runnerId, calibration = null) => {
+  const summary = summarizeRun(timeline, runnerId, calibration)
+  if (!summary) return null
+  const stats = summarizeStrides(listCycles(timeline.frames, runnerId))?.all
+  return {
+    ...summary,
+    kneeAngleAtContact: stats?.kneeAngleAtContact?.mean ?? null,
+    peakSwingKneeFlexion: stats?.peakSwingKneeFlexion?.mean ?? null,
+    peakHipExtension: stats?.peakHipExtension?.mean ?? null,
+  }
+}
+
+// Rows of the delta table; `profileKey` rates each value against the
+// active runner profile
+export const COMPARISON_METRICS = [
+  { key: 'cadence', label: 'Cadence', unit: 'SPM', digits: 0, profileKey: 'cadence', pick: run => run.cadence },
+  { key: 'contactTime', label: 'Ground contact', unit: 'ms', digits: 0, profileKey: 'contactTime', pick: run => (run.contactTime == null ? null : run.contactTime * 1000) },
+  { key: 'torsoLean', label: 'Torso lean', unit: '°', digits: 1, profileKey: 'torsoLean', pick: run => run.torsoLean },
+  { key: 'verticalOscillation', label: 'Vert. oscillation', unit: 'cm', digits: 1, profileKey: 'verticalOscillation', pick: run => run.verticalOscillationCm },
+  { key: 'verticalOscillationPx', label: 'Vert. oscillation', unit: 'px', digits: 0, profileKey: 'verticalOscillationPx', pick: run => run.verticalOscillation },
+  { key: 'kneeAngleAtContact', label: 'Knee angle at contact', unit: '°', digits: 0, profileKey: 'kneeAngleAtContact', pick: run => run.kneeAngleAtContact },
+  { key: 'peakSwingKneeFlexion', label: 'Peak swing knee flexion', unit: '°', digits: 0, profileKey: 'peakSwingKneeFlexion', pick: run => run.peakSwingKneeFlexion },
+  { key: 'peakHipExtension', label: 'Hip extension at toe-off', unit: '°', digits: 0, profileKey: 'peakHipExtension', pick: run => run.peakHipExtension },
+]
+
+const LEVEL_RANK = { good: 0, fair: 1, poor: 2 }
+
+// Before/after values with the change and whether it moved towards the
+// profile's target ('better' | 'worse' | 'same' | null without a rating).
+// Oscillation is compared in cm only when both clips are calibrated.
+export const compareRuns = (before, after, profile = null) => {
+  const bothCalibrated = before.verticalOscillationCm != null && after.verticalOscillationCm != null
+
+  return COMPARISON_METRICS
+    .filter(metric => {
+      if (metric.key === 'verticalOscillation') return bothCalibrated
+      if (metric.key === 'verticalOscillationPx') return !bothCalibrated
+      return true
+    })
+    .map(metric => {
+      const a = metric.pick(before)
+      const b = metric.pick(after)
+      const delta = a != null && b != null ? b - a : null
+      const range = profile?.ranges[metric.profileKey]
+      const levelA = classifyMetric(a, range)?.level
+      const levelB = classifyMetric(b, range)?.level
+      const trend = levelA && levelB
+        ? LEVEL_RANK[levelB] < LEVEL_RANK[levelA] ? 'better' : LEVEL_RANK[levelB] > LEVEL_RANK[levelA] ? 'worse' : 'same'
+        : null
+      return {
+        ...metric,
+        before: a,
+        after: b,
+        delta,
+        percent: delta != null && a ? (delta / Math.abs(a)) * 100 : null,
+        trend,
+      }
+    })
+    .filter(row => row.before != null || row.after != null)
+}
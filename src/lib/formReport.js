@@ -0,0 +1,490 @@
+import { ASYMMETRY_METRICS, DEFAULT_ASYMMETRY_THRESHOLD, symmetryIndex } from './asymmetry'
+import { OVERSTRIDE_SEVERITIES } from './overstride'
+import { classifyMetric, rangeDeviation } from './profiles'
+import { collectRunner } from './sessionData'
+
+// Form report: a whole-clip review of one analysed runner
+//
+// Each measure is scored 0-100 against the active profile's target range:
+// 100 inside it, dropping SCORE_DROP points per range width outside (so the
+// profile's 'fair' band ends at 70). Category scores are the mean of their
+// measures and the overall score is the mean of the categories. Measures
+// outside their range become issues, worst first, each with a plain-language
+// explanation, drills, and the moments of the clip that show it most.
+
+export const REPORT_CATEGORIES = [
+  { key: 'posture', label: 'Posture' },
+  { key: 'rhythm', label: 'Rhythm' },
+  { key: 'bounce', label: 'Bounce' },
+  { key: 'legs', label: 'Leg mechanics' },
+  { key: 'symmetry', label: 'Symmetry' },
+]
+
+const SCORE_DROP = 120
+const MOMENT_COUNT = 3
+const MOMENT_SPACING = 0.5 // Seconds between the moments shown for one issue
+const OVERSTRIDE_TARGET = { min: null, max: 20 } // % of landings rated moderate or severe
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null)
+
+const present = (samples) => samples.filter(sample => sample.value != null && Number.isFinite(sample.value))
+
+const sideValues = (samples, side) => present(samples.filter(sample => sample.side === side)).map(sample => sample.value)
+
+// Per-stride and per-contact samples: { t, side, value }
+const strideSamples = (strides, pick, at = stride => stride.start) => strides.map(stride => ({
+  t: at(stride),
+  side: stride.side,
+  value: pick(stride),
+}))
+
+const contactSamples = (contacts, pick) => contacts.map(contact => ({ t: contact.ic, side: contact.side, value: pick(contact) }))
+
+const contactTimeOf = (contact) => (contact.to == null ? null : (contact.to - contact.ic) * 1000)
+
+// Instantaneous cadence between consecutive contacts of either foot
+const cadenceSamples = (contacts) => {
+  const sorted = [...contacts].sort((a, b) => a.ic - b.ic)
+  return sorted.slice(1).map((contact, i) => ({
+    t: contact.ic,
+    side: contact.side,
+    value: contact.ic > sorted[i].ic ? 60 / (contact.ic - sorted[i].ic) : null,
+  }))
+}
+
+// Every landing assessed over the clip; each stays in `recentLandings` for
+// a while, so they are de-duplicated by side and time
+const collectLandings = (frames) => {
+  const seen = new Map()
+  frames.forEach(frame => (frame.metrics.recentLandings ?? []).forEach(landing => {
+    seen.set(`${landing.side}:${landing.t}`, landing)
+  }))
+  return [...seen.values()].sort((a, b) => a.t - b.t)
+}
+
+// Side values for the asymmetry measures, matching the live HUD's indices
+const ASYMMETRY_SOURCES = {
+  kneeFlexion: ({ strides }) => strideSamples(strides, stride => stride.peakSwingKneeFlexion, stride => (stride.start + stride.end) / 2),
+  hipExtension: ({ strides }) => strideSamples(strides, stride => stride.peakHipExtension),
+  contactTime: ({ contacts }) => contactSamples(contacts, contactTimeOf),
+  stepLength: ({ contacts }) => contactSamples(contacts, contact => contact.stepLength),
+}
+
+// What each measure reads from the clip. `samples(context)` are { t, value }
+// points in time; their mean is the headline value unless `value(samples,
+// context)` is given. Moments are picked from the samples (or from
+// `moments(samples)`) furthest out in the problem's direction.
+const MEASURES = [
+  {
+    key: 'torsoLean',
+    category: 'posture',
+    label: 'Torso lean',
+    unit: '°',
+    digits: 1,
+    range: ({ ranges }) => ranges.torsoLean,
+    samples: ({ frames }) => frames.map(frame => ({ t: frame.t, value: frame.metrics.torsoLean })),
+  },
+  {
+    key: 'headAlignment',
+    category: 'posture',
+    label: 'Head tilt',
+    unit: '°',
+    digits: 0,
+    range: ({ ranges }) => ranges.headAlignment,
+    samples: ({ frames }) => frames.map(frame => ({
+      t: frame.t,
+      value: frame.metrics.headAlignment == null ? null : Math.abs(frame.metrics.headAlignment),
+    })),
+  },
+  {
+    key: 'cadence',
+    category: 'rhythm',
+    label: 'Cadence',
+    unit: 'SPM',
+    digits: 0,
+    range: ({ ranges }) => ranges.cadence,
+    samples: ({ contacts }) => cadenceSamples(contacts),
+    // Steps over the whole span, as in the saved-session summary
+    value: (samples, { contacts }) => {
+      const times = contacts.map(contact => contact.ic)
+      const span = times.length > 1 ? Math.max(...times) - Math.min(...times) : 0
+      return span > 0 ? ((times.length - 1) / span) * 60 : null
+    },
+  },
+  {
+    key: 'contactTime',
+    category: 'rhythm',
+    label: 'Ground contact',
+    unit: 'ms',
+    digits: 0,
+    range: ({ ranges }) => ranges.contactTime,
+    samples: ({ contacts }) => contactSamples(contacts, contactTimeOf),
+  },
+  {
+    key: 'verticalOscillation',
+    category: 'bounce',
+    label: 'Vertical oscillation',
+    unit: ({ calibration }) => (calibration ? 'cm' : 'px'),
+    digits: 1,
+    range: ({ ranges, calibration }) => (calibration ? ranges.verticalOscillation : ranges.verticalOscillationPx),
+    samples: ({ strides, calibration }) => strideSamples(strides, stride => (
+      stride.verticalOscillation == null ? null : stride.verticalOscillation * (calibration?.cmPerPx ?? 1)
+    )),
+  },
+  {
+    key: 'kneeAngleAtContact',
+    category: 'legs',
+    label: 'Knee angle at contact',
+    unit: '°',
+    digits: 0,
+    range: ({ ranges }) => ranges.kneeAngleAtContact,
+    samples: ({ strides }) => strideSamples(strides, stride => stride.kneeAngleAtContact, stride => stride.end),
+  },
+  {
+    key: 'peakSwingKneeFlexion',
+    category: 'legs',
+    label: 'Peak swing knee flexion',
+    unit: '°',
+    digits: 0,
+    range: ({ ranges }) => ranges.peakSwingKneeFlexion,
+    samples: ({ strides }) => strideSamples(strides, stride => stride.peakSwingKneeFlexion, stride => (stride.start + stride.end) / 2),
+  },
+  {
+    key: 'peakHipExtension',
+    category: 'legs',
+    label: 'Hip extension at toe-off',
+    unit: '°',
+    digits: 0,
+    range: ({ ranges }) => ranges.peakHipExtension,
+    samples: ({ strides }) => strideSamples(strides, stride => stride.peakHipExtension),
+  },
+  {
+    key: 'overstride',
+    category: 'legs',
+    label: 'Overstriding landings',
+    unit: '%',
+    digits: 0,
+    range: () => OVERSTRIDE_TARGET,
+    // Moments rank landings by severity; the value is the share of bad ones
+    samples: ({ landings }) => landings.map(landing => ({
+      t: landing.t,
+      side: landing.side,
+      value: OVERSTRIDE_SEVERITIES.indexOf(landing.severity),
+    })),
+    value: (samples) => (samples.length
+      ? (samples.filter(sample => sample.value >= OVERSTRIDE_SEVERITIES.indexOf('moderate')).length / samples.length) * 100
+      : null),
+  },
+  ...ASYMMETRY_METRICS.map(({ key, label }) => ({
+    key: `asymmetry.${key}`,
+    category: 'symmetry',
+    label: `${label} asymmetry`,
+    unit: '%',
+    digits: 0,
+    range: ({ asymmetryThreshold }) => ({ min: null, max: asymmetryThreshold }),
+    samples: ASYMMETRY_SOURCES[key],
+    value: (samples) => symmetryIndex(mean(sideValues(samples, 'left')), mean(sideValues(samples, 'right'))),
+    // Moments: the smaller side's strides that differ most from the other side
+    moments: (samples) => {
+      const left = mean(sideValues(samples, 'left'))
+      const right = mean(sideValues(samples, 'right'))
+      if (left == null || right == null) return []
+      const [side, other] = left < right ? ['left', right] : ['right', left]
+      return samples
+        .filter(sample => sample.side === side)
+        .map(sample => ({ ...sample, value: Math.abs(sample.value - other) }))
+    },
+    sides: (samples) => ({ left: mean(sideValues(samples, 'left')), right: mean(sideValues(samples, 'right')) }),
+  })),
+]
+
+// Explanations and drills per measure and direction ('high' / 'low')
+const ISSUE_ADVICE = {
+  'torsoLean:high': {
+    title: 'Leaning too far forward',
+    explanation: 'The trunk tips well forward, usually by bending at the hips rather than leaning from the ankles. It loads the lower back and hamstrings and tends to push the feet out behind you.',
+    drills: ['Wall lean: hold a straight-body lean against a wall, hinging only at the ankles', 'Tall running: 4 × 20 s strides with the cue "head to the ceiling"', 'Hip flexor stretch: 2 × 45 s per side after runs'],
+  },
+  'torsoLean:low': {
+    title: 'Running too upright',
+    explanation: 'The body stays vertical or leans back, so each landing acts as a brake instead of letting gravity carry you forward.',
+    drills: ['Falling starts: lean from the ankles until you have to step, then run 20 m', 'Hill strides: 6 × 10 s uphill to feel a forward body angle', 'Ankle lean drill: rock forward and back from the ankles with a straight body'],
+  },
+  'headAlignment:high': {
+    title: 'Head tilted',
+    explanation: 'The head drops or pokes forward instead of sitting over the shoulders. It pulls the upper back forward and often goes with a collapsed posture late in a run.',
+    drills: ['Gaze cue: look 20-30 m ahead, not at your feet', 'Chin tucks: 2 × 10 slow reps', 'Thoracic extension over a foam roller: 1-2 min'],
+  },
+  'cadence:low': {
+    title: 'Low cadence',
+    explanation: 'Few steps per minute usually means long, loping strides with more time in the air and harder landings.',
+    drills: ['Metronome runs: easy running at 5% above your current cadence', 'Quick feet: 3 × 15 s of fast, small steps', 'Short hill sprints: 6 × 8 s'],
+  },
+  'cadence:high': {
+    title: 'Choppy, very short steps',
+    explanation: 'Very high step rates for the pace often mean short, shuffling steps without much push-off.',
+    drills: ['Bounding: 4 × 30 m focusing on a long push from the back foot', 'Strides: 4 × 80 m relaxing into a longer stride', 'Hip mobility: leg swings front-back and side-side'],
+  },
+  'contactTime:high': {
+    title: 'Long ground contact',
+    explanation: 'The foot stays on the ground a long time, which suggests the leg is sinking and then pushing rather than bouncing off the ground.',
+    drills: ['Pogo hops: 3 × 20 with stiff ankles and quick contacts', 'Jump rope: 3 × 1 min', 'A-skips: 3 × 20 m with a fast, active foot strike'],
+  },
+  'contactTime:low': {
+    title: 'Very short ground contact',
+    explanation: 'Unusually short contacts for this profile can mean running up on the toes, which loads the calves and Achilles.',
+    drills: ['Easy runs with a relaxed, quiet landing', 'Eccentric calf raises: 3 × 15 per side', 'Walking lunges: 2 × 10 per side'],
+  },
+  'verticalOscillation:high': {
+    title: 'Too much bounce',
+    explanation: 'The hips rise and fall a lot each step. That energy goes into moving up and down instead of forward.',
+    drills: ['Run under a "ceiling": 4 × 20 s keeping your head at the same height', 'Quick-step metronome runs at 5% higher cadence', 'Single-leg hops in place: 3 × 15 per side'],
+  },
+  'verticalOscillation:low': {
+    title: 'Very little vertical motion',
+    explanation: 'Hardly any rise and fall can mean a shuffling stride with little push-off.',
+    drills: ['Skipping for height: 3 × 20 m', 'Bounding: 4 × 30 m', 'Strides: 4 × 80 m'],
+  },
+  'kneeAngleAtContact:high': {
+    title: 'Landing on a straight leg',
+    explanation: 'The knee is nearly straight when the foot lands, typically because the foot reaches out in front of the hips. Impact goes up the leg instead of being absorbed by the knee.',
+    drills: ['A-skips: 3 × 20 m, landing under the hips', 'Cadence +5% with a metronome to shorten the reach', 'Wall drill: practise bringing the foot down under you'],
+  },
+  'kneeAngleAtContact:low': {
+    title: 'Landing with a very bent knee',
+    explanation: 'The knee is deeply bent at landing, so the legs sit low and collapse through each contact.',
+    drills: ['Pogo jumps: 3 × 20', 'Single-leg squats to a box: 3 × 8 per side', 'Calf raises: 3 × 15'],
+  },
+  'peakSwingKneeFlexion:low': {
+    title: 'Low heel recovery',
+    explanation: 'The heel stays low as the leg swings through, which makes a long lever that is slower to bring forward.',
+    drills: ['Butt kicks: 3 × 20 m', 'B-skips: 3 × 20 m', 'Hamstring curls: 3 × 12'],
+  },
+  'peakSwingKneeFlexion:high': {
+    title: 'Very high heel recovery',
+    explanation: 'The heel comes up very high behind you. That is normal at sprint speeds but costly at easy paces.',
+    drills: ['Relaxed strides: 4 × 80 m thinking "knee forward" rather than "heel up"', 'Easy running with a quiet, low swing'],
+  },
+  'peakHipExtension:low': {
+    title: 'Limited hip extension',
+    explanation: 'The leg does not extend far behind the body at toe-off, so push-off comes from the calf and lower back instead of the glutes.',
+    drills: ['Couch stretch: 2 × 60 s per side', 'Glute bridges: 3 × 12, single-leg when easy', 'Bounding: 4 × 30 m focusing on a full push-off'],
+  },
+  'peakHipExtension:high': {
+    title: 'Over-extending at push-off',
+    explanation: 'The leg trails far behind the body, often by arching the lower back rather than extending at the hip.',
+    drills: ['Dead bugs: 3 × 10 per side', 'Plank: 3 × 30 s', 'Posture cue: keep the pelvis level and "zip up" the front of the hips'],
+  },
+  'overstride:high': {
+    title: 'Overstriding',
+    explanation: 'Many landings are well in front of the hips with the shin reaching forward. Each of those steps brakes you and raises the load on the knees.',
+    drills: ['Cadence +5% with a metronome', 'A-skips: 3 × 20 m', 'Cue "land under your hips" on 4 × 20 s strides'],
+  },
+  'asymmetry:high': {
+    title: 'Left/right imbalance',
+    explanation: 'One side moves differently from the other. Small differences are normal; larger ones often come from strength or mobility differences or an old injury.',
+    drills: ['Split squats: 3 × 8 per side, starting with the weaker side', 'Single-leg balance: 3 × 30 s per side', 'Single-leg hops: 3 × 10 per side'],
+  },
+}
+
+const adviceFor = (key, direction) => ISSUE_ADVICE[`${key.startsWith('asymmetry.') ? 'asymmetry' : key}:${direction}`] ?? null
+
+// Score 0-100 of one value against its target range, or null without data
+export const scoreMeasure = (value, range) => {
+  const deviation = rangeDeviation(value, range)
+  if (!deviation) return null
+  return Math.max(0, Math.round(100 - SCORE_DROP * deviation.ratio))
+}
+
+// Up to MOMENT_COUNT spaced-out samples that show a problem most
+const pickMoments = (samples, direction) => present(samples)
+  .sort((a, b) => (direction === 'low' ? a.value - b.value : b.value - a.value))
+  .reduce((picked, sample) => (
+    picked.length < MOMENT_COUNT && picked.every(other => Math.abs(other.t - sample.t) >= MOMENT_SPACING)
+      ? [...picked, sample]
+      : picked
+  ), [])
+  .sort((a, b) => a.t - b.t)
+  .map(sample => sample.t)
+
+// "min-max unit" / "< max unit" / "> min unit"
+export const formatTarget = (range, unit) => {
+  if (!range || (range.min == null && range.max == null)) return '--'
+  if (range.min == null) return `< ${range.max}${unit}`
+  if (range.max == null) return `> ${range.min}${unit}`
+  return `${range.min}-${range.max}${unit}`
+}
+
+export const formatMeasure = (value, unit, digits = 0) => (value == null ? '--' : `${value.toFixed(digits)}${unit}`)
+
+const averageScore = (items) => {
+  const scores = items.map(item => item.score).filter(score => score != null)
+  return scores.length ? Math.round(mean(scores)) : null
+}
+
+// Whole-clip report for one runner of a cached analysis, or null when they
+// were never analysed. `profile` supplies the target ranges.
+export const buildFormReport = (timeline, runnerId, {
+  profile,
+  calibration = null,
+  asymmetryThreshold = DEFAULT_ASYMMETRY_THRESHOLD,
+} = {}) => {
+  const { frames, contacts, strides } = collectRunner(timeline.frames, runnerId)
+  if (frames.length === 0) return null
+
+  const context = {
+    frames,
+    contacts,
+    strides,
+    landings: collectLandings(frames),
+    calibration,
+    asymmetryThreshold,
+    ranges: profile.ranges,
+  }
+
+  const measures = MEASURES.map(measure => {
+    const samples = present(measure.samples(context))
+    const value = measure.value ? measure.value(samples, context) : mean(samples.map(sample => sample.value))
+    const range = measure.range(context)
+    const unit = typeof measure.unit === 'function' ? measure.unit(context) : measure.unit
+    const rating = classifyMetric(value, range)
+    const direction = rating?.direction ?? null
+    return {
+      key: measure.key,
+      category: measure.category,
+      label: measure.label,
+      unit,
+      digits: measure.digits,
+      value,
+      range,
+      score: scoreMeasure(value, range),
+      level: rating?.level ?? null,
+      direction,
+      sides: measure.sides?.(samples) ?? null,
+      moments: direction ? pickMoments(measure.moments ? measure.moments(samples) : samples, direction) : [],
+    }
+  })
+
+  const categories = REPORT_CATEGORIES.map(category => {
+    const members = measures.filter(measure => measure.category === category.key)
+    return { ...category, score: averageScore(members), measures: members }
+  })
+
+  const issues = measures
+    .filter(measure => measure.level === 'fair' || measure.level === 'poor')
+    .map(measure => ({ ...measure, ...adviceFor(measure.key, measure.direction) }))
+    .filter(issue => issue.title)
+    .sort((a, b) => a.score - b.score)
+
+  return {
+    runnerId,
+    profileName: profile.name,
+    calibrated: Boolean(calibration),
+    duration: frames[frames.length - 1].t - frames[0].t,
+    strides: strides.length,
+    score: averageScore(categories),
+    categories,
+    issues,
+  }
+}
+
+// 'good' | 'fair' | 'poor' colour band for a category or overall score
+export const scoreLevel = (score) => {
+  if (score == null) return null
+  return score >= 85 ? 'good' : score >= 60 ? 'fair' : 'poor'
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+))
+
+// m:ss.s clip time
+export const formatClipTime = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`
+
+const PRINT_COLORS = { good: '#15803d', fair: '#b45309', poor: '#b91c1c' }
+
+const scoreCell = (score, level) => (
+  `<td class="score" style="color:${PRINT_COLORS[level] ?? '#64748b'}">${score ?? '--'}</td>`
+)
+
+const sidesText = (issue) => (issue.sides
+  ? ` (left ${formatMeasure(issue.sides.left, '', 0)}, right ${formatMeasure(issue.sides.right, '', 0)})`
+  : '')
+
+// Standalone printable page. `stills` maps moment times to image URLs;
+// `autoPrint` opens the print dialog once loaded, for saving as PDF.
+export const buildReportHtml = (report, { title, subtitle = '', stills = {}, autoPrint = false } = {}) => {
+  const categories = report.categories.map(category => `
+      <tr><td>${escapeHtml(category.label)}</td>${scoreCell(category.score, scoreLevel(category.score))}</tr>`).join('')
+
+  const measures = report.categories.flatMap(category => category.measures).map(measure => `
+      <tr>
+        <td>${escapeHtml(measure.label)}</td>
+        <td>${escapeHtml(formatMeasure(measure.value, measure.unit, measure.digits))}</td>
+        <td>${escapeHtml(formatTarget(measure.range, measure.unit))}</td>
+        ${scoreCell(measure.score, measure.level)}
+      </tr>`).join('')
+
+  const issues = report.issues.map((issue, i) => `
+    <section class="issue">
+      <h3>${i + 1}. ${escapeHtml(issue.title)} <span class="level" style="color:${PRINT_COLORS[issue.level]}">${issue.level}</span></h3>
+      <p class="measure">${escapeHtml(issue.label)}: ${escapeHtml(formatMeasure(issue.value, issue.unit, issue.digits))}${escapeHtml(sidesText(issue))} · target ${escapeHtml(formatTarget(issue.range, issue.unit))} · score ${issue.score}</p>
+      <p>${escapeHtml(issue.explanation)}</p>
+      <h4>Drills</h4>
+      <ul>${issue.drills.map(drill => `<li>${escapeHtml(drill)}</li>`).join('')}</ul>
+      ${issue.moments.length ? `<h4>Where it shows</h4>
+      <div class="moments">${issue.moments.map(t => `
+        <figure>${stills[t] ? `<img src="${stills[t]}" alt="">` : ''}<figcaption>${formatClipTime(t)}</figcaption></figure>`).join('')}
+      </div>` : ''}
+    </section>`).join('')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #0f172a; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.4; }
+  h1 { margin-bottom: 0; color: #6b21a8; }
+  .subtitle { color: #64748b; margin-top: 0.25rem; }
+  .overall { display: flex; gap: 2rem; align-items: center; margin: 1.5rem 0; }
+  .overall .big { font-size: 4rem; font-weight: 700; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { border-bottom: 1px solid #e2e8f0; padding: 0.3rem 0.5rem; text-align: left; }
+  td.score { font-weight: 700; text-align: right; }
+  .issue { break-inside: avoid; border-top: 2px solid #e9d5ff; padding-top: 0.5rem; margin-top: 1rem; }
+  .issue h3 { margin: 0.25rem 0; }
+  .issue h4 { margin: 0.5rem 0 0.25rem; font-size: 0.9rem; color: #6b21a8; }
+  .level { font-size: 0.8rem; text-transform: uppercase; }
+  .measure { color: #475569; font-size: 0.9rem; }
+  .moments { display: flex; gap: 0.5rem; flex-wrap: wrap; }
+  figure { margin: 0; }
+  figure img { width: 240px; border-radius: 4px; }
+  figcaption { font-size: 0.8rem; color: #64748b; }
+  footer { margin-top: 2rem; font-size: 0.8rem; color: #64748b; }
+  @media print { body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="subtitle">${escapeHtml(subtitle)}</p>
+  <div class="overall">
+    <div class="big" style="color:${PRINT_COLORS[scoreLevel(report.score)] ?? '#64748b'}">${report.score ?? '--'}</div>
+    <table>${categories}
+    </table>
+  </div>
+  <h2>Top issues</h2>
+  ${issues || '<p>Every measure is inside its target range.</p>'}
+  <h2>All measures</h2>
+  <table>
+    <tr><th>Measure</th><th>Value</th><th>Target</th><th class="score">Score</th></tr>${measures}
+  </table>
+  <footer>
+    Scores compare each measure with the ${escapeHtml(report.profileName)} profile (100 = inside the target range).
+    ${report.calibrated ? '' : 'Vertical oscillation is in pixels because the clip was not calibrated.'}
+    ${report.strides} strides over ${formatClipTime(report.duration)}.
+  </footer>${autoPrint ? '\n  <script>window.addEventListener("load", () => window.print())</script>' : ''}
+</body>
+</html>
+`
+}
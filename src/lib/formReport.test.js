@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest'
+import { buildFormReport, formatTarget, scoreLevel, scoreMeasure } from './formReport'
+import { DEFAULT_PROFILES } from './profiles'
+
+const profile = DEFAULT_PROFILES.recreational // Torso 2-12°, cadence 160-185, contact 200-300 ms
+
+// One runner over a second: leaning a little too far forward, otherwise on
+// target. Contacts every third of a second, 250 ms each (180 SPM).
+const contacts = [0, 1, 2, 3].map(i => ({ side: i % 2 ? 'right' : 'left', ic: i / 3, to: i / 3 + 0.25, stepLength: null }))
+const timeline = {
+  frames: [13, 15, 14, 16, 12].map((torsoLean, i) => ({
+    t: i / 4,
+    runners: {
+      0: { keypoints: [], metrics: { torsoLean, headAlignment: -5, contacts: i === 0 ? contacts : [] } },
+    },
+  })),
+}
+
+describe('scoreMeasure', () => {
+  it('drops 120 points per range width outside the target', () => {
+    const range = { min: 2, max: 12 }
+    expect(scoreMeasure(7, range)).toBe(100)
+    expect(scoreMeasure(14.5, range)).toBe(70)
+    expect(scoreMeasure(-20, range)).toBe(0)
+    expect(scoreMeasure(null, range)).toBeNull()
+  })
+
+  it('scales one-sided targets by their bound', () => {
+    expect(scoreMeasure(12, { min: null, max: 10 })).toBe(76)
+  })
+})
+
+describe('buildFormReport', () => {
+  it('scores each category and turns misses into issues', () => {
+    const report = buildFormReport(timeline, '0', { profile })
+    const category = (key) => report.categories.find(c => c.key === key)
+
+    expect(report).toMatchObject({ runnerId: '0', profileName: 'Recreational', calibrated: false, duration: 1, strides: 0 })
+    expect(category('posture').measures.map(m => m.score)).toEqual([76, 100]) // Mean lean 14°
+    expect(category('rhythm').measures.map(m => Math.round(m.value))).toEqual([180, 250])
+    expect(category('bounce').score).toBeNull()
+    expect(report.score).toBe(96)
+
+    expect(report.issues).toHaveLength(1)
+    expect(report.issues[0]).toMatchObject({ key: 'torsoLean', level: 'fair', direction: 'high', title: 'Leaning too far forward' })
+    // Most-leaning frames, at least half a second apart
+    expect(report.issues[0].moments).toEqual([0.25, 0.75])
+  })
+
+  it('is null for a runner who was never analysed', () => {
+    expect(buildFormReport(timeline, '7', { profile })).toBeNull()
+  })
+})
+
+describe('formatting', () => {
+  it('formats targets and score bands', () => {
+    expect(formatTarget({ min: 2, max: 12 }, '°')).toBe('2-12°')
+    expect(formatTarget({ min: null, max: 10 }, 'cm')).toBe('< 10cm')
+    expect(formatTarget(null, '°')).toBe('--')
+    expect([90, 70, 30, null].map(scoreLevel)).toEqual(['good', 'fair', 'poor', null])
+  })
+})
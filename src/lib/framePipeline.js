@@ -0,0 +1,92 @@
+import { createPoseAnalyzer } from './biomechanics'
+import { DEFAULT_VIEW } from './cameraView'
+import { DEFAULT_FILTER_OPTIONS } from './keypointFilter'
+import { matchReference } from './referenceForms'
+import { createPoseTracker, findPrimaryPose } from './tracker'
+
+// Live frame pipeline: tracking, per-runner metrics and the reference ghost
+// for one frame of detected poses. It touches no DOM, so the pose worker and
+// the main-thread fallback run the same code, and its results are plain
+// data that can be posted between threads.
+
+// IDs to analyse in a frame of tracked poses: the selected runners that are
+// in view, else the largest one
+export const selectAnalysedIds = (poses, selectedIds) => {
+  if (selectedIds.length > 0) {
+    return selectedIds.filter(id => poses.some(pose => pose.id === id))
+  }
+  const primary = findPrimaryPose(poses)
+  return primary ? [primary.id] : []
+}
+
+export const createFramePipeline = () => {
+  const tracker = createPoseTracker()
+  let analyzers = new Map() // Runner ID -> pose analyzer
+  let filterOptions = DEFAULT_FILTER_OPTIONS
+  let view = DEFAULT_VIEW
+  let selectedIds = []
+  let reference = null // { reference, opacity } while the ghost is on
+
+  const getAnalyzer = (id) => {
+    if (!analyzers.has(id)) analyzers.set(id, createPoseAnalyzer(filterOptions, { view }))
+    return analyzers.get(id)
+  }
+
+  // New filter settings or camera view restart the analyzers; tracks are kept
+  const configure = (changes) => {
+    if (changes.filterOptions) {
+      filterOptions = changes.filterOptions
+      analyzers = new Map()
+    }
+    if (changes.view) {
+      view = changes.view
+      analyzers = new Map()
+    }
+    if (changes.selectedIds) selectedIds = changes.selectedIds
+    if ('reference' in changes) reference = changes.reference
+  }
+
+  const reset = () => {
+    tracker.reset()
+    analyzers = new Map()
+    selectedIds = []
+  }
+
+  // `timestamp` is media time in seconds (undefined for still images).
+  // Returns { poses, ids, runners, metrics, mainKeypoints, ghost, deviation }:
+  // tracked poses, the analysed IDs (main runner first), what to draw per
+  // runner, metrics per analysed ID, and the placed reference ghost.
+  const process = (poses, timestamp) => {
+    const tracked = tracker.update(poses, timestamp ?? 0)
+    const ids = selectAnalysedIds(tracked, selectedIds)
+    const metrics = {}
+    let mainKeypoints = null
+    let match = null
+
+    const runners = tracked.map(pose => {
+      if (!ids.includes(pose.id)) return { id: pose.id, keypoints: pose.keypoints, analysed: false, landings: [] }
+
+      const result = getAnalyzer(pose.id).analyze(pose.keypoints, timestamp)
+      metrics[pose.id] = result.metrics
+      if (pose.id === ids[0]) {
+        mainKeypoints = result.keypoints
+        if (reference?.reference) {
+          match = matchReference(reference.reference, result.keypoints, result.metrics, filterOptions.minScore)
+        }
+      }
+      return { id: pose.id, keypoints: result.keypoints, analysed: true, landings: result.metrics.recentLandings }
+    })
+
+    return {
+      poses: tracked,
+      ids,
+      runners,
+      metrics,
+      mainKeypoints,
+      ghost: match && { keypoints: match.keypoints, opacity: reference.opacity },
+      deviation: match && { phase: match.phase, rows: match.rows },
+    }
+  }
+
+  return { process, configure, reset, getFilterOptions: () => filterOptions }
+}
@@ -0,0 +1,188 @@
+import { DEFAULT_GAIT_OPTIONS } from './gait'
+import { describe, nearestSample } from './strides'
+
+// Frontal-plane metrics for front and rear camera views
+//
+// Lateral positions are taken in the runner's own frame (positive towards
+// their left), so the same numbers come out whether the camera is in front
+// of or behind them. Per stance phase (initial contact to toe-off):
+//   - contralateral pelvic drop: how far the swing-side hip sinks below the
+//     stance-side hip (degrees, peak)
+//   - knee valgus: how far the stance knee collapses inside the hip-ankle
+//     line (frontal-plane projection angle, degrees, peak; negative = varus)
+//   - foot placement: where the ankle lands relative to the pelvis midline;
+//     negative means it crossed over. Step width is the lateral distance
+//     between consecutive left and right landings.
+// Per stride: lateral trunk sway (range of sideways trunk lean, degrees) and
+// side-to-side pelvis shift (pixels).
+
+const SUMMARY_SECONDS = DEFAULT_GAIT_OPTIONS.summarySeconds
+const MAX_STEP_SECONDS = DEFAULT_GAIT_OPTIONS.maxStepTime
+
+// Upper bound of good and fair per metric; above = poor
+export const FRONTAL_LIMITS = {
+  pelvicDrop: [5, 8],     // Degrees
+  kneeValgus: [8, 12],    // Degrees
+  trunkSway: [8, 12],     // Degrees, peak-to-peak per stride
+  crossoverRate: [10, 30], // % of landings across the midline
+}
+
+const toDegrees = (radians) => Math.round((radians * 1800) / Math.PI) / 10
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 })
+
+const range = (values) => (values.length > 1 ? Math.max(...values) - Math.min(...values) : null)
+
+const maxOf = (values) => (values.length ? Math.max(...values) : null)
+
+const opposite = (side) => (side === 'left' ? 'right' : 'left')
+
+// 'good' / 'fair' / 'poor' against FRONTAL_LIMITS, or null without data
+export const rateFrontal = (key, value) => {
+  if (value == null) return null
+  const [good, fair] = FRONTAL_LIMITS[key]
+  if (value <= good) return 'good'
+  return value <= fair ? 'fair' : 'poor'
+}
+
+// Signed knee deviation from the hip-ankle line; positive = knee inside it.
+// `lateral` is +1 when the runner's left points towards +x.
+const calculateKneeValgus = (hip, knee, ankle, side, lateral) => {
+  const thigh = { x: knee.x - hip.x, y: knee.y - hip.y }
+  const shank = { x: ankle.x - knee.x, y: ankle.y - knee.y }
+  const bend = Math.abs(Math.atan2(thigh.x * shank.y - thigh.y * shank.x, thigh.x * shank.x + thigh.y * shank.y))
+  if (ankle.y === hip.y) return null
+
+  const lineX = hip.x + (ankle.x - hip.x) * ((knee.y - hip.y) / (ankle.y - hip.y))
+  const outward = (knee.x - lineX) * lateral * (side === 'left' ? 1 : -1)
+  return outward < 0 ? toDegrees(bend) : -toDegrees(bend)
+}
+
+// Frontal-plane measures of one frame of keypoints (by name), or null
+// without both hips
+export const measureFrontalFrame = (points, minScore = 0.3) => {
+  const reliable = (...list) => list.every(point => point && point.score >= minScore)
+  const {
+    left_shoulder: leftShoulder,
+    right_shoulder: rightShoulder,
+    left_hip: leftHip,
+    right_hip: rightHip,
+    left_knee: leftKnee,
+    right_knee: rightKnee,
+    left_ankle: leftAnkle,
+    right_ankle: rightAnkle,
+  } = points
+  if (!reliable(leftHip, rightHip)) return null
+
+  const lateral = leftHip.x >= rightHip.x ? 1 : -1
+  const pelvis = midpoint(leftHip, rightHip)
+  const shoulders = reliable(leftShoulder, rightShoulder) ? midpoint(leftShoulder, rightShoulder) : null
+  const kneeValgus = (side, hip, knee, ankle) => (
+    reliable(hip, knee, ankle) ? calculateKneeValgus(hip, knee, ankle, side, lateral) : null
+  )
+
+  return {
+    hipWidth: Math.hypot(leftHip.x - rightHip.x, leftHip.y - rightHip.y),
+    pelvisX: pelvis.x,
+    // Positive = left hip lower than the right
+    pelvicTilt: toDegrees(Math.atan2(leftHip.y - rightHip.y, Math.abs(leftHip.x - rightHip.x))),
+    // Sideways trunk lean from vertical; positive = towards the runner's left
+    trunkLean: shoulders
+      ? toDegrees(Math.atan2((shoulders.x - pelvis.x) * lateral, pelvis.y - shoulders.y))
+      : null,
+    kneeValgus: {
+      left: kneeValgus('left', leftHip, leftKnee, leftAnkle),
+      right: kneeValgus('right', rightHip, rightKnee, rightAnkle),
+    },
+    // Ankle distance out from the pelvis midline on its own side (pixels)
+    ankleOffset: {
+      left: reliable(leftAnkle) ? (leftAnkle.x - pelvis.x) * lateral : null,
+      right: reliable(rightAnkle) ? (pelvis.x - rightAnkle.x) * lateral : null,
+    },
+  }
+}
+
+// One stance phase from its contact and the frame samples ({ t, frontal })
+const assessStep = (contact, samples) => {
+  const { side } = contact
+  const stance = samples.filter(sample => sample.frontal && sample.t >= contact.ic && sample.t <= contact.to)
+  const atContact = nearestSample(samples.filter(sample => sample.frontal), contact.ic)
+  // Standing on the left, the right hip drops (negative tilt), and vice versa
+  const drop = (tilt) => (side === 'left' ? -tilt : tilt)
+  const footOffset = atContact?.frontal.ankleOffset[side] ?? null
+
+  return {
+    side,
+    t: contact.ic,
+    pelvicDrop: maxOf(stance.map(sample => drop(sample.frontal.pelvicTilt))),
+    kneeValgus: maxOf(stance.map(sample => sample.frontal.kneeValgus[side]).filter(value => value != null)),
+    footOffset,
+    crossover: footOffset == null ? null : footOffset < 0,
+    stepWidth: null,
+    trunkSway: null,
+    lateralShift: null,
+  }
+}
+
+// Rolling summary of the last steps:
+// { count, left, right, stepWidth, crossoverRate, trunkSway, lateralShift }
+// where left / right hold { pelvicDrop, kneeValgus } for stance on that
+// side, and every stat is { mean, sd, n }
+export const summarizeFrontal = (steps) => {
+  if (steps.length === 0) return null
+  const stat = (subset, key) => describe(subset.map(step => step[key]).filter(value => value != null))
+  const sideSummary = (side) => {
+    const subset = steps.filter(step => step.side === side)
+    return { pelvicDrop: stat(subset, 'pelvicDrop'), kneeValgus: stat(subset, 'kneeValgus') }
+  }
+  const placed = steps.filter(step => step.crossover != null)
+
+  return {
+    count: steps.length,
+    left: sideSummary('left'),
+    right: sideSummary('right'),
+    stepWidth: stat(steps, 'stepWidth'),
+    crossoverRate: placed.length
+      ? Math.round((placed.filter(step => step.crossover).length / placed.length) * 100)
+      : null,
+    trunkSway: stat(steps, 'trunkSway'),
+    lateralShift: stat(steps, 'lateralShift'),
+  }
+}
+
+// Stateful per-runner tracker fed the gait contacts completed on each frame
+export const createFrontalTracker = () => {
+  let steps = []
+  let lastSteps = { left: null, right: null }
+
+  const reset = () => {
+    steps = []
+    lastSteps = { left: null, right: null }
+  }
+
+  // Returns the rolling summary, or null before the first step
+  const update = (contacts, samples, timestamp) => {
+    contacts.forEach(contact => {
+      const step = assessStep(contact, samples)
+      const other = lastSteps[opposite(contact.side)]
+      if (other && step.t - other.t <= MAX_STEP_SECONDS && step.footOffset != null && other.footOffset != null) {
+        step.stepWidth = step.footOffset + other.footOffset
+      }
+
+      // Sway over the stride since this foot's last contact
+      const previous = lastSteps[contact.side]
+      if (previous) {
+        const stride = samples.filter(sample => sample.frontal && sample.t >= previous.t && sample.t <= step.t)
+        step.trunkSway = range(stride.map(sample => sample.frontal.trunkLean).filter(value => value != null))
+        step.lateralShift = range(stride.map(sample => sample.frontal.pelvisX))
+      }
+
+      lastSteps[contact.side] = step
+      steps.push(step)
+    })
+    steps = steps.filter(step => timestamp - step.t <= SUMMARY_SECONDS)
+    return summarizeFrontal(steps)
+  }
+
+  return { update, reset }
+}
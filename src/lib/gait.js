@@ -0,0 +1,203 @@
+// Gait event detection from 2D ankle trajectories
+//
+// Each foot is tracked on its own: the ankle's lowest image position over a
+// rolling window is taken as ground level, and a contact lasts while the ankle
+// stays within a small band above it. Initial contact (IC) and toe-off (TO)
+// are interpolated between frames and stamped with media time, so playback
+// speed and dropped frames don't change the numbers.
+
+export const DEFAULT_GAIT_OPTIONS = {
+  historySeconds: 3,     // Ankle history used to estimate ground level
+  summarySeconds: 10,    // Events kept for the reported averages
+  contactBand: 0.15,     // Fraction of ankle lift counted as "on the ground"
+  releaseBand: 0.25,     // Hysteresis: ankle must rise this far to leave the ground
+  minLiftPx: 10,         // Below this the runner isn't lifting their feet
+  minContactTime: 0.06,  // Seconds
+  maxContactTime: 0.6,   // Seconds (longer = walking or standing)
+  maxStepTime: 1.0,      // Seconds between opposite ICs to count as a step
+  minScore: 0.3,
+}
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))
+  return sorted[index]
+}
+
+const mean = (values) => (
+  values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null
+)
+
+// Time at which y crosses `level` between two samples
+const interpolateCrossing = (prev, curr, level) => {
+  if (curr.y === prev.y) return curr.t
+  const ratio = (level - prev.y) / (curr.y - prev.y)
+  return prev.t + Math.min(1, Math.max(0, ratio)) * (curr.t - prev.t)
+}
+
+// Tracks one ankle and returns completed contacts as
+// { side, ic, to, stepLength, landingDistance }
+const createFootTracker = (side, options) => {
+  let history = []
+  let contactStart = null
+  let stepLength = null
+  let landingDistance = null
+
+  const reset = () => {
+    history = []
+    contactStart = null
+    stepLength = null
+    landingDistance = null
+  }
+
+  // `otherAnkle` is the opposite foot, used for step length at contact;
+  // `hip` and `facing` give how far ahead of the hip the foot lands
+  const push = (t, ankle, otherAnkle, { hip, facing = 1 } = {}) => {
+    const { y } = ankle
+    const prev = history[history.length - 1]
+    history.push({ t, y })
+    history = history.filter(sample => t - sample.t <= options.historySeconds)
+
+    if (!prev || history.length < 5) return null
+
+    // Image y grows downward, so the ground is the high end of the range
+    const ys = history.map(sample => sample.y)
+    const ground = percentile(ys, 0.95)
+    const apex = percentile(ys, 0.05)
+    const lift = ground - apex
+    if (lift < options.minLiftPx) {
+      contactStart = null
+      return null
+    }
+
+    const enterLevel = ground - options.contactBand * lift
+    const exitLevel = ground - options.releaseBand * lift
+    const curr = { t, y }
+
+    if (contactStart === null) {
+      if (prev.y < enterLevel && curr.y >= enterLevel) {
+        contactStart = interpolateCrossing(prev, curr, enterLevel)
+        // Horizontal ankle separation at contact, in pixels
+        stepLength = otherAnkle && otherAnkle.score >= options.minScore
+          ? Math.abs(ankle.x - otherAnkle.x)
+          : null
+        // Positive = ankle lands in front of the hip
+        landingDistance = hip ? (ankle.x - hip.x) * facing : null
+      }
+      return null
+    }
+
+    if (prev.y >= exitLevel && curr.y < exitLevel) {
+      const ic = contactStart
+      const to = interpolateCrossing(prev, curr, exitLevel)
+      contactStart = null
+      const duration = to - ic
+      if (duration < options.minContactTime || duration > options.maxContactTime) return null
+      return { side, ic, to, stepLength, landingDistance }
+    }
+
+    return null
+  }
+
+  return { push, reset }
+}
+
+// Summarise a list of contacts into cadence and per-side timings (seconds)
+export const summarizeContacts = (contacts, options = DEFAULT_GAIT_OPTIONS) => {
+  const sorted = [...contacts].sort((a, b) => a.ic - b.ic)
+  const perSide = {
+    left: { contactTimes: [], flightTimes: [], stepTimes: [], stepLengths: [], landingDistances: [] },
+    right: { contactTimes: [], flightTimes: [], stepTimes: [], stepLengths: [], landingDistances: [] },
+  }
+  const allSteps = []
+
+  sorted.forEach((contact, i) => {
+    perSide[contact.side].contactTimes.push(contact.to - contact.ic)
+    if (contact.stepLength !== null) {
+      perSide[contact.side].stepLengths.push(contact.stepLength)
+    }
+    if (contact.landingDistance !== null) {
+      perSide[contact.side].landingDistances.push(contact.landingDistance)
+    }
+
+    const previous = sorted[i - 1]
+    if (!previous || previous.side === contact.side) return
+
+    const stepTime = contact.ic - previous.ic
+    if (stepTime <= 0 || stepTime > options.maxStepTime) return
+
+    perSide[contact.side].stepTimes.push(stepTime)
+    perSide[contact.side].flightTimes.push(Math.max(0, contact.ic - previous.to))
+    allSteps.push(stepTime)
+  })
+
+  const sideSummary = ({ contactTimes, flightTimes, stepTimes, stepLengths, landingDistances }) => ({
+    contactTime: mean(contactTimes),
+    flightTime: mean(flightTimes),
+    stepTime: mean(stepTimes),
+    stepLength: mean(stepLengths),
+    landingDistance: mean(landingDistances),
+    steps: stepTimes.length,
+  })
+
+  const meanStep = mean(allSteps)
+  const left = sideSummary(perSide.left)
+  const right = sideSummary(perSide.right)
+
+  return {
+    cadence: meanStep ? Math.round(60 / meanStep) : 0,
+    // A stride is one left step plus one right step (pixels)
+    strideLength: left.stepLength !== null && right.stepLength !== null
+      ? left.stepLength + right.stepLength
+      : null,
+    left,
+    right,
+  }
+}
+
+// Stateful detector fed one frame at a time
+export const createGaitDetector = (overrides = {}) => {
+  const options = { ...DEFAULT_GAIT_OPTIONS, ...overrides }
+  const feet = {
+    left: createFootTracker('left', options),
+    right: createFootTracker('right', options),
+  }
+  let contacts = []
+  let lastTime = null
+
+  const reset = () => {
+    feet.left.reset()
+    feet.right.reset()
+    contacts = []
+    lastTime = null
+  }
+
+  // `t` is media time in seconds; ankles are keypoints with x, y, score.
+  // `context` optionally carries { hip, facing } for landing distance.
+  const push = (t, leftAnkle, rightAnkle, context) => {
+    // Seeking backwards invalidates the trajectories
+    if (lastTime !== null && t < lastTime) reset()
+    if (lastTime !== null && t === lastTime) return []
+    lastTime = t
+
+    const completed = []
+    const track = (side, ankle, otherAnkle) => {
+      if (!ankle || ankle.score < options.minScore) return
+      const contact = feet[side].push(t, ankle, otherAnkle, context)
+      if (contact) completed.push(contact)
+    }
+    track('left', leftAnkle, rightAnkle)
+    track('right', rightAnkle, leftAnkle)
+
+    contacts = [...contacts, ...completed].filter(
+      contact => t - contact.ic <= options.summarySeconds
+    )
+    return completed
+  }
+
+  const getContacts = () => contacts
+
+  const getMetrics = () => summarizeContacts(contacts, options)
+
+  return { push, reset, getContacts, getMetrics }
+}
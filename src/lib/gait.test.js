@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest'
+import { createGaitDetector, summarizeContacts } from './gait'
+
+const STEP = 1 / 3 // 180 SPM
+const CONTACT = 0.2
+
+// Ankle height of a foot that lands every two steps, `phase` seconds in:
+// flat on the ground for CONTACT, then a smooth 60px swing
+const ankleAt = (t, phase, x) => {
+  const local = (((t - phase) % (2 * STEP)) + 2 * STEP) % (2 * STEP)
+  const swing = local < CONTACT ? 0 : Math.sin((Math.PI * (local - CONTACT)) / (2 * STEP - CONTACT))
+  return { x, y: 300 - 60 * swing, score: 0.9 }
+}
+
+// Feed `seconds` of 60 fps running into a detector
+const run = (detector, seconds) => {
+  for (let frame = 0; frame <= seconds * 60; frame++) {
+    const t = frame / 60
+    detector.push(t, ankleAt(t, 0, 300), ankleAt(t, STEP, 360), { hip: { x: 320 }, facing: 1 })
+  }
+}
+
+describe('createGaitDetector', () => {
+  it('measures cadence and contact time from steady running', () => {
+    const detector = createGaitDetector()
+    run(detector, 14) // Past summarySeconds, so the warm-up contacts are gone
+
+    const metrics = detector.getMetrics()
+    expect(metrics.cadence).toBe(180)
+    // The contact bands also count the first and last few pixels of swing
+    for (const side of ['left', 'right']) {
+      expect(metrics[side].contactTime).toBeGreaterThan(CONTACT)
+      expect(metrics[side].contactTime).toBeLessThan(CONTACT + 0.1)
+    }
+    expect(metrics.left.stepLength).toBe(60)
+    expect(metrics.strideLength).toBe(120)
+  })
+
+  it('measures landing distance from the hip along the facing direction', () => {
+    const detector = createGaitDetector()
+    run(detector, 6)
+
+    expect(detector.getMetrics().left.landingDistance).toBe(-20)
+    expect(detector.getMetrics().right.landingDistance).toBe(40)
+  })
+
+  it('ignores still feet', () => {
+    const detector = createGaitDetector()
+    for (let frame = 0; frame < 300; frame++) {
+      detector.push(frame / 60, { x: 300, y: 300, score: 0.9 }, { x: 360, y: 300, score: 0.9 })
+    }
+
+    expect(detector.getContacts()).toEqual([])
+    expect(detector.getMetrics().cadence).toBe(0)
+  })
+
+  it('starts over after a backward seek', () => {
+    const detector = createGaitDetector()
+    run(detector, 6)
+    expect(detector.getContacts().length).toBeGreaterThan(0)
+
+    detector.push(1, ankleAt(1, 0, 300), ankleAt(1, STEP, 360))
+    expect(detector.getContacts()).toEqual([])
+  })
+})
+
+describe('summarizeContacts', () => {
+  const contact = (side, ic, to, stepLength = null) => ({ side, ic, to, stepLength, landingDistance: null })
+
+  it('pairs opposite contacts into steps and flights', () => {
+    const summary = summarizeContacts([
+      contact('right', 0.5, 0.7, 50),
+      contact('left', 0, 0.2, 40),
+      contact('left', 1, 1.2, 40),
+    ])
+
+    expect(summary.cadence).toBe(120)
+    expect(summary.right).toMatchObject({ stepTime: 0.5, flightTime: 0.3, steps: 1 })
+    expect(summary.left.contactTime).toBeCloseTo(0.2)
+    expect(summary.left.flightTime).toBeCloseTo(0.3)
+    expect(summary.strideLength).toBe(90)
+  })
+
+  it('skips gaps longer than a step', () => {
+    const summary = summarizeContacts([contact('left', 0, 0.2), contact('right', 2, 2.2)])
+
+    expect(summary.cadence).toBe(0)
+    expect(summary.right.steps).toBe(0)
+    expect(summary.strideLength).toBeNull()
+  })
+})
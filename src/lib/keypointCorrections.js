@@ -0,0 +1,126 @@
+import { indexKeypoints, nameOf } from './keypoints'
+
+// Manual keypoint corrections for an analysed clip or image
+//
+// Corrections are kept apart from the detections, so they can be changed or
+// undone and are applied each time the frames are analysed:
+//   moved:    { [frameIndex]: { [runnerId]: { [keypointName]: [x, y] } } }
+//   swapped:  { [runnerId]: [frameIndex, ...] } left/right labels exchanged
+//   excluded: { [runnerId]: [frameIndex, ...] } treated as detection dropouts,
+//             so short runs are bridged from the neighbouring frames
+// Swaps apply before moves, so a move refers to the label as shown.
+
+export const EMPTY_CORRECTIONS = { moved: {}, swapped: {}, excluded: {} }
+
+const mirrorName = (name) => {
+  if (name.startsWith('left_')) return `right_${name.slice(5)}`
+  if (name.startsWith('right_')) return `left_${name.slice(6)}`
+  return name
+}
+
+const round = (value) => Math.round(value * 10) / 10
+
+// Frame indices from..to inclusive, in either order
+const framesBetween = (from, to) => {
+  const start = Math.min(from, to)
+  return Array.from({ length: Math.abs(to - from) + 1 }, (_, i) => start + i)
+}
+
+const sorted = (frames) => [...frames].sort((a, b) => a - b)
+
+export const isSwapped = (corrections, frameIndex, id) => corrections?.swapped[id]?.includes(frameIndex) ?? false
+
+export const isExcluded = (corrections, frameIndex, id) => corrections?.excluded[id]?.includes(frameIndex) ?? false
+
+// Keypoints of runner `id` in frame `frameIndex` with the corrections
+// applied; moved points get full confidence and a `manual` flag
+export const correctKeypoints = (keypoints, corrections, frameIndex, id) => {
+  if (!corrections || !keypoints) return keypoints
+
+  if (isExcluded(corrections, frameIndex, id)) {
+    return keypoints.map(keypoint => ({ ...keypoint, score: 0 }))
+  }
+
+  let result = keypoints
+  if (isSwapped(corrections, frameIndex, id)) {
+    const byName = indexKeypoints(keypoints)
+    result = keypoints.map((keypoint, index) => {
+      const name = nameOf(keypoint, index)
+      const mirror = byName[mirrorName(name)]
+      return mirror ? { ...mirror, name } : keypoint
+    })
+  }
+
+  const moves = corrections.moved[frameIndex]?.[id]
+  if (!moves) return result
+  return result.map((keypoint, index) => {
+    const move = moves[nameOf(keypoint, index)]
+    return move ? { ...keypoint, x: move[0], y: move[1], score: 1, manual: true } : keypoint
+  })
+}
+
+export const moveKeypoint = (corrections, frameIndex, id, name, { x, y }) => {
+  const frameMoves = corrections.moved[frameIndex] ?? {}
+  return {
+    ...corrections,
+    moved: {
+      ...corrections.moved,
+      [frameIndex]: { ...frameMoves, [id]: { ...frameMoves[id], [name]: [round(x), round(y)] } },
+    },
+  }
+}
+
+// Exchange left and right over frames from..to; swapping a frame twice
+// restores it
+export const toggleSwap = (corrections, id, from, to) => {
+  const frames = new Set(corrections.swapped[id])
+  framesBetween(from, to).forEach(i => (frames.has(i) ? frames.delete(i) : frames.add(i)))
+  return { ...corrections, swapped: { ...corrections.swapped, [id]: sorted(frames) } }
+}
+
+export const setExcluded = (corrections, id, from, to, excluded) => {
+  const frames = new Set(corrections.excluded[id])
+  framesBetween(from, to).forEach(i => (excluded ? frames.add(i) : frames.delete(i)))
+  return { ...corrections, excluded: { ...corrections.excluded, [id]: sorted(frames) } }
+}
+
+// { id, name } of the runner keypoint nearest `point` within `radius`, or
+// null; `runners` are { id, keypoints } as drawn
+export const findKeypointAt = (runners, point, radius) => {
+  let best = null
+  runners.forEach(({ id, keypoints }) => keypoints.forEach((keypoint, index) => {
+    const distance = Math.hypot(keypoint.x - point.x, keypoint.y - point.y)
+    if (distance <= radius && (!best || distance < best.distance)) {
+      best = { id, name: nameOf(keypoint, index), distance }
+    }
+  }))
+  return best && { id: best.id, name: best.name }
+}
+
+// Drop every correction of runner `id` in one frame
+export const clearFrameCorrections = (corrections, frameIndex, id) => {
+  const { [id]: _removed, ...otherRunners } = corrections.moved[frameIndex] ?? {}
+  return {
+    moved: { ...corrections.moved, [frameIndex]: otherRunners },
+    swapped: { ...corrections.swapped, [id]: (corrections.swapped[id] ?? []).filter(i => i !== frameIndex) },
+    excluded: { ...corrections.excluded, [id]: (corrections.excluded[id] ?? []).filter(i => i !== frameIndex) },
+  }
+}
+
+// { moved, swapped, excluded }: points moved and frames swapped / excluded
+export const countCorrections = (corrections) => {
+  const count = (byRunner) => Object.values(byRunner ?? {}).reduce((sum, frames) => sum + frames.length, 0)
+  return {
+    moved: Object.values(corrections?.moved ?? {}).reduce(
+      (sum, runners) => sum + Object.values(runners).reduce((n, moves) => n + Object.keys(moves).length, 0),
+      0
+    ),
+    swapped: count(corrections?.swapped),
+    excluded: count(corrections?.excluded),
+  }
+}
+
+export const hasCorrections = (corrections) => {
+  const { moved, swapped, excluded } = countCorrections(corrections)
+  return moved + swapped + excluded > 0
+}
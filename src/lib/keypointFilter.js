@@ -0,0 +1,150 @@
+// Keypoint smoothing and confidence gating
+//
+// Sits between the detector and the metric code. Each keypoint coordinate
+// gets a One-Euro filter (smooth when slow, responsive when fast). Keypoints
+// below `minScore` are held at their last good position for up to
+// `maxGapSeconds` and flagged `interpolated`; after that their score is set
+// to 0 so downstream code treats them as missing.
+
+export const DEFAULT_FILTER_OPTIONS = {
+  minScore: 0.3,       // Confidence gate
+  minCutoff: 4.0,      // Hz; lower = smoother at rest (running steps are ~3 Hz)
+  beta: 0.05,          // Higher = less lag during fast movement
+  dCutoff: 1.0,        // Hz; cutoff for the speed estimate
+  maxGapSeconds: 0.25, // Longest dropout bridged by hold / interpolation
+}
+
+const smoothingFactor = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff)
+  return 1 / (1 + tau / dt)
+}
+
+// One-Euro filter for a single scalar signal
+export const createOneEuroFilter = ({ minCutoff, beta, dCutoff }) => {
+  let previous = null // { t, value, derivative }
+
+  const reset = () => {
+    previous = null
+  }
+
+  const filter = (value, t) => {
+    if (!previous || t <= previous.t) {
+      previous = { t, value, derivative: 0 }
+      return value
+    }
+
+    const dt = t - previous.t
+    const rawDerivative = (value - previous.value) / dt
+    const alphaD = smoothingFactor(dCutoff, dt)
+    const derivative = alphaD * rawDerivative + (1 - alphaD) * previous.derivative
+
+    const cutoff = minCutoff + beta * Math.abs(derivative)
+    const alpha = smoothingFactor(cutoff, dt)
+    const smoothed = alpha * value + (1 - alpha) * previous.value
+
+    previous = { t, value: smoothed, derivative }
+    return smoothed
+  }
+
+  return { filter, reset }
+}
+
+// Stateful filter over a stream of keypoint arrays
+export const createKeypointFilter = (overrides = {}) => {
+  const options = { ...DEFAULT_FILTER_OPTIONS, ...overrides }
+  let channels = [] // Per keypoint: { x, y, lastGood }
+
+  const reset = () => {
+    channels = []
+  }
+
+  const channel = (index) => {
+    if (!channels[index]) {
+      channels[index] = {
+        x: createOneEuroFilter(options),
+        y: createOneEuroFilter(options),
+        lastGood: null,
+      }
+    }
+    return channels[index]
+  }
+
+  // `t` is media time in seconds; without it keypoints are only gated.
+  // Hand-placed (`manual`) keypoints are kept as given and restart the
+  // smoothing from there.
+  const filter = (keypoints, t) => keypoints.map((keypoint, index) => {
+    const confident = keypoint.score >= options.minScore
+
+    if (t === undefined) {
+      return { ...keypoint, score: confident ? keypoint.score : 0, interpolated: false }
+    }
+
+    const state = channel(index)
+    if (keypoint.manual) {
+      state.x.reset()
+      state.y.reset()
+    }
+    if (confident) {
+      const x = state.x.filter(keypoint.x, t)
+      const y = state.y.filter(keypoint.y, t)
+      state.lastGood = { x, y, t }
+      return { ...keypoint, x, y, interpolated: false }
+    }
+
+    // Bridge short dropouts with the last good position
+    if (state.lastGood && t - state.lastGood.t <= options.maxGapSeconds) {
+      return {
+        ...keypoint,
+        x: state.lastGood.x,
+        y: state.lastGood.y,
+        score: options.minScore,
+        interpolated: true,
+      }
+    }
+
+    state.x.reset()
+    state.y.reset()
+    return { ...keypoint, score: 0, interpolated: false }
+  })
+
+  return { filter, reset, options }
+}
+
+// Offline gap filling: linearly interpolate low-confidence runs between two
+// confident frames when the gap is short enough. `frames` are { t, keypoints }.
+export const interpolateKeypointGaps = (frames, overrides = {}) => {
+  const options = { ...DEFAULT_FILTER_OPTIONS, ...overrides }
+  const result = frames.map(frame => ({
+    ...frame,
+    keypoints: frame.keypoints && frame.keypoints.map(keypoint => ({ ...keypoint })),
+  }))
+  const keypointCount = Math.max(0, ...result.map(frame => frame.keypoints?.length || 0))
+
+  for (let k = 0; k < keypointCount; k++) {
+    let lastGood = -1
+    result.forEach((frame, i) => {
+      const keypoint = frame.keypoints?.[k]
+      if (!keypoint || keypoint.score < options.minScore) return
+
+      const gapStart = lastGood
+      lastGood = i
+      if (gapStart < 0 || i - gapStart <= 1) return
+
+      const before = result[gapStart]
+      if (frame.t - before.t > options.maxGapSeconds) return
+
+      const from = before.keypoints[k]
+      for (let j = gapStart + 1; j < i; j++) {
+        const target = result[j].keypoints?.[k]
+        if (!target) continue
+        const ratio = (result[j].t - before.t) / (frame.t - before.t)
+        target.x = from.x + ratio * (keypoint.x - from.x)
+        target.y = from.y + ratio * (keypoint.y - from.y)
+        target.score = options.minScore
+        target.interpolated = true
+      }
+    })
+  }
+
+  return result
+}
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest'
+import { createKeypointFilter, createOneEuroFilter, DEFAULT_FILTER_OPTIONS, interpolateKeypointGaps } from './keypointFilter'
+
+const point = (x, y, score = 0.9) => ({ name: 'left_ankle', x, y, score })
+
+describe('createOneEuroFilter', () => {
+  it('damps jitter around a still point', () => {
+    const { filter } = createOneEuroFilter(DEFAULT_FILTER_OPTIONS)
+    const outputs = Array.from({ length: 60 }, (_, i) => filter(100 + (i % 2 ? 4 : -4), i / 60))
+
+    const late = outputs.slice(30)
+    expect(Math.max(...late) - Math.min(...late)).toBeLessThan(4)
+  })
+
+  it('starts over when time goes backwards', () => {
+    const { filter } = createOneEuroFilter(DEFAULT_FILTER_OPTIONS)
+    filter(0, 1)
+    expect(filter(50, 0.5)).toBe(50)
+  })
+})
+
+describe('createKeypointFilter', () => {
+  it('holds a dropped keypoint for a short gap, then marks it missing', () => {
+    const { filter } = createKeypointFilter()
+    filter([point(100, 200)], 0)
+
+    expect(filter([point(300, 300, 0.1)], 0.1)[0]).toMatchObject({ x: 100, y: 200, score: 0.3, interpolated: true })
+    expect(filter([point(300, 300, 0.1)], 0.5)[0]).toMatchObject({ score: 0, interpolated: false })
+  })
+
+  it('only gates confidence without a time', () => {
+    const { filter } = createKeypointFilter()
+
+    expect(filter([point(10, 20), point(30, 40, 0.1)])).toEqual([
+      { ...point(10, 20), interpolated: false },
+      { ...point(30, 40), score: 0, interpolated: false },
+    ])
+  })
+
+  it('keeps hand-placed keypoints where they were put', () => {
+    const { filter } = createKeypointFilter()
+    filter([point(100, 200)], 0)
+
+    expect(filter([{ ...point(150, 220), manual: true }], 1 / 30)[0]).toMatchObject({ x: 150, y: 220 })
+  })
+})
+
+describe('interpolateKeypointGaps', () => {
+  it('fills short low-confidence runs linearly', () => {
+    const frames = [0, 0.05, 0.1, 0.15].map((t, i) => ({
+      t,
+      keypoints: [i === 0 || i === 3 ? point(100 + 1000 * t, 200) : point(0, 0, 0.1)],
+    }))
+
+    const filled = interpolateKeypointGaps(frames)
+
+    expect(filled[1].keypoints[0]).toMatchObject({ x: 150, y: 200, score: 0.3, interpolated: true })
+    expect(filled[2].keypoints[0].x).toBeCloseTo(200)
+    expect(frames[1].keypoints[0].x).toBe(0) // Input left alone
+  })
+
+  it('leaves long gaps missing', () => {
+    const frames = [0, 0.2, 0.4].map((t, i) => ({ t, keypoints: [point(100, 200, i === 1 ? 0.1 : 0.9)] }))
+
+    expect(interpolateKeypointGaps(frames)[1].keypoints[0]).toMatchObject({ score: 0.1 })
+  })
+})
@@ -0,0 +1,47 @@
+// Keypoint-name abstraction shared by every pose model
+//
+// MoveNet (17 COCO keypoints) and BlazePose (33 keypoints, including heels
+// and foot indices) both tag keypoints with a `name`, but at different
+// indices. Metric and drawing code looks keypoints up by name so it works
+// with either model.
+
+// The COCO keypoints every supported model provides
+export const CORE_KEYPOINTS = [
+  'nose',
+  'left_eye', 'right_eye',
+  'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder',
+  'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist',
+  'left_hip', 'right_hip',
+  'left_knee', 'right_knee',
+  'left_ankle', 'right_ankle',
+]
+
+// Skeleton edges drawn when both ends exist
+export const SKELETON_EDGES = [
+  ['left_shoulder', 'right_shoulder'], ['left_shoulder', 'left_elbow'], ['left_elbow', 'left_wrist'],
+  ['right_shoulder', 'right_elbow'], ['right_elbow', 'right_wrist'], // Arms
+  ['left_shoulder', 'left_hip'], ['right_shoulder', 'right_hip'], ['left_hip', 'right_hip'], // Torso
+  ['left_hip', 'left_knee'], ['left_knee', 'left_ankle'],
+  ['right_hip', 'right_knee'], ['right_knee', 'right_ankle'], // Legs
+  ['left_ankle', 'left_heel'], ['left_heel', 'left_foot_index'], ['left_ankle', 'left_foot_index'],
+  ['right_ankle', 'right_heel'], ['right_heel', 'right_foot_index'], ['right_ankle', 'right_foot_index'], // Feet (BlazePose)
+]
+
+// Models without names get the COCO order
+export const nameOf = (keypoint, index) => keypoint.name ?? CORE_KEYPOINTS[index]
+
+// Map of name -> keypoint for one frame
+export const indexKeypoints = (keypoints) => {
+  const byName = {}
+  keypoints.forEach((keypoint, index) => {
+    const name = nameOf(keypoint, index)
+    if (name) byName[name] = keypoint
+  })
+  return byName
+}
+
+export const getKeypoint = (keypoints, name) => (
+  keypoints.find((keypoint, index) => nameOf(keypoint, index) === name)
+)
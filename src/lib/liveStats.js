@@ -0,0 +1,59 @@
+// Live loop bookkeeping: the throttle that batches per-frame results into
+// one React update, and a rolling frame rate / latency meter.
+
+export const SNAPSHOT_INTERVAL_MS = 100 // At most ~10 React updates per second
+
+// Calls `publish()` at most once per `intervalMs`: straight away when the
+// last call was long enough ago, otherwise once at the end of the interval
+export const createThrottle = (intervalMs, publish) => {
+  let last = -Infinity
+  let timer = null
+
+  const run = () => {
+    timer = null
+    last = performance.now()
+    publish()
+  }
+
+  return {
+    schedule: () => {
+      if (timer) return
+      const wait = last + intervalMs - performance.now()
+      if (wait <= 0) run()
+      else timer = setTimeout(run, wait)
+    },
+    // Publish now, e.g. after a reset that should show at once
+    flush: () => {
+      clearTimeout(timer)
+      run()
+    },
+    cancel: () => {
+      clearTimeout(timer)
+      timer = null
+    },
+  }
+}
+
+// Frames per second and mean latencies over the last `windowMs`
+export const createPerfMeter = (windowMs = 1000) => {
+  let samples = [] // { at, detectMs, latencyMs }
+
+  const record = ({ detectMs, latencyMs }) => {
+    const at = performance.now()
+    samples = [...samples.filter(sample => at - sample.at <= windowMs), { at, detectMs, latencyMs }]
+  }
+
+  // { fps, detectMs, latencyMs }, or null before two frames are in
+  const read = () => {
+    if (samples.length < 2) return null
+    const span = samples[samples.length - 1].at - samples[0].at
+    const mean = (key) => samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length
+    return {
+      fps: span > 0 ? ((samples.length - 1) * 1000) / span : null,
+      detectMs: mean('detectMs'),
+      latencyMs: mean('latencyMs'),
+    }
+  }
+
+  return { record, read, reset: () => { samples = [] } }
+}
@@ -0,0 +1,153 @@
+// Frame-accurate offline analysis of an uploaded video
+//
+// Instead of sampling whatever frame is on screen when the GPU is free, the
+// clip is paused and seeked one frame at a time, so every frame gets a pose.
+// The result is a timeline of { t, poses } records sorted by media time.
+
+const DEFAULT_FRAME_RATE = 30
+const DURATION_TIMEOUT_MS = 10000 // Give up on files the browser cannot scan
+const SEEK_TIMEOUT_MS = 10000 // Give up on a frame the browser never presents
+
+// Resolve once the video has finished seeking to `time`. Rejects when the
+// frame cannot be decoded or does not arrive within `timeout` ms, or with an
+// AbortError when `signal` is aborted first.
+export const seekTo = (video, time, { timeout = SEEK_TIMEOUT_MS, signal } = {}) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Analysis cancelled', 'AbortError'))
+    return
+  }
+
+  const finish = (error) => {
+    clearTimeout(timer)
+    video.removeEventListener('seeked', onSeeked)
+    video.removeEventListener('error', onError)
+    signal?.removeEventListener('abort', onAbort)
+    if (error) reject(error)
+    else resolve()
+  }
+  const onSeeked = () => finish()
+  const onError = () => finish(new Error('Video could not be decoded at ' + time.toFixed(3) + 's'))
+  const onAbort = () => finish(new DOMException('Analysis cancelled', 'AbortError'))
+  const timer = setTimeout(() => finish(new Error('Video did not seek to ' + time.toFixed(3) + 's in time')), timeout)
+  video.addEventListener('seeked', onSeeked)
+  video.addEventListener('error', onError)
+  signal?.addEventListener('abort', onAbort)
+  video.currentTime = time
+})
+
+// MediaRecorder WebM files have no duration in their header; seeking past
+// the end makes the browser scan the file and report the real one. Rejects
+// when no finite duration turns up within `timeout` ms, or with an
+// AbortError when `signal` is aborted first.
+export const resolveDuration = async (video, { timeout = DURATION_TIMEOUT_MS, signal } = {}) => {
+  if (Number.isFinite(video.duration)) return video.duration
+  if (signal?.aborted) throw new DOMException('Analysis cancelled', 'AbortError')
+
+  await new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timer)
+      video.removeEventListener('durationchange', onDurationChange)
+      signal?.removeEventListener('abort', onAbort)
+      if (error) reject(error)
+      else resolve()
+    }
+    const onDurationChange = () => finish()
+    const onAbort = () => finish(new DOMException('Analysis cancelled', 'AbortError'))
+    const timer = setTimeout(() => finish(new Error('The video length could not be determined')), timeout)
+    video.addEventListener('durationchange', onDurationChange)
+    signal?.addEventListener('abort', onAbort)
+    video.currentTime = Number.MAX_SAFE_INTEGER
+  })
+  await seekTo(video, 0, { signal })
+  if (!Number.isFinite(video.duration)) {
+    throw new Error('The video length could not be determined')
+  }
+  return video.duration
+}
+
+// Measure the clip's frame rate from presented frames where the browser
+// supports requestVideoFrameCallback; otherwise assume 30 fps. `signal`
+// aborts the seek back to the start position.
+export const estimateFrameRate = async (video, { sampleFrames = 12, signal } = {}) => {
+  if (!('requestVideoFrameCallback' in HTMLVideoElement.prototype)) {
+    return DEFAULT_FRAME_RATE
+  }
+
+  const startTime = video.currentTime
+  const wasMuted = video.muted
+  video.muted = true
+
+  const mediaTimes = await new Promise((resolve) => {
+    const times = []
+    const timeout = setTimeout(() => resolve(times), 2000)
+    const onFrame = (now, metadata) => {
+      times.push(metadata.mediaTime)
+      if (times.length >= sampleFrames) {
+        clearTimeout(timeout)
+        resolve(times)
+      } else {
+        video.requestVideoFrameCallback(onFrame)
+      }
+    }
+    video.requestVideoFrameCallback(onFrame)
+    video.play().catch(() => {
+      clearTimeout(timeout)
+      resolve(times)
+    })
+  })
+
+  video.pause()
+  video.muted = wasMuted
+  await seekTo(video, startTime, { signal })
+
+  const deltas = mediaTimes
+    .slice(1)
+    .map((t, i) => t - mediaTimes[i])
+    .filter(delta => delta > 0)
+    .sort((a, b) => a - b)
+  if (deltas.length === 0) return DEFAULT_FRAME_RATE
+
+  // The smallest interval is one frame; larger ones are skipped frames
+  const frameRate = Math.round(1 / deltas[0])
+  return frameRate > 0 && frameRate <= 240 ? frameRate : DEFAULT_FRAME_RATE
+}
+
+// Run the detector on every frame of `video`.
+// `onProgress(fraction)` is called after each frame; aborting `signal`
+// stops the pass and rejects with an AbortError.
+export const analyzeVideoFrames = async (video, detector, { frameRate, onProgress, signal } = {}) => {
+  video.pause()
+
+  const fps = frameRate || await estimateFrameRate(video, { signal })
+  const frameCount = Math.max(1, Math.floor(video.duration * fps))
+  const frames = []
+
+  for (let i = 0; i < frameCount; i++) {
+    if (signal?.aborted) {
+      throw new DOMException('Analysis cancelled', 'AbortError')
+    }
+
+    // Seek to the middle of the frame so rounding never lands on a neighbour
+    await seekTo(video, Math.min(video.duration, (i + 0.5) / fps), { signal })
+    const poses = await detector.estimatePoses(video)
+    frames.push({ t: i / fps, poses })
+
+    onProgress?.((i + 1) / frameCount)
+  }
+
+  return { frameRate: fps, frames }
+}
+
+// Index of the last frame at or before `time` (binary search)
+export const findFrameIndex = (frames, time) => {
+  let low = 0
+  let high = frames.length - 1
+  if (high < 0 || time < frames[0].t) return -1
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (frames[mid].t <= time) low = mid
+    else high = mid - 1
+  }
+  return low
+}
@@ -0,0 +1,82 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { resolveDuration, seekTo } from './offlineAnalysis'
+
+// Video element stand-in: setting currentTime calls `onSeek(video, time)`,
+// which fires whatever events the test wants
+class FakeVideo extends EventTarget {
+  constructor(onSeek = () => {}) {
+    super()
+    this.onSeek = onSeek
+    this.duration = Infinity
+    this.time = 0
+  }
+
+  get currentTime() {
+    return this.time
+  }
+
+  set currentTime(time) {
+    this.time = time
+    this.onSeek(this, time)
+  }
+}
+
+const fire = (video, type) => video.dispatchEvent(new Event(type))
+
+beforeEach(() => {
+  vi.useFakeTimers()
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('seekTo', () => {
+  it('resolves on seeked and rejects on a decode error', async () => {
+    await expect(seekTo(new FakeVideo(video => fire(video, 'seeked')), 1)).resolves.toBeUndefined()
+    await expect(seekTo(new FakeVideo(video => fire(video, 'error')), 1.5)).rejects.toThrow('could not be decoded at 1.500s')
+  })
+
+  it('gives up on a frame that never arrives', async () => {
+    const seek = seekTo(new FakeVideo(), 2, { timeout: 500 })
+    const failed = expect(seek).rejects.toThrow('did not seek to 2.000s in time')
+
+    await vi.advanceTimersByTimeAsync(500)
+    await failed
+  })
+
+  it('stops waiting when cancelled', async () => {
+    const controller = new AbortController()
+    const video = new FakeVideo()
+    const seek = seekTo(video, 2, { signal: controller.signal })
+
+    controller.abort()
+    await expect(seek).rejects.toMatchObject({ name: 'AbortError' })
+    expect(vi.getTimerCount()).toBe(0)
+    await expect(seekTo(video, 3, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' })
+  })
+})
+
+describe('resolveDuration', () => {
+  it('scans a recording without a length in its header', async () => {
+    const video = new FakeVideo((v, time) => {
+      if (time > 1000) {
+        v.duration = 12.5
+        fire(v, 'durationchange')
+      } else {
+        fire(v, 'seeked')
+      }
+    })
+
+    await expect(resolveDuration(video)).resolves.toBe(12.5)
+    expect(video.currentTime).toBe(0)
+  })
+
+  it('rejects when the length never turns up', async () => {
+    const duration = resolveDuration(new FakeVideo(), { timeout: 500 })
+    const failed = expect(duration).rejects.toThrow('The video length could not be determined')
+
+    await vi.advanceTimersByTimeAsync(500)
+    await failed
+  })
+})
@@ -0,0 +1,217 @@
+import { formatLength } from './calibration'
+import { indexKeypoints, nameOf, SKELETON_EDGES } from './keypoints'
+import { OVERSTRIDE_COLORS } from './overstride'
+import { fromUprightKeypoints, fromUprightPoint } from './roi'
+import { getTrackColor } from './tracker'
+
+// Canvas drawing for the pose overlay, shared by the live view and the
+// annotated video export. Keypoints below `minScore` are not drawn.
+// Analysed keypoints are in the upright frame (see createRoiDetector); the
+// functions taking `rotation` map them back onto the video, whose pixel
+// size (`frameSize`) is the canvas's unless the canvas is scaled.
+
+const DEFAULT_COLOR = '#00FFFF' // Cyan for better video visibility
+const REFERENCE_COLOR = '#F8FAFC'
+const MANUAL_COLOR = '#FF00FF'
+const EDIT_COLOR = '#FFFF00'
+
+// Draw keypoints (filtered keypoints; gap-filled ones in white, hand-placed
+// ones in magenta)
+export const drawKeypoints = (keypoints, ctx, { color = DEFAULT_COLOR, minScore = 0.3 } = {}) => {
+  keypoints.forEach((keypoint) => {
+    if (keypoint.score >= minScore) {
+      const { x, y } = keypoint
+      ctx.beginPath()
+      ctx.arc(x, y, 4, 0, 2 * Math.PI)
+      ctx.fillStyle = keypoint.manual ? MANUAL_COLOR : keypoint.interpolated ? '#FFFFFF' : color
+      ctx.fill()
+    }
+  })
+}
+
+const canvasSize = (ctx) => ({ width: ctx.canvas.width, height: ctx.canvas.height })
+
+// Drag handles for keypoint editing: a ring on every keypoint (dashed below
+// the confidence gate, so missed points can be placed too) and the active
+// one filled and named
+export const drawEditHandles = (keypoints, ctx, { minScore = 0.3, active = null, rotation = 0 } = {}) => {
+  ctx.save()
+  ctx.lineWidth = 1.5
+  fromUprightKeypoints(keypoints, canvasSize(ctx), rotation).forEach((keypoint, index) => {
+    const name = nameOf(keypoint, index)
+    ctx.beginPath()
+    ctx.setLineDash(keypoint.score >= minScore ? [] : [3, 3])
+    ctx.arc(keypoint.x, keypoint.y, 8, 0, 2 * Math.PI)
+    ctx.strokeStyle = EDIT_COLOR
+    ctx.stroke()
+    if (name === active) {
+      ctx.fillStyle = 'rgba(255, 255, 0, 0.4)'
+      ctx.fill()
+      ctx.setLineDash([])
+      drawLabel(ctx, name.replace(/_/g, ' '), keypoint.x + 12, keypoint.y - 10, EDIT_COLOR)
+    }
+  })
+  ctx.restore()
+}
+
+// Draw skeleton connections
+export const drawSkeleton = (keypoints, ctx, { color = DEFAULT_COLOR, lineWidth = 2, minScore = 0.3 } = {}) => {
+  const byName = indexKeypoints(keypoints)
+
+  SKELETON_EDGES.forEach(([from, to]) => {
+    const kp1 = byName[from]
+    const kp2 = byName[to]
+
+    if (kp1 && kp2 && kp1.score >= minScore && kp2.score >= minScore) {
+      ctx.beginPath()
+      ctx.moveTo(kp1.x, kp1.y)
+      ctx.lineTo(kp2.x, kp2.y)
+      ctx.strokeStyle = color
+      ctx.lineWidth = lineWidth
+      ctx.stroke()
+    }
+  })
+}
+
+// Mark recent initial contacts: ring coloured by overstride severity,
+// labelled with the strike pattern (H/M/F) when heel & toe are tracked
+export const drawLandings = (landings, ctx) => {
+  landings.forEach(({ position, severity, strikePattern }) => {
+    if (!position) return
+    ctx.beginPath()
+    ctx.arc(position.x, position.y, 9, 0, 2 * Math.PI)
+    ctx.strokeStyle = OVERSTRIDE_COLORS[severity]
+    ctx.lineWidth = 3
+    ctx.stroke()
+    if (strikePattern) {
+      ctx.font = 'bold 12px monospace'
+      ctx.fillStyle = OVERSTRIDE_COLORS[severity]
+      ctx.fillText(strikePattern[0].toUpperCase(), position.x + 12, position.y + 4)
+    }
+  })
+}
+
+// Draw one tracked runner: colour by ID, thicker when analysed
+export const drawRunner = (keypoints, ctx, {
+  id,
+  analysed,
+  landings = [],
+  minScore = 0.3,
+  skeleton = true,
+  rotation = 0,
+  frameSize = canvasSize(ctx),
+}) => {
+  const points = fromUprightKeypoints(keypoints, frameSize, rotation)
+  const color = getTrackColor(id)
+  ctx.globalAlpha = analysed ? 1 : 0.5
+  if (skeleton) {
+    drawKeypoints(points, ctx, { color, minScore })
+    drawSkeleton(points, ctx, { color, lineWidth: analysed ? 3 : 1.5, minScore })
+  }
+
+  const head = indexKeypoints(points).nose
+  if (head && head.score >= minScore) {
+    ctx.font = 'bold 14px monospace'
+    ctx.fillStyle = color
+    ctx.fillText(`#${id}`, head.x + 8, head.y - 12)
+  }
+  drawLandings(rotation
+    ? landings.map(landing => ({ ...landing, position: landing.position && fromUprightPoint(landing.position, frameSize, rotation) }))
+    : landings, ctx)
+  ctx.globalAlpha = 1
+}
+
+// Translucent "ideal form" skeleton behind the runner's own
+export const drawReference = (keypoints, ctx, { opacity = 0.5, rotation = 0 } = {}) => {
+  const points = fromUprightKeypoints(keypoints, canvasSize(ctx), rotation)
+  ctx.save()
+  ctx.globalAlpha = opacity
+  ctx.lineCap = 'round'
+  drawSkeleton(points, ctx, { color: REFERENCE_COLOR, lineWidth: 6, minScore: 0 })
+  drawKeypoints(points, ctx, { color: REFERENCE_COLOR, minScore: 0 })
+  ctx.restore()
+}
+
+// Text with a dark outline so it reads on any background
+const drawLabel = (ctx, text, x, y, color = '#FFFFFF') => {
+  ctx.font = 'bold 13px monospace'
+  ctx.lineWidth = 3
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)'
+  ctx.strokeText(text, x, y)
+  ctx.fillStyle = color
+  ctx.fillText(text, x, y)
+}
+
+// Dashed outline of the region the pose model was given (see createRoiDetector)
+const drawRoi = ({ x, y, width, height }, ctx) => {
+  ctx.save()
+  ctx.setLineDash([8, 6])
+  ctx.lineWidth = 2
+  ctx.strokeStyle = 'rgba(192, 132, 252, 0.8)'
+  ctx.strokeRect(x, y, width, height)
+  ctx.restore()
+}
+
+// One live pipeline frame: the model's crop region (in video pixels) and
+// the reference ghost behind the runners, then every tracked runner
+export const drawLiveFrame = ({ runners, ghost, roi, rotation = 0 }, ctx, { minScore = 0.3 } = {}) => {
+  if (roi) drawRoi(roi, ctx)
+  if (ghost) drawReference(ghost.keypoints, ctx, { opacity: ghost.opacity, rotation })
+  runners.forEach(({ id, keypoints, analysed, landings }) => {
+    drawRunner(keypoints, ctx, { id, analysed, landings, minScore, rotation })
+  })
+}
+
+// Knee and hip angles beside their joints, torso lean at the shoulders
+export const drawJointAngles = (keypoints, metrics, ctx, { minScore = 0.3, rotation = 0, frameSize = canvasSize(ctx) } = {}) => {
+  const byName = indexKeypoints(fromUprightKeypoints(keypoints, frameSize, rotation))
+  const at = (name) => (byName[name]?.score >= minScore ? byName[name] : null)
+
+  const labels = [
+    ['left_knee', metrics.kneeAngle.left],
+    ['right_knee', metrics.kneeAngle.right],
+    ['left_hip', metrics.hipAngle.left],
+    ['right_hip', metrics.hipAngle.right],
+  ]
+  labels.forEach(([name, angle]) => {
+    const joint = at(name)
+    if (joint && angle != null) drawLabel(ctx, `${angle}°`, joint.x + 10, joint.y + 4)
+  })
+
+  const shoulders = [at('left_shoulder'), at('right_shoulder')].filter(Boolean)
+  if (shoulders.length && metrics.torsoLean != null) {
+    const x = shoulders.reduce((sum, p) => sum + p.x, 0) / shoulders.length
+    const y = shoulders.reduce((sum, p) => sum + p.y, 0) / shoulders.length
+    drawLabel(ctx, `lean ${metrics.torsoLean}°`, x + 10, y - 8, '#FFFF00')
+  }
+}
+
+const formatMs = (seconds) => (seconds == null ? '--' : `${Math.round(seconds * 1000)}ms`)
+const formatDegrees = (degrees) => (degrees == null ? '--' : `${degrees}°`)
+
+// Summary panel in the top-left corner, scaled up for large frames
+export const drawMetricPanel = (metrics, ctx, { calibration = null, title = null } = {}) => {
+  const gait = metrics.gait
+  const lines = [
+    title,
+    `Lean     ${formatDegrees(metrics.torsoLean)}`,
+    `Cadence  ${gait?.cadence || '--'} SPM`,
+    `Knee L/R ${formatDegrees(metrics.kneeAngle.left)} / ${formatDegrees(metrics.kneeAngle.right)}`,
+    `Hip  L/R ${formatDegrees(metrics.hipAngle.left)} / ${formatDegrees(metrics.hipAngle.right)}`,
+    `Osc.     ${formatLength(metrics.verticalOscillation, calibration)}`,
+    `GCT L/R  ${formatMs(gait?.left.contactTime)} / ${formatMs(gait?.right.contactTime)}`,
+  ].filter(Boolean)
+
+  const lineHeight = 18
+  ctx.save()
+  const scale = Math.max(1, ctx.canvas.width / 960)
+  ctx.scale(scale, scale)
+  ctx.fillStyle = 'rgba(15, 23, 42, 0.75)'
+  ctx.fillRect(10, 10, 230, lines.length * lineHeight + 12)
+  ctx.font = '13px monospace'
+  lines.forEach((line, i) => {
+    ctx.fillStyle = i === 0 && title ? '#C084FC' : '#FFFFFF'
+    ctx.fillText(line, 18, 28 + i * lineHeight)
+  })
+  ctx.restore()
+}
@@ -0,0 +1,119 @@
+// Overstriding and foot-strike pattern at initial contact
+//
+// Each initial contact is assessed from the frame nearest to it: how far the
+// ankle lands in front of the hip (relative to leg length, so it doesn't
+// depend on camera distance), the shank angle from vertical, and knee flexion.
+// With heel and toe keypoints (BlazePose) the foot angle gives the strike
+// pattern using the Altman & Davis (2012) foot-strike-angle bands.
+
+export const OVERSTRIDE_SEVERITIES = ['none', 'mild', 'moderate', 'severe']
+
+// Marker/badge colour per severity
+export const OVERSTRIDE_COLORS = {
+  none: '#39FF14',
+  mild: '#FFFF00',
+  moderate: '#FF9900',
+  severe: '#FF3131',
+}
+
+// Upper bound of each severity level (none, mild, moderate); above = severe
+const SHANK_ANGLE_LEVELS = [5, 10, 15]      // Degrees, ankle ahead of knee
+const LANDING_RATIO_LEVELS = [0.2, 0.3, 0.4] // Landing distance / leg length
+const LOCKED_KNEE_FLEXION = 10              // Degrees; straighter knee raises severity
+
+const levelOf = (value, levels) => {
+  if (value == null) return 0
+  const index = levels.findIndex(limit => value <= limit)
+  return index === -1 ? levels.length : index
+}
+
+// Shank angle from vertical; positive = ankle in front of knee
+export const calculateShankAngle = (knee, ankle, facing = 1) => {
+  if (!knee || !ankle) return null
+  const dx = (ankle.x - knee.x) * facing
+  const dy = ankle.y - knee.y
+  return Math.round((Math.atan2(dx, dy) * 180) / Math.PI)
+}
+
+// Foot angle from horizontal; positive = toes up (dorsiflexed)
+export const calculateFootAngle = (heel, toe, facing = 1) => {
+  if (!heel || !toe) return null
+  const dx = (toe.x - heel.x) * facing
+  const dy = heel.y - toe.y
+  return Math.round((Math.atan2(dy, dx) * 180) / Math.PI)
+}
+
+export const classifyFootStrike = (footAngle) => {
+  if (footAngle == null) return null
+  if (footAngle > 8) return 'heel'
+  if (footAngle >= -1.6) return 'midfoot'
+  return 'forefoot'
+}
+
+export const rateOverstride = ({ landingRatio, shankAngle, kneeFlexion }) => {
+  let level = Math.max(levelOf(shankAngle, SHANK_ANGLE_LEVELS), levelOf(landingRatio, LANDING_RATIO_LEVELS))
+  if (level > 0 && kneeFlexion != null && kneeFlexion < LOCKED_KNEE_FLEXION) {
+    level = Math.min(level + 1, OVERSTRIDE_SEVERITIES.length - 1)
+  }
+  return OVERSTRIDE_SEVERITIES[level]
+}
+
+// Assess one contact from the frame sample nearest to its IC.
+// `sample` carries per-side { knee, ankle, heel, toe, legLength } points,
+// `kneeAngle`, and `facing`.
+export const assessLanding = (contact, sample) => {
+  const { side } = contact
+  const joints = sample.joints[side]
+  const shankAngle = calculateShankAngle(joints.knee, joints.ankle, sample.facing)
+  const kneeFlexion = sample.kneeAngle[side] == null ? null : 180 - sample.kneeAngle[side]
+  const landingRatio = contact.landingDistance != null && joints.legLength
+    ? contact.landingDistance / joints.legLength
+    : null
+  const footAngle = calculateFootAngle(joints.heel, joints.toe, sample.facing)
+
+  return {
+    side,
+    t: contact.ic,
+    position: joints.ankle ? { x: joints.ankle.x, y: joints.ankle.y } : null,
+    landingDistance: contact.landingDistance,
+    landingRatio,
+    shankAngle,
+    kneeFlexion,
+    severity: rateOverstride({ landingRatio, shankAngle, kneeFlexion }),
+    footAngle,
+    strikePattern: classifyFootStrike(footAngle),
+  }
+}
+
+const meanOf = (values) => {
+  const present = values.filter(value => value != null)
+  return present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null
+}
+
+const modeOf = (values) => {
+  const counts = {}
+  values.filter(Boolean).forEach(value => { counts[value] = (counts[value] || 0) + 1 })
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1])
+  return entries.length ? entries[0][0] : null
+}
+
+// Per-side averages over recent landings; severity is rated on the means
+export const summarizeLandings = (landings) => {
+  const summarize = (side) => {
+    const subset = landings.filter(landing => landing.side === side)
+    if (subset.length === 0) return null
+
+    const summary = {
+      count: subset.length,
+      landingDistance: meanOf(subset.map(landing => landing.landingDistance)),
+      landingRatio: meanOf(subset.map(landing => landing.landingRatio)),
+      shankAngle: meanOf(subset.map(landing => landing.shankAngle)),
+      kneeFlexion: meanOf(subset.map(landing => landing.kneeFlexion)),
+      footAngle: meanOf(subset.map(landing => landing.footAngle)),
+      strikePattern: modeOf(subset.map(landing => landing.strikePattern)),
+    }
+    return { ...summary, severity: rateOverstride(summary) }
+  }
+
+  return landings.length ? { left: summarize('left'), right: summarize('right') } : null
+}
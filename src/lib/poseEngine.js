@@ -0,0 +1,144 @@
+import { createFramePipeline } from './framePipeline'
+import { loadPoseModel } from './poseModels'
+import { createRoiDetector, DEFAULT_ROI_SETTINGS } from './roi'
+
+// Pose engine: the pose model plus the live frame pipeline behind one async
+// interface. It runs in the pose worker where the browser has module workers
+// and createImageBitmap, otherwise on the main thread. Either way:
+//
+//   load(modelId, backend)        -> { backend }
+//   detector.estimatePoses(source) for offline analysis and comparisons
+//   processFrame(source, timestamp, { draw }) -> pipeline frame (see
+//     createFramePipeline) plus roi (the detector's crop, if any), rotation
+//     (of the upright frame its keypoints are in), drawn, detectMs,
+//     processMs and latencyMs
+//   configure({ filterOptions, view, selectedIds, reference, roi }), reset()
+//
+// Detection runs through createRoiDetector, so `roi` settings crop, rotate
+// or follow the runner before the model sees the frame. A new rotation
+// restarts tracking, since earlier keypoints were in another frame.
+//   attachCanvas(canvas) -> whether live frames can be drawn on it off-thread
+
+export const isWorkerSupported = () => typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined'
+
+const canTransferCanvas = (canvas) => typeof canvas?.transferControlToOffscreen === 'function'
+
+const createWorkerEngine = () => {
+  const worker = new Worker(new URL('./poseWorker.js', import.meta.url), { type: 'module' })
+  const pending = new Map() // Request ID -> { resolve, reject }
+  let nextId = 0
+  let attached = null // Canvas element whose drawing was handed to the worker
+
+  const rejectAll = (error) => {
+    pending.forEach(({ reject }) => reject(error))
+    pending.clear()
+  }
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id)
+    if (!request) return
+    pending.delete(data.id)
+    if (data.error) request.reject(new Error(data.error))
+    else request.resolve(data.result)
+  }
+  worker.onerror = (event) => {
+    event.preventDefault()
+    rejectAll(new Error(event.message || 'Pose worker failed'))
+  }
+
+  const request = (type, payload = {}, transfer = []) => new Promise((resolve, reject) => {
+    const id = nextId++
+    pending.set(id, { resolve, reject })
+    worker.postMessage({ id, type, ...payload }, transfer)
+  })
+
+  return {
+    inWorker: true,
+    load: (modelId, backend) => request('load', { modelId, backend }),
+    detector: {
+      estimatePoses: async (source) => {
+        const image = await createImageBitmap(source)
+        return (await request('detect', { image }, [image])).poses
+      },
+    },
+    processFrame: async (source, timestamp, { draw = false } = {}) => {
+      const start = performance.now()
+      const image = await createImageBitmap(source)
+      const frame = await request('frame', { image, timestamp, draw }, [image])
+      return { ...frame, latencyMs: performance.now() - start }
+    },
+    configure: (changes) => request('configure', { changes }).catch(() => {}),
+    reset: () => request('reset').catch(() => {}),
+    // A canvas can only be handed over once; later calls just report it
+    attachCanvas: (canvas) => {
+      if (canvas && canvas === attached) return true
+      if (!canTransferCanvas(canvas)) return false
+      const offscreen = canvas.transferControlToOffscreen()
+      request('canvas', { canvas: offscreen }, [offscreen]).catch(() => {})
+      attached = canvas
+      return true
+    },
+    dispose: () => {
+      worker.terminate()
+      rejectAll(new DOMException('Pose engine disposed', 'AbortError'))
+    },
+  }
+}
+
+const createMainThreadEngine = () => {
+  let detector = null
+  let roiSettings = DEFAULT_ROI_SETTINGS
+  const pipeline = createFramePipeline()
+
+  const estimatePoses = (source) => {
+    if (!detector) throw new Error('Pose model not loaded')
+    return detector.estimatePoses(source)
+  }
+
+  return {
+    inWorker: false,
+    load: async (modelId, backend) => {
+      const loaded = await loadPoseModel(modelId, backend)
+      detector?.dispose()
+      detector = createRoiDetector(loaded.detector, roiSettings)
+      pipeline.reset()
+      return { backend: loaded.backend }
+    },
+    detector: { estimatePoses },
+    processFrame: async (source, timestamp) => {
+      const start = performance.now()
+      const poses = await estimatePoses(source)
+      const detectMs = performance.now() - start
+      const frame = pipeline.process(poses, timestamp)
+      detector.follow(frame.poses.find(pose => pose.id === frame.ids[0])?.box)
+      const processMs = performance.now() - start
+      return {
+        ...frame,
+        roi: detector.lastRegion(),
+        rotation: roiSettings.rotation,
+        drawn: false,
+        detectMs,
+        processMs,
+        latencyMs: processMs,
+      }
+    },
+    configure: (changes) => {
+      if (changes.roi) {
+        if (changes.roi.rotation !== roiSettings.rotation) pipeline.reset()
+        roiSettings = changes.roi
+        detector?.configure(roiSettings)
+      }
+      pipeline.configure(changes)
+    },
+    reset: () => {
+      detector?.reset()
+      pipeline.reset()
+    },
+    attachCanvas: () => false,
+    dispose: () => detector?.dispose(),
+  }
+}
+
+export const createPoseEngine = ({ useWorker = isWorkerSupported() } = {}) => (
+  useWorker ? createWorkerEngine() : createMainThreadEngine()
+)
@@ -0,0 +1,87 @@
+import * as poseDetection from '@tensorflow-models/pose-detection'
+import * as tf from '@tensorflow/tfjs-core'
+import '@tensorflow/tfjs-backend-webgl'
+
+// Pose model and tfjs backend selection
+//
+// Every model returns poses whose keypoints carry a `name`, so the rest of
+// the app only depends on `multiPose` and the feature flags below.
+
+export const POSE_MODELS = {
+  movenetMultipose: {
+    label: 'MoveNet MultiPose Lightning',
+    description: 'Fast, up to 6 runners',
+    multiPose: true,
+    hasFeet: false,
+    has3D: false,
+    create: () => poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+      modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+    }),
+  },
+  movenetThunder: {
+    label: 'MoveNet SinglePose Thunder',
+    description: 'Most accurate MoveNet, single runner',
+    multiPose: false,
+    hasFeet: false,
+    has3D: false,
+    create: () => poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+      modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER,
+    }),
+  },
+  blazepose: {
+    label: 'BlazePose Full',
+    description: 'Heel & toe keypoints, 3D world coordinates',
+    multiPose: false,
+    hasFeet: true,
+    has3D: true,
+    // Our own keypoint filter does the smoothing, and seeking breaks BlazePose's
+    create: () => poseDetection.createDetector(poseDetection.SupportedModels.BlazePose, {
+      runtime: 'tfjs',
+      modelType: 'full',
+      enableSmoothing: false,
+    }),
+  },
+}
+
+export const DEFAULT_MODEL_ID = 'movenetMultipose'
+
+// Preferred first; the others are fallbacks when a backend isn't available
+export const BACKENDS = ['webgl', 'wasm', 'cpu']
+
+// Backends other than WebGL are only downloaded when needed
+const registerBackend = async (name) => {
+  if (name === 'wasm') {
+    const wasm = await import('@tensorflow/tfjs-backend-wasm')
+    wasm.setWasmPaths(`https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@${wasm.version_wasm}/dist/`)
+  } else if (name === 'cpu') {
+    await import('@tensorflow/tfjs-backend-cpu')
+  }
+}
+
+// Switch to `preferred`, falling back through BACKENDS; returns the backend in use
+export const initBackend = async (preferred = BACKENDS[0]) => {
+  const order = [preferred, ...BACKENDS.filter(name => name !== preferred)]
+
+  for (const name of order) {
+    try {
+      await registerBackend(name)
+      if (await tf.setBackend(name)) {
+        await tf.ready()
+        return tf.getBackend()
+      }
+    } catch (error) {
+      console.warn(`⚠️ tfjs backend "${name}" unavailable:`, error)
+    }
+  }
+  throw new Error('No TensorFlow.js backend could be initialized')
+}
+
+// Create a detector for `modelId` on the requested backend
+export const loadPoseModel = async (modelId, preferredBackend) => {
+  const model = POSE_MODELS[modelId]
+  if (!model) throw new Error(`Unknown pose model: ${modelId}`)
+
+  const backend = await initBackend(preferredBackend)
+  const detector = await model.create()
+  return { detector, backend, modelId }
+}
@@ -0,0 +1,86 @@
+import { createFramePipeline } from './framePipeline'
+import { drawLiveFrame } from './overlay'
+import { loadPoseModel } from './poseModels'
+import { createRoiDetector, DEFAULT_ROI_SETTINGS } from './roi'
+
+// Pose worker: model inference and the live frame pipeline, off the UI
+// thread. Requests are { id, type, ...payload } and every one is answered
+// with { id, result } or { id, error }; see createPoseEngine for the page
+// side. Frames arrive as transferred ImageBitmaps and are closed here.
+
+let detector = null // Pose model behind the ROI pre-processing
+let roiSettings = DEFAULT_ROI_SETTINGS
+let canvas = null // OffscreenCanvas handed over by the page for live drawing
+const pipeline = createFramePipeline()
+
+// Run the model on a frame, releasing its bitmap either way
+const detect = async (image) => {
+  if (!detector) throw new Error('Pose model not loaded')
+  try {
+    return await detector.estimatePoses(image)
+  } finally {
+    image.close()
+  }
+}
+
+const handlers = {
+  load: async ({ modelId, backend }) => {
+    const loaded = await loadPoseModel(modelId, backend)
+    detector?.dispose()
+    detector = createRoiDetector(loaded.detector, roiSettings)
+    pipeline.reset()
+    return { backend: loaded.backend }
+  },
+
+  detect: async ({ image }) => ({ poses: await detect(image) }),
+
+  // Detect, track and analyse; drawn here when asked and a canvas is attached
+  frame: async ({ image, timestamp, draw }) => {
+    const { width, height } = image
+    const start = performance.now()
+    const poses = await detect(image)
+    const detectMs = performance.now() - start
+    const frame = { ...pipeline.process(poses, timestamp), roi: detector.lastRegion(), rotation: roiSettings.rotation }
+    detector.follow(frame.poses.find(pose => pose.id === frame.ids[0])?.box)
+
+    const drawn = Boolean(draw && canvas)
+    if (drawn) {
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width
+        canvas.height = height
+      }
+      const ctx = canvas.getContext('2d')
+      ctx.clearRect(0, 0, width, height)
+      drawLiveFrame(frame, ctx, { minScore: pipeline.getFilterOptions().minScore })
+    }
+    return { ...frame, drawn, detectMs, processMs: performance.now() - start }
+  },
+
+  configure: ({ changes }) => {
+    if (changes.roi) {
+      if (changes.roi.rotation !== roiSettings.rotation) pipeline.reset()
+      roiSettings = changes.roi
+      detector?.configure(roiSettings)
+    }
+    pipeline.configure(changes)
+  },
+
+  reset: () => {
+    detector?.reset()
+    pipeline.reset()
+  },
+
+  canvas: ({ canvas: next }) => {
+    canvas = next
+  },
+}
+
+self.onmessage = async ({ data }) => {
+  const { id, type, ...payload } = data
+  try {
+    const result = await handlers[type](payload)
+    self.postMessage({ id, result })
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}
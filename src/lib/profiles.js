@@ -0,0 +1,149 @@
+// Runner profiles: target ranges for every HUD metric
+//
+// A profile maps metric keys to { min, max } (either may be null for a
+// one-sided target). Values inside the range are 'good'; values outside by
+// less than FAIR_MARGIN of the range width are 'fair'; anything further out is
+// 'poor'. Built-in profiles can be edited; edits and custom profiles are kept
+// in localStorage.
+
+export const PROFILE_METRICS = [
+  { key: 'torsoLean', label: 'Torso lean', unit: '°', lowLabel: 'Too upright', highLabel: 'Excessive lean', negativeLabel: 'Leaning backward' },
+  { key: 'verticalOscillation', label: 'Vert. oscillation', unit: 'cm', lowLabel: 'Very low', highLabel: 'Too much bounce' },
+  { key: 'verticalOscillationPx', label: 'Vert. oscillation (uncalibrated)', unit: 'px', lowLabel: 'Very low', highLabel: 'Too much bounce' },
+  { key: 'kneeAngleAtContact', label: 'Knee angle at contact', unit: '°', lowLabel: 'Very bent', highLabel: 'Straight-leg landing' },
+  { key: 'peakSwingKneeFlexion', label: 'Peak swing knee flexion', unit: '°', lowLabel: 'Low heel recovery', highLabel: 'High heel recovery' },
+  { key: 'peakHipExtension', label: 'Hip extension at toe-off', unit: '°', lowLabel: 'Limited extension', highLabel: 'Over-extending' },
+  { key: 'headAlignment', label: 'Head tilt (absolute)', unit: '°', lowLabel: 'Low', highLabel: 'Head tilted' },
+  { key: 'cadence', label: 'Cadence', unit: 'SPM', lowLabel: 'Low cadence', highLabel: 'High cadence' },
+  { key: 'contactTime', label: 'Ground contact', unit: 'ms', lowLabel: 'Short', highLabel: 'Long contact' },
+  { key: 'flightTime', label: 'Flight', unit: 'ms', lowLabel: 'Little flight', highLabel: 'Long flight' },
+]
+
+const FAIR_MARGIN = 0.25
+const STORAGE_KEY = 'runform.profiles'
+const ACTIVE_STORAGE_KEY = 'runform.activeProfile'
+
+export const DEFAULT_PROFILES = {
+  distanceElite: {
+    name: 'Distance (elite)',
+    builtIn: true,
+    ranges: {
+      torsoLean: { min: 3, max: 8 },
+      verticalOscillation: { min: null, max: 8 },
+      verticalOscillationPx: { min: null, max: 40 },
+      kneeAngleAtContact: { min: 155, max: 170 },
+      peakSwingKneeFlexion: { min: 90, max: 130 },
+      peakHipExtension: { min: 10, max: 25 },
+      headAlignment: { min: null, max: 15 },
+      cadence: { min: 175, max: 200 },
+      contactTime: { min: 150, max: 220 },
+      flightTime: { min: 90, max: 160 },
+    },
+  },
+  recreational: {
+    name: 'Recreational',
+    builtIn: true,
+    ranges: {
+      torsoLean: { min: 2, max: 12 },
+      verticalOscillation: { min: null, max: 10 },
+      verticalOscillationPx: { min: null, max: 60 },
+      kneeAngleAtContact: { min: 150, max: 170 },
+      peakSwingKneeFlexion: { min: 70, max: 120 },
+      peakHipExtension: { min: 5, max: 20 },
+      headAlignment: { min: null, max: 20 },
+      cadence: { min: 160, max: 185 },
+      contactTime: { min: 200, max: 300 },
+      flightTime: { min: 40, max: 120 },
+    },
+  },
+  sprint: {
+    name: 'Sprint',
+    builtIn: true,
+    ranges: {
+      torsoLean: { min: 5, max: 20 },
+      verticalOscillation: { min: null, max: 10 },
+      verticalOscillationPx: { min: null, max: 60 },
+      kneeAngleAtContact: { min: 150, max: 170 },
+      peakSwingKneeFlexion: { min: 110, max: 150 },
+      peakHipExtension: { min: 15, max: 35 },
+      headAlignment: { min: null, max: 15 },
+      cadence: { min: 190, max: 260 },
+      contactTime: { min: 80, max: 150 },
+      flightTime: { min: 100, max: 200 },
+    },
+  },
+  treadmill: {
+    name: 'Treadmill',
+    builtIn: true,
+    ranges: {
+      torsoLean: { min: 2, max: 10 },
+      verticalOscillation: { min: null, max: 8 },
+      verticalOscillationPx: { min: null, max: 50 },
+      kneeAngleAtContact: { min: 150, max: 170 },
+      peakSwingKneeFlexion: { min: 70, max: 120 },
+      peakHipExtension: { min: 5, max: 20 },
+      headAlignment: { min: null, max: 20 },
+      cadence: { min: 165, max: 190 },
+      contactTime: { min: 180, max: 280 },
+      flightTime: { min: 40, max: 120 },
+    },
+  },
+}
+
+export const DEFAULT_PROFILE_ID = 'recreational'
+
+// Which side of the range `value` falls and how far out, as a fraction of
+// the range width (0 inside); null without data
+export const rangeDeviation = (value, range) => {
+  if (value == null || !range) return null
+  const { min, max } = range
+  const direction = min != null && value < min ? 'low' : max != null && value > max ? 'high' : null
+  if (!direction) return { direction: null, ratio: 0 }
+
+  const width = min != null && max != null ? max - min : Math.abs(min ?? max)
+  const overshoot = direction === 'low' ? min - value : value - max
+  return { direction, ratio: width > 0 ? overshoot / width : Infinity }
+}
+
+// 'good' | 'fair' | 'poor' plus which side of the range, or null without data
+export const classifyMetric = (value, range) => {
+  const deviation = rangeDeviation(value, range)
+  if (!deviation) return null
+  if (!deviation.direction) return { level: 'good', direction: null }
+  return { level: deviation.ratio <= FAIR_MARGIN ? 'fair' : 'poor', direction: deviation.direction }
+}
+
+// Built-in profiles overlaid with the user's edits and custom profiles
+export const loadProfiles = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    return { ...DEFAULT_PROFILES, ...(stored ? JSON.parse(stored) : {}) }
+  } catch {
+    return DEFAULT_PROFILES
+  }
+}
+
+export const saveProfiles = (profiles) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles))
+  } catch (error) {
+    console.error('❌ Error saving profiles:', error)
+  }
+}
+
+export const loadActiveProfileId = (profiles) => {
+  try {
+    const stored = localStorage.getItem(ACTIVE_STORAGE_KEY)
+    return stored && profiles[stored] ? stored : DEFAULT_PROFILE_ID
+  } catch {
+    return DEFAULT_PROFILE_ID
+  }
+}
+
+export const saveActiveProfileId = (id) => {
+  try {
+    localStorage.setItem(ACTIVE_STORAGE_KEY, id)
+  } catch (error) {
+    console.error('❌ Error saving active profile:', error)
+  }
+}
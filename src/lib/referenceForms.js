@@ -0,0 +1,256 @@
+import { calculateAngle, calculateHipFlexion, calculateTorsoLean } from './biomechanics'
+import { isFrontalView } from './cameraView'
+import { bodyAnchor, listCycles } from './comparison'
+import { CORE_KEYPOINTS, indexKeypoints } from './keypoints'
+import { findFrameIndex } from './offlineAnalysis'
+
+// Reference "ideal form" gait cycles
+//
+// A reference is a normalized keypoint sequence: REFERENCE_SAMPLES poses
+// evenly spaced over one gait cycle, starting at left initial contact. Each
+// pose maps keypoint names to [x, y] relative to the hip midpoint, in torso
+// lengths (hips to shoulders), facing +x with y pointing down. The built-in
+// references are generated from approximate sagittal joint-angle curves;
+// custom ones are sampled from an analysed clip and kept in localStorage.
+
+export const REFERENCE_SAMPLES = 24
+const STORAGE_KEY = 'runform.references'
+const SETTINGS_KEY = 'runform.referenceOverlay'
+
+export const DEFAULT_REFERENCE_SETTINGS = { enabled: false, referenceId: 'eliteDistance', opacity: 0.5 }
+
+// Deviation (degrees) up to which a joint counts as matching / close
+export const DEVIATION_LEVELS = { good: 5, fair: 12 }
+
+// Segment lengths in torso lengths (adult proportions)
+const SEGMENTS = { thigh: 0.85, shank: 0.85, upperArm: 0.62, forearm: 0.5 }
+const ELBOW_FLEXION = 85
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+// Periodic curve through [phase, value] keys with eased segments
+const periodicCurve = (keys) => (phase) => {
+  const p = ((phase % 1) + 1) % 1
+  const next = keys.findIndex(([keyPhase]) => keyPhase > p)
+  const [p0, v0] = keys[next - 1]
+  const [p1, v1] = keys[next]
+  const f = (p - p0) / (p1 - p0)
+  return v0 + (v1 - v0) * (0.5 - Math.cos(Math.PI * f) / 2)
+}
+
+// Point `length` away from `from`; `angle` is measured from straight down,
+// positive towards the direction of travel
+const limb = (from, angle, length) => ({
+  x: from.x + Math.sin(toRadians(angle)) * length,
+  y: from.y + Math.cos(toRadians(angle)) * length,
+})
+
+// Normalized cycle from thigh angle (from vertical) and knee flexion curves
+const buildCycle = ({ thigh, knee, lean }) => Array.from({ length: REFERENCE_SAMPLES }, (_, i) => {
+  const phase = i / REFERENCE_SAMPLES
+  const hip = { x: 0, y: 0 }
+  const shoulder = limb(hip, 180 - lean, 1)
+  const pose = { left_hip: hip, right_hip: hip, left_shoulder: shoulder, right_shoulder: shoulder }
+
+  // Legs are half a cycle apart; each arm swings with the opposite leg
+  const sides = { left: phase, right: phase + 0.5 }
+  Object.entries(sides).forEach(([side, legPhase]) => {
+    const thighAngle = thigh(legPhase)
+    const kneePoint = limb(hip, thighAngle, SEGMENTS.thigh)
+    pose[`${side}_knee`] = kneePoint
+    pose[`${side}_ankle`] = limb(kneePoint, thighAngle - knee(legPhase), SEGMENTS.shank)
+
+    const armAngle = -0.7 * (thigh(legPhase + 0.5) - 10)
+    const elbow = limb(shoulder, armAngle, SEGMENTS.upperArm)
+    pose[`${side}_elbow`] = elbow
+    pose[`${side}_wrist`] = limb(elbow, armAngle + ELBOW_FLEXION, SEGMENTS.forearm)
+  })
+
+  const head = (dx, dy) => ({ x: shoulder.x + dx, y: shoulder.y + dy })
+  Object.assign(pose, {
+    nose: head(0.13, -0.38),
+    left_eye: head(0.09, -0.44),
+    right_eye: head(0.09, -0.44),
+    left_ear: head(-0.03, -0.42),
+    right_ear: head(-0.03, -0.42),
+  })
+
+  return Object.fromEntries(Object.entries(pose).map(([name, { x, y }]) => [name, [Number(x.toFixed(3)), Number(y.toFixed(3))]]))
+})
+
+export const BUILT_IN_REFERENCES = {
+  eliteDistance: {
+    name: 'Elite distance (side view)',
+    builtIn: true,
+    frames: buildCycle({
+      lean: 6,
+      // Short contact (~30% of the cycle), full hip extension, high heel recovery
+      thigh: periodicCurve([[0, 24], [0.15, 5], [0.3, -14], [0.4, -8], [0.55, 15], [0.8, 34], [0.92, 30], [1, 24]]),
+      knee: periodicCurve([[0, 18], [0.12, 40], [0.3, 22], [0.45, 70], [0.62, 115], [0.8, 60], [0.92, 20], [1, 18]]),
+    }),
+  },
+  recreational: {
+    name: 'Recreational (side view)',
+    builtIn: true,
+    frames: buildCycle({
+      lean: 4,
+      // Longer contact (~38%), less extension and a lower swing
+      thigh: periodicCurve([[0, 28], [0.19, 5], [0.38, -10], [0.48, -4], [0.62, 15], [0.82, 32], [0.93, 30], [1, 28]]),
+      knee: periodicCurve([[0, 10], [0.15, 35], [0.38, 18], [0.52, 60], [0.68, 95], [0.85, 45], [0.95, 8], [1, 10]]),
+    }),
+  },
+}
+
+// Keypoints -> normalized pose (null without hips and shoulders)
+export const normalizePose = (keypoints, facing = 1, minScore = 0.3) => {
+  const anchor = bodyAnchor(keypoints, minScore)
+  if (!anchor) return null
+  const byName = indexKeypoints(keypoints)
+  return Object.fromEntries(CORE_KEYPOINTS
+    .filter(name => byName[name]?.score >= minScore)
+    .map(name => [name, [
+      Number((((byName[name].x - anchor.hip.x) * facing) / anchor.torso).toFixed(3)),
+      Number(((byName[name].y - anchor.hip.y) / anchor.torso).toFixed(3)),
+    ]]))
+}
+
+// Sample one analysed gait cycle (left contact to left contact) of a clip
+// as a custom reference. Throws when too little of the cycle was tracked.
+export const buildReferenceFromClip = (frames, runnerId, name, minScore = 0.3) => {
+  const cycles = listCycles(frames, runnerId, 'left')
+  const cycle = cycles[Math.floor(cycles.length / 2)]
+  if (!cycle) throw new Error('No complete left-foot gait cycle in this clip')
+
+  let previous = null
+  const poses = Array.from({ length: REFERENCE_SAMPLES }, (_, i) => {
+    const time = cycle.start + (i / REFERENCE_SAMPLES) * (cycle.end - cycle.start)
+    const runner = frames[Math.max(0, findFrameIndex(frames, time))]?.runners[runnerId]
+    const pose = runner ? normalizePose(runner.keypoints, runner.metrics.facing, minScore) : null
+    previous = pose ?? previous
+    return pose
+  })
+
+  const missing = poses.filter(pose => !pose).length
+  if (missing > REFERENCE_SAMPLES / 4) throw new Error('The runner was not tracked through enough of the cycle')
+
+  // Fill short gaps with the nearest earlier pose (wrapping round the cycle)
+  return {
+    name,
+    builtIn: false,
+    frames: poses.map(pose => {
+      if (pose) previous = pose
+      return pose ?? previous
+    }),
+  }
+}
+
+// Normalized pose at `phase` (0..1), interpolated between samples
+export const referencePoseAt = (reference, phase) => {
+  const count = reference.frames.length
+  const position = (((phase % 1) + 1) % 1) * count
+  const from = reference.frames[Math.floor(position) % count]
+  const to = reference.frames[(Math.floor(position) + 1) % count]
+  const f = position - Math.floor(position)
+  return Object.fromEntries(Object.entries(from)
+    .filter(([name]) => to[name])
+    .map(([name, [x, y]]) => [name, [x + (to[name][0] - x) * f, y + (to[name][1] - y) * f]]))
+}
+
+// Scale a normalized pose to the runner's torso, pinned at their hips and
+// turned to their facing; returns keypoints, or null without an anchor
+export const placeReference = (pose, keypoints, facing = 1, minScore = 0.3) => {
+  const anchor = bodyAnchor(keypoints, minScore)
+  if (!anchor) return null
+  return Object.entries(pose).map(([name, [x, y]]) => ({
+    name,
+    x: anchor.hip.x + x * facing * anchor.torso,
+    y: anchor.hip.y + y * anchor.torso,
+    score: 1,
+  }))
+}
+
+const DEVIATION_JOINTS = [
+  { key: 'torsoLean', label: 'Trunk lean', measure: (k) => calculateTorsoLean(k.left_shoulder, k.right_shoulder, k.left_hip, k.right_hip), points: ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'] },
+  ...['left', 'right'].flatMap(side => {
+    const s = side[0].toUpperCase()
+    return [
+      { key: `${side}Hip`, label: `Hip ${s}`, measure: (k, facing) => calculateHipFlexion(k[`${side}_shoulder`], k[`${side}_hip`], k[`${side}_knee`], facing), points: [`${side}_shoulder`, `${side}_hip`, `${side}_knee`] },
+      { key: `${side}Knee`, label: `Knee ${s}`, measure: (k) => calculateAngle(k[`${side}_hip`], k[`${side}_knee`], k[`${side}_ankle`]), points: [`${side}_hip`, `${side}_knee`, `${side}_ankle`] },
+      { key: `${side}Elbow`, label: `Elbow ${s}`, measure: (k) => calculateAngle(k[`${side}_shoulder`], k[`${side}_elbow`], k[`${side}_wrist`]), points: [`${side}_shoulder`, `${side}_elbow`, `${side}_wrist`] },
+    ]
+  }),
+]
+
+// Per-joint angles of the runner vs the placed reference:
+// [{ key, label, runner, reference, delta, level }]
+export const measureDeviations = (keypoints, referenceKeypoints, facing = 1, minScore = 0.3) => {
+  const runner = indexKeypoints(keypoints)
+  const reference = indexKeypoints(referenceKeypoints)
+
+  return DEVIATION_JOINTS.map(({ key, label, measure, points }) => {
+    const tracked = points.every(name => runner[name]?.score >= minScore && reference[name])
+    const runnerAngle = tracked ? measure(runner, facing) : null
+    const referenceAngle = tracked ? measure(reference, facing) : null
+    const delta = tracked ? runnerAngle - referenceAngle : null
+    const size = Math.abs(delta)
+    return {
+      key,
+      label,
+      runner: runnerAngle,
+      reference: referenceAngle,
+      delta,
+      level: delta == null ? null : size <= DEVIATION_LEVELS.good ? 'good' : size <= DEVIATION_LEVELS.fair ? 'fair' : 'poor',
+    }
+  })
+}
+
+// Reference pose at the runner's gait phase, placed on them, with the
+// per-joint deviations: { keypoints, phase, rows }, or null until the
+// cadence is known and in front / rear views (references are side-on)
+export const matchReference = (reference, keypoints, metrics, minScore = 0.3) => {
+  if (metrics.cyclePhase == null || isFrontalView(metrics.view)) return null
+  const placed = placeReference(referencePoseAt(reference, metrics.cyclePhase), keypoints, metrics.facing, minScore)
+  if (!placed) return null
+  return {
+    keypoints: placed,
+    phase: metrics.cyclePhase,
+    rows: measureDeviations(keypoints, placed, metrics.facing, minScore),
+  }
+}
+
+// Built-in references plus the user's custom ones
+export const loadReferences = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    return { ...BUILT_IN_REFERENCES, ...(stored ? JSON.parse(stored) : {}) }
+  } catch {
+    return BUILT_IN_REFERENCES
+  }
+}
+
+// Only custom references are stored; built-ins come from the code
+export const saveReferences = (references) => {
+  try {
+    const custom = Object.fromEntries(Object.entries(references).filter(([, reference]) => !reference.builtIn))
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(custom))
+  } catch (error) {
+    console.error('❌ Error saving references:', error)
+  }
+}
+
+export const loadReferenceSettings = () => {
+  try {
+    const stored = localStorage.getItem(SETTINGS_KEY)
+    return { ...DEFAULT_REFERENCE_SETTINGS, ...(stored ? JSON.parse(stored) : {}) }
+  } catch {
+    return DEFAULT_REFERENCE_SETTINGS
+  }
+}
+
+export const saveReferenceSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+  } catch (error) {
+    console.error('❌ Error saving reference settings:', error)
+  }
+}
@@ -0,0 +1,261 @@
+import { poseBounds } from './tracker'
+
+// Region-of-interest pre-processing in front of the pose model
+//
+// MoveNet downscales whatever it is given to a small square, so a runner who
+// fills a tenth of a wide track shot keeps only a few pixels. The detector
+// here sees a region of the frame instead: a crop and rotation set by hand
+// (rotation straightens sideways phone footage), and in auto-follow mode a
+// padded square around the runner's box from the previous frame. Keypoints
+// come back in the upright frame, the whole video turned by `rotation`, so
+// tracking and metrics never see the crop and measure sideways footage
+// upright. Only drawing maps them back onto the video (fromUprightKeypoints).
+
+export const ROTATIONS = [0, 90, 180, 270] // Clockwise degrees
+
+export const DEFAULT_ROI_SETTINGS = {
+  crop: null,        // { x, y, width, height } as fractions of the frame; null = all of it
+  rotation: 0,       // Turn the region this far clockwise before detection
+  autoFollow: false, // Zoom in on the runner found in the previous frame
+  padding: 0.3,      // Follow margin around the runner's box, as a share of its size
+}
+
+const STORAGE_KEY = 'runform.roi'
+const MIN_FOLLOW_SHARE = 0.2 // Follow squares never shrink below this share of the region
+const MIN_CROP_SHARE = 0.05 // Smallest manual crop side, as a fraction of the frame
+
+export const loadRoiSettings = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    return stored ? { ...DEFAULT_ROI_SETTINGS, ...JSON.parse(stored) } : DEFAULT_ROI_SETTINGS
+  } catch (error) {
+    console.error('❌ Error loading ROI settings:', error)
+    return DEFAULT_ROI_SETTINGS
+  }
+}
+
+export const saveRoiSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (error) {
+    console.error('❌ Error saving ROI settings:', error)
+  }
+}
+
+export const isRoiActive = (settings) => Boolean(settings.crop || settings.rotation || settings.autoFollow)
+
+// Manual crop with its sides kept inside the frame and above the minimum
+export const clampCrop = ({ x, y, width, height }) => {
+  const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+  const w = clamp(width, MIN_CROP_SHARE, 1)
+  const h = clamp(height, MIN_CROP_SHARE, 1)
+  return { x: clamp(x, 0, 1 - w), y: clamp(y, 0, 1 - h), width: w, height: h }
+}
+
+// Crop (fractions) around a pixel box padded by `padding` of its size on
+// each side, for a runner who stays in one part of the frame
+export const cropAroundBox = (box, { width, height }, padding) => clampCrop({
+  x: (box.xMin - box.width * padding) / width,
+  y: (box.yMin - box.height * padding) / height,
+  width: (box.width * (1 + 2 * padding)) / width,
+  height: (box.height * (1 + 2 * padding)) / height,
+})
+
+// Pixel size of a video, image, bitmap or canvas
+const sourceSize = (source) => ({
+  width: source.videoWidth || source.naturalWidth || source.width,
+  height: source.videoHeight || source.naturalHeight || source.height,
+})
+
+// Manual crop in pixels, or the whole frame
+const baseRegion = ({ width, height }, crop) => (crop
+  ? {
+    x: Math.round(crop.x * width),
+    y: Math.round(crop.y * height),
+    width: Math.max(1, Math.round(crop.width * width)),
+    height: Math.max(1, Math.round(crop.height * height)),
+  }
+  : { x: 0, y: 0, width, height })
+
+// Square around `box` with `padding` on every side, kept inside `region`
+export const followRegion = (box, region, padding) => {
+  const side = Math.max(
+    Math.max(box.width, box.height) * (1 + 2 * padding),
+    MIN_FOLLOW_SHARE * Math.min(region.width, region.height)
+  )
+  const width = Math.min(side, region.width)
+  const height = Math.min(side, region.height)
+  const centerX = (box.xMin + box.xMax) / 2
+  const centerY = (box.yMin + box.yMax) / 2
+  const place = (center, size, start, extent) => Math.min(start + extent - size, Math.max(start, center - size / 2))
+  return {
+    x: Math.round(place(centerX, width, region.x, region.width)),
+    y: Math.round(place(centerY, height, region.y, region.height)),
+    width: Math.round(width),
+    height: Math.round(height),
+  }
+}
+
+// Full-frame position of point (u, v) of `region` after turning it
+// `rotation` degrees clockwise
+export const toFramePoint = (u, v, region, rotation) => {
+  switch (rotation) {
+    case 90: return { x: region.x + v, y: region.y + region.height - u }
+    case 180: return { x: region.x + region.width - u, y: region.y + region.height - v }
+    case 270: return { x: region.x + region.width - v, y: region.y + u }
+    default: return { x: region.x + u, y: region.y + v }
+  }
+}
+
+// Position of video point (x, y) in the upright frame, the video of `size`
+// turned `rotation` degrees clockwise
+export const toUprightPoint = ({ x, y }, { width, height }, rotation) => {
+  switch (rotation) {
+    case 90: return { x: height - y, y: x }
+    case 180: return { x: width - x, y: height - y }
+    case 270: return { x: y, y: width - x }
+    default: return { x, y }
+  }
+}
+
+// Video position of upright-frame point (x, y); inverse of toUprightPoint
+export const fromUprightPoint = ({ x, y }, { width, height }, rotation) => {
+  switch (rotation) {
+    case 90: return { x: y, y: height - x }
+    case 180: return { x: width - x, y: height - y }
+    case 270: return { x: width - y, y: x }
+    default: return { x, y }
+  }
+}
+
+// Analysed keypoints on the video, for drawing
+export const fromUprightKeypoints = (keypoints, size, rotation) => (rotation
+  ? keypoints.map(keypoint => ({ ...keypoint, ...fromUprightPoint(keypoint, size, rotation) }))
+  : keypoints)
+
+// Video-pixel box of an upright-frame box
+export const fromUprightBox = (box, size, rotation) => {
+  const a = fromUprightPoint({ x: box.xMin, y: box.yMin }, size, rotation)
+  const b = fromUprightPoint({ x: box.xMax, y: box.yMax }, size, rotation)
+  const xMin = Math.min(a.x, b.x)
+  const yMin = Math.min(a.y, b.y)
+  const xMax = Math.max(a.x, b.x)
+  const yMax = Math.max(a.y, b.y)
+  return { xMin, yMin, xMax, yMax, width: xMax - xMin, height: yMax - yMin }
+}
+
+// Detected poses in upright-frame coordinates. The model's own boxes are
+// dropped; the tracker recomputes them from the keypoints.
+const mapPoses = (poses, region, rotation, size) => poses.map(detected => {
+  const { box: _box, ...pose } = detected
+  return {
+    ...pose,
+    keypoints: pose.keypoints.map(keypoint => ({
+      ...keypoint,
+      ...toUprightPoint(toFramePoint(keypoint.x, keypoint.y, region, rotation), size, rotation),
+    })),
+  }
+})
+
+const boxCenter = (box) => ({ x: (box.xMin + box.xMax) / 2, y: (box.yMin + box.yMax) / 2 })
+
+// Box of the pose nearest the previous target, else of the largest pose
+const pickTarget = (poses, previous, minScore) => {
+  const boxes = poses.map(pose => poseBounds(pose.keypoints, minScore)).filter(Boolean)
+  if (boxes.length === 0) return null
+  if (!previous) return boxes.reduce((best, box) => (box.width * box.height > best.width * best.height ? box : best))
+
+  const center = boxCenter(previous)
+  const distance = (box) => Math.hypot(boxCenter(box).x - center.x, boxCenter(box).y - center.y)
+  return boxes.reduce((best, box) => (distance(box) < distance(best) ? box : best))
+}
+
+// Canvas the region is drawn into; a bitmap of an OffscreenCanvas is what
+// the detector accepts inside the worker
+const createScratchCanvas = () => (typeof OffscreenCanvas !== 'undefined'
+  ? new OffscreenCanvas(1, 1)
+  : document.createElement('canvas'))
+
+// Wrap a pose detector with ROI pre-processing:
+//   estimatePoses(source) -> poses in upright-frame coordinates
+//   configure(settings), follow(box) (the analysed runner's upright box,
+//   which beats the detector's own guess), reset(), lastRegion() (in video
+//   pixels), dispose()
+export const createRoiDetector = (detector, initialSettings = DEFAULT_ROI_SETTINGS, { minScore = 0.3 } = {}) => {
+  let settings = initialSettings
+  let target = null // Followed runner's box in upright-frame pixels
+  let region = null // Region the last detection ran on, unless the whole frame
+  let canvas = null
+
+  const detectIn = async (source, area) => {
+    const { rotation } = settings
+    const size = sourceSize(source)
+    const whole = area.x === 0 && area.y === 0 && area.width === size.width && area.height === size.height
+    region = whole ? null : area
+    if (whole && !rotation) return detector.estimatePoses(source)
+
+    canvas = canvas ?? createScratchCanvas()
+    const turned = rotation === 90 || rotation === 270
+    canvas.width = turned ? area.height : area.width
+    canvas.height = turned ? area.width : area.height
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.translate(
+      rotation === 90 || rotation === 180 ? canvas.width : 0,
+      rotation === 180 || rotation === 270 ? canvas.height : 0
+    )
+    ctx.rotate((rotation * Math.PI) / 180)
+    ctx.drawImage(source, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height)
+
+    if (typeof canvas.transferToImageBitmap !== 'function') {
+      return mapPoses(await detector.estimatePoses(canvas), area, rotation, size)
+    }
+    const bitmap = canvas.transferToImageBitmap()
+    try {
+      return mapPoses(await detector.estimatePoses(bitmap), area, rotation, size)
+    } finally {
+      bitmap.close()
+    }
+  }
+
+  const estimatePoses = async (source) => {
+    if (!isRoiActive(settings)) {
+      region = null
+      return detector.estimatePoses(source)
+    }
+
+    const size = sourceSize(source)
+    const base = baseRegion(size, settings.crop)
+    let poses = null
+    if (settings.autoFollow && target) {
+      poses = await detectIn(source, followRegion(fromUprightBox(target, size, settings.rotation), base, settings.padding))
+    }
+    // Nothing in the follow square: the runner was lost, look at everything
+    if (!poses?.length) poses = await detectIn(source, base)
+    target = settings.autoFollow ? pickTarget(poses, target, minScore) : null
+    return poses
+  }
+
+  const configure = (next) => {
+    settings = next
+    target = null
+  }
+
+  const follow = (box) => {
+    if (settings.autoFollow && box) target = box
+  }
+
+  const reset = () => {
+    target = null
+    region = null
+  }
+
+  return {
+    estimatePoses,
+    configure,
+    follow,
+    reset,
+    lastRegion: () => region,
+    dispose: () => detector.dispose(),
+  }
+}
@@ -0,0 +1,108 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { analyzeTimeline } from './biomechanics'
+import { CORE_KEYPOINTS } from './keypoints'
+import { createRoiDetector, DEFAULT_ROI_SETTINGS, fromUprightPoint, ROTATIONS, toUprightPoint } from './roi'
+
+// Side-on runner facing right in a 640x360 upright frame, leaning forward
+const UPRIGHT_POSITIONS = {
+  nose: [352, 80], left_eye: [355, 75], right_eye: [355, 75], left_ear: [345, 78], right_ear: [345, 78],
+  left_shoulder: [335, 115], right_shoulder: [330, 118],
+  left_elbow: [350, 160], right_elbow: [310, 160],
+  left_wrist: [370, 180], right_wrist: [300, 195],
+  left_hip: [318, 215], right_hip: [314, 218],
+  left_knee: [350, 270], right_knee: [300, 280],
+  left_ankle: [340, 330], right_ankle: [270, 320],
+}
+const UPRIGHT_POSE = {
+  score: 0.9,
+  keypoints: CORE_KEYPOINTS.map(name => ({ name, x: UPRIGHT_POSITIONS[name][0], y: UPRIGHT_POSITIONS[name][1], score: 0.9 })),
+}
+
+// Stand-in for the canvas the region is drawn into. It keeps the 2D
+// transform so the fake model below can see what was drawn where.
+class FakeCanvas {
+  getContext() {
+    const canvas = this
+    let m = [1, 0, 0, 1, 0, 0] // a, b, c, d, e, f as in CanvasRenderingContext2D
+    return {
+      setTransform: (...next) => { m = next },
+      translate: (tx, ty) => { m = [m[0], m[1], m[2], m[3], m[4] + m[0] * tx + m[2] * ty, m[5] + m[1] * tx + m[3] * ty] },
+      rotate: (angle) => {
+        const cos = Math.cos(angle)
+        const sin = Math.sin(angle)
+        m = [m[0] * cos + m[2] * sin, m[1] * cos + m[3] * sin, m[2] * cos - m[0] * sin, m[3] * cos - m[1] * sin, m[4], m[5]]
+      },
+      drawImage: (source, sx, sy, sw, sh, dx, dy, dw, dh) => {
+        canvas.drawn = { source, matrix: m, rect: [sx, sy, sw, sh, dx, dy, dw, dh] }
+      },
+    }
+  }
+}
+
+// Finds the pose in the source footage where it lands on the canvas
+const fakeModel = {
+  estimatePoses: async (canvas) => {
+    const { source, matrix: [a, b, c, d, e, f], rect: [sx, sy, sw, sh, dx, dy, dw, dh] } = canvas.drawn
+    const keypoints = source.pose.keypoints.map(keypoint => {
+      const u = dx + ((keypoint.x - sx) * dw) / sw
+      const v = dy + ((keypoint.y - sy) * dh) / sh
+      return { ...keypoint, x: Math.round(a * u + c * v + e), y: Math.round(b * u + d * v + f) }
+    })
+    return [{ ...source.pose, keypoints }]
+  },
+  dispose() {},
+}
+
+// The upright scene as a camera held at `rotation` records it: turning the
+// recording `rotation` degrees clockwise gives the upright frame back
+const recordAt = (rotation) => {
+  const turned = rotation === 90 || rotation === 270
+  const size = turned ? { width: 360, height: 640 } : { width: 640, height: 360 }
+  return {
+    ...size,
+    pose: { ...UPRIGHT_POSE, keypoints: UPRIGHT_POSE.keypoints.map(k => ({ ...k, ...fromUprightPoint(k, size, rotation) })) },
+  }
+}
+
+const torsoLeanOf = (poses) => {
+  const [frame] = analyzeTimeline([{ poses: poses.map(pose => ({ ...pose, id: 0 })) }])
+  return frame.runners[0].metrics.torsoLean
+}
+
+describe('upright frame', () => {
+  it('round-trips points through every rotation', () => {
+    const size = { width: 640, height: 360 }
+    ROTATIONS.forEach(rotation => {
+      const point = toUprightPoint({ x: 100, y: 50 }, size, rotation)
+      expect(fromUprightPoint(point, size, rotation)).toEqual({ x: 100, y: 50 })
+    })
+  })
+})
+
+describe('createRoiDetector', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it.each([90, 180, 270])('measures %i° footage like the same runner filmed upright', async (rotation) => {
+    vi.stubGlobal('OffscreenCanvas', FakeCanvas)
+    const detector = createRoiDetector(fakeModel, { ...DEFAULT_ROI_SETTINGS, rotation })
+
+    const poses = await detector.estimatePoses(recordAt(rotation))
+
+    expect(poses[0].keypoints).toEqual(UPRIGHT_POSE.keypoints)
+    expect(torsoLeanOf(poses)).not.toBeNull()
+    expect(torsoLeanOf(poses)).toBe(torsoLeanOf([UPRIGHT_POSE]))
+  })
+
+  it('maps a cropped, rotated region back to the upright frame', async () => {
+    vi.stubGlobal('OffscreenCanvas', FakeCanvas)
+    const crop = { x: 0.1, y: 0.25, width: 0.85, height: 0.5 } // Runner stays inside
+    const detector = createRoiDetector(fakeModel, { ...DEFAULT_ROI_SETTINGS, rotation: 90, crop })
+
+    const poses = await detector.estimatePoses(recordAt(90))
+
+    expect(poses[0].keypoints).toEqual(UPRIGHT_POSE.keypoints)
+    expect(detector.lastRegion()).toEqual({ x: 36, y: 160, width: 306, height: 320 }) // Video pixels
+  })
+})
@@ -0,0 +1,325 @@
+import { ASYMMETRY_METRICS } from './asymmetry'
+import { CORE_KEYPOINTS } from './keypoints'
+import { STRIDE_METRICS, summarizeStrides } from './strides'
+import { poseBounds } from './tracker'
+
+// Session data export / import (see docs/session-format.md)
+//
+// JSON carries the tracked detections (enough to rebuild the analysis
+// without the model) plus every runner's per-frame metrics, gait events and
+// strides. CSV files are flat tables of the same data. Lengths are in pixels;
+// `analysis.calibration.cmPerPx` converts them.
+
+export const SESSION_FORMAT = 'runform-session'
+export const SESSION_SCHEMA_VERSION = 1
+
+const round = (value, digits = 3) => (value == null || Number.isNaN(value) ? null : Number(value.toFixed(digits)))
+
+const sided = (name, pick) => ['left', 'right'].map(side => [`${name}_${side}`, m => pick(m, side)])
+
+// Flat per-frame metric columns, shared by the CSV and JSON exports
+export const FRAME_METRIC_COLUMNS = [
+  ['torso_lean_deg', m => m.torsoLean],
+  ...sided('knee_angle_deg', (m, side) => m.kneeAngle[side]),
+  ...sided('hip_angle_deg', (m, side) => m.hipAngle[side]),
+  ...sided('hip_flexion_deg', (m, side) => m.hipFlexion[side]),
+  ['head_alignment_deg', m => m.headAlignment],
+  ['facing', m => m.facing],
+  ['vertical_oscillation_px', m => m.verticalOscillation],
+  ['pelvic_tilt_deg', m => m.frontal?.current?.pelvicTilt],
+  ['trunk_lateral_lean_deg', m => m.frontal?.current?.trunkLean],
+  ...sided('knee_valgus_deg', (m, side) => m.frontal?.current?.kneeValgus[side]),
+  ...sided('pelvic_drop_deg', (m, side) => m.frontal?.steps?.[side].pelvicDrop?.mean),
+  ['step_width_px', m => m.frontal?.steps?.stepWidth?.mean],
+  ['crossover_pct', m => m.frontal?.steps?.crossoverRate],
+  ...sided('elbow_flexion_deg', (m, side) => m.arms?.current?.elbowFlexion?.[side]),
+  ...sided('shoulder_swing_deg', (m, side) => m.arms?.current?.shoulderSwing?.[side]),
+  ...sided('arm_swing_range_deg', (m, side) => m.arms?.swings?.[side].amplitude?.mean),
+  ...sided('arm_timing_pct', (m, side) => m.arms?.swings?.[side].timing?.mean),
+  ['hand_crossover_pct', m => m.arms?.swings?.crossoverRate],
+  ['cadence_spm', m => m.gait?.cadence || null],
+  ['stride_length_px', m => m.gait?.strideLength],
+  ...sided('contact_time_s', (m, side) => m.gait?.[side].contactTime),
+  ...sided('flight_time_s', (m, side) => m.gait?.[side].flightTime),
+  ...sided('step_time_s', (m, side) => m.gait?.[side].stepTime),
+  ...sided('step_length_px', (m, side) => m.gait?.[side].stepLength),
+  ...sided('landing_distance_px', (m, side) => m.gait?.[side].landingDistance),
+  ...ASYMMETRY_METRICS.map(({ key }) => [
+    `asymmetry_${key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)}_pct`,
+    m => m.asymmetry?.[key],
+  ]),
+]
+
+const flattenMetrics = (metrics) => Object.fromEntries(
+  FRAME_METRIC_COLUMNS.map(([name, pick]) => [name, round(pick(metrics) ?? null)])
+)
+
+const packKeypoints = (keypoints) => keypoints.map(({ x, y, score }) => [round(x, 1), round(y, 1), round(score ?? 0)])
+
+// Keypoint names of the model used, from the first detected pose
+const keypointNamesOf = (frames) => {
+  const pose = frames.find(frame => frame.poses.length > 0)?.poses[0]
+  return pose ? pose.keypoints.map((keypoint, i) => keypoint.name ?? CORE_KEYPOINTS[i]) : []
+}
+
+// Runner IDs with analysed frames, in first-seen order
+const runnerIdsOf = (frames) => [...new Set(frames.flatMap(frame => Object.keys(frame.runners ?? {})))]
+
+// Everything one runner produced over the clip: { frames, contacts, strides }
+export const collectRunner = (frames, id) => {
+  const runnerFrames = []
+  const contacts = []
+  const strides = []
+
+  frames.forEach(frame => {
+    const runner = frame.runners?.[id]
+    if (!runner) return
+    runnerFrames.push({ t: frame.t, keypoints: runner.keypoints, metrics: runner.metrics })
+    contacts.push(...(runner.metrics.contacts ?? []))
+    strides.push(...(runner.metrics.strides ?? []))
+  })
+
+  return { frames: runnerFrames, contacts, strides }
+}
+
+// `timeline` is the cached analysis ({ frameRate, modelId, rotation, frames, corrections })
+export const buildSessionJson = (timeline, { fileName = null, duration = null, calibration = null, filterOptions = null, cameraView = null } = {}) => {
+  const runners = Object.fromEntries(runnerIdsOf(timeline.frames).map(id => {
+    const { frames, contacts, strides } = collectRunner(timeline.frames, id)
+    return [id, {
+      frames: frames.map(({ t, keypoints, metrics }) => ({
+        t: round(t, 4),
+        keypoints: packKeypoints(keypoints),
+        metrics: flattenMetrics(metrics),
+      })),
+      contacts: contacts.map(({ side, ic, to, stepLength, landingDistance }) => ({
+        side,
+        ic: round(ic, 4),
+        to: round(to, 4),
+        stepLength: round(stepLength, 1),
+        landingDistance: round(landingDistance, 1),
+      })),
+      strides: strides.map(stride => ({
+        side: stride.side,
+        start: round(stride.start, 4),
+        end: round(stride.end, 4),
+        ...Object.fromEntries(STRIDE_METRICS.map(metric => [metric, round(stride[metric], 2)])),
+      })),
+      summary: summarizeStrides(strides),
+    }]
+  }))
+
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { fileName, duration },
+    analysis: {
+      modelId: timeline.modelId,
+      frameRate: timeline.frameRate,
+      rotation: timeline.rotation ?? 0,
+      filterOptions,
+      cameraView,
+      calibration,
+      corrections: timeline.corrections ?? null,
+    },
+    keypointNames: keypointNamesOf(timeline.frames),
+    frames: timeline.frames.map(frame => ({
+      t: round(frame.t, 4),
+      poses: frame.poses.map(pose => ({ id: pose.id, score: round(pose.score ?? null), keypoints: packKeypoints(pose.keypoints) })),
+    })),
+    runners,
+  }
+}
+
+// Whole-clip headline numbers for one runner, stored with saved sessions.
+// Oscillation is kept in px and, when calibrated, in cm.
+export const summarizeRun = (timeline, runnerId, calibration = null) => {
+  const { frames, contacts, strides } = collectRunner(timeline.frames, runnerId)
+  if (frames.length === 0) return null
+
+  const stats = summarizeStrides(strides)?.all
+  const leans = frames.map(frame => frame.metrics.torsoLean).filter(value => value != null)
+  const span = contacts.length > 1 ? contacts[contacts.length - 1].ic - contacts[0].ic : 0
+  const oscillation = stats?.verticalOscillation?.mean ?? null
+  const contactTimes = contacts.map(contact => contact.to - contact.ic)
+
+  return {
+    runnerId,
+    strides: strides.length,
+    cadence: span > 0 ? round(((contacts.length - 1) / span) * 60, 0) : null,
+    torsoLean: round(stats?.meanTrunkLean?.mean ?? (leans.length ? leans.reduce((sum, v) => sum + v, 0) / leans.length : null), 1),
+    verticalOscillation: round(oscillation, 1),
+    verticalOscillationCm: calibration && oscillation != null ? round(oscillation * calibration.cmPerPx, 1) : null,
+    contactTime: contactTimes.length ? round(contactTimes.reduce((sum, v) => sum + v, 0) / contactTimes.length) : null,
+  }
+}
+
+// Parse a JSON export back into tracked frames; the caller re-runs
+// analyzeTimeline to rebuild metrics. Throws on unknown formats and on
+// malformed files.
+export const parseSessionJson = (text) => {
+  let session
+  try {
+    session = JSON.parse(text)
+  } catch {
+    throw new Error('Invalid session file: not valid JSON')
+  }
+  return readSessionJson(session)
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+// What makes a truncated or hand-edited export unreadable, or null
+const findSessionProblem = ({ analysis, keypointNames, frames }) => {
+  if (!analysis || typeof analysis !== 'object') return 'the analysis settings are missing'
+  if (!isNumber(analysis.frameRate) || analysis.frameRate <= 0) return 'the frame rate is missing'
+  if (!Array.isArray(keypointNames) || !keypointNames.every(name => typeof name === 'string')) {
+    return 'the keypoint names are missing'
+  }
+  if (!Array.isArray(frames)) return 'the frames are missing'
+
+  const index = frames.findIndex(frame => !isNumber(frame?.t)
+    || !Array.isArray(frame.poses)
+    || frame.poses.some(pose => !Array.isArray(pose?.keypoints)
+      || pose.keypoints.length !== keypointNames.length
+      || !pose.keypoints.every(Array.isArray)))
+  return index === -1 ? null : `frame ${index} is malformed`
+}
+
+// Same as parseSessionJson, for an already-decoded export object
+export const readSessionJson = (session) => {
+  if (session?.format !== SESSION_FORMAT) {
+    throw new Error('Not a RunForm session export')
+  }
+  if (!(session.version <= SESSION_SCHEMA_VERSION)) {
+    throw new Error(`Session schema v${session.version} is newer than this app supports (v${SESSION_SCHEMA_VERSION})`)
+  }
+  const problem = findSessionProblem(session)
+  if (problem) throw new Error(`Invalid session file: ${problem}`)
+
+  const names = session.keypointNames
+  const frames = session.frames.map(frame => ({
+    t: frame.t,
+    poses: frame.poses.map(pose => {
+      const keypoints = pose.keypoints.map(([x, y, score], i) => ({ x, y, score, name: names[i] }))
+      return { id: pose.id, score: pose.score, keypoints, box: poseBounds(keypoints) }
+    }),
+  }))
+
+  return {
+    frameRate: session.analysis.frameRate,
+    modelId: session.analysis.modelId,
+    rotation: session.analysis.rotation ?? 0,
+    frames,
+    filterOptions: session.analysis.filterOptions,
+    cameraView: session.analysis.cameraView ?? null,
+    corrections: session.analysis.corrections ?? null,
+    calibration: session.analysis.calibration,
+    source: session.source,
+  }
+}
+
+const csvCell = (value) => {
+  if (value == null) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsv = (header, rows) => [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n')
+
+// One row per analysed runner per frame: keypoints then metrics
+export const framesToCsv = (timeline) => {
+  const names = keypointNamesOf(timeline.frames)
+  const header = [
+    't_s',
+    'runner_id',
+    ...names.flatMap(name => [`${name}_x`, `${name}_y`, `${name}_score`]),
+    ...FRAME_METRIC_COLUMNS.map(([name]) => name),
+  ]
+
+  const rows = timeline.frames.flatMap(frame => Object.entries(frame.runners ?? {}).map(([id, runner]) => [
+    round(frame.t, 4),
+    id,
+    ...packKeypoints(runner.keypoints).flat(),
+    ...Object.values(flattenMetrics(runner.metrics)),
+  ]))
+
+  return toCsv(header, rows)
+}
+
+// One row per foot contact (initial contact -> toe-off)
+export const contactsToCsv = (timeline) => {
+  const header = ['runner_id', 'side', 'ic_s', 'to_s', 'contact_time_s', 'step_length_px', 'landing_distance_px']
+  const rows = runnerIdsOf(timeline.frames).flatMap(id => collectRunner(timeline.frames, id).contacts.map(contact => [
+    id,
+    contact.side,
+    round(contact.ic, 4),
+    round(contact.to, 4),
+    round(contact.to - contact.ic, 4),
+    round(contact.stepLength, 1),
+    round(contact.landingDistance, 1),
+  ]))
+  return toCsv(header, rows)
+}
+
+// One row per stride with its peak metrics
+export const stridesToCsv = (timeline) => {
+  const header = ['runner_id', 'side', 'start_s', 'end_s', ...STRIDE_METRICS]
+  const rows = runnerIdsOf(timeline.frames).flatMap(id => collectRunner(timeline.frames, id).strides.map(stride => [
+    id,
+    stride.side,
+    round(stride.start, 4),
+    round(stride.end, 4),
+    ...STRIDE_METRICS.map(metric => round(stride[metric], 2)),
+  ]))
+  return toCsv(header, rows)
+}
+
+// One row per clip of a batch run: its main runner's summary (see
+// summarizeClip), or the error that stopped it
+export const batchSummaryToCsv = (jobs) => {
+  const header = [
+    'file',
+    'athlete',
+    'status',
+    'runner_id',
+    'strides',
+    'cadence_spm',
+    'torso_lean_deg',
+    'vertical_oscillation',
+    'vertical_oscillation_unit',
+    'contact_time_s',
+    'worst_asymmetry_pct',
+    'worst_asymmetry_metric',
+    'form_score',
+    'error',
+  ]
+  const rows = jobs.map(({ fileName, athlete, status, error, row }) => [
+    fileName,
+    athlete,
+    status,
+    row?.runnerId,
+    row?.strides,
+    row?.cadence,
+    row?.torsoLean,
+    row?.oscillation,
+    row?.oscillationUnit,
+    row?.contactTime,
+    round(row?.asymmetry, 1),
+    row?.asymmetryLabel,
+    row?.score,
+    error,
+  ])
+  return toCsv(header, rows)
+}
+
+// Save `content` through a temporary download link
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest'
+import { analyzeTimeline } from './biomechanics'
+import { CORE_KEYPOINTS } from './keypoints'
+import {
+  batchSummaryToCsv,
+  buildSessionJson,
+  contactsToCsv,
+  framesToCsv,
+  parseSessionJson,
+  readSessionJson,
+} from './sessionData'
+
+// One runner drifting right over three tracked frames
+const tracked = [0, 1 / 30, 2 / 30].map((t, i) => ({
+  t,
+  poses: [{
+    id: 0,
+    score: 0.9,
+    keypoints: CORE_KEYPOINTS.map((name, k) => ({ name, x: 300 + i * 5 + (k % 3) * 10, y: 80 + k * 15, score: 0.9 })),
+  }],
+}))
+const timeline = { frameRate: 30, modelId: 'movenet-lightning', rotation: 90, frames: analyzeTimeline(tracked) }
+
+const exported = () => buildSessionJson(timeline, { fileName: 'run.webm', duration: 0.1 })
+
+describe('session JSON', () => {
+  it('reads back what it exports', () => {
+    const session = parseSessionJson(JSON.stringify(exported()))
+
+    expect(session).toMatchObject({ frameRate: 30, modelId: 'movenet-lightning', rotation: 90, source: { fileName: 'run.webm' } })
+    expect(session.frames).toHaveLength(3)
+    expect(session.frames[2].t).toBeCloseTo(2 / 30, 4)
+    expect(session.frames[2].poses[0].keypoints).toEqual(tracked[2].poses[0].keypoints)
+  })
+
+  it('rejects other files by name', () => {
+    expect(() => parseSessionJson('{ "frames": [')).toThrow('Invalid session file: not valid JSON')
+    expect(() => readSessionJson({ format: 'something-else' })).toThrow('Not a RunForm session export')
+    expect(() => readSessionJson({ ...exported(), version: 99 })).toThrow('is newer than this app supports')
+  })
+
+  it('says what is wrong with a damaged export', () => {
+    const session = exported()
+    const damaged = (changes) => () => readSessionJson({ ...session, ...changes })
+
+    expect(damaged({ analysis: { ...session.analysis, frameRate: null } })).toThrow('Invalid session file: the frame rate is missing')
+    expect(damaged({ keypointNames: undefined })).toThrow('Invalid session file: the keypoint names are missing')
+    expect(damaged({ frames: {} })).toThrow('Invalid session file: the frames are missing')
+
+    const frames = session.frames.map((frame, i) => (i === 1
+      ? { ...frame, poses: [{ ...frame.poses[0], keypoints: frame.poses[0].keypoints.slice(1) }] }
+      : frame))
+    expect(damaged({ frames })).toThrow('Invalid session file: frame 1 is malformed')
+  })
+})
+
+describe('CSV exports', () => {
+  it('writes one frame row per runner', () => {
+    const [header, ...rows] = framesToCsv(timeline).split('\n')
+
+    expect(header.startsWith('t_s,runner_id,nose_x,nose_y,nose_score,')).toBe(true)
+    expect(header).toContain('torso_lean_deg')
+    expect(rows).toHaveLength(3)
+    expect(rows[0].split(',')).toHaveLength(header.split(',').length)
+  })
+
+  it('writes just the header without contacts', () => {
+    expect(contactsToCsv(timeline)).toBe('runner_id,side,ic_s,to_s,contact_time_s,step_length_px,landing_distance_px')
+  })
+
+  it('quotes cells that need it', () => {
+    const csv = batchSummaryToCsv([{ fileName: 'Sam, "fast" run.mp4', athlete: null, status: 'error', error: 'Seek timed out', row: null }])
+
+    expect(csv.split('\n')[1]).toBe('"Sam, ""fast"" run.mp4",,error,,,,,,,,,,,Seek timed out')
+  })
+})
@@ -0,0 +1,145 @@
+// Session library in IndexedDB
+//
+// `sessions` holds the small records listed in the history view (metadata
+// and summary metrics). The full analysis (a session JSON export, see
+// sessionData.js) and the optional source video live in their own stores,
+// keyed by the same ID, so listing never loads them.
+
+const DB_NAME = 'runform'
+const DB_VERSION = 1
+const STORES = ['sessions', 'analyses', 'videos']
+const SETTINGS_KEY = 'runform.history'
+
+export const DEFAULT_HISTORY_SETTINGS = { athlete: '', saveVideo: false }
+
+export const isHistorySupported = () => typeof indexedDB !== 'undefined'
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+let dbPromise = null
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      STORES.forEach(name => {
+        if (!request.result.objectStoreNames.contains(name)) {
+          request.result.createObjectStore(name, { keyPath: 'id' })
+        }
+      })
+    }
+    dbPromise = requestToPromise(request)
+    dbPromise.catch(() => {
+      dbPromise = null
+    })
+  }
+  return dbPromise
+}
+
+// Run `work(stores)` in one transaction; resolves with its result once
+// the transaction commits
+const withStores = async (names, mode, work) => {
+  const db = await openDb()
+  const tx = db.transaction(names, mode)
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error ?? new DOMException('Transaction aborted', 'AbortError'))
+  })
+  const stores = Object.fromEntries(names.map(name => [name, tx.objectStore(name)]))
+
+  let result
+  try {
+    result = await work(stores)
+  } catch (error) {
+    done.catch(() => {})
+    tx.abort()
+    throw error
+  }
+  await done
+  return result
+}
+
+// Newest first
+export const listSessions = async () => {
+  const sessions = await withStores(['sessions'], 'readonly', ({ sessions }) => requestToPromise(sessions.getAll()))
+  return sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+// `record` is the history entry (merged into the stored one when it exists),
+// `analysis` a session JSON export and `video` an optional Blob of the clip
+export const saveSession = (record, analysis, video = null) => withStores(
+  STORES,
+  'readwrite',
+  async ({ sessions, analyses, videos }) => {
+    const existing = await requestToPromise(sessions.get(record.id))
+    const stored = {
+      ...existing,
+      ...record,
+      hasVideo: Boolean(video) || existing?.hasVideo === true,
+      updatedAt: new Date().toISOString(),
+    }
+    sessions.put(stored)
+    analyses.put({ id: record.id, analysis })
+    if (video) videos.put({ id: record.id, video })
+    return stored
+  }
+)
+
+// Change metadata (athlete, title, notes, tags) without touching the analysis
+export const updateSession = (id, changes) => withStores(['sessions'], 'readwrite', async ({ sessions }) => {
+  const record = await requestToPromise(sessions.get(id))
+  if (!record) throw new Error('Session not found')
+  const stored = { ...record, ...changes, id, updatedAt: new Date().toISOString() }
+  sessions.put(stored)
+  return stored
+})
+
+export const deleteSession = (id) => withStores(STORES, 'readwrite', (stores) => {
+  STORES.forEach(name => stores[name].delete(id))
+})
+
+// { record, analysis, video } with `video` null when it wasn't stored
+export const loadSession = (id) => withStores(STORES, 'readonly', async ({ sessions, analyses, videos }) => {
+  const [record, analysis, video] = await Promise.all([
+    requestToPromise(sessions.get(id)),
+    requestToPromise(analyses.get(id)),
+    requestToPromise(videos.get(id)),
+  ])
+  if (!record || !analysis) throw new Error('Session not found')
+  return { record, analysis: analysis.analysis, video: video?.video ?? null }
+})
+
+export const createSessionId = () => `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+
+// Case-insensitive match on title, athlete, notes, file name and tags
+export const matchesSearch = (record, query) => {
+  const needle = query.trim().toLowerCase()
+  if (!needle) return true
+  return [record.title, record.athlete, record.notes, record.fileName, ...(record.tags ?? [])]
+    .some(text => text?.toLowerCase().includes(needle))
+}
+
+// Split a comma-separated tag field into unique, trimmed tags
+export const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))]
+
+// Athlete name for new sessions and whether to keep source videos
+export const loadHistorySettings = () => {
+  try {
+    const stored = localStorage.getItem(SETTINGS_KEY)
+    return { ...DEFAULT_HISTORY_SETTINGS, ...(stored ? JSON.parse(stored) : {}) }
+  } catch {
+    return DEFAULT_HISTORY_SETTINGS
+  }
+}
+
+export const saveHistorySettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+  } catch (error) {
+    console.error('❌ Error saving history settings:', error)
+  }
+}
@@ -0,0 +1,92 @@
+// Stride segmentation and per-stride peak metrics
+//
+// A stride runs from one initial contact of a foot to its next initial
+// contact. Within it the foot is first in stance (IC -> TO) and then swings
+// (TO -> next IC). Frame samples are { t, kneeAngle, hipFlexion, torsoLean,
+// headAlignment, hipY } with kneeAngle / hipFlexion as { left, right }; any
+// value may be null when its keypoints were below the confidence gate.
+
+const TOE_OFF_MARGIN = 0.05 // Seconds after TO still counted for hip extension
+
+export const STRIDE_METRICS = [
+  'peakSwingKneeFlexion',
+  'kneeAngleAtContact',
+  'peakHipExtension',
+  'meanTrunkLean',
+  'meanHeadAlignment',
+  'verticalOscillation',
+]
+
+const samplesBetween = (samples, start, end) => (
+  samples.filter(sample => sample.t >= start && sample.t <= end)
+)
+
+export const nearestSample = (samples, time) => samples.reduce(
+  (best, sample) => (!best || Math.abs(sample.t - time) < Math.abs(best.t - time) ? sample : best),
+  null
+)
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length
+
+// Non-null values of `pick` over samples
+const valuesOf = (samples, pick) => samples.map(pick).filter(value => value != null)
+
+const maxOf = (values) => (values.length ? Math.max(...values) : null)
+
+const averageOf = (values) => (values.length ? average(values) : null)
+
+// Build one stride for `side` from two consecutive contacts of that foot
+export const buildStride = (side, previousContact, contact, samples) => {
+  const stride = samplesBetween(samples, previousContact.ic, contact.ic)
+  const swing = samplesBetween(samples, previousContact.to, contact.ic)
+  const pushOff = samplesBetween(samples, previousContact.ic, previousContact.to + TOE_OFF_MARGIN)
+  const atContact = nearestSample(samples, contact.ic)
+  if (stride.length < 3 || swing.length === 0 || pushOff.length === 0 || !atContact) return null
+
+  const hipYs = valuesOf(stride, sample => sample.hipY)
+  const swingKnee = valuesOf(swing, sample => sample.kneeAngle[side])
+  const pushOffHip = valuesOf(pushOff, sample => sample.hipFlexion[side])
+
+  return {
+    side,
+    start: previousContact.ic,
+    end: contact.ic,
+    peakSwingKneeFlexion: maxOf(swingKnee.map(angle => 180 - angle)),
+    kneeAngleAtContact: atContact.kneeAngle[side],
+    peakHipExtension: maxOf(pushOffHip.map(angle => -angle)),
+    meanTrunkLean: averageOf(valuesOf(stride, sample => sample.torsoLean)),
+    meanHeadAlignment: averageOf(valuesOf(stride, sample => sample.headAlignment)),
+    // Peak-to-trough hip travel over the stride (pixels)
+    verticalOscillation: hipYs.length > 1 ? Math.max(...hipYs) - Math.min(...hipYs) : null,
+  }
+}
+
+// Mean and standard deviation of one metric
+export const describe = (values) => {
+  if (values.length === 0) return null
+  const mean = average(values)
+  const variance = average(values.map(v => (v - mean) ** 2))
+  return { mean, sd: Math.sqrt(variance), n: values.length }
+}
+
+// { all, left, right } each mapping metric -> { mean, sd, n }
+export const summarizeStrides = (strides) => {
+  if (strides.length === 0) return null
+
+  const summarize = (subset) => Object.fromEntries(
+    STRIDE_METRICS.map(metric => [metric, describe(valuesOf(subset, stride => stride[metric]))])
+  )
+
+  return {
+    count: strides.length,
+    all: summarize(strides),
+    left: summarize(strides.filter(stride => stride.side === 'left')),
+    right: summarize(strides.filter(stride => stride.side === 'right')),
+  }
+}
+
+// Format a stat as "mean ± sd" with a unit suffix
+export const formatStat = (stat, unit = '', scale = 1, digits = 0) => {
+  if (!stat) return '--'
+  return `${(stat.mean * scale).toFixed(digits)}±${(stat.sd * scale).toFixed(digits)}${unit}`
+}
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest'
+import { buildStride, describe as describeValues, formatStat, summarizeStrides } from './strides'
+
+// 50 Hz samples over one left stride: contact at 0, toe-off at 0.2, next contact at 0.6
+const samples = Array.from({ length: 31 }, (_, i) => {
+  const t = i / 50
+  return {
+    t,
+    kneeAngle: { left: t <= 0.2 ? 160 : 180 - 100 * Math.sin((Math.PI * (t - 0.2)) / 0.4), right: 150 },
+    hipFlexion: { left: 20 - 100 * t, right: 0 },
+    torsoLean: i % 2 ? 6 : 8,
+    headAlignment: null,
+    hipY: 200 + (t <= 0.3 ? 40 * t : 40 * (0.6 - t)),
+  }
+})
+
+describe('buildStride', () => {
+  it('takes the peaks of each phase', () => {
+    const stride = buildStride('left', { ic: 0, to: 0.2 }, { ic: 0.6, to: 0.8 }, samples)
+
+    expect(stride).toMatchObject({ side: 'left', start: 0, end: 0.6, meanHeadAlignment: null })
+    expect(stride.peakSwingKneeFlexion).toBeCloseTo(100)
+    expect(stride.kneeAngleAtContact).toBeCloseTo(180) // Sample nearest the next contact
+    // Hip flexion at toe-off plus the margin: 20 - 100 * 0.24
+    expect(stride.peakHipExtension).toBeCloseTo(4)
+    expect(stride.meanTrunkLean).toBeCloseTo(7, 1)
+    expect(stride.verticalOscillation).toBeCloseTo(12)
+  })
+
+  it('needs samples in every phase', () => {
+    expect(buildStride('left', { ic: 0, to: 0.2 }, { ic: 0.03, to: 0.8 }, samples)).toBeNull()
+    expect(buildStride('left', { ic: 1, to: 1.2 }, { ic: 1.6, to: 1.8 }, samples)).toBeNull()
+  })
+})
+
+describe('summarizeStrides', () => {
+  it('reports mean and SD overall and per side', () => {
+    const summary = summarizeStrides([
+      { side: 'left', meanTrunkLean: 4 },
+      { side: 'left', meanTrunkLean: 8 },
+      { side: 'right', meanTrunkLean: 9, verticalOscillation: null },
+    ])
+
+    expect(summary.count).toBe(3)
+    expect(summary.all.meanTrunkLean).toEqual({ mean: 7, sd: Math.sqrt(14 / 3), n: 3 })
+    expect(summary.left.meanTrunkLean).toEqual({ mean: 6, sd: 2, n: 2 })
+    expect(summary.right.verticalOscillation).toBeNull()
+  })
+
+  it('is null without strides', () => {
+    expect(summarizeStrides([])).toBeNull()
+    expect(describeValues([])).toBeNull()
+  })
+})
+
+describe('formatStat', () => {
+  it('formats mean ± SD', () => {
+    expect(formatStat({ mean: 0.2534, sd: 0.0121 }, 'ms', 1000)).toBe('253±12ms')
+    expect(formatStat(null)).toBe('--')
+  })
+})
@@ -0,0 +1,73 @@
+import { indexKeypoints } from './keypoints'
+
+// Per-frame metric series for the timeline charts, from a cached analysis
+//
+// Series values are null where the runner wasn't seen or the metric failed
+// the confidence gate, so charts show gaps instead of bridging them.
+
+export const TIMELINE_CHARTS = [
+  {
+    key: 'torsoLean',
+    label: 'Torso lean (°)',
+    lines: [{ key: 'torsoLean', color: '#A855F7' }],
+  },
+  {
+    key: 'knee',
+    label: 'Knee angle (°)',
+    lines: [{ key: 'kneeLeft', label: 'L', color: '#22D3EE' }, { key: 'kneeRight', label: 'R', color: '#F472B6' }],
+  },
+  {
+    key: 'hip',
+    label: 'Hip angle (°)',
+    lines: [{ key: 'hipLeft', label: 'L', color: '#22D3EE' }, { key: 'hipRight', label: 'R', color: '#F472B6' }],
+  },
+  {
+    key: 'hipHeight',
+    label: 'Hip height (px, up)',
+    lines: [{ key: 'hipHeight', color: '#4ADE80' }],
+  },
+]
+
+// Runner to chart: the selected one, else the one analysed in most frames
+export const pickTimelineRunner = (frames, selectedIds = []) => {
+  if (selectedIds.length > 0) return selectedIds[0]
+
+  const counts = {}
+  frames.forEach(frame => Object.keys(frame.runners ?? {}).forEach(id => {
+    counts[id] = (counts[id] || 0) + 1
+  }))
+  const best = Object.entries(counts).sort((a, b) => b[1] - a[1])[0]
+  return best ? Number(best[0]) : null
+}
+
+// Hip height is measured upwards from the lowest hip position in the clip
+export const buildTimelineSeries = (frames, runnerId) => {
+  const series = { torsoLean: [], kneeLeft: [], kneeRight: [], hipLeft: [], hipRight: [], hipHeight: [] }
+  const contacts = []
+  const hipYs = []
+
+  frames.forEach(frame => {
+    const runner = frame.runners?.[runnerId]
+    const metrics = runner?.metrics
+    series.torsoLean.push(metrics?.torsoLean ?? null)
+    series.kneeLeft.push(metrics?.kneeAngle.left ?? null)
+    series.kneeRight.push(metrics?.kneeAngle.right ?? null)
+    series.hipLeft.push(metrics?.hipAngle.left ?? null)
+    series.hipRight.push(metrics?.hipAngle.right ?? null)
+
+    const { left_hip: leftHip, right_hip: rightHip } = runner ? indexKeypoints(runner.keypoints) : {}
+    const hips = [leftHip, rightHip].filter(hip => hip && hip.score > 0)
+    hipYs.push(hips.length ? hips.reduce((sum, hip) => sum + hip.y, 0) / hips.length : null)
+
+    metrics?.contacts?.forEach(contact => contacts.push({ t: contact.ic, side: contact.side }))
+  })
+
+  const lowest = Math.max(...hipYs.filter(y => y != null))
+  series.hipHeight = hipYs.map(y => (y == null ? null : lowest - y))
+
+  return {
+    times: frames.map(frame => frame.t),
+    series,
+    contacts: contacts.sort((a, b) => a.t - b.t),
+  }
+}
@@ -0,0 +1,132 @@
+// Multi-person tracking with stable IDs across frames
+//
+// Each new frame's poses are matched to existing tracks by a mix of bounding
+// box overlap (IoU) and keypoint proximity, greedily from the best pair down.
+// Unmatched poses start new tracks; tracks unseen for `maxAgeSeconds` expire.
+
+export const DEFAULT_TRACKER_OPTIONS = {
+  minScore: 0.3,        // Keypoints used for boxes and matching
+  minSimilarity: 0.2,   // Below this a pose starts a new track
+  maxAgeSeconds: 1.0,   // Tracks are kept this long without a match
+}
+
+// Distinct skeleton colours, picked by track ID
+export const TRACK_COLORS = ['#00FFFF', '#FF00FF', '#FFFF00', '#00FF7F', '#FF8C00', '#8A8AFF']
+
+export const getTrackColor = (id) => TRACK_COLORS[Math.abs(id) % TRACK_COLORS.length]
+
+// Bounding box of the confident keypoints, or null
+export const poseBounds = (keypoints, minScore = DEFAULT_TRACKER_OPTIONS.minScore) => {
+  const visible = keypoints.filter(keypoint => keypoint.score >= minScore)
+  if (visible.length === 0) return null
+
+  const xs = visible.map(keypoint => keypoint.x)
+  const ys = visible.map(keypoint => keypoint.y)
+  const box = { xMin: Math.min(...xs), yMin: Math.min(...ys), xMax: Math.max(...xs), yMax: Math.max(...ys) }
+  return { ...box, width: box.xMax - box.xMin, height: box.yMax - box.yMin }
+}
+
+const intersectionOverUnion = (a, b) => {
+  const width = Math.min(a.xMax, b.xMax) - Math.max(a.xMin, b.xMin)
+  const height = Math.min(a.yMax, b.yMax) - Math.max(a.yMin, b.yMin)
+  if (width <= 0 || height <= 0) return 0
+
+  const intersection = width * height
+  const union = a.width * a.height + b.width * b.height - intersection
+  return union > 0 ? intersection / union : 0
+}
+
+// Mean Gaussian keypoint similarity, scaled by the track's box size
+const keypointSimilarity = (a, b, box, minScore) => {
+  const scale = Math.max(1, 0.1 * Math.hypot(box.width, box.height))
+  const shared = a
+    .map((keypoint, i) => [keypoint, b[i]])
+    .filter(([p, q]) => q && p.score >= minScore && q.score >= minScore)
+  if (shared.length === 0) return 0
+
+  const total = shared.reduce((sum, [p, q]) => {
+    const distanceSq = (p.x - q.x) ** 2 + (p.y - q.y) ** 2
+    return sum + Math.exp(-distanceSq / (2 * scale * scale))
+  }, 0)
+  return total / shared.length
+}
+
+export const createPoseTracker = (overrides = {}) => {
+  const options = { ...DEFAULT_TRACKER_OPTIONS, ...overrides }
+  let tracks = [] // { id, box, keypoints, lastSeen }
+  let nextId = 0
+  let lastTime = null
+
+  const reset = () => {
+    tracks = []
+    nextId = 0
+    lastTime = null
+  }
+
+  // Returns copies of `poses` with an `id` and `box`; `t` is media time (s)
+  const update = (poses, t) => {
+    if (lastTime !== null && t < lastTime) reset()
+    lastTime = t
+    tracks = tracks.filter(track => t - track.lastSeen <= options.maxAgeSeconds)
+
+    const candidates = poses
+      .map((pose, index) => ({ pose, index, box: poseBounds(pose.keypoints, options.minScore) }))
+      .filter(candidate => candidate.box)
+
+    // Score every track/pose pair and assign greedily
+    const pairs = []
+    tracks.forEach(track => {
+      candidates.forEach(candidate => {
+        const similarity = 0.5 * intersectionOverUnion(track.box, candidate.box) +
+          0.5 * keypointSimilarity(track.keypoints, candidate.pose.keypoints, track.box, options.minScore)
+        if (similarity >= options.minSimilarity) pairs.push({ track, candidate, similarity })
+      })
+    })
+    pairs.sort((a, b) => b.similarity - a.similarity)
+
+    const assigned = new Map() // candidate index -> id
+    const usedTracks = new Set()
+    pairs.forEach(({ track, candidate }) => {
+      if (usedTracks.has(track.id) || assigned.has(candidate.index)) return
+      usedTracks.add(track.id)
+      assigned.set(candidate.index, track.id)
+      Object.assign(track, { box: candidate.box, keypoints: candidate.pose.keypoints, lastSeen: t })
+    })
+
+    return candidates.map(({ pose, index, box }) => {
+      let id = assigned.get(index)
+      if (id === undefined) {
+        id = nextId++
+        tracks.push({ id, box, keypoints: pose.keypoints, lastSeen: t })
+      }
+      return { ...pose, id, box }
+    })
+  }
+
+  return { update, reset }
+}
+
+// Assign track IDs across a cached timeline of { t, poses } frames
+export const trackFrames = (frames, options) => {
+  const tracker = createPoseTracker(options)
+  return frames.map(frame => ({ ...frame, poses: tracker.update(frame.poses, frame.t) }))
+}
+
+// Track whose box (padded by 10%) contains `point`, preferring the smallest
+export const findPoseAt = (poses, point) => {
+  const hits = poses.filter(({ box }) => {
+    if (!box) return false
+    const padX = box.width * 0.1
+    const padY = box.height * 0.1
+    return point.x >= box.xMin - padX && point.x <= box.xMax + padX &&
+      point.y >= box.yMin - padY && point.y <= box.yMax + padY
+  })
+  hits.sort((a, b) => a.box.width * a.box.height - b.box.width * b.box.height)
+  return hits[0] || null
+}
+
+// ID of the largest (usually closest) pose, used when nothing is selected
+export const findPrimaryPose = (poses) => poses.reduce(
+  (best, pose) => (!best || pose.box.width * pose.box.height > best.box.width * best.box.height ? pose : best),
+  null
+)
@@ -0,0 +1,49 @@
+// Athlete trends across saved sessions (see sessionStore.js)
+
+// Charted summary metrics; oscillation only exists for calibrated sessions
+export const TREND_METRICS = [
+  { key: 'cadence', label: 'Cadence', unit: 'SPM', color: '#39FF14', pick: summary => summary.cadence },
+  { key: 'torsoLean', label: 'Torso lean', unit: '°', color: '#FFFF00', pick: summary => summary.torsoLean },
+  { key: 'verticalOscillation', label: 'Vertical oscillation', unit: 'cm', color: '#00FFFF', pick: summary => summary.verticalOscillationCm },
+]
+
+// Athlete names in the library, most recent first, without duplicates
+export const listAthletes = (records) => {
+  const seen = new Map()
+  records.forEach(record => {
+    const name = record.athlete?.trim()
+    if (name && !seen.has(name.toLowerCase())) seen.set(name.toLowerCase(), name)
+  })
+  return [...seen.values()]
+}
+
+// Oldest-first points for one athlete: { id, time (ms), title, values }
+export const buildTrendSeries = (records, athlete) => {
+  const name = athlete.trim().toLowerCase()
+  const points = records
+    .filter(record => record.summary && record.athlete?.trim().toLowerCase() === name)
+    .map(record => ({
+      id: record.id,
+      time: Date.parse(record.createdAt),
+      title: record.title,
+      values: Object.fromEntries(TREND_METRICS.map(metric => [metric.key, metric.pick(record.summary) ?? null])),
+    }))
+    .sort((a, b) => a.time - b.time)
+
+  if (points.length === 0) return null
+  return { points, start: points[0].time, end: points[points.length - 1].time }
+}
+
+// Monday 00:00 of each week overlapping [start, end], for grid lines
+export const weekStarts = (start, end) => {
+  const first = new Date(start)
+  first.setHours(0, 0, 0, 0)
+  first.setDate(first.getDate() - ((first.getDay() + 6) % 7))
+
+  const weeks = []
+  while (first.getTime() <= end) {
+    weeks.push(first.getTime())
+    first.setDate(first.getDate() + 7)
+  }
+  return weeks
+}
@@ -0,0 +1,118 @@
+import { pickRecordingType } from './camera'
+import { seekTo } from './offlineAnalysis'
+
+// Annotated video export
+//
+// The clip is played (muted) through [start, end] at `speed` while each
+// presented frame is drawn to an offscreen canvas with the overlay on top.
+// MediaRecorder captures that canvas in real time, so a speed below 1 gives
+// a slow-motion export.
+
+export const EXPORT_OVERLAYS = [
+  { key: 'skeleton', label: 'Skeleton' },
+  { key: 'angles', label: 'Joint angles' },
+  { key: 'landings', label: 'Foot strikes' },
+  { key: 'panel', label: 'Metric panel' },
+]
+
+export const DEFAULT_EXPORT_OVERLAYS = { skeleton: true, angles: true, landings: true, panel: true }
+
+const EXPORT_FRAME_RATE = 30
+const EXPORT_BITRATE = 8_000_000
+
+// Call `callback` for every presented video frame where supported
+const onNextFrame = (video, callback) => (
+  'requestVideoFrameCallback' in video
+    ? video.requestVideoFrameCallback(callback)
+    : requestAnimationFrame(callback)
+)
+
+// `drawOverlay(ctx, time)` draws the annotations for media time `time`.
+// Resolves with the recorded clip as a Blob; aborting `signal` rejects with an
+// AbortError. The video's position, rate and mute state are restored.
+export const exportAnnotatedVideo = async (video, { start, end, speed = 1, drawOverlay, onProgress, signal }) => {
+  video.pause()
+  const canvas = document.createElement('canvas')
+  canvas.width = video.videoWidth
+  canvas.height = video.videoHeight
+  const ctx = canvas.getContext('2d')
+
+  const mimeType = pickRecordingType()
+  const recorder = new MediaRecorder(canvas.captureStream(EXPORT_FRAME_RATE), {
+    ...(mimeType ? { mimeType } : {}),
+    videoBitsPerSecond: EXPORT_BITRATE,
+  })
+  const chunks = []
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data.size > 0) chunks.push(e.data)
+  })
+
+  const draw = () => {
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+    drawOverlay(ctx, video.currentTime)
+  }
+
+  const previous = { time: video.currentTime, rate: video.playbackRate, muted: video.muted }
+  try {
+    await seekTo(video, start)
+    draw()
+    recorder.start()
+    video.muted = true
+    video.playbackRate = speed
+
+    await new Promise((resolve, reject) => {
+      const onFrame = () => {
+        if (signal?.aborted) {
+          reject(new DOMException('Export cancelled', 'AbortError'))
+          return
+        }
+        draw()
+        onProgress?.(Math.min(1, (video.currentTime - start) / (end - start)))
+        if (video.currentTime >= end || video.ended) resolve()
+        else onNextFrame(video, onFrame)
+      }
+      onNextFrame(video, onFrame)
+      video.play().catch(reject)
+    })
+  } finally {
+    video.pause()
+    if (recorder.state !== 'inactive') {
+      const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }))
+      recorder.stop()
+      await stopped
+    }
+    video.muted = previous.muted
+    video.playbackRate = previous.rate
+    await seekTo(video, previous.time)
+  }
+
+  return new Blob(chunks, { type: recorder.mimeType.split(';')[0] || 'video/webm' })
+}
+
+// JPEG stills (data URLs) of the clip at each of `times`, `width` pixels
+// wide, with `drawOverlay(ctx, time)` on top in video coordinates. The
+// video's position is restored afterwards.
+export const captureStills = async (video, times, { width = 480, drawOverlay } = {}) => {
+  video.pause()
+  const scale = width / video.videoWidth
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = Math.round(video.videoHeight * scale)
+  const ctx = canvas.getContext('2d')
+
+  const previousTime = video.currentTime
+  const stills = []
+  try {
+    for (const time of times) {
+      await seekTo(video, time)
+      ctx.setTransform(1, 0, 0, 1, 0, 0)
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+      ctx.setTransform(scale, 0, 0, scale, 0, 0)
+      drawOverlay?.(ctx, video.currentTime)
+      stills.push(canvas.toDataURL('image/jpeg', 0.8))
+    }
+  } finally {
+    await seekTo(video, previousTime)
+  }
+  return stills
+}
@@ -5,4 +5,6 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/runformai/',
+  // The pose worker is a module worker that lazy-loads tfjs backends
+  worker: { format: 'es' },
 })